@@ -0,0 +1,298 @@
+import dotenv from 'dotenv';
+import { supabaseAdmin } from './supabaseClient.js';
+import { cancelSubscription } from './billingHelpers.js';
+import { listExtensionTokens } from './extensionTokens.js';
+
+// Load environment variables from .env file (for local development)
+dotenv.config();
+
+// Days between a deletion request and the removal of the account (the user can cancel until then)
+export const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? 14);
+
+// How often accounts past their grace period are looked for, and how many are removed per run
+const DELETION_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const DELETION_SWEEP_BATCH_SIZE = 50;
+
+// PostgREST returns at most this many rows per request, so exports read tables in pages
+const EXPORT_PAGE_SIZE = 1000;
+
+// Tables holding a user's rows, removed when their account is deleted
+// (llm_usage and billing_events keep their rows with the user link set to null)
+const USER_TABLES = ['prompt_history', 'prompts', 'prompt_candidates', 'custom_modes', 'credit_ledger', 'extension_tokens', 'extension_connect_codes'];
+
+// Helper to fail early when the service role key is missing
+function requireAdminClient() {
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY not configured');
+  }
+  return supabaseAdmin;
+}
+
+// Helper to read every row a user has in a table, oldest first
+async function fetchAllRows({ client, table, columns, userId, orderBy = 'created_at' }) {
+  const rows = [];
+  for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+    const { data, error } = await client
+      .from(table)
+      .select(columns)
+      .eq('user_id', userId)
+      .order(orderBy, { ascending: true })
+      .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to export ${table}: ${error.message}`);
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < EXPORT_PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Collects everything stored about a user for a data export
+ * Profile, credits and ledger, prompt history, saved prompts, custom modes and connected extensions.
+ * @param {Object} params - Parameters object
+ * @param {Object} params.authenticatedClient - Authenticated Supabase client with user's access token
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @param {string} params.email - The user's email (from the verified token)
+ * @returns {Promise<Object>} Export document
+ */
+export async function exportAccountData({ authenticatedClient, userId, email }) {
+  if (!authenticatedClient) {
+    throw new Error('Authenticated Supabase client is required');
+  }
+
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const { data: profile, error: profileError } = await authenticatedClient
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (profileError) {
+    throw new Error(`Failed to export profile: ${profileError.message}`);
+  }
+
+  const [history, prompts, creditLedger, customModes] = await Promise.all([
+    fetchAllRows({
+      client: authenticatedClient,
+      table: 'prompt_history',
+      columns: 'id, type, target, original_input, final_prompt, variant, created_at',
+      userId
+    }),
+    fetchAllRows({ client: authenticatedClient, table: 'prompts', columns: '*', userId }),
+    fetchAllRows({
+      client: authenticatedClient,
+      table: 'credit_ledger',
+      columns: 'id, delta, reason, source, mode, balance_after, daily_credits_used_after, refund_of, metadata, created_at',
+      userId,
+      orderBy: 'id'
+    }),
+    fetchAllRows({ client: authenticatedClient, table: 'custom_modes', columns: '*', userId })
+  ]);
+
+  // Extension tokens are only readable with the service role
+  const extensionTokens = supabaseAdmin ? await listExtensionTokens({ userId }) : [];
+
+  return {
+    exportedAt: new Date().toISOString(),
+    user: { id: userId, email },
+    profile: profile || null,
+    credits: {
+      balance: profile?.credits ?? 0,
+      dailyCreditsUsed: profile?.daily_credits_used ?? 0,
+      dailyResetAt: profile?.daily_reset_at ?? null,
+      ledger: creditLedger
+    },
+    history,
+    prompts,
+    customModes,
+    extensionTokens
+  };
+}
+
+/**
+ * Schedules a user's account for deletion after the grace period
+ * Requesting again keeps the original date.
+ * @param {Object} params - Parameters object
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @returns {Promise<{requestedAt: string, scheduledFor: string}>} When the account will be deleted
+ */
+export async function scheduleAccountDeletion({ userId }) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const admin = requireAdminClient();
+
+  const { data: existing, error: selectError } = await admin
+    .from('users')
+    .select('deletion_requested_at, deletion_scheduled_for')
+    .eq('id', userId)
+    .single();
+
+  if (selectError) {
+    throw new Error(`Failed to schedule account deletion: ${selectError.message}`);
+  }
+
+  if (existing.deletion_scheduled_for) {
+    return { requestedAt: existing.deletion_requested_at, scheduledFor: existing.deletion_scheduled_for };
+  }
+
+  const requestedAt = new Date();
+  const scheduledFor = new Date(requestedAt.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  const { error } = await admin
+    .from('users')
+    .update({
+      deletion_requested_at: requestedAt.toISOString(),
+      deletion_scheduled_for: scheduledFor.toISOString()
+    })
+    .eq('id', userId);
+
+  if (error) {
+    throw new Error(`Failed to schedule account deletion: ${error.message}`);
+  }
+
+  return { requestedAt: requestedAt.toISOString(), scheduledFor: scheduledFor.toISOString() };
+}
+
+/**
+ * Cancels a pending account deletion
+ * Too late once purgeAccount has started removing the account.
+ * @param {Object} params - Parameters object
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @returns {Promise<boolean>} True if a pending deletion was cancelled
+ */
+export async function cancelAccountDeletion({ userId }) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const { data, error } = await requireAdminClient()
+    .from('users')
+    .update({ deletion_requested_at: null, deletion_scheduled_for: null })
+    .eq('id', userId)
+    .not('deletion_scheduled_for', 'is', null)
+    .is('deletion_started_at', null)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to cancel account deletion: ${error.message}`);
+  }
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Deletes a user's account: cancels their subscription, removes their rows and their auth user
+ * The account is first claimed (deletion_started_at) in one conditional update, so a deletion
+ * cancelled after the sweep listed it is not carried out, and a cancel arriving later is refused.
+ * The users row goes last, so a failed run is retried by the next sweep.
+ * @param {Object} params - Parameters object
+ * @param {string} params.userId - The user's ID
+ * @param {Date} [params.now] - Current time (for tests)
+ * @returns {Promise<boolean>} True if the account was deleted, false if no deletion was due
+ */
+export async function purgeAccount({ userId, now = new Date() }) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const admin = requireAdminClient();
+
+  // A run retried after a failure claims the account again
+  const { data: claimed, error: claimError } = await admin
+    .from('users')
+    .update({ deletion_started_at: now.toISOString() })
+    .eq('id', userId)
+    .lte('deletion_scheduled_for', now.toISOString())
+    .select('subscription_id, subscription_status');
+
+  if (claimError) {
+    throw new Error(`Failed to start account deletion: ${claimError.message}`);
+  }
+
+  const user = claimed?.[0];
+  if (!user) {
+    return false;
+  }
+
+  // Stop billing before the account (and its customer link) is gone
+  if (user?.subscription_id && user.subscription_status !== 'canceled') {
+    await cancelSubscription(user.subscription_id);
+  }
+
+  for (const table of USER_TABLES) {
+    const { error } = await admin.from(table).delete().eq('user_id', userId);
+    if (error) {
+      throw new Error(`Failed to delete ${table}: ${error.message}`);
+    }
+  }
+
+  const { error: authError } = await admin.auth.admin.deleteUser(userId);
+  if (authError && authError.status !== 404) {
+    throw new Error(`Failed to delete auth user: ${authError.message}`);
+  }
+
+  const { error: deleteError } = await admin.from('users').delete().eq('id', userId);
+  if (deleteError) {
+    throw new Error(`Failed to delete user: ${deleteError.message}`);
+  }
+
+  return true;
+}
+
+/**
+ * Deletes every account whose grace period has ended
+ * @param {Date} [now] - Current time (for tests)
+ * @returns {Promise<number>} Number of accounts deleted
+ */
+export async function purgeDueAccounts(now = new Date()) {
+  const { data, error } = await requireAdminClient()
+    .from('users')
+    .select('id')
+    .lte('deletion_scheduled_for', now.toISOString())
+    .order('deletion_scheduled_for', { ascending: true })
+    .limit(DELETION_SWEEP_BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to find accounts due for deletion: ${error.message}`);
+  }
+
+  let purged = 0;
+  for (const { id } of data || []) {
+    try {
+      if (await purgeAccount({ userId: id, now })) {
+        purged += 1;
+        console.log(`[ACCOUNT] Deleted account ${id}`);
+      }
+    } catch (purgeError) {
+      console.error(`[ACCOUNT] Failed to delete account ${id}, will retry:`, purgeError.message);
+    }
+  }
+
+  return purged;
+}
+
+/**
+ * Starts the periodic removal of accounts past their grace period
+ * Does nothing without the service role key.
+ */
+export function startAccountDeletionSweeper() {
+  if (!supabaseAdmin) {
+    return;
+  }
+
+  const sweep = () => purgeDueAccounts().catch((error) => {
+    console.error('[ACCOUNT] Deletion sweep failed:', error.message);
+  });
+
+  sweep();
+  setInterval(sweep, DELETION_SWEEP_INTERVAL_MS).unref();
+}
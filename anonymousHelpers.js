@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { createAnonymousStore } from './anonymousStore.js';
+import { getPlan } from './planCatalog.js';
+
+// Load environment variables from .env file (for local development)
+dotenv.config();
+
+// Header used to send and receive the signed anonymous ID
+export const ANONYMOUS_ID_HEADER = 'x-anonymous-id';
+
+// Anonymous credits expire (and are swept) this long after first use
+const ANONYMOUS_TTL_SECONDS = Number(process.env.ANONYMOUS_CREDITS_TTL_SECONDS) || 30 * 24 * 60 * 60;
+
+// Without a configured secret, IDs are signed with a per-process key and stop verifying on restart
+if (!process.env.ANONYMOUS_ID_SECRET) {
+  console.warn('Warning: ANONYMOUS_ID_SECRET not set. Anonymous IDs will be invalidated on every restart.');
+}
+const ANONYMOUS_ID_SECRET = process.env.ANONYMOUS_ID_SECRET || crypto.randomBytes(32).toString('hex');
+
+// The store is created on first use so a misconfigured backend fails the request, not the boot
+let storePromise = null;
+function getStore() {
+  if (!storePromise) {
+    storePromise = createAnonymousStore().catch((error) => {
+      storePromise = null;
+      throw error;
+    });
+  }
+  return storePromise;
+}
+
+// Helper to sign an anonymous ID
+function sign(id) {
+  return crypto.createHmac('sha256', ANONYMOUS_ID_SECRET).update(id).digest('base64url');
+}
+
+/**
+ * Issues a new server-signed anonymous ID
+ * @returns {string} Token of the form "<id>.<signature>"
+ */
+export function issueAnonymousId() {
+  const id = crypto.randomUUID();
+  return `${id}.${sign(id)}`;
+}
+
+/**
+ * Verifies a signed anonymous ID
+ * @param {string} token - Token from the X-Anonymous-Id header
+ * @returns {string|null} The ID if the signature is valid, null otherwise
+ */
+export function verifyAnonymousId(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const [id, signature] = token.split('.');
+  if (!id || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(id));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return id;
+}
+
+/**
+ * Gets the caller's anonymous ID, issuing a new one if the request has none (or a forged one)
+ * The (possibly new) token is always echoed in the X-Anonymous-Id response header.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {string} The verified anonymous ID
+ */
+export function resolveAnonymousId(req, res) {
+  const token = req.headers[ANONYMOUS_ID_HEADER];
+  let anonymousId = verifyAnonymousId(token);
+  let responseToken = token;
+
+  if (!anonymousId) {
+    responseToken = issueAnonymousId();
+    anonymousId = verifyAnonymousId(responseToken);
+  }
+
+  res.setHeader('X-Anonymous-Id', responseToken);
+  return anonymousId;
+}
+
+/**
+ * Gets the credits available to an anonymous caller
+ * The caller is limited by both their anonymous ID and (as a secondary signal) their IP,
+ * so minting new IDs from one address does not mint new credits.
+ * @param {Object} params - Parameters object
+ * @param {string} params.anonymousId - Verified anonymous ID
+ * @param {string} params.ip - Client IP
+ * @returns {Promise<number>} Credits available
+ */
+export async function getAnonymousCredits({ anonymousId, ip }) {
+  const plan = getPlan('anonymous');
+  const store = await getStore();
+
+  const [idCredits, ipCredits] = await Promise.all([
+    store.peek(`id:${anonymousId}`, plan.startingCredits),
+    store.peek(`ip:${ip}`, plan.ipCredits)
+  ]);
+
+  return Math.min(idCredits, ipCredits);
+}
+
+/**
+ * Deducts anonymous credits from both the ID and the IP allowance
+ * @param {Object} params - Parameters object
+ * @param {string} params.anonymousId - Verified anonymous ID
+ * @param {string} params.ip - Client IP
+ * @param {number} params.amount - Amount to deduct
+ * @returns {Promise<number>} Credits remaining (the lower of the ID and IP allowances)
+ * @throws {Error} "Insufficient credits" if either allowance is too low
+ */
+export async function deductAnonymousCredits({ anonymousId, ip, amount }) {
+  const plan = getPlan('anonymous');
+  const store = await getStore();
+
+  const idRemaining = await store.take(`id:${anonymousId}`, amount, plan.startingCredits, ANONYMOUS_TTL_SECONDS);
+  if (idRemaining === null) {
+    throw new Error('Insufficient credits');
+  }
+
+  const ipRemaining = await store.take(`ip:${ip}`, amount, plan.ipCredits, ANONYMOUS_TTL_SECONDS);
+  if (ipRemaining === null) {
+    // Put the ID's credits back - the IP allowance is what ran out
+    await store.give(`id:${anonymousId}`, amount, plan.startingCredits, ANONYMOUS_TTL_SECONDS);
+    throw new Error('Insufficient credits');
+  }
+
+  return Math.min(idRemaining, ipRemaining);
+}
+
+/**
+ * Refunds anonymous credits after a failed request
+ * @param {Object} params - Parameters object
+ * @param {string} params.anonymousId - Verified anonymous ID
+ * @param {string} params.ip - Client IP
+ * @param {number} params.amount - Amount to refund
+ * @returns {Promise<number>} Credits remaining (the lower of the ID and IP allowances)
+ */
+export async function refundAnonymousCredits({ anonymousId, ip, amount }) {
+  const plan = getPlan('anonymous');
+  const store = await getStore();
+
+  const idRemaining = await store.give(`id:${anonymousId}`, amount, plan.startingCredits, ANONYMOUS_TTL_SECONDS);
+  const ipRemaining = await store.give(`ip:${ip}`, amount, plan.ipCredits, ANONYMOUS_TTL_SECONDS);
+
+  return Math.min(idRemaining, ipRemaining);
+}
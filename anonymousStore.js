@@ -0,0 +1,238 @@
+import { readFileSync, writeFileSync, renameSync, existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import dotenv from 'dotenv';
+
+// Load environment variables from .env file (for local development)
+dotenv.config();
+
+// Default file for the file store; kept out of the project directory, which the server serves as static files
+const DEFAULT_STORE_FILE = path.join(os.tmpdir(), 'easyprompt-anonymous-credits.json');
+
+// How often expired entries are swept from the in-process stores
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Longest a Redis command may take; anonymous requests fail rather than hang while Redis is down
+const REDIS_COMMAND_TIMEOUT_MS = 1000;
+
+// All stores share one interface:
+//   take(key, amount, initial, ttlSeconds) -> remaining credits, or null if the key has fewer than `amount`
+//   give(key, amount, initial, ttlSeconds) -> remaining credits after adding `amount`
+//   peek(key, initial) -> current credits (initial if the key does not exist yet)
+// A key that does not exist yet starts at `initial` credits and expires `ttlSeconds` after first use.
+
+/**
+ * Creates an in-memory credit store (development, single instance)
+ * Credits are lost on restart.
+ * @returns {Object} Credit store
+ */
+export function createMemoryStore() {
+  const entries = new Map(); // key -> { credits, expiresAt }
+
+  function getEntry(key, initial, ttlSeconds) {
+    const now = Date.now();
+    let entry = entries.get(key);
+    if (!entry || now >= entry.expiresAt) {
+      entry = { credits: initial, expiresAt: now + ttlSeconds * 1000 };
+      entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (now >= entry.expiresAt) {
+        entries.delete(key);
+      }
+    }
+  }, CLEANUP_INTERVAL_MS);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+    entries,
+
+    async take(key, amount, initial, ttlSeconds) {
+      const entry = getEntry(key, initial, ttlSeconds);
+      if (entry.credits < amount) {
+        return null;
+      }
+      entry.credits -= amount;
+      return entry.credits;
+    },
+
+    async give(key, amount, initial, ttlSeconds) {
+      const entry = getEntry(key, initial, ttlSeconds);
+      entry.credits += amount;
+      return entry.credits;
+    },
+
+    async peek(key, initial) {
+      const entry = entries.get(key);
+      if (!entry || Date.now() >= entry.expiresAt) {
+        return initial;
+      }
+      return entry.credits;
+    }
+  };
+}
+
+/**
+ * Creates a JSON-file backed credit store (single instance, survives restarts)
+ * Writes are batched and replace the file atomically.
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Object} Credit store
+ */
+export function createFileStore(filePath) {
+  if (!filePath) {
+    throw new Error('File path is required for the file store');
+  }
+
+  const store = createMemoryStore();
+
+  // Load previously saved entries, skipping expired ones
+  if (existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(readFileSync(filePath, 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(saved)) {
+        if (entry && now < entry.expiresAt) {
+          store.entries.set(key, entry);
+        }
+      }
+    } catch (error) {
+      console.error(`[ANON] Could not read anonymous credit store ${filePath}, starting empty:`, error.message);
+    }
+  }
+
+  let flushTimer = null;
+  function scheduleFlush() {
+    if (flushTimer) {
+      return;
+    }
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      try {
+        const tempPath = `${filePath}.tmp`;
+        writeFileSync(tempPath, JSON.stringify(Object.fromEntries(store.entries)));
+        renameSync(tempPath, filePath);
+      } catch (error) {
+        console.error(`[ANON] Failed to write anonymous credit store ${filePath}:`, error.message);
+      }
+    }, 1000);
+  }
+
+  return {
+    name: 'file',
+
+    async take(key, amount, initial, ttlSeconds) {
+      const remaining = await store.take(key, amount, initial, ttlSeconds);
+      scheduleFlush();
+      return remaining;
+    },
+
+    async give(key, amount, initial, ttlSeconds) {
+      const remaining = await store.give(key, amount, initial, ttlSeconds);
+      scheduleFlush();
+      return remaining;
+    },
+
+    peek: store.peek
+  };
+}
+
+// Lua scripts keep the read-modify-write atomic in Redis
+// KEYS[1] = key, ARGV = amount, initial, ttlSeconds
+const REDIS_TAKE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+local isNew = not current
+current = tonumber(current or ARGV[2])
+if current < tonumber(ARGV[1]) then
+  if isNew then
+    redis.call('SET', KEYS[1], current, 'EX', ARGV[3])
+  end
+  return -1
+end
+current = current - tonumber(ARGV[1])
+if isNew then
+  redis.call('SET', KEYS[1], current, 'EX', ARGV[3])
+else
+  redis.call('SET', KEYS[1], current, 'KEEPTTL')
+end
+return current
+`;
+
+const REDIS_GIVE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+local isNew = not current
+current = tonumber(current or ARGV[2]) + tonumber(ARGV[1])
+if isNew then
+  redis.call('SET', KEYS[1], current, 'EX', ARGV[3])
+else
+  redis.call('SET', KEYS[1], current, 'KEEPTTL')
+end
+return current
+`;
+
+/**
+ * Creates a Redis-compatible credit store (multiple instances, production)
+ * Expiry is handled by Redis TTLs.
+ * @param {string} redisUrl - Redis connection URL
+ * @returns {Promise<Object>} Credit store
+ */
+export async function createRedisStore(redisUrl) {
+  if (!redisUrl) {
+    throw new Error('REDIS_URL is required for the redis store');
+  }
+
+  // Loaded lazily so ioredis is only needed when the redis store is configured
+  const { default: Redis } = await import('ioredis');
+  const redis = new Redis(redisUrl, {
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1,
+    commandTimeout: REDIS_COMMAND_TIMEOUT_MS
+  });
+  // ioredis reconnects on its own; without a listener every failed attempt is an unhandled error
+  redis.on('error', (error) => {
+    console.error('[ANON] Redis error:', error.message);
+  });
+  const prefix = 'easyprompt:anon:';
+
+  return {
+    name: 'redis',
+
+    async take(key, amount, initial, ttlSeconds) {
+      const remaining = await redis.eval(REDIS_TAKE_SCRIPT, 1, prefix + key, amount, initial, ttlSeconds);
+      return remaining < 0 ? null : remaining;
+    },
+
+    async give(key, amount, initial, ttlSeconds) {
+      return redis.eval(REDIS_GIVE_SCRIPT, 1, prefix + key, amount, initial, ttlSeconds);
+    },
+
+    async peek(key, initial) {
+      const current = await redis.get(prefix + key);
+      return current === null ? initial : Number(current);
+    }
+  };
+}
+
+/**
+ * Creates the credit store selected by ANONYMOUS_STORE (memory, file or redis)
+ * @returns {Promise<Object>} Credit store
+ */
+export async function createAnonymousStore() {
+  const storeType = process.env.ANONYMOUS_STORE || 'memory';
+
+  switch (storeType) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(process.env.ANONYMOUS_STORE_FILE || DEFAULT_STORE_FILE);
+    case 'redis':
+      return createRedisStore(process.env.REDIS_URL);
+    default:
+      throw new Error(`Unknown ANONYMOUS_STORE "${storeType}"`);
+  }
+}
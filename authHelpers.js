@@ -1,3 +1,4 @@
+import { createClient } from '@supabase/supabase-js';
 import { supabase } from './supabaseClient.js';
 
 /**
@@ -32,7 +33,7 @@ export async function getUserFromToken(accessToken) {
  * Verifies a Supabase JWT and returns user information
  * @param {string} token - The Supabase JWT access token
  * @returns {Promise<{userId: string, email: string}>} User id and email
- * @throws {Error} If token is invalid or expired
+ * @throws {Error} "Invalid or expired token" if Supabase rejects it, "Failed to verify token: ..." if Supabase cannot be reached
  */
 export async function verifyUserFromToken(token) {
   if (!token) {
@@ -41,6 +42,11 @@ export async function verifyUserFromToken(token) {
 
   const { data: { user }, error } = await supabase.auth.getUser(token);
 
+  // Rejected tokens are 4xx; an outage must not look like an expired session
+  if (error && !(error.status >= 400 && error.status < 500)) {
+    throw new Error(`Failed to verify token: ${error.message}`);
+  }
+
   if (error || !user) {
     throw new Error('Invalid or expired token');
   }
@@ -51,3 +57,210 @@ export async function verifyUserFromToken(token) {
   };
 }
 
+/**
+ * Gets when the user last signed in (with a password, OAuth, etc.), from an access token
+ * Refreshed sessions keep the original sign-in times in the token's "amr" claim,
+ * so this tells a fresh sign-in apart from a long-lived session.
+ * The token is not verified here: call verifyUserFromToken() first.
+ * @param {string} accessToken - A verified Supabase access token
+ * @returns {(Date|null)} Time of the latest sign-in, null if the token has none
+ */
+export function getLastSignInAt(accessToken) {
+  try {
+    const payload = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64url').toString('utf8'));
+    const timestamps = (payload.amr || []).map((entry) => Number(entry.timestamp)).filter(Boolean);
+    return timestamps.length > 0 ? new Date(Math.max(...timestamps) * 1000) : null;
+  } catch {
+    return null;
+  }
+}
+
+// OAuth providers users can sign in with (each must be enabled in the Supabase project)
+export const OAUTH_PROVIDERS = ['google', 'github'];
+
+// Storage key for the PKCE code verifier kept between the OAuth start and callback
+const OAUTH_STORAGE_KEY = 'easyprompt-oauth';
+
+// Helper to create a Supabase client that keeps no session of its own
+// (the shared client must not hold any one user's session)
+function createSessionlessClient() {
+  return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+}
+
+// Helper to create a PKCE client whose storage is a plain Map, so the code verifier
+// can be carried from the start request to the callback by the caller
+function createPkceClient(storage) {
+  return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY, {
+    auth: {
+      flowType: 'pkce',
+      autoRefreshToken: false,
+      detectSessionInUrl: false,
+      persistSession: true,
+      storageKey: OAUTH_STORAGE_KEY,
+      storage: {
+        getItem: (key) => storage.get(key) ?? null,
+        setItem: (key, value) => storage.set(key, value),
+        removeItem: (key) => storage.delete(key)
+      }
+    }
+  });
+}
+
+// Helper to convert a Supabase session into the shape returned by the auth routes
+function toSession(session) {
+  return {
+    accessToken: session.access_token,
+    refreshToken: session.refresh_token,
+    expiresAt: session.expires_at,
+    expiresIn: session.expires_in,
+    user: {
+      id: session.user?.id,
+      email: session.user?.email
+    }
+  };
+}
+
+/**
+ * Signs a user in with email and password
+ * @param {Object} params - Parameters object
+ * @param {string} params.email - The user's email
+ * @param {string} params.password - The user's password
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresAt: number, expiresIn: number, user: {id: string, email: string}}>} New session
+ * @throws {Error} "Invalid email or password", or "Email not confirmed" if the address is not yet confirmed
+ */
+export async function signInWithPassword({ email, password }) {
+  if (!email || !password) {
+    throw new Error('Invalid email or password');
+  }
+
+  const { data, error } = await createSessionlessClient().auth.signInWithPassword({ email, password });
+
+  if (error) {
+    if (error.code === 'email_not_confirmed') {
+      throw new Error('Email not confirmed');
+    }
+    // Credential errors are 400; anything else (network, 5xx) is not the caller's fault
+    if (error.status === 400) {
+      throw new Error('Invalid email or password');
+    }
+    throw new Error(`Failed to sign in: ${error.message}`);
+  }
+
+  if (!data?.session) {
+    throw new Error('Failed to sign in: no session received');
+  }
+
+  return toSession(data.session);
+}
+
+/**
+ * Starts an OAuth sign-in with Supabase's PKCE flow
+ * The returned code verifier must be kept by the server (never exposed to scripts)
+ * and passed to completeOAuthSignIn() with the code from the callback.
+ * @param {Object} params - Parameters object
+ * @param {string} params.provider - One of OAUTH_PROVIDERS
+ * @param {string} params.redirectTo - Callback URL (must be allowed in the Supabase project)
+ * @returns {Promise<{url: string, codeVerifier: string}>} Provider URL to redirect to, and the verifier
+ */
+export async function startOAuthSignIn({ provider, redirectTo }) {
+  if (!OAUTH_PROVIDERS.includes(provider)) {
+    throw new Error(`Invalid provider: must be one of ${OAUTH_PROVIDERS.join(', ')}`);
+  }
+
+  if (!redirectTo) {
+    throw new Error('Redirect URL is required');
+  }
+
+  const storage = new Map();
+  const { data, error } = await createPkceClient(storage).auth.signInWithOAuth({
+    provider,
+    options: {
+      redirectTo,
+      skipBrowserRedirect: true
+    }
+  });
+
+  const codeVerifier = storage.get(`${OAUTH_STORAGE_KEY}-code-verifier`);
+  if (error || !data?.url || !codeVerifier) {
+    throw new Error(`Failed to start OAuth sign-in: ${error?.message || 'no authorization URL'}`);
+  }
+
+  return { url: data.url, codeVerifier };
+}
+
+/**
+ * Completes an OAuth sign-in by exchanging the callback code for a session
+ * @param {Object} params - Parameters object
+ * @param {string} params.code - Authorization code from the callback URL
+ * @param {string} params.codeVerifier - Verifier from startOAuthSignIn()
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresAt: number, expiresIn: number, user: {id: string, email: string}}>} New session
+ * @throws {Error} "Invalid or expired OAuth code" if the code or verifier is rejected
+ */
+export async function completeOAuthSignIn({ code, codeVerifier }) {
+  if (!code || !codeVerifier) {
+    throw new Error('Invalid or expired OAuth code');
+  }
+
+  const storage = new Map([[`${OAUTH_STORAGE_KEY}-code-verifier`, codeVerifier]]);
+  const { data, error } = await createPkceClient(storage).auth.exchangeCodeForSession(code);
+
+  if (error || !data?.session) {
+    throw new Error('Invalid or expired OAuth code');
+  }
+
+  return toSession(data.session);
+}
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair
+ * Supabase rotates refresh tokens: the old one stops working once used.
+ * @param {string} refreshToken - Refresh token from the last sign-in or refresh
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresAt: number, expiresIn: number, user: {id: string, email: string}}>} New session
+ * @throws {Error} "Invalid or expired refresh token" if Supabase rejects it, "Failed to refresh session: ..." if Supabase cannot be reached
+ */
+export async function refreshSession(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  const { data, error } = await createSessionlessClient().auth.refreshSession({ refresh_token: refreshToken });
+
+  // Rejected tokens are 4xx; anything else (network, 5xx) must not sign the client out
+  if (error && !(error.status >= 400 && error.status < 500)) {
+    throw new Error(`Failed to refresh session: ${error.message}`);
+  }
+
+  if (error || !data?.session) {
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  return toSession(data.session);
+}
+
+/**
+ * Revokes a session server-side so its refresh token can no longer be used
+ * The access token itself stays valid until it expires (it is a stateless JWT).
+ * @param {string} accessToken - The session's access token
+ * @param {string} [scope] - "local" (this session, default), "global" (all sessions) or "others"
+ * @returns {Promise<void>}
+ * @throws {Error} "Invalid or expired token" if Supabase rejects the token
+ */
+export async function revokeSession(accessToken, scope = 'local') {
+  if (!accessToken) {
+    throw new Error('Invalid or expired token');
+  }
+
+  const { error } = await createSessionlessClient().auth.admin.signOut(accessToken, scope);
+
+  if (error) {
+    if ([401, 403, 404].includes(error.status)) {
+      throw new Error('Invalid or expired token');
+    }
+    throw new Error(`Failed to revoke session: ${error.message}`);
+  }
+}
@@ -0,0 +1,103 @@
+import { createClient } from '@supabase/supabase-js';
+import { verifyUserFromToken } from './authHelpers.js';
+import { ApiError } from './errors.js';
+
+/**
+ * Gets the caller's access token from the body `token`, Authorization header or `?token=` query
+ * The body token comes first, as it always has for the prompt endpoints, so clients
+ * that send both keep being authenticated as the body token's user.
+ * @param {Object} req - Express request
+ * @returns {(string|null)} Token, null if none was sent
+ */
+export function getRequestToken(req) {
+  if (req.body?.token) {
+    return req.body.token;
+  }
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice('Bearer '.length);
+  }
+  return req.query?.token || null;
+}
+
+/**
+ * Creates a per-request Supabase client for a bearer token
+ * The user's access token is passed via Authorization header for RLS
+ * @param {string} token - The user's access token
+ * @returns {Object} Supabase client
+ */
+export function createAuthenticatedClient(token) {
+  return createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY,
+    {
+      global: {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    }
+  );
+}
+
+// Helper to verify a token and build req.auth
+async function authenticate(token) {
+  // Verify token and get authenticated user id (never trust client input)
+  const user = await verifyUserFromToken(token);
+  return {
+    user,
+    userId: user.userId,
+    email: user.email,
+    token,
+    authenticatedClient: createAuthenticatedClient(token)
+  };
+}
+
+/**
+ * Middleware for routes that need a signed-in user
+ * Sets req.auth = { user, userId, email, token, authenticatedClient }, or fails with
+ * AUTH_REQUIRED (no token) or AUTH_EXPIRED (invalid or expired token).
+ */
+export async function requireAuth(req, res, next) {
+  const token = getRequestToken(req);
+  if (!token) {
+    return next(new ApiError('AUTH_REQUIRED', 'Missing access token'));
+  }
+
+  try {
+    req.auth = await authenticate(token);
+    return next();
+  } catch (error) {
+    if (error.message === 'Invalid or expired token') {
+      return next(new ApiError('AUTH_EXPIRED', 'Invalid or expired token'));
+    }
+    return next(error);
+  }
+}
+
+/**
+ * Middleware for routes anonymous callers may use too
+ * Sets req.auth as requireAuth does, or null for anonymous callers. An invalid token
+ * is treated as anonymous, with req.authError = "AUTH_EXPIRED" so routes can still refuse it.
+ */
+export async function optionalAuth(req, res, next) {
+  req.auth = null;
+  req.authError = null;
+
+  const token = getRequestToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    req.auth = await authenticate(token);
+    return next();
+  } catch (error) {
+    if (error.message === 'Invalid or expired token') {
+      console.log('Invalid token provided, treating as anonymous user');
+      req.authError = 'AUTH_EXPIRED';
+      return next();
+    }
+    return next(error);
+  }
+}
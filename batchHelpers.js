@@ -0,0 +1,72 @@
+import dotenv from 'dotenv';
+import { BUILT_IN_MODES, PROMPT_TARGETS } from './promptTemplates.js';
+
+// Load environment variables from .env file (for local development)
+dotenv.config();
+
+// Maximum items per batch request
+export const MAX_BATCH_ITEMS = Number(process.env.BATCH_MAX_ITEMS) || 25;
+
+// Maximum LLM calls in flight per batch request
+export const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4;
+
+/**
+ * Validates the items of a batch request
+ * @param {*} items - The `items` field: [{original_prompt, mode, target?, previous_prompt?}, ...]
+ * @returns {Array<{originalPrompt: string, mode: string, target: (string|null), previousPrompt: (string|null)}>} Items
+ * @throws {Error} "Invalid batch: ..." if the items are malformed
+ */
+export function parseBatchItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Invalid batch: items must be a non-empty array');
+  }
+
+  if (items.length > MAX_BATCH_ITEMS) {
+    throw new Error(`Invalid batch: at most ${MAX_BATCH_ITEMS} items`);
+  }
+
+  return items.map((item, index) => {
+    if (!item || typeof item.original_prompt !== 'string' || !item.original_prompt.trim()) {
+      throw new Error(`Invalid batch: item ${index} original_prompt is required`);
+    }
+
+    const mode = item.mode || 'improve';
+    if (!BUILT_IN_MODES.includes(mode)) {
+      throw new Error(`Invalid batch: item ${index} mode must be one of ${BUILT_IN_MODES.join(', ')}`);
+    }
+
+    const target = item.target || null;
+    if (target && (!['improve', 'refine'].includes(mode) || !PROMPT_TARGETS.includes(target))) {
+      throw new Error(`Invalid batch: item ${index} target must be one of ${PROMPT_TARGETS.join(', ')} (improve and refine only)`);
+    }
+
+    return {
+      originalPrompt: item.original_prompt,
+      mode,
+      target,
+      previousPrompt: typeof item.previous_prompt === 'string' ? item.previous_prompt : null
+    };
+  });
+}
+
+/**
+ * Runs an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
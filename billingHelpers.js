@@ -0,0 +1,420 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { supabaseAdmin } from './supabaseClient.js';
+
+// Load environment variables from .env file (for local development)
+dotenv.config();
+
+const STRIPE_API_BASE = process.env.STRIPE_API_BASE || 'https://api.stripe.com/v1';
+
+// Maximum age of a webhook signature timestamp (replay protection)
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+// Days of Pro access kept after the paid period ends (e.g. while a renewal payment retries)
+const GRACE_PERIOD_DAYS = Number(process.env.BILLING_GRACE_PERIOD_DAYS ?? 3);
+
+// Subscription statuses that keep Pro access
+const PRO_STATUSES = ['active', 'trialing', 'past_due'];
+
+/**
+ * Checks whether a users row currently has Pro access
+ * Billing-managed rows (with a subscription_status) need an active status and a
+ * current period that has not ended more than the grace period ago; a row without
+ * a known period end has no Pro access.
+ * Rows without billing data fall back to the is_pro flag (manual grants).
+ * @param {Object} userRow - Row with is_pro and subscription columns
+ * @param {Date} [now] - Current time (for tests)
+ * @returns {boolean} True if the user has Pro access
+ */
+export function hasActiveProSubscription(userRow, now = new Date()) {
+  if (!userRow) {
+    return false;
+  }
+
+  if (!userRow.subscription_status) {
+    return userRow.is_pro === true;
+  }
+
+  if (!PRO_STATUSES.includes(userRow.subscription_status)) {
+    return false;
+  }
+
+  if (!userRow.subscription_current_period_end) {
+    return false;
+  }
+
+  const periodEnd = new Date(userRow.subscription_current_period_end);
+  const graceEnd = new Date(periodEnd.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+  return now < graceEnd;
+}
+
+/**
+ * Creates a subscription checkout session for the Pro plan
+ * @param {Object} params - Parameters object
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @param {string} params.email - The user's email, prefilled at checkout
+ * @param {string} params.successUrl - Where checkout redirects after payment
+ * @param {string} params.cancelUrl - Where checkout redirects if the user backs out
+ * @returns {Promise<{id: string, url: string}>} Checkout session id and hosted URL
+ */
+export async function createCheckoutSession({ userId, email, successUrl, cancelUrl }) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  if (!process.env.STRIPE_SECRET_KEY || !process.env.STRIPE_PRO_PRICE_ID) {
+    throw new Error('Billing is not configured');
+  }
+
+  const form = new URLSearchParams({
+    mode: 'subscription',
+    'line_items[0][price]': process.env.STRIPE_PRO_PRICE_ID,
+    'line_items[0][quantity]': '1',
+    client_reference_id: userId,
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    'metadata[user_id]': userId,
+    'subscription_data[metadata][user_id]': userId
+  });
+  if (email) {
+    form.set('customer_email', email);
+  }
+
+  const response = await fetch(`${STRIPE_API_BASE}/checkout/sessions`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: form
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(`Failed to create checkout session: ${data.error?.message || response.status}`);
+  }
+
+  return { id: data.id, url: data.url };
+}
+
+// Helper to read a subscription's current state (checkout events carry only its id)
+async function fetchSubscription(subscriptionId) {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw new Error('Billing is not configured');
+  }
+
+  const response = await fetch(`${STRIPE_API_BASE}/subscriptions/${encodeURIComponent(subscriptionId)}`, {
+    headers: {
+      Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`
+    }
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch subscription: ${data.error?.message || response.status}`);
+  }
+
+  return data;
+}
+
+/**
+ * Cancels a subscription immediately (no further charges, no proration)
+ * Used when an account is deleted; an already cancelled subscription counts as done.
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @returns {Promise<void>}
+ */
+export async function cancelSubscription(subscriptionId) {
+  if (!subscriptionId) {
+    throw new Error('Subscription ID is required');
+  }
+
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw new Error('Billing is not configured');
+  }
+
+  const response = await fetch(`${STRIPE_API_BASE}/subscriptions/${encodeURIComponent(subscriptionId)}`, {
+    method: 'DELETE',
+    headers: {
+      Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`
+    }
+  });
+
+  if (response.status === 404) {
+    return;
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(`Failed to cancel subscription: ${data.error?.message || response.status}`);
+  }
+}
+
+/**
+ * Signs a webhook payload the way the billing provider does (Stripe-Signature format)
+ * Used to build locally signed fixtures for development and tests.
+ * @param {string} payload - Raw JSON payload
+ * @param {string} secret - Webhook signing secret
+ * @param {number} [timestamp] - Unix timestamp in seconds (defaults to now)
+ * @returns {string} Signature header value ("t=...,v1=...")
+ */
+export function signWebhookPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Verifies a webhook signature and parses the event
+ * @param {string} payload - Raw request body, exactly as received
+ * @param {string} signatureHeader - Stripe-Signature header
+ * @param {string} secret - Webhook signing secret
+ * @returns {Object} Parsed event
+ * @throws {Error} If the signature is missing, invalid or too old
+ */
+export function verifyWebhookEvent(payload, signatureHeader, secret) {
+  if (!secret) {
+    throw new Error('Webhook secret is not configured');
+  }
+
+  if (!payload || !signatureHeader) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  const parts = signatureHeader.split(',').map((part) => part.split('='));
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  const expected = Buffer.from(signWebhookPayload(payload, secret, timestamp).split('v1=')[1]);
+  const matches = signatures.some((signature) => {
+    const received = Buffer.from(signature);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+
+  if (!matches) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    throw new Error('Webhook signature timestamp is too old');
+  }
+
+  return JSON.parse(payload);
+}
+
+// Helper to convert a unix timestamp (seconds) to ISO, or null
+function toISO(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Helper to read a subscription's period end (newer API versions keep it on the subscription item)
+function subscriptionPeriodEnd(subscription) {
+  return toISO(subscription.current_period_end ?? subscription.items?.data?.[0]?.current_period_end);
+}
+
+// Helper to turn a subscription object into the user's billing fields
+function subscriptionFields(subscription) {
+  return {
+    subscription_id: subscription.id,
+    subscription_status: subscription.status,
+    subscription_current_period_end: subscriptionPeriodEnd(subscription),
+    subscription_cancel_at_period_end: subscription.cancel_at_period_end === true
+  };
+}
+
+// Helper to read which subscription an invoice bills (newer API versions nest it under parent)
+function invoiceSubscriptionId(invoice) {
+  return invoice.subscription ?? invoice.parent?.subscription_details?.subscription ?? null;
+}
+
+// Helper to find the user a billing object belongs to
+async function findBillingUser({ userId, subscriptionId, customerId }) {
+  if (userId) {
+    return userId;
+  }
+
+  const filters = [
+    subscriptionId ? ['subscription_id', subscriptionId] : null,
+    customerId ? ['stripe_customer_id', customerId] : null
+  ].filter(Boolean);
+
+  for (const [column, value] of filters) {
+    const { data } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq(column, value)
+      .maybeSingle();
+    if (data?.id) {
+      return data.id;
+    }
+  }
+
+  return null;
+}
+
+// Helper to write billing fields (and the derived is_pro flag) to the user row
+// Only applies if no newer event has been applied; returns false for an out-of-date event.
+// Events are ordered by creation time, which is in whole seconds, then by event id, so two
+// events from the same second are applied in the same order whichever arrives first.
+async function updateBillingFields(userId, fields, eventAt, eventId) {
+  const update = { ...fields, billing_event_at: eventAt, billing_event_id: eventId };
+  if (fields.subscription_status !== undefined) {
+    let periodEnd = fields.subscription_current_period_end;
+    if (periodEnd === undefined) {
+      const { data, error } = await supabaseAdmin
+        .from('users')
+        .select('subscription_current_period_end')
+        .eq('id', userId)
+        .single();
+      if (error) {
+        throw new Error(`Failed to update billing fields: ${error.message}`);
+      }
+      periodEnd = data.subscription_current_period_end;
+    }
+    update.is_pro = hasActiveProSubscription({
+      subscription_status: fields.subscription_status,
+      subscription_current_period_end: periodEnd
+    });
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('users')
+    .update(update)
+    .eq('id', userId)
+    .or(`billing_event_at.is.null,billing_event_at.lt.${eventAt},and(billing_event_at.eq.${eventAt},billing_event_id.lt.${eventId})`)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to update billing fields: ${error.message}`);
+  }
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Applies a verified billing webhook event to the user's subscription state
+ * Handles checkout completion, subscription create/update/delete and invoice events.
+ * Events are recorded in billing_events so retried deliveries are applied once, and an
+ * event older than the last one applied to the user is recorded but not applied.
+ * @param {Object} event - Verified webhook event
+ * @returns {Promise<{handled: boolean, duplicate?: boolean, outdated?: boolean, userId?: string}>} Result
+ */
+export async function applyBillingEvent(event) {
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to process billing events');
+  }
+
+  if (!event?.id || !event?.type) {
+    throw new Error('Invalid billing event');
+  }
+
+  const object = event.data?.object || {};
+  let userId = null;
+  let fields = null;
+
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      userId = await findBillingUser({
+        userId: object.client_reference_id || object.metadata?.user_id,
+        customerId: object.customer
+      });
+      fields = { stripe_customer_id: object.customer || null };
+      // The session does not say how long the subscription runs, so read it
+      if (userId && object.subscription) {
+        fields = { ...fields, ...subscriptionFields(await fetchSubscription(object.subscription)) };
+      }
+      break;
+    }
+
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+      userId = await findBillingUser({
+        userId: object.metadata?.user_id,
+        subscriptionId: object.id,
+        customerId: object.customer
+      });
+      fields = { stripe_customer_id: object.customer || null, ...subscriptionFields(object) };
+      break;
+
+    case 'customer.subscription.deleted':
+      userId = await findBillingUser({
+        userId: object.metadata?.user_id,
+        subscriptionId: object.id,
+        customerId: object.customer
+      });
+      fields = {
+        subscription_status: 'canceled',
+        subscription_current_period_end: toISO(object.ended_at) || subscriptionPeriodEnd(object),
+        subscription_cancel_at_period_end: false
+      };
+      break;
+
+    case 'invoice.paid':
+    case 'invoice.payment_failed': {
+      // Renewal or failed renewal: the invoice does not say what state the subscription
+      // is in now (a paid invoice can belong to a cancelled one), so read it
+      const subscriptionId = invoiceSubscriptionId(object);
+      if (!subscriptionId) {
+        return { handled: false };
+      }
+      userId = await findBillingUser({
+        subscriptionId,
+        customerId: object.customer
+      });
+      if (userId) {
+        fields = subscriptionFields(await fetchSubscription(subscriptionId));
+      }
+      break;
+    }
+
+    default:
+      return { handled: false };
+  }
+
+  if (!userId) {
+    console.warn(`[BILLING] No user found for event ${event.id} (${event.type})`);
+    return { handled: false };
+  }
+
+  // Record the event first; a duplicate id means this delivery was already applied
+  const { error: insertError } = await supabaseAdmin
+    .from('billing_events')
+    .insert({ id: event.id, type: event.type, user_id: userId });
+
+  if (insertError) {
+    if (insertError.code === '23505') {
+      console.log(`[BILLING] Event ${event.id} already processed`);
+      return { handled: true, duplicate: true, userId };
+    }
+    throw new Error(`Failed to record billing event: ${insertError.message}`);
+  }
+
+  // Drop nulls so partial events do not clear existing values
+  const definedFields = Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== null && value !== undefined)
+  );
+
+  let applied;
+  try {
+    applied = await updateBillingFields(userId, definedFields, toISO(event.created) || new Date().toISOString(), event.id);
+  } catch (error) {
+    // Let the provider retry the delivery
+    await supabaseAdmin.from('billing_events').delete().eq('id', event.id);
+    throw error;
+  }
+
+  if (!applied) {
+    console.log(`[BILLING] Ignored ${event.type} (${event.id}): a newer event was already applied to user ${userId}`);
+    return { handled: true, outdated: true, userId };
+  }
+
+  console.log(`[BILLING] Applied ${event.type} (${event.id}) to user ${userId}`);
+  return { handled: true, userId };
+}
@@ -0,0 +1,200 @@
+// Categories for the reasons behind a rewrite; unknown categories from the model become "other"
+export const EXPLANATION_CATEGORIES = {
+  added_context: 'Added context',
+  clarified_format: 'Clarified format',
+  removed_ambiguity: 'Removed ambiguity',
+  added_constraints: 'Added constraints',
+  other: 'Other changes'
+};
+
+// Word diffs are quadratic in the changed region; longer regions are shown as one replacement
+const MAX_DIFF_TOKENS = 2000;
+
+const MAX_REASONS = 8;
+
+// Helper to split text into word and whitespace tokens (whitespace is kept so the diff rejoins exactly)
+function tokenize(text) {
+  return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+// Helper to append a token to the diff, merging runs of the same type
+function pushChange(changes, type, text) {
+  const last = changes[changes.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    changes.push({ type, text });
+  }
+}
+
+/**
+ * Computes a word-level diff between two texts
+ * Joining the "equal" and "delete" parts gives the original; "equal" and "insert" give the rewrite.
+ * @param {string} original - The original prompt
+ * @param {string} rewritten - The rewritten prompt
+ * @returns {Array<{type: string, text: string}>} Changes in order, type "equal", "delete" or "insert"
+ */
+export function diffWords(original, rewritten) {
+  const a = tokenize(original);
+  const b = tokenize(rewritten);
+
+  // Common prefix and suffix don't need the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const changes = [];
+  for (const token of a.slice(0, start)) {
+    pushChange(changes, 'equal', token);
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length > MAX_DIFF_TOKENS || midB.length > MAX_DIFF_TOKENS) {
+    for (const token of midA) {
+      pushChange(changes, 'delete', token);
+    }
+    for (const token of midB) {
+      pushChange(changes, 'insert', token);
+    }
+  } else {
+    // lengths[i][j] = most words in a common subsequence of midA[i..] and midB[j..]
+    // Whitespace can be kept but does not count, so it never wins over a matching word
+    const width = midB.length + 1;
+    const lengths = new Uint16Array((midA.length + 1) * width);
+    const matchLength = (i, j) => (midA[i] === midB[j]
+      ? lengths[(i + 1) * width + j + 1] + (midA[i].trim() ? 1 : 0)
+      : -1);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = Math.max(matchLength(i, j), lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (matchLength(i, j) === lengths[i * width + j]) {
+        pushChange(changes, 'equal', midA[i]);
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        pushChange(changes, 'delete', midA[i]);
+        i++;
+      } else {
+        pushChange(changes, 'insert', midB[j]);
+        j++;
+      }
+    }
+    for (; i < midA.length; i++) {
+      pushChange(changes, 'delete', midA[i]);
+    }
+    for (; j < midB.length; j++) {
+      pushChange(changes, 'insert', midB[j]);
+    }
+  }
+
+  for (const token of a.slice(endA)) {
+    pushChange(changes, 'equal', token);
+  }
+
+  return compactChanges(changes);
+}
+
+// Helper to make a diff readable: a lone space between two edits becomes part of the edit,
+// and each run of edits is shown as one deletion followed by one insertion
+function compactChanges(changes) {
+  const compacted = [];
+  let deleted = '';
+  let inserted = '';
+
+  changes.forEach((change, index) => {
+    const betweenEdits = change.type === 'equal' && !change.text.trim() &&
+      index > 0 && index < changes.length - 1;
+
+    if (change.type === 'delete' || betweenEdits) {
+      deleted += change.text;
+    }
+    if (change.type === 'insert' || betweenEdits) {
+      inserted += change.text;
+    }
+    if (change.type === 'equal' && !betweenEdits) {
+      if (deleted) {
+        compacted.push({ type: 'delete', text: deleted });
+      }
+      if (inserted) {
+        compacted.push({ type: 'insert', text: inserted });
+      }
+      deleted = '';
+      inserted = '';
+      pushChange(compacted, 'equal', change.text);
+    }
+  });
+
+  if (deleted) {
+    compacted.push({ type: 'delete', text: deleted });
+  }
+  if (inserted) {
+    compacted.push({ type: 'insert', text: inserted });
+  }
+
+  return compacted;
+}
+
+/**
+ * Counts the words kept, removed and added by a diff
+ * @param {Array<{type: string, text: string}>} changes - Changes from diffWords()
+ * @returns {{unchanged: number, removed: number, added: number}} Word counts
+ */
+export function summarizeDiff(changes) {
+  const summary = { unchanged: 0, removed: 0, added: 0 };
+  const keys = { equal: 'unchanged', delete: 'removed', insert: 'added' };
+
+  for (const change of changes) {
+    const words = change.text.trim() ? change.text.trim().split(/\s+/).length : 0;
+    summary[keys[change.type]] += words;
+  }
+
+  return summary;
+}
+
+/**
+ * Normalizes a model-written explanation into reasons grouped by category
+ * @param {Object} raw - Parsed model output ({ reasons: [{ category, reason }] })
+ * @returns {Array<{category: string, label: string, reasons: string[]}>} Groups in EXPLANATION_CATEGORIES order
+ * @throws {Error} If the output has no reasons list
+ */
+export function normalizeExplanation(raw) {
+  if (!Array.isArray(raw?.reasons)) {
+    throw new Error('Explanation is missing a reasons list');
+  }
+
+  const grouped = new Map();
+  const reasons = raw.reasons
+    .filter((item) => typeof item?.reason === 'string' && item.reason.trim())
+    .slice(0, MAX_REASONS);
+
+  for (const item of reasons) {
+    const category = EXPLANATION_CATEGORIES[item.category] ? item.category : 'other';
+    if (!grouped.has(category)) {
+      grouped.set(category, []);
+    }
+    grouped.get(category).push(item.reason.trim());
+  }
+
+  return Object.keys(EXPLANATION_CATEGORIES)
+    .filter((category) => grouped.has(category))
+    .map((category) => ({
+      category,
+      label: EXPLANATION_CATEGORIES[category],
+      reasons: grouped.get(category)
+    }));
+}
@@ -0,0 +1,92 @@
+import dotenv from 'dotenv';
+import { estimateTokens, truncateToTokens } from './tokenUtils.js';
+
+// Load environment variables from .env file (for local development)
+dotenv.config();
+
+// Token budget for conversation context sent with a follow-up
+const CONTEXT_TOKEN_BUDGET = Number(process.env.FOLLOWUP_CONTEXT_TOKENS) || 2000;
+
+// Limits on what the extension may send
+const MAX_TURNS = 100;
+const MAX_TURN_LENGTH = 20000;
+const TURN_ROLES = ['user', 'assistant'];
+
+// Per-turn overhead of the transcript format ("User: ", blank lines)
+const TURN_OVERHEAD_TOKENS = 4;
+
+/**
+ * Validates a follow-up conversation from a request body
+ * @param {*} value - The `conversation` field: [{role: "user"|"assistant", content: string}, ...], oldest first
+ * @returns {Array<{role: string, content: string}>} Turns with trimmed content (empty turns dropped)
+ * @throws {Error} "Invalid conversation: ..." if the value is malformed
+ */
+export function parseConversation(value) {
+  if (!Array.isArray(value)) {
+    throw new Error('Invalid conversation: must be an array of turns');
+  }
+
+  if (value.length > MAX_TURNS) {
+    throw new Error(`Invalid conversation: at most ${MAX_TURNS} turns`);
+  }
+
+  return value
+    .map((turn, index) => {
+      if (!turn || !TURN_ROLES.includes(turn.role)) {
+        throw new Error(`Invalid conversation: turn ${index} must have role "user" or "assistant"`);
+      }
+      if (typeof turn.content !== 'string') {
+        throw new Error(`Invalid conversation: turn ${index} content must be a string`);
+      }
+      if (turn.content.length > MAX_TURN_LENGTH) {
+        throw new Error(`Invalid conversation: turn ${index} is longer than ${MAX_TURN_LENGTH} characters`);
+      }
+      return { role: turn.role, content: turn.content.trim() };
+    })
+    .filter((turn) => turn.content);
+}
+
+/**
+ * Keeps the most recent turns that fit in the context token budget
+ * If even the latest turn is over budget, its end is kept.
+ * @param {Array<{role: string, content: string}>} turns - Turns, oldest first
+ * @param {number} [budget] - Token budget (default: FOLLOWUP_CONTEXT_TOKENS or 2000)
+ * @returns {{turns: Array<{role: string, content: string}>, truncated: boolean}} Kept turns, oldest first
+ */
+export function truncateConversation(turns, budget = CONTEXT_TOKEN_BUDGET) {
+  const kept = [];
+  let used = 0;
+  let truncated = false;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const cost = TURN_OVERHEAD_TOKENS + estimateTokens(turns[i].content);
+
+    if (used + cost <= budget) {
+      kept.unshift(turns[i]);
+      used += cost;
+      continue;
+    }
+
+    if (kept.length === 0) {
+      kept.unshift({
+        role: turns[i].role,
+        content: truncateToTokens(turns[i].content, Math.max(budget - TURN_OVERHEAD_TOKENS, 1))
+      });
+    }
+    truncated = true;
+    break;
+  }
+
+  return { turns: kept, truncated };
+}
+
+/**
+ * Formats conversation turns as a transcript for the follow-up prompt
+ * @param {Array<{role: string, content: string}>} turns - Turns, oldest first
+ * @returns {string} Transcript ("User: ...", "Assistant: ...")
+ */
+export function formatConversation(turns) {
+  return turns
+    .map((turn) => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+    .join('\n\n');
+}
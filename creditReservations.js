@@ -0,0 +1,62 @@
+/**
+ * Creates a credit reservation for credits that were deducted up front
+ * The reservation is committed once the request succeeds, or rolled back
+ * (refunded) when the LLM call fails, times out or the client disconnects.
+ * Commit and rollback are idempotent: only the first call takes effect.
+ * @param {Object} params - Parameters object
+ * @param {number} params.amount - Amount of credits that were deducted
+ * @param {Function} params.refund - Async function that returns the credits, resolves to remaining credits
+ * @param {string} params.label - Label used in logs (e.g. "user <id>" or "IP <ip>")
+ * @returns {Object} Reservation with commit(), rollback() and status
+ */
+export function createCreditReservation({ amount, refund, label }) {
+  if (typeof refund !== 'function') {
+    throw new Error('Refund function is required');
+  }
+
+  let status = 'reserved';
+
+  return {
+    amount,
+
+    get status() {
+      return status;
+    },
+
+    /**
+     * Marks the reservation as spent
+     * @returns {boolean} True if this call committed the reservation
+     */
+    commit() {
+      if (status !== 'reserved') {
+        return false;
+      }
+      status = 'committed';
+      return true;
+    },
+
+    /**
+     * Refunds the reserved credits
+     * @param {string} reason - Why the reservation is being rolled back
+     * @returns {Promise<{refunded: boolean, remainingCredits: (number|undefined)}>} Refund result
+     */
+    async rollback(reason) {
+      if (status !== 'reserved') {
+        return { refunded: false };
+      }
+      status = 'rolling_back';
+
+      try {
+        const remainingCredits = await refund();
+        status = 'refunded';
+        console.log(`[CREDITS] Refunded ${amount} credit(s) to ${label}. Reason: ${reason}`);
+        return { refunded: true, remainingCredits };
+      } catch (refundError) {
+        // Keep the credit spent rather than retrying a refund that may have partially applied
+        status = 'refund_failed';
+        console.error(`[CREDITS] Failed to refund ${amount} credit(s) to ${label}:`, refundError);
+        return { refunded: false };
+      }
+    }
+  };
+}
@@ -0,0 +1,256 @@
+import { isCustomModelAllowed } from './llmConfig.js';
+import { supabaseAdmin } from './supabaseClient.js';
+
+// Columns returned by the custom modes API
+const CUSTOM_MODE_COLUMNS = 'id, name, instructions, model, temperature, max_tokens, credit_cost, created_at, updated_at';
+
+// Limits on user-supplied custom mode fields
+const MAX_NAME_LENGTH = 60;
+const MAX_INSTRUCTIONS_LENGTH = 4000;
+const MAX_TOKENS_LIMIT = 2000;
+const MAX_CREDIT_COST = 20;
+
+/**
+ * Validates and normalizes custom mode fields from a request body
+ * @param {Object} input - Request body (name, instructions, model, temperature, max_tokens, credit_cost)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.partial] - Allow missing required fields (updates)
+ * @returns {Object} Columns to write
+ * @throws {Error} "Invalid custom mode: ..." if a field is invalid
+ */
+export function validateCustomModeInput(input, { partial = false } = {}) {
+  const fields = {};
+  const body = input || {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > MAX_NAME_LENGTH) {
+      throw new Error(`Invalid custom mode: name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.instructions !== undefined || !partial) {
+    if (typeof body.instructions !== 'string' || !body.instructions.trim() || body.instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      throw new Error(`Invalid custom mode: instructions must be 1-${MAX_INSTRUCTIONS_LENGTH} characters`);
+    }
+    fields.instructions = body.instructions.trim();
+  }
+
+  if (body.model !== undefined) {
+    if (body.model !== null && !isCustomModelAllowed(body.model)) {
+      throw new Error('Invalid custom mode: model is not available');
+    }
+    fields.model = body.model;
+  }
+
+  if (body.temperature !== undefined) {
+    if (body.temperature !== null && (typeof body.temperature !== 'number' || body.temperature < 0 || body.temperature > 2)) {
+      throw new Error('Invalid custom mode: temperature must be between 0 and 2');
+    }
+    fields.temperature = body.temperature;
+  }
+
+  if (body.max_tokens !== undefined) {
+    if (body.max_tokens !== null && (!Number.isInteger(body.max_tokens) || body.max_tokens < 1 || body.max_tokens > MAX_TOKENS_LIMIT)) {
+      throw new Error(`Invalid custom mode: max_tokens must be an integer between 1 and ${MAX_TOKENS_LIMIT}`);
+    }
+    fields.max_tokens = body.max_tokens;
+  }
+
+  if (body.credit_cost !== undefined) {
+    if (body.credit_cost !== null && (!Number.isInteger(body.credit_cost) || body.credit_cost < 1 || body.credit_cost > MAX_CREDIT_COST)) {
+      throw new Error(`Invalid custom mode: credit_cost must be an integer between 1 and ${MAX_CREDIT_COST}`);
+    }
+    fields.credit_cost = body.credit_cost;
+  }
+
+  return fields;
+}
+
+/**
+ * Lists a user's custom modes using an authenticated Supabase client
+ * @param {Object} params - Parameters object
+ * @param {Object} params.authenticatedClient - Authenticated Supabase client with user's access token
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @returns {Promise<Array>} Custom modes, oldest first
+ */
+export async function listCustomModes({ authenticatedClient, userId }) {
+  if (!authenticatedClient) {
+    throw new Error('Authenticated Supabase client is required');
+  }
+
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const { data, error } = await authenticatedClient
+    .from('custom_modes')
+    .select(CUSTOM_MODE_COLUMNS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to list custom modes: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Gets one of a user's custom modes using an authenticated Supabase client
+ * @param {Object} params - Parameters object
+ * @param {Object} params.authenticatedClient - Authenticated Supabase client with user's access token
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @param {string} params.modeId - Custom mode id
+ * @returns {Promise<Object|null>} Custom mode, or null if it does not exist
+ */
+export async function getCustomMode({ authenticatedClient, userId, modeId }) {
+  if (!authenticatedClient) {
+    throw new Error('Authenticated Supabase client is required');
+  }
+
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  if (!modeId) {
+    throw new Error('Custom mode ID is required');
+  }
+
+  const { data, error } = await authenticatedClient
+    .from('custom_modes')
+    .select(CUSTOM_MODE_COLUMNS)
+    .eq('id', modeId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    // Malformed ids (not a uuid) simply do not exist
+    if (error.code === '22P02') {
+      return null;
+    }
+    throw new Error(`Failed to get custom mode: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Creates a custom mode (create_custom_mode), unless the user already has maxModes modes
+ * The count and insert run under a lock on the user's row, so parallel creates cannot
+ * exceed the limit. Requires the service-role client, since users cannot write modes directly.
+ * @param {Object} params - Parameters object
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @param {Object} params.input - Request body (see validateCustomModeInput)
+ * @param {number} params.maxModes - Maximum number of custom modes the user's plan allows
+ * @returns {Promise<Object>} The created custom mode
+ * @throws {Error} "Custom mode limit reached" if the user already has maxModes modes
+ */
+export async function createCustomMode({ userId, input, maxModes }) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const fields = validateCustomModeInput(input);
+
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to write custom modes');
+  }
+
+  const { data, error } = await supabaseAdmin
+    .rpc('create_custom_mode', {
+      p_user_id: userId,
+      p_max_modes: maxModes,
+      p_name: fields.name,
+      p_instructions: fields.instructions,
+      p_model: fields.model ?? null,
+      p_temperature: fields.temperature ?? null,
+      p_max_tokens: fields.max_tokens ?? null,
+      p_credit_cost: fields.credit_cost ?? null
+    });
+
+  if (error) {
+    if (error.code === 'P0001' && error.message.includes('Custom mode limit reached')) {
+      throw new Error('Custom mode limit reached');
+    }
+    throw new Error(`Failed to create custom mode: ${error.message}`);
+  }
+
+  // Same columns as the other routes return
+  return Object.fromEntries(CUSTOM_MODE_COLUMNS.split(', ').map((column) => [column, data[column]]));
+}
+
+/**
+ * Updates one of a user's custom modes
+ * Requires the service-role client, since users cannot write modes directly.
+ * @param {Object} params - Parameters object
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @param {string} params.modeId - Custom mode id
+ * @param {Object} params.input - Fields to change (see validateCustomModeInput)
+ * @returns {Promise<Object|null>} The updated custom mode, or null if it does not exist
+ */
+export async function updateCustomMode({ userId, modeId, input }) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const fields = validateCustomModeInput(input, { partial: true });
+  if (Object.keys(fields).length === 0) {
+    throw new Error('Invalid custom mode: no fields to update');
+  }
+
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to write custom modes');
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('custom_modes')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', modeId)
+    .eq('user_id', userId)
+    .select(CUSTOM_MODE_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    if (error.code === '22P02') {
+      return null;
+    }
+    throw new Error(`Failed to update custom mode: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Deletes a custom mode using an authenticated Supabase client
+ * @param {Object} params - Parameters object
+ * @param {Object} params.authenticatedClient - Authenticated Supabase client with user's access token
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @param {string} params.modeId - Custom mode id
+ * @returns {Promise<boolean>} True if the mode existed and was deleted
+ */
+export async function deleteCustomMode({ authenticatedClient, userId, modeId }) {
+  if (!authenticatedClient) {
+    throw new Error('Authenticated Supabase client is required');
+  }
+
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const { data, error } = await authenticatedClient
+    .from('custom_modes')
+    .delete()
+    .eq('id', modeId)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) {
+    if (error.code === '22P02') {
+      return false;
+    }
+    throw new Error(`Failed to delete custom mode: ${error.message}`);
+  }
+
+  return (data || []).length > 0;
+}
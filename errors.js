@@ -0,0 +1,92 @@
+// Machine-readable error codes and the HTTP status each one is sent with
+// Clients branch on the code; the message is for people and may change.
+export const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  AUTH_REQUIRED: 401,
+  AUTH_EXPIRED: 401,
+  INVALID_CREDENTIALS: 401,
+  ADMIN_REQUIRED: 401,
+  INSUFFICIENT_CREDITS: 402,
+  PRO_REQUIRED: 403,
+  PLAN_LIMIT_REACHED: 403,
+  SCOPE_NOT_ALLOWED: 403,
+  EMAIL_NOT_CONFIRMED: 403,
+  REAUTH_REQUIRED: 403,
+  NOT_FOUND: 404,
+  INPUT_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  INTERNAL_ERROR: 500,
+  LLM_ERROR: 500,
+  SERVICE_UNAVAILABLE: 503,
+  LLM_TIMEOUT: 504
+};
+
+/**
+ * An error with a code from ERROR_STATUS, sent to the client as-is by errorHandler
+ * Plain errors (bugs, database failures) are sent as INTERNAL_ERROR instead.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} code - Error code (key of ERROR_STATUS)
+   * @param {string} message - Message for people
+   * @param {Object} [fields] - Extra top-level response fields (e.g. creditsRemaining)
+   */
+  constructor(code, message, fields = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_STATUS[code] || 500;
+    this.fields = fields;
+  }
+}
+
+/**
+ * Builds the error envelope: { error: { code, message }, ...fields }
+ * Also used for the "error" event of streamed responses.
+ * @param {string} code - Error code (key of ERROR_STATUS)
+ * @param {string} message - Message for people
+ * @param {Object} [fields] - Extra top-level response fields
+ * @returns {Object} Response body
+ */
+export function errorBody(code, message, fields = {}) {
+  return { error: { code, message }, ...fields };
+}
+
+/**
+ * Sends an error response in the error envelope
+ * @param {Object} res - Express response
+ * @param {string} code - Error code (key of ERROR_STATUS)
+ * @param {string} message - Message for people
+ * @param {Object} [fields] - Extra top-level response fields
+ */
+export function sendError(res, code, message, fields) {
+  return res.status(ERROR_STATUS[code] || 500).json(errorBody(code, message, fields));
+}
+
+/**
+ * Express error handler: ApiErrors keep their code, anything else becomes INTERNAL_ERROR
+ * Register after all routes; routes pass unexpected errors on with next(error).
+ * Express recognises error handlers by their four parameters, so `next` must stay.
+ */
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (error instanceof ApiError) {
+    return sendError(res, error.code, error.message, error.fields);
+  }
+
+  // Malformed JSON bodies are rejected by express.json() before any route runs
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 'VALIDATION_ERROR', 'Request body is not valid JSON');
+  }
+
+  // So are bodies over its size limit
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 'INPUT_TOO_LARGE', 'Request body is too large');
+  }
+
+  console.error(`Error in ${req.method} ${req.path}:`, error);
+  return sendError(res, 'INTERNAL_ERROR', 'An unexpected error occurred');
+}
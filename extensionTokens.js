@@ -0,0 +1,329 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { supabaseAdmin } from './supabaseClient.js';
+
+// Load environment variables from .env file (for local development)
+dotenv.config();
+
+// Extension tokens are opaque and recognisable by prefix, so they can share the Bearer header with Supabase JWTs
+export const EXTENSION_TOKEN_PREFIX = 'ept_';
+
+// What an extension token may call; management routes (tokens, billing, account) are not covered
+export const EXTENSION_TOKEN_SCOPES = {
+  prompts: ['/api/prompts'],
+  history: ['/api/history'],
+  modes: ['/api/modes'],
+  account: ['/api/me', '/api/pro/check', '/api/credits/history']
+};
+
+// Unused tokens expire this long after their last use (each use renews them)
+const TOKEN_TTL_DAYS = Number(process.env.EXTENSION_TOKEN_TTL_DAYS) || 90;
+
+// One-time exchange codes are only valid for a few minutes
+const CONNECT_CODE_TTL_SECONDS = Number(process.env.EXTENSION_CONNECT_CODE_TTL_SECONDS) || 300;
+
+// last_used_at and expires_at are written at most this often per token
+const USAGE_WRITE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Lifetime of the Supabase access token minted for each request made with an extension token
+const ACCESS_TOKEN_TTL_SECONDS = 300;
+
+const TOKEN_COLUMNS = 'id, name, token_prefix, scopes, created_at, last_used_at, expires_at';
+
+// Helper to hash a token or code for storage and lookup (only hashes are stored)
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Helper to fail early when the service role key is missing
+function requireAdminClient() {
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY not configured');
+  }
+  return supabaseAdmin;
+}
+
+// Helper to compute a token's expiry from its last use
+function tokenExpiry(from = new Date()) {
+  return new Date(from.getTime() + TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Checks whether a bearer token is an extension token (rather than a Supabase JWT)
+ * @param {string} token - Bearer token
+ * @returns {boolean} True for extension tokens
+ */
+export function isExtensionToken(token) {
+  return typeof token === 'string' && token.startsWith(EXTENSION_TOKEN_PREFIX);
+}
+
+/**
+ * Gets the scope an API path requires from an extension token
+ * @param {string} path - Request path (e.g. /api/prompts/improve)
+ * @returns {(string|null)} Scope name, null if extension tokens cannot call the path
+ */
+export function getRequiredScope(path) {
+  for (const [scope, prefixes] of Object.entries(EXTENSION_TOKEN_SCOPES)) {
+    if (prefixes.some((prefix) => path === prefix || path.startsWith(`${prefix}/`))) {
+      return scope;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses the scopes requested for a new extension token
+ * @param {*} value - Array of scope names, or undefined for all scopes
+ * @returns {string[]} Scopes
+ * @throws {Error} If a scope is unknown
+ */
+export function parseScopes(value) {
+  if (value === undefined || value === null) {
+    return Object.keys(EXTENSION_TOKEN_SCOPES);
+  }
+
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error('Invalid scopes: must be a non-empty array');
+  }
+
+  const unknown = value.filter((scope) => !EXTENSION_TOKEN_SCOPES[scope]);
+  if (unknown.length > 0) {
+    throw new Error(`Invalid scopes: unknown scope "${unknown[0]}". Must be among: ${Object.keys(EXTENSION_TOKEN_SCOPES).join(', ')}`);
+  }
+
+  return [...new Set(value)];
+}
+
+/**
+ * Creates a one-time code the extension exchanges for its own token
+ * The code is short-lived, so it is safe to pass through a redirect URL.
+ * @param {Object} params - Parameters object
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @param {string[]} [params.scopes] - Scopes for the token (default: all)
+ * @returns {Promise<{code: string, expiresAt: string}>} The code and its expiry
+ */
+export async function createConnectCode({ userId, scopes }) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = new Date(Date.now() + CONNECT_CODE_TTL_SECONDS * 1000).toISOString();
+
+  const { error } = await requireAdminClient()
+    .from('extension_connect_codes')
+    .insert({
+      code_hash: hashSecret(code),
+      user_id: userId,
+      scopes: parseScopes(scopes),
+      expires_at: expiresAt
+    });
+
+  if (error) {
+    throw new Error(`Failed to create connect code: ${error.message}`);
+  }
+
+  return { code, expiresAt };
+}
+
+/**
+ * Exchanges a one-time connect code for a new extension token
+ * The token itself is only ever returned here; only its hash is stored.
+ * @param {Object} params - Parameters object
+ * @param {string} params.code - Code from createConnectCode()
+ * @param {string} [params.name] - Device label shown in the token list
+ * @returns {Promise<{token: string, id: string, name: string, scopes: string[], expiresAt: string}>} The new token
+ * @throws {Error} "Invalid or expired connect code" if the code is unknown, used or expired
+ */
+export async function exchangeConnectCode({ code, name }) {
+  if (!code || typeof code !== 'string') {
+    throw new Error('Invalid or expired connect code');
+  }
+
+  const client = requireAdminClient();
+  const deviceName = typeof name === 'string' && name.trim() ? name.trim().slice(0, 60) : 'Chrome extension';
+
+  // Claim the code in one statement so it can only be used once
+  const { data: claimed, error: claimError } = await client
+    .from('extension_connect_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('code_hash', hashSecret(code))
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select('user_id, scopes');
+
+  if (claimError) {
+    throw new Error(`Failed to exchange connect code: ${claimError.message}`);
+  }
+
+  if (!claimed || claimed.length === 0) {
+    throw new Error('Invalid or expired connect code');
+  }
+
+  const { user_id: userId, scopes } = claimed[0];
+  const token = `${EXTENSION_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const { data, error } = await client
+    .from('extension_tokens')
+    .insert({
+      user_id: userId,
+      name: deviceName,
+      token_hash: hashSecret(token),
+      token_prefix: token.slice(0, EXTENSION_TOKEN_PREFIX.length + 8),
+      scopes,
+      expires_at: tokenExpiry()
+    })
+    .select(TOKEN_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create extension token: ${error.message}`);
+  }
+
+  console.log(`[EXTENSION] Issued token ${data.id} for user ${userId}`);
+
+  return {
+    token,
+    id: data.id,
+    name: data.name,
+    scopes: data.scopes,
+    expiresAt: data.expires_at
+  };
+}
+
+/**
+ * Resolves an extension token to its user
+ * Each use renews the token's expiry (written at most once an hour).
+ * @param {string} token - Extension token from the Authorization header
+ * @returns {Promise<{tokenId: string, userId: string, scopes: string[]}>} Token owner and scopes
+ * @throws {Error} "Invalid or expired token" if the token is unknown, revoked or expired
+ */
+export async function resolveExtensionToken(token) {
+  if (!isExtensionToken(token)) {
+    throw new Error('Invalid or expired token');
+  }
+
+  const client = requireAdminClient();
+  const { data, error } = await client
+    .from('extension_tokens')
+    .select('id, user_id, scopes, last_used_at, expires_at, revoked_at')
+    .eq('token_hash', hashSecret(token))
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up extension token: ${error.message}`);
+  }
+
+  const now = new Date();
+  if (!data || data.revoked_at || new Date(data.expires_at) <= now) {
+    throw new Error('Invalid or expired token');
+  }
+
+  if (!data.last_used_at || now - new Date(data.last_used_at) > USAGE_WRITE_INTERVAL_MS) {
+    const { error: touchError } = await client
+      .from('extension_tokens')
+      .update({ last_used_at: now.toISOString(), expires_at: tokenExpiry(now) })
+      .eq('id', data.id);
+    if (touchError) {
+      console.error(`[EXTENSION] Failed to renew token ${data.id}:`, touchError.message);
+    }
+  }
+
+  return {
+    tokenId: data.id,
+    userId: data.user_id,
+    scopes: data.scopes
+  };
+}
+
+/**
+ * Mints a short-lived Supabase access token for a user
+ * Lets requests made with an extension token reuse the per-request RLS client.
+ * Requires SUPABASE_JWT_SECRET (the project's JWT signing secret).
+ * @param {string} userId - The user's ID
+ * @returns {string} Signed JWT
+ */
+export function mintAccessToken(userId) {
+  const secret = process.env.SUPABASE_JWT_SECRET;
+  if (!secret) {
+    throw new Error('SUPABASE_JWT_SECRET not configured');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+    sub: userId,
+    role: 'authenticated',
+    aud: 'authenticated',
+    iat: now,
+    exp: now + ACCESS_TOKEN_TTL_SECONDS
+  })}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+
+  return `${unsigned}.${signature}`;
+}
+
+/**
+ * Lists a user's active extension tokens, newest first
+ * @param {Object} params - Parameters object
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @returns {Promise<Array>} Tokens (never the token itself, only its prefix)
+ */
+export async function listExtensionTokens({ userId }) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const { data, error } = await requireAdminClient()
+    .from('extension_tokens')
+    .select(TOKEN_COLUMNS)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to list extension tokens: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Revokes one of a user's extension tokens
+ * @param {Object} params - Parameters object
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @param {string} params.tokenId - Token ID from listExtensionTokens()
+ * @returns {Promise<boolean>} True if an active token was revoked
+ */
+export async function revokeExtensionToken({ userId, tokenId }) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  if (!tokenId) {
+    throw new Error('Token ID is required');
+  }
+
+  const { data, error } = await requireAdminClient()
+    .from('extension_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', tokenId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    // Malformed ids (not a uuid) simply do not exist
+    if (error.code === '22P02') {
+      return false;
+    }
+    throw new Error(`Failed to revoke extension token: ${error.message}`);
+  }
+
+  if (data && data.length > 0) {
+    console.log(`[EXTENSION] Revoked token ${tokenId} for user ${userId}`);
+    return true;
+  }
+  return false;
+}
@@ -6,9 +6,11 @@
  * @param {string} params.type - The type of prompt (e.g., 'enhance', 'shorten', etc.)
  * @param {string} params.originalInput - The original user input
  * @param {string} params.finalPrompt - The final processed prompt
+ * @param {Object} [params.variant] - The picked candidate ({index, label, score, count}) when variants were requested
+ * @param {string} [params.target] - Where the prompt is used (chatgpt, claude, image, ...)
  * @returns {Promise<void>}
  */
-export async function savePromptHistory({ authenticatedClient, userId, type, originalInput, finalPrompt }) {
+export async function savePromptHistory({ authenticatedClient, userId, type, originalInput, finalPrompt, variant, target }) {
   if (!authenticatedClient) {
     throw new Error('Authenticated Supabase client is required');
   }
@@ -28,6 +30,8 @@ export async function savePromptHistory({ authenticatedClient, userId, type, ori
       type,
       original_input: originalInput,
       final_prompt: finalPrompt,
+      ...(variant ? { variant } : {}),
+      ...(target ? { target } : {}),
       created_at: new Date().toISOString()
     });
 
@@ -36,29 +40,208 @@ export async function savePromptHistory({ authenticatedClient, userId, type, ori
   }
 }
 
+// Columns returned by the history API (search_vector is internal)
+const HISTORY_COLUMNS = 'id, type, target, original_input, final_prompt, variant, created_at';
+
+// Helper to encode a pagination cursor from the last row of a page
+function encodeHistoryCursor(row) {
+  return Buffer.from(JSON.stringify({ createdAt: row.created_at, id: row.id })).toString('base64url');
+}
+
+// Cursor fields go into a PostgREST filter, so they must look exactly like the values
+// the database returns: an ISO timestamp and an integer or UUID id
+const CURSOR_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:\d{2})?)$/;
+const CURSOR_ID_PATTERN = /^(\d{1,19}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+// Helper to decode a pagination cursor
+function decodeHistoryCursor(cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid history cursor');
+  }
+
+  const createdAt = decoded?.createdAt;
+  const id = decoded?.id;
+  if (
+    typeof createdAt !== 'string' ||
+    !CURSOR_TIMESTAMP_PATTERN.test(createdAt) ||
+    Number.isNaN(new Date(createdAt).getTime()) ||
+    !['string', 'number'].includes(typeof id) ||
+    !CURSOR_ID_PATTERN.test(String(id))
+  ) {
+    throw new Error('Invalid history cursor');
+  }
+
+  return { createdAt, id: String(id) };
+}
+
+// Helper to parse an optional date filter
+function parseHistoryDate(value, name) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid history ${name} date`);
+  }
+  return date.toISOString();
+}
+
 /**
- * Gets prompt history for a user
- * @param {string} userId - The user's ID (from auth.uid, not from client input)
- * @param {number} limit - Maximum number of records to return (default: 20)
- * @returns {Promise<Array>} Array of prompt history records
+ * Gets a page of prompt history for a user, newest first, using an authenticated Supabase client
+ * @param {Object} params - Parameters object
+ * @param {Object} params.authenticatedClient - Authenticated Supabase client with user's access token
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @param {number} [params.limit] - Page size (default: 20, max: 100)
+ * @param {string} [params.cursor] - Cursor to continue after (from nextCursor)
+ * @param {string} [params.type] - Only return entries of this type/mode
+ * @param {string} [params.target] - Only return entries for this target
+ * @param {string} [params.from] - Only return entries created at or after this date
+ * @param {string} [params.to] - Only return entries created at or before this date
+ * @param {string} [params.search] - Full-text search over the original and final prompts
+ * @returns {Promise<{entries: Array, nextCursor: (string|null)}>} Page of entries
  */
-export async function getPromptHistory(userId, limit = 20) {
+export async function getPromptHistory({ authenticatedClient, userId, limit = 20, cursor, type, target, from, to, search }) {
+  if (!authenticatedClient) {
+    throw new Error('Authenticated Supabase client is required');
+  }
+
   if (!userId) {
     throw new Error('User ID is required');
   }
 
-  const { data, error } = await supabase
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const fromDate = parseHistoryDate(from, 'from');
+  const toDate = parseHistoryDate(to, 'to');
+
+  let query = authenticatedClient
     .from('prompt_history')
-    .select('*')
+    .select(HISTORY_COLUMNS)
     .eq('user_id', userId)
     .order('created_at', { ascending: false })
-    .limit(limit);
+    .order('id', { ascending: false })
+    .limit(pageSize + 1);
+
+  if (type) {
+    query = query.eq('type', type);
+  }
+
+  if (target) {
+    query = query.eq('target', target);
+  }
+
+  if (fromDate) {
+    query = query.gte('created_at', fromDate);
+  }
+
+  if (toDate) {
+    query = query.lte('created_at', toDate);
+  }
+
+  if (search && search.trim()) {
+    query = query.textSearch('search_vector', search.trim(), { type: 'websearch', config: 'english' });
+  }
+
+  if (cursor) {
+    // Rows strictly after the cursor in (created_at desc, id desc) order
+    const { createdAt, id } = decodeHistoryCursor(cursor);
+    query = query.or(`created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",id.lt."${id}")`);
+  }
+
+  const { data, error } = await query;
 
   if (error) {
     throw new Error(`Failed to get prompt history: ${error.message}`);
   }
 
-  return data || [];
+  const rows = data || [];
+  const entries = rows.slice(0, pageSize);
+  const nextCursor = rows.length > pageSize ? encodeHistoryCursor(entries[entries.length - 1]) : null;
+
+  return { entries, nextCursor };
+}
+
+/**
+ * Deletes one prompt history entry using an authenticated Supabase client
+ * @param {Object} params - Parameters object
+ * @param {Object} params.authenticatedClient - Authenticated Supabase client with user's access token
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @param {string} params.id - History entry id
+ * @returns {Promise<boolean>} True if the entry existed and was deleted
+ */
+export async function deletePromptHistoryEntry({ authenticatedClient, userId, id }) {
+  if (!authenticatedClient) {
+    throw new Error('Authenticated Supabase client is required');
+  }
+
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  if (!id) {
+    throw new Error('History entry ID is required');
+  }
+
+  const { data, error } = await authenticatedClient
+    .from('prompt_history')
+    .delete()
+    .eq('id', id)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) {
+    // Malformed ids (not a number) simply do not exist
+    if (error.code === '22P02') {
+      return false;
+    }
+    throw new Error(`Failed to delete prompt history: ${error.message}`);
+  }
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Clears a user's prompt history using an authenticated Supabase client
+ * @param {Object} params - Parameters object
+ * @param {Object} params.authenticatedClient - Authenticated Supabase client with user's access token
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @param {string} [params.type] - Only clear entries of this type/mode
+ * @param {string} [params.before] - Only clear entries created before this date
+ * @returns {Promise<number>} Number of entries deleted
+ */
+export async function clearPromptHistory({ authenticatedClient, userId, type, before }) {
+  if (!authenticatedClient) {
+    throw new Error('Authenticated Supabase client is required');
+  }
+
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const beforeDate = parseHistoryDate(before, 'before');
+
+  let query = authenticatedClient
+    .from('prompt_history')
+    .delete({ count: 'exact' })
+    .eq('user_id', userId);
+
+  if (type) {
+    query = query.eq('type', type);
+  }
+
+  if (beforeDate) {
+    query = query.lt('created_at', beforeDate);
+  }
+
+  const { count, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to clear prompt history: ${error.message}`);
+  }
+
+  return count || 0;
 }
 
 /**
@@ -68,9 +251,11 @@ export async function getPromptHistory(userId, limit = 20) {
  * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
  * @param {string} params.inputText - The input prompt text
  * @param {string} params.outputText - The generated output text
- * @returns {Promise<void>}
+ * @param {Object} [params.variant] - The picked candidate ({index, label, score, count}) when variants were requested
+ * @param {string} [params.target] - Where the prompt is used (chatgpt, claude, image, ...)
+ * @returns {Promise<string>} ID of the saved prompt
  */
-export async function savePrompt({ authenticatedClient, userId, inputText, outputText }) {
+export async function savePrompt({ authenticatedClient, userId, inputText, outputText, variant, target }) {
   if (!authenticatedClient) {
     throw new Error('Authenticated Supabase client is required');
   }
@@ -83,17 +268,23 @@ export async function savePrompt({ authenticatedClient, userId, inputText, outpu
     throw new Error('Input text is required');
   }
 
-  const { error } = await authenticatedClient
+  const { data, error } = await authenticatedClient
     .from('prompts')
     .insert({
       user_id: userId,
       input_text: inputText,
       output_text: outputText || null,
+      ...(variant ? { variant } : {}),
+      ...(target ? { target } : {}),
       created_at: new Date().toISOString()
-    });
+    })
+    .select('id')
+    .single();
 
   if (error) {
     throw new Error(`Failed to save prompt: ${error.message}`);
   }
+
+  return data.id;
 }
 
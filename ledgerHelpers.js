@@ -0,0 +1,55 @@
+// Ledger entries are written by the credit database functions (see supabase/migrations),
+// in the same transaction as the balance change they record.
+
+import { ApiError } from './errors.js';
+
+// Cursors are ledger ids, which go into a PostgREST filter: a positive bigint
+const CURSOR_PATTERN = /^[1-9]\d{0,18}$/;
+
+/**
+ * Gets a page of ledger entries for a user, newest first
+ * @param {Object} params - Parameters object
+ * @param {Object} params.client - Supabase client (authenticated for users, service role for support)
+ * @param {string} params.userId - The user's ID
+ * @param {number} [params.limit] - Page size (default: 20, max: 100)
+ * @param {string|number} [params.cursor] - Ledger id to continue after (from nextCursor)
+ * @returns {Promise<{entries: Array, nextCursor: (string|null)}>} Page of entries
+ * @throws {ApiError} VALIDATION_ERROR if the cursor is not a ledger id
+ */
+export async function getLedgerEntries({ client, userId, limit = 20, cursor }) {
+  if (!client) {
+    throw new Error('Supabase client is required');
+  }
+
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+  let query = client
+    .from('credit_ledger')
+    .select('id, delta, reason, source, mode, balance_after, daily_credits_used_after, refund_of, metadata, created_at')
+    .eq('user_id', userId)
+    .order('id', { ascending: false })
+    .limit(pageSize + 1);
+
+  if (cursor) {
+    if (!CURSOR_PATTERN.test(String(cursor))) {
+      throw new ApiError('VALIDATION_ERROR', 'Invalid ledger cursor');
+    }
+    query = query.lt('id', String(cursor));
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to get credit ledger: ${error.message}`);
+  }
+
+  const rows = data || [];
+  const entries = rows.slice(0, pageSize);
+  const nextCursor = rows.length > pageSize ? String(entries[entries.length - 1].id) : null;
+
+  return { entries, nextCursor };
+}
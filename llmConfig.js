@@ -0,0 +1,99 @@
+import dotenv from 'dotenv';
+
+// Load environment variables from .env file (for local development)
+dotenv.config();
+
+// Default model per provider, used when no mode-specific model is configured
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o-mini',
+  anthropic: 'claude-3-5-haiku-latest',
+  local: 'llama3.1',
+  stub: 'stub'
+};
+
+// Default generation settings per mode (matching extension logic)
+const DEFAULT_MODE_SETTINGS = {
+  improve: { temperature: 0.35, maxTokens: 250 },
+  refine: { temperature: 0.35, maxTokens: 250 },
+  followup: { temperature: 0.35, maxTokens: 300 },
+  custom: { temperature: 0.35, maxTokens: 300 },
+  analyze: { temperature: 0, maxTokens: 500 },
+  explain: { temperature: 0, maxTokens: 400 }
+};
+
+// Helper to read a numeric environment variable
+function readNumberEnv(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+/**
+ * Gets the LLM provider name for a plan
+ * LLM_PROVIDER_<PLAN> (e.g. LLM_PROVIDER_PRO) overrides LLM_PROVIDER
+ * @param {string} plan - The caller's plan ("anonymous", "free", "pro", ...)
+ * @returns {string} Provider name, defaults to "openai"
+ */
+export function getProviderNameForPlan(plan) {
+  const planOverride = plan ? process.env[`LLM_PROVIDER_${plan.toUpperCase()}`] : undefined;
+  return planOverride || process.env.LLM_PROVIDER || 'openai';
+}
+
+/**
+ * Gets model, temperature and max token settings for a mode
+ * Environment overrides, most specific first:
+ *   LLM_<PROVIDER>_MODEL_<MODE>, LLM_<PROVIDER>_MODEL (e.g. LLM_OPENAI_MODEL_REFINE)
+ *   LLM_TEMPERATURE_<MODE>
+ *   LLM_MAX_TOKENS_<MODE>
+ * @param {string} mode - The prompt mode (improve, refine, followup)
+ * @param {string} providerName - The provider the settings are for
+ * @returns {{model: string, temperature: number, maxTokens: number}} Mode settings
+ */
+export function getModeSettings(mode, providerName) {
+  const defaults = DEFAULT_MODE_SETTINGS[mode] || DEFAULT_MODE_SETTINGS.improve;
+  const suffix = mode.toUpperCase();
+  const providerPrefix = `LLM_${providerName.toUpperCase()}_MODEL`;
+
+  return {
+    model: process.env[`${providerPrefix}_${suffix}`] ||
+           process.env[providerPrefix] ||
+           DEFAULT_MODELS[providerName] ||
+           DEFAULT_MODELS.openai,
+    temperature: readNumberEnv(`LLM_TEMPERATURE_${suffix}`) ?? defaults.temperature,
+    maxTokens: readNumberEnv(`LLM_MAX_TOKENS_${suffix}`) ?? defaults.maxTokens
+  };
+}
+
+/**
+ * Checks whether a custom mode may pin a model
+ * Allowed models are listed in LLM_CUSTOM_MODE_MODELS (comma separated); none by default.
+ * @param {string} model - Model name
+ * @returns {boolean} True if the model is allowed
+ */
+export function isCustomModelAllowed(model) {
+  const allowed = (process.env.LLM_CUSTOM_MODE_MODELS || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+  return allowed.includes(model);
+}
+
+/**
+ * Gets model settings for a user-defined custom mode
+ * The mode's own model, temperature and max tokens override the "custom" mode settings.
+ * @param {Object} customMode - Custom mode row
+ * @param {string} providerName - The provider the settings are for
+ * @returns {{model: string, temperature: number, maxTokens: number}} Mode settings
+ */
+export function getCustomModeSettings(customMode, providerName) {
+  const settings = getModeSettings('custom', providerName);
+
+  return {
+    model: customMode.model && isCustomModelAllowed(customMode.model) ? customMode.model : settings.model,
+    temperature: customMode.temperature ?? settings.temperature,
+    maxTokens: customMode.max_tokens ?? settings.maxTokens
+  };
+}
@@ -0,0 +1,305 @@
+import OpenAI from 'openai';
+import { analyzePrompt } from './promptScoring.js';
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Provider instances are created lazily and reused across requests
+const providerCache = new Map();
+
+/**
+ * Creates a provider backed by the OpenAI chat completions API
+ * Also used for OpenAI-compatible endpoints (Ollama, llama.cpp, vLLM) via baseURL
+ * @param {Object} params - Parameters object
+ * @param {string} params.apiKey - API key sent as Bearer token
+ * @param {string} [params.baseURL] - Override for OpenAI-compatible servers
+ * @param {string} [params.name] - Provider name reported in logs and responses
+ * @param {boolean} [params.streamUsage] - Ask for token usage at the end of streams (not all compatible servers support it)
+ * @returns {Object} Provider with complete() and stream()
+ */
+export function createOpenAIProvider({ apiKey, baseURL, name = 'openai', streamUsage = true }) {
+  if (!apiKey) {
+    throw new Error(`API key is required for provider "${name}"`);
+  }
+
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name,
+
+    async complete({ model, messages, temperature, maxTokens, signal }) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature
+      }, { signal });
+
+      return {
+        text: completion.choices[0]?.message?.content || '',
+        model: completion.model || model,
+        usage: {
+          promptTokens: completion.usage?.prompt_tokens ?? null,
+          completionTokens: completion.usage?.completion_tokens ?? null
+        }
+      };
+    },
+
+    async *stream({ model, messages, temperature, maxTokens, signal, onUsage }) {
+      const stream = await client.chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        ...(streamUsage ? { stream_options: { include_usage: true } } : {})
+      }, { signal });
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content || '';
+        if (delta) {
+          yield delta;
+        }
+        // With include_usage the last chunk carries the usage and no choices
+        if (chunk.usage) {
+          onUsage?.({
+            model: chunk.model || model,
+            promptTokens: chunk.usage.prompt_tokens ?? null,
+            completionTokens: chunk.usage.completion_tokens ?? null
+          });
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Creates a provider backed by the Anthropic Messages API
+ * @param {Object} params - Parameters object
+ * @param {string} params.apiKey - Anthropic API key
+ * @param {string} [params.baseURL] - Override for the Messages API URL
+ * @returns {Object} Provider with complete() and stream()
+ */
+export function createAnthropicProvider({ apiKey, baseURL = ANTHROPIC_API_URL }) {
+  if (!apiKey) {
+    throw new Error('API key is required for provider "anthropic"');
+  }
+
+  // Anthropic takes the system prompt as a top-level field, not as a message
+  function buildBody({ model, messages, temperature, maxTokens, stream }) {
+    const system = messages
+      .filter((message) => message.role === 'system')
+      .map((message) => message.content)
+      .join('\n\n');
+
+    return JSON.stringify({
+      model,
+      system: system || undefined,
+      messages: messages.filter((message) => message.role !== 'system'),
+      max_tokens: maxTokens,
+      temperature,
+      stream
+    });
+  }
+
+  async function post(params) {
+    const response = await fetch(baseURL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: buildBody(params),
+      signal: params.signal
+    });
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw new Error(`Anthropic request failed (${response.status}): ${errorBody}`);
+    }
+
+    return response;
+  }
+
+  return {
+    name: 'anthropic',
+
+    async complete(params) {
+      const response = await post({ ...params, stream: false });
+      const data = await response.json();
+
+      return {
+        text: (data.content || [])
+          .filter((block) => block.type === 'text')
+          .map((block) => block.text)
+          .join(''),
+        model: data.model || params.model,
+        usage: {
+          promptTokens: data.usage?.input_tokens ?? null,
+          completionTokens: data.usage?.output_tokens ?? null
+        }
+      };
+    },
+
+    async *stream(params) {
+      const response = await post({ ...params, stream: true });
+      // Input tokens arrive with message_start, output tokens with the final message_delta
+      let model = params.model;
+      let promptTokens = null;
+
+      for await (const event of parseEventStream(response.body)) {
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          yield event.delta.text;
+        } else if (event.type === 'message_start') {
+          model = event.message?.model || model;
+          promptTokens = event.message?.usage?.input_tokens ?? null;
+        } else if (event.type === 'message_delta' && event.usage) {
+          params.onUsage?.({ model, promptTokens, completionTokens: event.usage.output_tokens ?? null });
+        } else if (event.type === 'error') {
+          throw new Error(`Anthropic stream error: ${event.error?.message || 'unknown error'}`);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Creates a deterministic provider that never leaves the process
+ * Used for local development and tests (LLM_PROVIDER=stub)
+ * @returns {Object} Provider with complete() and stream()
+ */
+export function createStubProvider() {
+  // Answers in the JSON shape the system prompt asks for (structured output, analysis, explanation),
+  // otherwise with plain text
+  function respond(messages) {
+    const systemMessage = messages.find((message) => message.role === 'system')?.content || '';
+    const lastUserMessage = [...messages].reverse().find((message) => message.role === 'user');
+    const input = (lastUserMessage?.content || '').trim();
+
+    if (!/return ONLY JSON/i.test(systemMessage)) {
+      return `Improved prompt: ${input}`.trim();
+    }
+
+    if (systemMessage.includes('"reasons"')) {
+      return JSON.stringify({
+        reasons: [{ category: 'other', reason: 'The rewrite restates the request more specifically.' }]
+      });
+    }
+
+    if (systemMessage.includes('"dimensions"')) {
+      const analysis = analyzePrompt(input);
+      return JSON.stringify({
+        dimensions: Object.fromEntries(
+          Object.entries(analysis.dimensions).map(([key, { score }]) => [key, { score, feedback: '' }])
+        ),
+        suggestions: analysis.suggestions
+      });
+    }
+
+    return JSON.stringify({
+      role: 'You are a helpful assistant.',
+      task: `Improved prompt: ${input || 'Answer the request.'}`,
+      context: '',
+      format: '',
+      constraints: '',
+      goal: ''
+    });
+  }
+
+  // Word counts stand in for tokens
+  function countUsage(messages, text) {
+    return {
+      promptTokens: messages.reduce((total, message) => total + message.content.split(/\s+/).length, 0),
+      completionTokens: text.split(/\s+/).length
+    };
+  }
+
+  return {
+    name: 'stub',
+
+    async complete({ model, messages }) {
+      const text = respond(messages);
+      return {
+        text,
+        model,
+        usage: countUsage(messages, text)
+      };
+    },
+
+    async *stream({ model, messages, onUsage }) {
+      const text = respond(messages);
+      const words = text.split(' ');
+      for (let i = 0; i < words.length; i++) {
+        yield i === 0 ? words[i] : ` ${words[i]}`;
+      }
+      onUsage?.({ model, ...countUsage(messages, text) });
+    }
+  };
+}
+
+/**
+ * Gets a configured provider by name, creating it on first use
+ * Supported names: openai, anthropic, local, stub
+ * @param {string} name - Provider name
+ * @returns {Object} Provider with complete() and stream()
+ * @throws {Error} If the provider is unknown or missing configuration
+ */
+export function getLLMProvider(name) {
+  if (providerCache.has(name)) {
+    return providerCache.get(name);
+  }
+
+  let provider;
+  switch (name) {
+    case 'openai':
+      provider = createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+      break;
+    case 'anthropic':
+      provider = createAnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY });
+      break;
+    case 'local':
+      // Local servers usually ignore the key, but the OpenAI client requires one
+      provider = createOpenAIProvider({
+        apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+        baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+        name: 'local',
+        streamUsage: process.env.LOCAL_LLM_STREAM_USAGE === 'true'
+      });
+      break;
+    case 'stub':
+      provider = createStubProvider();
+      break;
+    default:
+      throw new Error(`Unknown LLM provider "${name}"`);
+  }
+
+  providerCache.set(name, provider);
+  return provider;
+}
+
+// Parses a Server-Sent Events response body into JSON event payloads
+async function* parseEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = rawEvent
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trim())
+        .join('');
+
+      if (data) {
+        yield JSON.parse(data);
+      }
+    }
+  }
+}
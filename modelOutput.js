@@ -0,0 +1,23 @@
+/**
+ * Parses a JSON object from model output
+ * Models sometimes wrap JSON in code fences or add text around it, so the outermost
+ * {...} block is parsed.
+ * @param {string} text - Raw model output
+ * @returns {Object} Parsed object
+ * @throws {Error} "Model did not return valid JSON" if no object can be parsed
+ */
+export function parseModelJSON(text) {
+  const raw = (text || '').trim().replace(/^```[\w]*\n?/, '').replace(/\n?```$/, '');
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new Error('Model did not return valid JSON');
+  }
+
+  try {
+    return JSON.parse(raw.slice(start, end + 1));
+  } catch {
+    throw new Error('Model did not return valid JSON');
+  }
+}
@@ -0,0 +1,196 @@
+import { readFileSync } from 'fs';
+import dotenv from 'dotenv';
+
+// Load environment variables from .env file (for local development)
+dotenv.config();
+
+// Default plan catalog
+// - dailyCredits: credits granted every 24 hours (reset window)
+// - signupBonus: one-time credits granted on first /api/me
+// - startingCredits: credits for callers without an account (anonymous only, per anonymous ID)
+// - ipCredits: credits shared by all anonymous IDs from one IP (anonymous only)
+// - paid: unlocks Pro features (extension connect, Pro status checks)
+// - unlimited: skips all credit checks
+// - modeCosts: credits charged per request for each mode, per tokensPerCredit tokens
+// - tokensPerCredit: estimated input + max output tokens covered by one mode cost
+// - maxInputTokens: largest input (prompt plus context) the plan accepts
+// - allowedModes: modes the plan may call ("custom" covers all user-defined modes,
+//   "analyze" the LLM-graded prompt analysis, "explain" the LLM change explanation,
+//   "batch" the batch endpoint)
+// - customModes: maximum number of user-defined modes
+// - rateLimit: maximum prompt requests per window
+const DEFAULT_PLANS = {
+  anonymous: {
+    label: 'Anonymous',
+    paid: false,
+    dailyCredits: 0,
+    signupBonus: 0,
+    startingCredits: 5,
+    ipCredits: 20,
+    unlimited: false,
+    modeCosts: { improve: 1, refine: 1, followup: 2, custom: 1, analyze: 1, explain: 1 },
+    allowedModes: ['improve', 'refine', 'analyze', 'explain'],
+    customModes: 0,
+    tokensPerCredit: 1000,
+    maxInputTokens: 1000,
+    rateLimit: { requests: 10, windowSeconds: 60 }
+  },
+  free: {
+    label: 'Free',
+    paid: false,
+    dailyCredits: 3,
+    signupBonus: 10,
+    startingCredits: 0,
+    unlimited: false,
+    modeCosts: { improve: 1, refine: 1, followup: 2, custom: 1, analyze: 1, explain: 1 },
+    allowedModes: ['improve', 'refine', 'analyze', 'explain', 'batch'],
+    customModes: 0,
+    tokensPerCredit: 1000,
+    maxInputTokens: 2000,
+    rateLimit: { requests: 20, windowSeconds: 60 }
+  },
+  pro: {
+    label: 'Pro',
+    paid: true,
+    dailyCredits: 0,
+    signupBonus: 0,
+    startingCredits: 0,
+    unlimited: true,
+    modeCosts: { improve: 1, refine: 1, followup: 2, custom: 1, analyze: 1, explain: 1 },
+    allowedModes: ['improve', 'refine', 'followup', 'custom', 'analyze', 'explain', 'batch'],
+    customModes: 20,
+    tokensPerCredit: 1000,
+    maxInputTokens: 8000,
+    rateLimit: { requests: 60, windowSeconds: 60 }
+  },
+  team: {
+    label: 'Team',
+    paid: true,
+    dailyCredits: 0,
+    signupBonus: 0,
+    startingCredits: 0,
+    unlimited: true,
+    modeCosts: { improve: 1, refine: 1, followup: 2, custom: 1, analyze: 1, explain: 1 },
+    allowedModes: ['improve', 'refine', 'followup', 'custom', 'analyze', 'explain', 'batch'],
+    customModes: 50,
+    tokensPerCredit: 1000,
+    maxInputTokens: 16000,
+    rateLimit: { requests: 120, windowSeconds: 60 }
+  }
+};
+
+// Helper to load plan overrides from PLAN_CATALOG_FILE (JSON, keyed by plan name)
+function loadPlanOverrides() {
+  const path = process.env.PLAN_CATALOG_FILE;
+  if (!path) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load plan catalog from ${path}: ${error.message}`);
+  }
+}
+
+// Helper to build the catalog: overrides are merged over the defaults, plan by plan
+function buildCatalog() {
+  const overrides = loadPlanOverrides();
+  const catalog = {};
+
+  for (const name of new Set([...Object.keys(DEFAULT_PLANS), ...Object.keys(overrides)])) {
+    const base = DEFAULT_PLANS[name] || DEFAULT_PLANS.free;
+    const override = overrides[name] || {};
+    catalog[name] = {
+      ...base,
+      ...override,
+      name,
+      modeCosts: { ...base.modeCosts, ...override.modeCosts },
+      rateLimit: { ...base.rateLimit, ...override.rateLimit }
+    };
+  }
+
+  return catalog;
+}
+
+const PLAN_CATALOG = buildCatalog();
+
+/**
+ * Gets a plan definition by name
+ * @param {string} planName - Plan name (anonymous, free, pro, team, ...)
+ * @returns {Object} Plan definition, falls back to "free" for unknown names
+ */
+export function getPlan(planName) {
+  return PLAN_CATALOG[planName] || PLAN_CATALOG.free;
+}
+
+/**
+ * Checks whether a plan name exists in the catalog
+ * @param {string} planName - Plan name
+ * @returns {boolean} True if the plan is defined
+ */
+export function isKnownPlan(planName) {
+  return Boolean(planName && PLAN_CATALOG[planName]);
+}
+
+/**
+ * Checks whether a plan may call a mode
+ * @param {Object} plan - Plan definition from getPlan()
+ * @param {string} mode - Prompt mode
+ * @returns {boolean} True if the mode is allowed
+ */
+export function isModeAllowed(plan, mode) {
+  return plan.allowedModes.includes(mode);
+}
+
+/**
+ * Gets the credit cost of a mode for a plan
+ * @param {Object} plan - Plan definition from getPlan()
+ * @param {string} mode - Prompt mode
+ * @returns {number} Credits charged per request (defaults to 1)
+ */
+export function getModeCost(plan, mode) {
+  return plan.modeCosts[mode] ?? 1;
+}
+
+/**
+ * Quotes the credit cost of a request from its estimated size
+ * The mode cost is charged once per started block of tokensPerCredit tokens
+ * (input tokens plus the mode's max output tokens), so short prompts cost the mode cost.
+ * @param {Object} plan - Plan definition from getPlan()
+ * @param {string} mode - Prompt mode
+ * @param {Object} size - Request size
+ * @param {number} size.inputTokens - Estimated input tokens
+ * @param {number} size.maxOutputTokens - The mode's max output tokens
+ * @param {number} [size.baseCost] - Cost per block instead of the mode cost (custom modes)
+ * @returns {{credits: number, blocks: number, inputTokens: number, maxOutputTokens: number}} Quote
+ */
+export function quoteCost(plan, mode, { inputTokens, maxOutputTokens, baseCost }) {
+  const blocks = Math.max(1, Math.ceil((inputTokens + maxOutputTokens) / plan.tokensPerCredit));
+  return {
+    credits: (baseCost ?? getModeCost(plan, mode)) * blocks,
+    blocks,
+    inputTokens,
+    maxOutputTokens
+  };
+}
+
+/**
+ * Describes a plan's limits for API responses
+ * @param {Object} plan - Plan definition from getPlan()
+ * @returns {Object} Public view of the plan's limits
+ */
+export function describePlanLimits(plan) {
+  return {
+    paid: plan.paid,
+    unlimited: plan.unlimited,
+    dailyCredits: plan.dailyCredits,
+    signupBonus: plan.signupBonus,
+    modeCosts: plan.modeCosts,
+    allowedModes: plan.allowedModes,
+    customModes: plan.customModes,
+    tokensPerCredit: plan.tokensPerCredit,
+    maxInputTokens: plan.maxInputTokens,
+    rateLimit: plan.rateLimit
+  };
+}
@@ -0,0 +1,169 @@
+// Prompt quality dimensions, matching the structure SYSTEM_PROMPT_IMPROVE asks for
+// Each dimension is detected by a few independent patterns; more matches mean a stronger signal.
+export const PROMPT_DIMENSIONS = [
+  {
+    key: 'role',
+    label: 'Role or perspective',
+    patterns: [
+      /\b(you are|act as|acting as|pretend to be|imagine you are)\b/i,
+      /\b(expert|specialist|assistant|strategist|editor|writer|engineer|analyst|consultant|teacher|coach|developer|designer)\b/i
+    ],
+    suggestion: 'Say who the AI should be, e.g. "You are an experienced copywriter."'
+  },
+  {
+    key: 'task',
+    label: 'Specific task',
+    patterns: [
+      /\b(write|create|generate|explain|summari[sz]e|list|draft|design|analy[sz]e|compare|build|rewrite|plan|describe|provide|give|outline|review|translate)\b/i,
+      /\b(a|an|the|\d+)\s+\w+\s+(plan|post|email|article|essay|script|report|summary|list|table|function|query|outline)\b/i
+    ],
+    suggestion: 'Start with a clear action verb and the exact deliverable, e.g. "Write a 300-word product description."'
+  },
+  {
+    key: 'context',
+    label: 'Relevant context',
+    patterns: [
+      /\b(for|audience|background|context|given|assume|assuming|because)\b/i,
+      /\b(beginners?|experts?|customers?|clients?|students?|team|company|business|readers?|users?)\b/i
+    ],
+    suggestion: 'Add who it is for and the situation, e.g. "for beginner freelancers looking for their first clients."'
+  },
+  {
+    key: 'format',
+    label: 'Output format',
+    patterns: [
+      /\b(format|table|bullets?|bullet points|json|markdown|paragraphs?|numbered|steps|outline|sections?|csv)\b/i,
+      /\b(return|respond|output|reply)\s+(as|in|with)\b/i
+    ],
+    suggestion: 'Describe the output shape, e.g. "Return a table with columns for hook, idea and CTA."'
+  },
+  {
+    key: 'constraints',
+    label: 'Constraints',
+    patterns: [
+      /\b(under|at most|no more than|at least|maximum|minimum|limit|within)\b/i,
+      /\b(must|avoid|do not|don't|never|only)\b/i,
+      /\b\d+\s*(words|sentences|characters|items|bullets|paragraphs|lines)\b/i
+    ],
+    suggestion: 'Set limits and rules, e.g. "Keep it under 150 words and avoid jargon."'
+  },
+  {
+    key: 'goal',
+    label: 'Success goal',
+    patterns: [
+      /\b(goal|so that|in order to|aim|objective|purpose|to help|success)\b/i,
+      /\b(increase|improve|attract|convince|persuade|reduce|grow|learn|understand)\b/i
+    ],
+    suggestion: 'State what a good result achieves, e.g. "The goal is to get readers to sign up."'
+  }
+];
+
+// Dimension scores by number of matching patterns
+const MATCH_SCORES = [0, 70, 100];
+
+// Helper to score one dimension from 0 to 100
+function scoreDimension(dimension, prompt) {
+  const matches = dimension.patterns.filter((pattern) => pattern.test(prompt)).length;
+  return MATCH_SCORES[Math.min(matches, MATCH_SCORES.length - 1)];
+}
+
+// Helper to turn dimension scores into an overall 0-100 score
+// Very short prompts lack detail, so they are scaled down
+function overallScore(dimensionScores, wordCount) {
+  const values = Object.values(dimensionScores);
+  const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const lengthFactor = wordCount >= 8 ? 1 : Math.max(wordCount, 1) / 8;
+  return Math.round(average * lengthFactor);
+}
+
+/**
+ * Analyzes a prompt against the improve structure using deterministic heuristics (no LLM call)
+ * @param {string} text - Prompt text
+ * @returns {{score: number, dimensions: Object, missing: Array<string>, suggestions: Array<string>, wordCount: number}} Analysis
+ */
+export function analyzePrompt(text) {
+  const prompt = (text || '').trim();
+  const wordCount = prompt ? prompt.split(/\s+/).length : 0;
+
+  const dimensions = {};
+  const scores = {};
+  const missing = [];
+  const suggestions = [];
+
+  for (const dimension of PROMPT_DIMENSIONS) {
+    const score = scoreDimension(dimension, prompt);
+    scores[dimension.key] = score;
+    dimensions[dimension.key] = { label: dimension.label, score };
+    if (score === 0) {
+      missing.push(dimension.key);
+      suggestions.push(dimension.suggestion);
+    }
+  }
+
+  if (wordCount > 0 && wordCount < 8) {
+    suggestions.push('Add more detail - very short prompts leave the AI guessing.');
+  }
+
+  return {
+    score: overallScore(scores, wordCount),
+    dimensions,
+    missing,
+    suggestions,
+    wordCount
+  };
+}
+
+/**
+ * Normalizes an LLM-graded analysis into the same shape as analyzePrompt()
+ * @param {Object} raw - Parsed model output ({dimensions: {role: {score, ...}}, suggestions: [...]})
+ * @param {string} text - The analyzed prompt (for the word count)
+ * @returns {{score: number, dimensions: Object, missing: Array<string>, suggestions: Array<string>, wordCount: number}} Analysis
+ * @throws {Error} If the model output is missing dimension scores
+ */
+export function normalizeAnalysis(raw, text) {
+  const prompt = (text || '').trim();
+  const wordCount = prompt ? prompt.split(/\s+/).length : 0;
+
+  const dimensions = {};
+  const scores = {};
+  const missing = [];
+
+  for (const dimension of PROMPT_DIMENSIONS) {
+    const entry = raw?.dimensions?.[dimension.key];
+    const value = typeof entry === 'number' ? entry : entry?.score;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Analysis is missing a score for ${dimension.key}`);
+    }
+    const score = Math.round(Math.min(Math.max(value, 0), 100));
+    scores[dimension.key] = score;
+    dimensions[dimension.key] = { label: dimension.label, score };
+    if (typeof entry?.feedback === 'string' && entry.feedback.trim()) {
+      dimensions[dimension.key].feedback = entry.feedback.trim();
+    }
+    if (score < 40) {
+      missing.push(dimension.key);
+    }
+  }
+
+  const suggestions = Array.isArray(raw.suggestions)
+    ? raw.suggestions.filter((item) => typeof item === 'string' && item.trim()).map((item) => item.trim()).slice(0, 10)
+    : [];
+
+  return {
+    score: Math.round(Object.values(scores).reduce((sum, value) => sum + value, 0) / PROMPT_DIMENSIONS.length),
+    dimensions,
+    missing,
+    suggestions,
+    wordCount
+  };
+}
+
+/**
+ * Scores a prompt's quality from 0 to 100 (overall heuristic score only)
+ * @param {string} text - Prompt text
+ * @returns {{score: number, wordCount: number}} Score
+ */
+export function scorePrompt(text) {
+  const { score, wordCount } = analyzePrompt(text);
+  return { score, wordCount };
+}
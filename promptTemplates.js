@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import { formatConversation } from './conversationHelpers.js';
+
+// System prompts for the built-in modes (matching the extension logic exactly)
+const SYSTEM_PROMPT_IMPROVE = `You are a professional prompt editor.
+
+Rewrite the user's input into a clear, high-quality AI prompt using this structure:
+- Role or perspective
+- Specific task or action
+- Relevant context or assumptions
+- Desired output format
+- Constraints or quality guidelines
+- Clear success goal
+
+Example:
+Input: "help me with instagram content"
+Improved:
+"You are a content strategist. Create a 7-day Instagram content plan for beginner freelancers struggling to get clients. Return the output as a table with hooks, post ideas, and CTAs. Keep hooks under 8 words. The goal is to attract inbound DMs."
+
+Rules:
+- Preserve the user's original intent.
+- If details are missing, make reasonable assumptions instead of asking questions.
+- Keep the prompt concise and practical.
+- Do NOT answer the prompt.
+- Do NOT explain your changes.
+
+Return ONLY the improved prompt text.`;
+
+const SYSTEM_PROMPT_REFINE = `You are a prompt refinement assistant.
+
+Take the user's prompt and produce a clearer, more specific, and higher-quality version.
+
+Rules:
+- Preserve the user's original intent and meaning
+- Make the prompt more precise and actionable
+- Add clarity where needed without changing the core purpose
+- Improve specificity and remove ambiguity
+- Keep the prompt concise and practical
+- Do NOT answer the prompt
+- Do NOT add explanations
+- Do NOT change the fundamental task or goal
+
+Return ONLY the refined prompt text.`;
+
+const SYSTEM_PROMPT_FOLLOWUP = `You are rewriting a follow-up prompt in an ongoing conversation.
+
+Rewrite the user's input so it clearly continues the previous task or discussion.
+
+Rules:
+- Preserve the original topic, scope, and criteria.
+- Do NOT introduce a new role, task, or format unless explicitly requested.
+- Do NOT generalize or reset the task.
+- Make the follow-up self-contained and unambiguous.
+- Keep it concise.
+
+Return ONLY the rewritten follow-up prompt.`;
+
+export const SYSTEM_PROMPTS = {
+  improve: SYSTEM_PROMPT_IMPROVE,
+  refine: SYSTEM_PROMPT_REFINE,
+  followup: SYSTEM_PROMPT_FOLLOWUP
+};
+
+// Built-in modes, callable by name
+export const BUILT_IN_MODES = Object.keys(SYSTEM_PROMPTS);
+
+// Extra rewriting rules for where the prompt will be pasted (optional `target` on improve and refine)
+const TARGET_RULES = {
+  chatgpt: `The prompt will be used in ChatGPT.
+- Use short labelled sections or bullet points for context and constraints.
+- Put the most important instruction first.`,
+
+  claude: `The prompt will be used in Claude.
+- Wrap distinct parts in XML tags, e.g. <context>, <task>, <format>, <constraints>.
+- Put long reference material before the task.`,
+
+  gemini: `The prompt will be used in Gemini.
+- Use clear headings and numbered steps for multi-part tasks.
+- State the expected output format explicitly at the end.`,
+
+  image: `The prompt will be used in an image generator (e.g. Midjourney, DALL-E, Stable Diffusion).
+- Ignore the role/task/format structure above.
+- Write one line of comma-separated descriptive keywords: subject, setting, style, lighting, composition, mood, camera or medium.
+- Do not write full sentences or instructions to an assistant.`,
+
+  code: `The prompt will be used in a code assistant.
+- State the language, framework and versions if known (or reasonable assumptions).
+- Describe inputs, expected behaviour, edge cases and how the result will be tested.
+- Ask for code only, or code plus a brief explanation, explicitly.`
+};
+
+// Targets accepted by improve and refine
+export const PROMPT_TARGETS = Object.keys(TARGET_RULES);
+
+// Replaces the plain-text reply with one field per part of the structure (format "structured")
+const STRUCTURED_OUTPUT_FORMAT = `Output format:
+Instead of the prompt text, return ONLY JSON with each part of the improved prompt as a separate field:
+{"role": "", "task": "", "context": "", "format": "", "constraints": "", "goal": ""}
+- Write each field as prompt text, e.g. "role": "You are a content strategist."
+- Write plain text in every field; the parts are assembled for the target afterwards.
+- "task" is required; use "" for parts that do not apply.`;
+
+// Version of the rewrite templates; part of response cache keys so editing a prompt invalidates cached rewrites
+export const PROMPT_VERSION = crypto
+  .createHash('sha256')
+  .update(JSON.stringify([SYSTEM_PROMPTS, TARGET_RULES, STRUCTURED_OUTPUT_FORMAT, buildCustomSystemPrompt('')]))
+  .digest('hex')
+  .slice(0, 12);
+
+/**
+ * Builds the system prompt for a user-defined custom mode
+ * The user's instructions are wrapped so the model still rewrites (not answers) the prompt.
+ * @param {string} instructions - The custom mode's instruction text
+ * @returns {string} System prompt
+ */
+export function buildCustomSystemPrompt(instructions) {
+  return `You are a prompt rewriting assistant.
+
+Rewrite the user's input according to these instructions:
+${instructions.trim()}
+
+Rules:
+- Preserve the user's original intent.
+- Do NOT answer the prompt.
+- Do NOT explain your changes.
+
+Return ONLY the rewritten prompt text.`;
+}
+
+/**
+ * Builds the chat messages for a prompt request
+ * @param {Object} params - Parameters object
+ * @param {string} params.mode - Prompt mode (improve, refine, followup or custom)
+ * @param {string} params.originalPrompt - The user's prompt
+ * @param {string} [params.previousPrompt] - Previous user message (follow-up only, older extensions)
+ * @param {Array<{role: string, content: string}>} [params.conversation] - Earlier turns, already truncated (follow-up only)
+ * @param {Object} [params.customMode] - Custom mode row (custom only)
+ * @param {string} [params.target] - Where the prompt will be used (see PROMPT_TARGETS)
+ * @param {string} [params.format] - "structured" to ask for JSON sections instead of prompt text
+ * @returns {Array<{role: string, content: string}>} System and user messages
+ */
+export function buildPromptMessages({ mode, originalPrompt, previousPrompt, conversation, customMode, target, format }) {
+  let systemMessage;
+  let userMessage = originalPrompt.trim();
+
+  if (mode === 'custom') {
+    if (!customMode?.instructions) {
+      throw new Error('Custom mode instructions are required');
+    }
+    systemMessage = buildCustomSystemPrompt(customMode.instructions);
+  } else if (SYSTEM_PROMPTS[mode]) {
+    systemMessage = SYSTEM_PROMPTS[mode];
+  } else {
+    throw new Error(`Unknown mode "${mode}"`);
+  }
+
+  if (target) {
+    if (!TARGET_RULES[target]) {
+      throw new Error(`Unknown target "${target}"`);
+    }
+    systemMessage = `${systemMessage}\n\nTarget:\n${TARGET_RULES[target]}`;
+  }
+
+  if (format === 'structured') {
+    systemMessage = `${systemMessage}\n\n${STRUCTURED_OUTPUT_FORMAT}`;
+  }
+
+  if (mode === 'followup') {
+    // Build context from previous messages (matching extension logic)
+    // The conversation is sent as a transcript so the model rewrites the input instead of replying to it
+    if (conversation && conversation.length > 0) {
+      userMessage = `Conversation so far:\n\n${formatConversation(conversation)}\n\nCurrent user input: "${originalPrompt.trim()}"`;
+    } else if (previousPrompt && previousPrompt.trim()) {
+      userMessage = `Previous user message: "${previousPrompt.trim()}"\n\nCurrent user input: "${originalPrompt.trim()}"`;
+    } else {
+      userMessage = `Current user input: "${originalPrompt.trim()}"`;
+    }
+  }
+
+  return [
+    {
+      role: 'system',
+      content: systemMessage
+    },
+    {
+      role: 'user',
+      content: userMessage
+    }
+  ];
+}
+
+// System prompt for LLM-graded prompt analysis (POST /api/prompts/analyze, tier "llm")
+const SYSTEM_PROMPT_ANALYZE = `You are a prompt quality reviewer.
+
+Grade the user's prompt on these dimensions, each from 0 to 100:
+- role: role or perspective for the AI
+- task: specific task or action
+- context: relevant context or assumptions
+- format: desired output format
+- constraints: constraints or quality guidelines
+- goal: clear success goal
+
+Rules:
+- Do NOT answer or rewrite the prompt.
+- Give one short sentence of feedback per dimension.
+- Give up to 5 concrete suggestions, most important first.
+
+Return ONLY JSON in this shape:
+{"dimensions": {"role": {"score": 0, "feedback": ""}, "task": {"score": 0, "feedback": ""}, "context": {"score": 0, "feedback": ""}, "format": {"score": 0, "feedback": ""}, "constraints": {"score": 0, "feedback": ""}, "goal": {"score": 0, "feedback": ""}}, "suggestions": [""]}`;
+
+/**
+ * Builds the chat messages for an LLM-graded prompt analysis
+ * @param {string} prompt - The prompt to analyze
+ * @returns {Array<{role: string, content: string}>} System and user messages
+ */
+export function buildAnalysisMessages(prompt) {
+  return [
+    {
+      role: 'system',
+      content: SYSTEM_PROMPT_ANALYZE
+    },
+    {
+      role: 'user',
+      content: prompt.trim()
+    }
+  ];
+}
+
+// System prompt for explaining a rewrite (POST /api/prompts/explain, tier "llm")
+const SYSTEM_PROMPT_EXPLAIN = `You are a prompt editing reviewer.
+
+Compare the original prompt with its rewrite and explain what the rewrite changed and why it helps.
+
+Categories:
+- added_context: audience, background or assumptions that were added
+- clarified_format: the output shape was specified or made clearer
+- removed_ambiguity: vague wording was made specific
+- added_constraints: limits, rules or quality guidelines that were added
+- other: any other meaningful change
+
+Rules:
+- Give at most 6 reasons, most important first.
+- Each reason is one short sentence about a concrete change.
+- Do NOT rewrite either prompt or answer it.
+
+Return ONLY JSON in this shape:
+{"reasons": [{"category": "added_context", "reason": ""}]}`;
+
+/**
+ * Builds the chat messages for explaining a rewrite
+ * @param {string} originalPrompt - The prompt before the rewrite
+ * @param {string} rewrittenPrompt - The prompt after the rewrite
+ * @returns {Array<{role: string, content: string}>} System and user messages
+ */
+export function buildExplanationMessages(originalPrompt, rewrittenPrompt) {
+  return [
+    {
+      role: 'system',
+      content: SYSTEM_PROMPT_EXPLAIN
+    },
+    {
+      role: 'user',
+      content: `Original prompt:\n"""\n${originalPrompt.trim()}\n"""\n\nRewritten prompt:\n"""\n${rewrittenPrompt.trim()}\n"""`
+    }
+  ];
+}
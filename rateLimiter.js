@@ -0,0 +1,64 @@
+// Fixed-window request counters, keyed by caller (user id or IP)
+// In-memory: limits are per server instance
+const windows = new Map();
+
+// Drop expired windows periodically so the map does not grow without bound
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, window] of windows) {
+    if (now >= window.resetAt) {
+      windows.delete(key);
+    }
+  }
+}, CLEANUP_INTERVAL_MS).unref();
+
+/**
+ * Counts a request against a fixed-window rate limit
+ * A request can count as several (e.g. one per batch item); it is allowed only
+ * if all of them fit in the window.
+ * @param {string} key - Caller key (e.g. "user:<id>" or "ip:<ip>")
+ * @param {Object} limit - Rate limit from the plan catalog
+ * @param {number} limit.requests - Maximum requests per window
+ * @param {number} limit.windowSeconds - Window length in seconds
+ * @param {number} [amount=1] - How many requests this one counts as
+ * @returns {{allowed: boolean, remaining: number, retryAfterSeconds: number}} Result of the check
+ */
+export function consumeRateLimit(key, { requests, windowSeconds }, amount = 1) {
+  const now = Date.now();
+  let window = windows.get(key);
+
+  if (!window || now >= window.resetAt) {
+    window = { count: 0, resetAt: now + windowSeconds * 1000 };
+    windows.set(key, window);
+  }
+
+  const retryAfterSeconds = Math.ceil((window.resetAt - now) / 1000);
+
+  if (window.count + amount > requests) {
+    return { allowed: false, remaining: Math.max(0, requests - window.count), retryAfterSeconds };
+  }
+
+  window.count += amount;
+  return { allowed: true, remaining: requests - window.count, retryAfterSeconds };
+}
+
+/**
+ * Clears a caller's window (e.g. after a successful sign-in)
+ * @param {string} key - Caller key
+ */
+export function clearRateLimit(key) {
+  windows.delete(key);
+}
+
+/**
+ * Takes back requests counted in the current window (e.g. an attempt counted as failed up front that succeeded)
+ * @param {string} key - Caller key
+ * @param {number} [amount=1] - How many requests to take back
+ */
+export function releaseRateLimit(key, amount = 1) {
+  const window = windows.get(key);
+  if (window) {
+    window.count = Math.max(0, window.count - amount);
+  }
+}
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+// Load environment variables from .env file (for local development)
+dotenv.config();
+
+// Seconds a cached rewrite stays valid
+const CACHE_TTL_SECONDS = Number(process.env.RESPONSE_CACHE_TTL_SECONDS) || 600;
+
+// Maximum entries kept by the in-memory cache (least recently used are evicted)
+const CACHE_MAX_ENTRIES = Number(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 1000;
+
+// Milliseconds a Redis cache command may take before it counts as a miss
+const CACHE_COMMAND_TIMEOUT_MS = 500;
+
+// Whether cache hits cost credits: "free" (default) or "charge"
+export const CACHE_HITS_CHARGED = process.env.RESPONSE_CACHE_CHARGE === 'charge';
+
+// All caches share one interface:
+//   get(key) -> cached value, or null
+//   set(key, value, ttlSeconds) -> void
+
+/**
+ * Creates an in-memory LRU cache (single instance)
+ * @param {number} [maxEntries] - Maximum entries before the least recently used is evicted
+ * @returns {Object} Response cache
+ */
+export function createMemoryCache(maxEntries = CACHE_MAX_ENTRIES) {
+  // Map iteration order is insertion order, so re-inserting on read keeps the oldest entry first
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (Date.now() >= entry.expiresAt) {
+        entries.delete(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+}
+
+/**
+ * Creates a Redis-compatible cache (multiple instances, survives restarts)
+ * Expiry is handled by Redis TTLs. Commands fail fast while Redis is unreachable,
+ * so an outage turns into cache misses instead of stalled prompt requests.
+ * @param {string} redisUrl - Redis connection URL
+ * @returns {Promise<Object>} Response cache
+ */
+export async function createRedisCache(redisUrl) {
+  if (!redisUrl) {
+    throw new Error('REDIS_URL is required for the redis response cache');
+  }
+
+  // Loaded lazily so ioredis is only needed when the redis cache is configured
+  const { default: Redis } = await import('ioredis');
+  const redis = new Redis(redisUrl, {
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1,
+    commandTimeout: CACHE_COMMAND_TIMEOUT_MS
+  });
+  // ioredis reconnects on its own; without a listener every failed attempt is an unhandled error
+  redis.on('error', (error) => {
+    console.error('[CACHE] Redis error:', error.message);
+  });
+  const prefix = 'easyprompt:cache:';
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const value = await redis.get(prefix + key);
+      return value === null ? null : JSON.parse(value);
+    },
+
+    async set(key, value, ttlSeconds) {
+      await redis.set(prefix + key, JSON.stringify(value), 'EX', ttlSeconds);
+    }
+  };
+}
+
+/**
+ * Creates the cache selected by RESPONSE_CACHE (memory, redis or off)
+ * @returns {Promise<Object|null>} Response cache, or null when caching is off
+ */
+export async function createResponseCache() {
+  const cacheType = process.env.RESPONSE_CACHE || 'memory';
+
+  switch (cacheType) {
+    case 'off':
+      return null;
+    case 'memory':
+      return createMemoryCache();
+    case 'redis':
+      return createRedisCache(process.env.REDIS_URL);
+    default:
+      throw new Error(`Unknown RESPONSE_CACHE "${cacheType}"`);
+  }
+}
+
+// The cache is created on first use so a misconfigured backend only disables caching
+let cachePromise = null;
+function getCache() {
+  if (!cachePromise) {
+    cachePromise = createResponseCache().catch((error) => {
+      console.error('[CACHE] Response cache unavailable:', error.message);
+      return null;
+    });
+  }
+  return cachePromise;
+}
+
+// Helper to normalize prompt text so whitespace-only differences share an entry
+function normalizeText(text) {
+  return typeof text === 'string' ? text.trim().replace(/\s+/g, ' ') : null;
+}
+
+/**
+ * Builds a cache key for a prompt rewrite
+ * @param {Object} params - Parameters object
+ * @param {string} params.scope - Whose cache this is (e.g. "user:<id>" or "ip:<address>")
+ * @param {string} params.mode - Prompt mode
+ * @param {string} params.promptVersion - Version of the system prompts (see PROMPT_VERSION)
+ * @param {string} params.provider - LLM provider name
+ * @param {Object} params.settings - Model settings ({model, temperature, maxTokens})
+ * @param {string} params.originalPrompt - The user's prompt
+ * @param {Object} [params.context] - Anything else that changes the output (target, custom mode, conversation, ...)
+ * @returns {string} Cache key
+ */
+export function buildCacheKey({ scope, mode, promptVersion, provider, settings, originalPrompt, context = {} }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      scope,
+      mode,
+      promptVersion,
+      provider,
+      model: settings.model,
+      temperature: settings.temperature,
+      maxTokens: settings.maxTokens,
+      input: normalizeText(originalPrompt),
+      context
+    }))
+    .digest('hex');
+}
+
+/**
+ * Gets a cached rewrite
+ * Cache failures are logged and treated as a miss.
+ * @param {string} key - Cache key from buildCacheKey()
+ * @returns {Promise<Object|null>} Cached value ({output}), or null
+ */
+export async function getCachedResponse(key) {
+  try {
+    const cache = await getCache();
+    return cache ? await cache.get(key) : null;
+  } catch (error) {
+    console.error('[CACHE] Read failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Stores a rewrite in the cache
+ * Cache failures are logged and ignored.
+ * @param {string} key - Cache key from buildCacheKey()
+ * @param {Object} value - Value to cache ({output}, plus {sections} for structured rewrites)
+ * @returns {Promise<void>}
+ */
+export async function setCachedResponse(key, value) {
+  try {
+    const cache = await getCache();
+    if (cache) {
+      await cache.set(key, value, CACHE_TTL_SECONDS);
+    }
+  } catch (error) {
+    console.error('[CACHE] Write failed:', error.message);
+  }
+}
@@ -1,12 +1,34 @@
 import express from 'express';
 import cors from 'cors';
-import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
-import OpenAI from 'openai';
-import { verifyUserFromToken } from './authHelpers.js';
-import { savePromptHistory, savePrompt } from './historyHelpers.js';
-import { getUserProStatus, getUserCredits, deductCredits, getUserCreditInfo, resetDailyCreditsIfNeeded, deductFreeUserCredits, grantSignupBonus, ensureUserExists } from './userHelpers.js';
-import { supabase } from './supabaseClient.js';
+import { OAUTH_PROVIDERS, verifyUserFromToken, getLastSignInAt, signInWithPassword, startOAuthSignIn, completeOAuthSignIn, refreshSession, revokeSession } from './authHelpers.js';
+import { savePromptHistory, savePrompt, getPromptHistory, deletePromptHistoryEntry, clearPromptHistory } from './historyHelpers.js';
+import { getUserProStatus, getUserPlanName, resolvePlanName, PLAN_COLUMNS, getUserCreditInfo, resetDailyCreditsIfNeeded, deductFreeUserCredits, deductFreeUserCreditsBatch, getTotalCreditsRemaining, refundCredits, grantSignupBonus, addCredits, ensureUserExists } from './userHelpers.js';
+import { createCreditReservation } from './creditReservations.js';
+import { getLedgerEntries } from './ledgerHelpers.js';
+import { createCheckoutSession, verifyWebhookEvent, applyBillingEvent } from './billingHelpers.js';
+import { getPlan, isModeAllowed, quoteCost, describePlanLimits } from './planCatalog.js';
+import { consumeRateLimit, clearRateLimit, releaseRateLimit } from './rateLimiter.js';
+import { ANONYMOUS_ID_HEADER, verifyAnonymousId, resolveAnonymousId, getAnonymousCredits, deductAnonymousCredits, refundAnonymousCredits } from './anonymousHelpers.js';
+import { supabase, supabaseAdmin } from './supabaseClient.js';
+import { sendError, errorBody, errorHandler } from './errors.js';
+import { requireAuth, optionalAuth, getRequestToken, createAuthenticatedClient } from './authMiddleware.js';
+import { getLLMProvider } from './llmProviders.js';
+import { BUILT_IN_MODES, PROMPT_TARGETS, PROMPT_VERSION, buildPromptMessages, buildAnalysisMessages, buildExplanationMessages } from './promptTemplates.js';
+import { analyzePrompt, normalizeAnalysis } from './promptScoring.js';
+import { parseModelJSON } from './modelOutput.js';
+import { parseConversation, truncateConversation } from './conversationHelpers.js';
+import { estimateTokens } from './tokenUtils.js';
+import { BATCH_CONCURRENCY, parseBatchItems, mapWithConcurrency } from './batchHelpers.js';
+import { CACHE_HITS_CHARGED, buildCacheKey, getCachedResponse, setCachedResponse } from './responseCache.js';
+import { VARIANT_MODES, parseVariantCount, generateVariants, saveVariantCandidates, selectVariantCandidate } from './variantHelpers.js';
+import { recordLLMUsage, resolveUsage, getUsageSummary } from './usageHelpers.js';
+import { diffWords, summarizeDiff, normalizeExplanation } from './changeExplanation.js';
+import { STRUCTURED_MODES, STRUCTURED_MAX_TOKENS_HEADROOM, parseOutputFormat, generateStructuredPrompt } from './structuredPrompt.js';
+import { isExtensionToken, getRequiredScope, resolveExtensionToken, mintAccessToken, createConnectCode, exchangeConnectCode, listExtensionTokens, revokeExtensionToken } from './extensionTokens.js';
+import { DELETION_GRACE_DAYS, exportAccountData, scheduleAccountDeletion, cancelAccountDeletion, startAccountDeletionSweeper } from './accountHelpers.js';
+import { listCustomModes, getCustomMode, createCustomMode, updateCustomMode, deleteCustomMode } from './customModeHelpers.js';
+import { getProviderNameForPlan, getModeSettings, getCustomModeSettings } from './llmConfig.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -17,26 +39,99 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Initialize OpenAI client
-if (!process.env.OPENAI_API_KEY) {
+// Warn early if the default LLM provider is missing its API key
+const defaultProviderName = getProviderNameForPlan();
+if (defaultProviderName === 'openai' && !process.env.OPENAI_API_KEY) {
   console.warn('Warning: OPENAI_API_KEY not set. OpenAI functionality will not work.');
 }
-const openai = process.env.OPENAI_API_KEY ? new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-}) : null;
+if (defaultProviderName === 'anthropic' && !process.env.ANTHROPIC_API_KEY) {
+  console.warn('Warning: ANTHROPIC_API_KEY not set. Anthropic functionality will not work.');
+}
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Helper to parse TRUST_PROXY into an Express "trust proxy" setting
+function parseTrustProxy(value) {
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  return value.split(',').map((entry) => entry.trim());
+}
+
+// Only trust X-Forwarded-For from the proxies named in TRUST_PROXY
+// (e.g. "1" for one hop, "loopback", or a comma-separated list of addresses/subnets).
+// On Railway every request comes through its edge proxy, so one hop is trusted unless TRUST_PROXY says otherwise.
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY ?? (process.env.RAILWAY_ENVIRONMENT ? '1' : undefined)));
+
 // Enable CORS for frontend requests
-app.use(cors());
+// Expose the anonymous ID header so the extension can store it
+app.use(cors({ exposedHeaders: ['X-Anonymous-Id'] }));
 
 // Enable JSON body parsing
-app.use(express.json());
+// The raw body is kept for webhook signature verification. The size limit leaves room for a full
+// batch at the largest plan's input limit; prompts are checked against the caller's plan later.
+app.use(express.json({
+  limit: '2mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Serve static files (HTML, CSS, JS)
 app.use(express.static(__dirname));
 
+// Extension tokens: swapped for a short-lived Supabase access token so every /api route
+// (and its per-request RLS client) works with them unchanged. Scopes limit the routes a token may call.
+// They are long-lived, so they are never accepted in a URL (where they would end up in logs and history).
+app.use('/api', async (req, res, next) => {
+  if (isExtensionToken(req.query.token)) {
+    return sendError(res, 'VALIDATION_ERROR', 'Send extension tokens in the Authorization header, not the URL');
+  }
+
+  const headerToken = req.headers.authorization?.replace('Bearer ', '');
+  const token = [headerToken, req.body?.token].find(isExtensionToken);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const extensionToken = await resolveExtensionToken(token);
+
+    const path = req.originalUrl.split('?')[0];
+    const requiredScope = getRequiredScope(path);
+    if (!requiredScope || !extensionToken.scopes.includes(requiredScope)) {
+      return sendError(res, 'SCOPE_NOT_ALLOWED', 'This extension token cannot access this endpoint');
+    }
+
+    const accessToken = mintAccessToken(extensionToken.userId);
+    if (headerToken === token) {
+      req.headers.authorization = `Bearer ${accessToken}`;
+    }
+    if (req.body?.token === token) {
+      req.body.token = accessToken;
+    }
+    req.extensionToken = extensionToken;
+    return next();
+  } catch (error) {
+    if (error.message === 'Invalid or expired token') {
+      return sendError(res, 'AUTH_EXPIRED', 'Invalid or expired token');
+    }
+    console.error('Error resolving extension token:', error);
+    // Missing SUPABASE_SERVICE_ROLE_KEY or SUPABASE_JWT_SECRET
+    if (error.message.endsWith('not configured')) {
+      return sendError(res, 'SERVICE_UNAVAILABLE', 'Extension tokens are not available');
+    }
+    return sendError(res, 'INTERNAL_ERROR', 'Internal server error');
+  }
+});
+
 // Route handlers for HTML files
 app.get('/', (req, res) => {
   res.sendFile(join(__dirname, 'auth.html'));
@@ -54,12 +149,12 @@ app.get('/reset-password', (req, res) => {
   res.sendFile(join(__dirname, 'reset-password.html'));
 });
 
-// GET /extension-connect - Connect Chrome extension with Pro token
-// Clean flow: website owns auth, extension only consumes token
+// GET /extension-connect - Connect Chrome extension
+// Clean flow: website owns auth, extension only consumes a one-time connect code
 app.get('/extension-connect', async (req, res) => {
   try {
     // Get token from Authorization header or query param
-    const token = req.headers.authorization?.replace('Bearer ', '') || req.query.token;
+    const token = getRequestToken(req);
     
     // PART 2: If user is NOT logged in → redirect to /auth (login page)
     if (!token) {
@@ -77,22 +172,9 @@ app.get('/extension-connect', async (req, res) => {
 
     const userId = user.userId;
 
-    // Create authenticated Supabase client
-    const authenticatedClient = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_ANON_KEY,
-      {
-        global: {
-          headers: {
-            Authorization: `Bearer ${token}`
-          }
-        }
-      }
-    );
-
     // Check if user is Pro
     const isPro = await getUserProStatus({
-      authenticatedClient,
+      authenticatedClient: createAuthenticatedClient(token),
       userId
     });
 
@@ -102,16 +184,13 @@ app.get('/extension-connect', async (req, res) => {
     }
 
     // PART 2: If user IS logged in AND Pro:
-    // Generate extension token (use Supabase token as extension token)
-    // Token includes user_id and plan, expiry handled by Supabase token itself
-    // For simplicity, we'll use the Supabase access token as the extension token
-    // It already contains user_id and has expiry built-in
-    
-    const extensionToken = token; // Use Supabase token directly (already has user_id, expiry)
-    
-    // Redirect to extension-connect page with token (extension will detect and extract)
+    // Issue a one-time code; the extension exchanges it for its own revocable token
+    // (POST /api/extension/token), so the user's access token never lands in a URL
+    const { code } = await createConnectCode({ userId });
+
+    // Redirect to extension-connect page with the code (extension will detect and exchange it)
     // This is a special page that the extension monitors via tabs API
-    res.redirect(`/extension-connect-success?token=${encodeURIComponent(extensionToken)}`);
+    res.redirect(`/extension-connect-success?code=${encodeURIComponent(code)}`);
   } catch (error) {
     console.error('Error in /extension-connect:', error);
     // On error, redirect to login
@@ -122,55 +201,32 @@ app.get('/extension-connect', async (req, res) => {
 // Removed: extension-connect.html is no longer needed
 // Custom protocol redirect handles everything
 
-// GET /upgrade - Upgrade page (redirects to app for now)
+// GET /upgrade - Upgrade page (the app starts checkout from its upgrade button)
 app.get('/upgrade', (req, res) => {
-  // For now, redirect to app page
-  // In future, this could be a dedicated upgrade page
-  res.redirect('/app');
+  res.redirect('/app?upgrade=1');
 });
 
 // GET /extension-connect-success - Success page that extension monitors
 app.get('/extension-connect-success', (req, res) => {
   // This page is monitored by the extension via tabs API
-  // Extension will extract token from URL and save it
+  // Extension will extract the connect code from URL and exchange it for its token
   res.sendFile(join(__dirname, 'extension-connect-success.html'));
 });
 
 // POST /api/history/save
-app.post('/api/history/save', async (req, res) => {
+app.post('/api/history/save', requireAuth, async (req, res, next) => {
   try {
-    const { token, type, original_input, final_prompt, action, prompt } = req.body;
-    
-    // Request logging
-    console.log('POST /api/history/save endpoint hit');
-    console.log('action:', action);
-    console.log('prompt length:', prompt?.length ?? 'N/A');
-    console.log('token exists:', !!token);
+    const { type, original_input, final_prompt, target } = req.body;
+    const { userId, authenticatedClient } = req.auth;
 
     // Validate required fields
-    if (!token || !type || !original_input || !final_prompt) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: token, type, original_input, final_prompt' 
-      });
+    if (!type || !original_input || !final_prompt) {
+      return sendError(res, 'VALIDATION_ERROR', 'Missing required fields: type, original_input, final_prompt');
     }
 
-    // Verify token and get authenticated user id (never trust client input)
-    const user = await verifyUserFromToken(token);
-    const userId = user.userId;
-
-    // Create a per-request Supabase client with anon key
-    // Pass the user's access token via Authorization header for RLS
-    const authenticatedClient = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_ANON_KEY,
-      {
-        global: {
-          headers: {
-            Authorization: `Bearer ${token}`
-          }
-        }
-      }
-    );
+    if (target && !PROMPT_TARGETS.includes(target)) {
+      return sendError(res, 'VALIDATION_ERROR', `Invalid target. Must be one of: ${PROMPT_TARGETS.join(', ')}`);
+    }
 
     // Save prompt history using the authenticated client
     await savePromptHistory({
@@ -178,101 +234,315 @@ app.post('/api/history/save', async (req, res) => {
       userId,
       type,
       originalInput: original_input,
-      finalPrompt: final_prompt
+      finalPrompt: final_prompt,
+      target
     });
 
     return res.json({ success: true });
   } catch (error) {
-    // Invalid token or authentication error
-    if (error.message.includes('token') || error.message.includes('Invalid')) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+    return next(error);
+  }
+});
+
+// Helper to send the error response of a history route
+function sendHistoryError(res, next, error) {
+  // Bad filters or cursor
+  if (error.message.startsWith('Invalid history')) {
+    return sendError(res, 'VALIDATION_ERROR', error.message);
+  }
+
+  return next(error);
+}
+
+// GET /api/history - Page through the caller's prompt history
+// Query: limit, cursor, type (or mode), target, from, to, q (full-text search)
+app.get('/api/history', requireAuth, async (req, res, next) => {
+  try {
+    const { entries, nextCursor } = await getPromptHistory({
+      authenticatedClient: req.auth.authenticatedClient,
+      userId: req.auth.userId,
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+      type: req.query.type || req.query.mode,
+      target: req.query.target,
+      from: req.query.from,
+      to: req.query.to,
+      search: req.query.q
+    });
+
+    return res.json({ entries, nextCursor });
+  } catch (error) {
+    return sendHistoryError(res, next, error);
+  }
+});
+
+// DELETE /api/history/:id - Delete one prompt history entry
+app.delete('/api/history/:id', requireAuth, async (req, res, next) => {
+  try {
+    const deleted = await deletePromptHistoryEntry({
+      authenticatedClient: req.auth.authenticatedClient,
+      userId: req.auth.userId,
+      id: req.params.id
+    });
+
+    if (!deleted) {
+      return sendError(res, 'NOT_FOUND', 'History entry not found');
     }
 
-    // Other errors
-    return res.status(500).json({ error: error.message });
+    return res.json({ success: true });
+  } catch (error) {
+    return sendHistoryError(res, next, error);
   }
 });
 
-// GET /api/pro/check
-app.get('/api/pro/check', async (req, res) => {
+// DELETE /api/history - Clear the caller's prompt history
+// Query: type (or mode) and before narrow what is cleared
+app.delete('/api/history', requireAuth, async (req, res, next) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '') || req.query.token;
+    const deleted = await clearPromptHistory({
+      authenticatedClient: req.auth.authenticatedClient,
+      userId: req.auth.userId,
+      type: req.query.type || req.query.mode,
+      before: req.query.before
+    });
 
-    // Validate token
-    if (!token) {
-      return res.status(401).json({ error: 'Missing access token' });
+    return res.json({ success: true, deleted });
+  } catch (error) {
+    return sendHistoryError(res, next, error);
+  }
+});
+
+// Helper to send the error response of a custom modes route
+function sendCustomModeError(res, next, error) {
+  // Bad fields
+  if (error.message.startsWith('Invalid custom mode')) {
+    return sendError(res, 'VALIDATION_ERROR', error.message);
+  }
+
+  if (error.message === 'Custom mode limit reached') {
+    return sendError(res, 'PLAN_LIMIT_REACHED', 'Custom mode limit reached for your plan');
+  }
+
+  if (error.message.startsWith('SUPABASE_SERVICE_ROLE_KEY is required')) {
+    return sendError(res, 'SERVICE_UNAVAILABLE', 'Custom modes are not available');
+  }
+
+  return next(error);
+}
+
+// Helper to load the caller's plan for a custom mode change
+// Sends PRO_REQUIRED and returns null if the plan has no custom modes
+async function resolveCustomModePlan(req, res) {
+  const { userId, authenticatedClient } = req.auth;
+  const plan = getPlan(await getUserPlanName({ authenticatedClient, userId }));
+  if (!plan.customModes) {
+    sendError(res, 'PRO_REQUIRED', `Custom modes are not included in the ${plan.label} plan. Upgrade to Pro to use this feature.`);
+    return null;
+  }
+  return plan;
+}
+
+// GET /api/modes - List the caller's custom modes
+app.get('/api/modes', requireAuth, async (req, res, next) => {
+  try {
+    const modes = await listCustomModes({
+      authenticatedClient: req.auth.authenticatedClient,
+      userId: req.auth.userId
+    });
+
+    return res.json({ builtIn: BUILT_IN_MODES, modes });
+  } catch (error) {
+    return sendCustomModeError(res, next, error);
+  }
+});
+
+// POST /api/modes - Create a custom mode (plans with custom modes only)
+app.post('/api/modes', requireAuth, async (req, res, next) => {
+  try {
+    const plan = await resolveCustomModePlan(req, res);
+    if (!plan) {
+      return;
     }
 
-    // Verify token and get authenticated user id (never trust client input)
-    const user = await verifyUserFromToken(token);
-    const userId = user.userId;
+    const mode = await createCustomMode({
+      userId: req.auth.userId,
+      input: req.body,
+      maxModes: plan.customModes
+    });
 
-    // Create a per-request Supabase client with anon key
-    // Pass the user's access token via Authorization header for RLS
-    const authenticatedClient = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_ANON_KEY,
-      {
-        global: {
-          headers: {
-            Authorization: `Bearer ${token}`
-          }
-        }
-      }
-    );
+    return res.status(201).json({ mode });
+  } catch (error) {
+    return sendCustomModeError(res, next, error);
+  }
+});
 
-    // Get user's Pro status using the authenticated client
+// GET /api/modes/:id - Get one of the caller's custom modes
+app.get('/api/modes/:id', requireAuth, async (req, res, next) => {
+  try {
+    const mode = await getCustomMode({
+      authenticatedClient: req.auth.authenticatedClient,
+      userId: req.auth.userId,
+      modeId: req.params.id
+    });
+
+    if (!mode) {
+      return sendError(res, 'NOT_FOUND', 'Custom mode not found');
+    }
+
+    return res.json({ mode });
+  } catch (error) {
+    return sendCustomModeError(res, next, error);
+  }
+});
+
+// PATCH /api/modes/:id - Update one of the caller's custom modes (plans with custom modes only)
+app.patch('/api/modes/:id', requireAuth, async (req, res, next) => {
+  try {
+    if (!await resolveCustomModePlan(req, res)) {
+      return;
+    }
+
+    const mode = await updateCustomMode({
+      userId: req.auth.userId,
+      modeId: req.params.id,
+      input: req.body
+    });
+
+    if (!mode) {
+      return sendError(res, 'NOT_FOUND', 'Custom mode not found');
+    }
+
+    return res.json({ mode });
+  } catch (error) {
+    return sendCustomModeError(res, next, error);
+  }
+});
+
+// DELETE /api/modes/:id - Delete one of the caller's custom modes (plans with custom modes only)
+app.delete('/api/modes/:id', requireAuth, async (req, res, next) => {
+  try {
+    if (!await resolveCustomModePlan(req, res)) {
+      return;
+    }
+
+    const deleted = await deleteCustomMode({
+      authenticatedClient: req.auth.authenticatedClient,
+      userId: req.auth.userId,
+      modeId: req.params.id
+    });
+
+    if (!deleted) {
+      return sendError(res, 'NOT_FOUND', 'Custom mode not found');
+    }
+
+    return res.json({ success: true });
+  } catch (error) {
+    return sendCustomModeError(res, next, error);
+  }
+});
+
+// Helper to send the error response of an extension token route
+function sendExtensionTokenError(res, next, error) {
+  if (error.message.startsWith('Invalid scopes') || error.message === 'Invalid or expired connect code') {
+    return sendError(res, 'VALIDATION_ERROR', error.message);
+  }
+
+  if (error.message === 'SUPABASE_SERVICE_ROLE_KEY not configured') {
+    return sendError(res, 'SERVICE_UNAVAILABLE', 'Extension tokens are not available');
+  }
+
+  return next(error);
+}
+
+// POST /api/extension/codes - Create a one-time code for connecting an extension
+// Body: scopes (optional subset of prompts, history, modes, account)
+// Pro only, as with /extension-connect
+app.post('/api/extension/codes', requireAuth, async (req, res, next) => {
+  try {
     const isPro = await getUserProStatus({
-      authenticatedClient,
-      userId
+      authenticatedClient: req.auth.authenticatedClient,
+      userId: req.auth.userId
     });
 
-    return res.json({ isPro });
+    if (!isPro) {
+      return sendError(res, 'PRO_REQUIRED', 'Connecting an extension requires Pro. Upgrade to Pro to use this feature.');
+    }
+
+    const { code, expiresAt } = await createConnectCode({ userId: req.auth.userId, scopes: req.body.scopes });
+
+    return res.status(201).json({ success: true, code, expiresAt });
   } catch (error) {
-    // Invalid token or authentication error
-    if (error.message.includes('token') || error.message.includes('Invalid')) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+    return sendExtensionTokenError(res, next, error);
+  }
+});
+
+// POST /api/extension/token - Exchange a connect code for a per-device extension token
+// No other auth: the one-time code is the credential. The token is only shown in this response.
+app.post('/api/extension/token', async (req, res, next) => {
+  try {
+    const { code, name } = req.body;
+
+    if (!code) {
+      return sendError(res, 'VALIDATION_ERROR', 'code is required');
     }
 
-    // Other errors
-    return res.status(500).json({ error: error.message });
+    const extensionToken = await exchangeConnectCode({ code, name });
+    return res.status(201).json({ success: true, ...extensionToken });
+  } catch (error) {
+    return sendExtensionTokenError(res, next, error);
   }
 });
 
-// GET /api/me
-app.get('/api/me', async (req, res) => {
+// GET /api/extension/tokens - List the caller's connected extensions
+app.get('/api/extension/tokens', requireAuth, async (req, res, next) => {
+  try {
+    const tokens = await listExtensionTokens({ userId: req.auth.userId });
+
+    return res.json({ success: true, tokens });
+  } catch (error) {
+    return sendExtensionTokenError(res, next, error);
+  }
+});
+
+// DELETE /api/extension/tokens/:id - Revoke a connected extension
+app.delete('/api/extension/tokens/:id', requireAuth, async (req, res, next) => {
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid Authorization header' });
+    const revoked = await revokeExtensionToken({ userId: req.auth.userId, tokenId: req.params.id });
+
+    if (!revoked) {
+      return sendError(res, 'NOT_FOUND', 'Extension token not found');
     }
 
-    const token = authHeader.replace('Bearer ', '');
+    return res.json({ success: true });
+  } catch (error) {
+    return sendExtensionTokenError(res, next, error);
+  }
+});
 
-    // Verify token and get authenticated user id (never trust client input)
-    const user = await verifyUserFromToken(token);
-    const userId = user.userId;
-    const userEmail = user.email;
-
-    // Create a per-request Supabase client with anon key
-    // Pass the user's access token via Authorization header for RLS
-    const authenticatedClient = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_ANON_KEY,
-      {
-        global: {
-          headers: {
-            Authorization: `Bearer ${token}`
-          }
-        }
-      }
-    );
+// GET /api/pro/check
+app.get('/api/pro/check', requireAuth, async (req, res, next) => {
+  try {
+    // Get user's Pro status using the authenticated client
+    const isPro = await getUserProStatus({
+      authenticatedClient: req.auth.authenticatedClient,
+      userId: req.auth.userId
+    });
+
+    return res.json({ isPro });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// GET /api/me
+app.get('/api/me', requireAuth, async (req, res, next) => {
+  try {
+    const { userId, email: userEmail, authenticatedClient } = req.auth;
 
     // Query users table for user data
     const { data: userData, error } = await authenticatedClient
       .from('users')
-      .select('email, is_pro, credits, daily_credits_used, daily_reset_at, signup_bonus_given')
+      .select(`email, credits, daily_credits_used, daily_reset_at, signup_bonus_given, deletion_scheduled_for, ${PLAN_COLUMNS}`)
       .eq('id', userId)
       .single();
 
@@ -284,28 +554,31 @@ app.get('/api/me', async (req, res) => {
           plan: 'free',
           credits_remaining: 0,
           credits: 0, // Alias for backward compatibility
-          is_pro: false
+          is_pro: false,
+          limits: describePlanLimits(getPlan('free'))
         };
-        console.log("[API /me] response:", responseObject);
         return res.json(responseObject);
       }
       throw new Error(`Failed to get user data: ${error.message}`);
     }
 
+    // Determine plan from the plan catalog
+    const planName = resolvePlanName(userData);
+    const plan = getPlan(planName);
+
     // Grant signup bonus if user exists but hasn't received it yet
-    if (userData && !userData.signup_bonus_given) {
+    if (userData && !userData.signup_bonus_given && plan.signupBonus > 0) {
       try {
-        await grantSignupBonus({ authenticatedClient, userId });
+        await grantSignupBonus({ userId, bonus: plan.signupBonus });
         // Refresh user data to get updated credits
         const { data: updatedUserData } = await authenticatedClient
           .from('users')
-          .select('email, is_pro, credits, daily_credits_used, daily_reset_at')
+          .select('email, credits, daily_credits_used, daily_reset_at')
           .eq('id', userId)
           .single();
         
         if (updatedUserData) {
           userData.email = updatedUserData.email || userData.email;
-          userData.is_pro = updatedUserData.is_pro;
           userData.credits = updatedUserData.credits;
           userData.daily_credits_used = updatedUserData.daily_credits_used;
           userData.daily_reset_at = updatedUserData.daily_reset_at;
@@ -316,18 +589,14 @@ app.get('/api/me', async (req, res) => {
       }
     }
 
-    // Determine plan (lowercase)
-    const isPro = userData.is_pro === true;
-    const plan = isPro ? 'pro' : 'free';
-
     // Calculate credits_remaining
     let credits_remaining;
-    if (isPro) {
-      // Pro users have unlimited credits (represented as large number)
-      credits_remaining = 999999;
+    if (plan.unlimited) {
+      // Unlimited plans have no credit balance (see limits.unlimited)
+      credits_remaining = null;
     } else {
-      // Free users: calculate available credits (daily + bonus)
-      const DAILY_CREDITS = 3;
+      // Credit-metered plans: calculate available credits (daily + bonus)
+      const DAILY_CREDITS = plan.dailyCredits;
       
       // Check if daily credits need reset
       const now = new Date();
@@ -354,38 +623,137 @@ app.get('/api/me', async (req, res) => {
     // Return both credits_remaining (new format) and credits (for backward compatibility with frontend)
     const responseObject = {
       email: userData.email || userEmail,
-      plan: plan,
+      plan: planName,
       credits_remaining: credits_remaining,
       credits: credits_remaining, // Alias for backward compatibility
-      is_pro: isPro
+      is_pro: plan.paid,
+      limits: describePlanLimits(plan),
+      // Set while an account deletion is pending (cancel with POST /api/account/deletion/cancel)
+      deletion_scheduled_for: userData.deletion_scheduled_for || null
     };
-
-    console.log("[API /me] response:", responseObject);
     return res.json(responseObject);
   } catch (error) {
-    // Invalid token or authentication error
-    if (error.message.includes('token') || error.message.includes('Invalid')) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+    return next(error);
+  }
+});
+
+// Sign-ins at most this old count as re-authentication for account deletion (OAuth accounts have no password)
+const REAUTH_MAX_AGE_SECONDS = 10 * 60;
+
+// Each export reads every table the user has rows in, so exports are limited per user
+const ACCOUNT_EXPORT_LIMIT = { requests: 5, windowSeconds: 60 * 60 };
+
+// GET /api/account/export - Download everything stored about the user as a JSON file
+app.get('/api/account/export', requireAuth, async (req, res, next) => {
+  try {
+    const { userId, email, authenticatedClient } = req.auth;
+
+    const rateLimit = consumeRateLimit(`account-export:${userId}`, ACCOUNT_EXPORT_LIMIT);
+    if (!rateLimit.allowed) {
+      res.set('Retry-After', String(rateLimit.retryAfterSeconds));
+      return sendError(res, 'RATE_LIMITED', 'Too many exports. Please try again later.', { retryAfterSeconds: rateLimit.retryAfterSeconds });
+    }
+
+    const data = await exportAccountData({ authenticatedClient, userId, email });
+    console.log(`[ACCOUNT] User ${userId} exported their data`);
+
+    res.set('Content-Disposition', `attachment; filename="easyprompt-export-${data.exportedAt.slice(0, 10)}.json"`);
+    return res.type('application/json').send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// DELETE /api/account - Schedule the account for deletion after the grace period
+// Requires the password, or a sign-in within the last few minutes (OAuth accounts)
+app.delete('/api/account', requireAuth, async (req, res, next) => {
+  try {
+    const { userId, email, token } = req.auth;
+    const { password } = req.body || {};
+
+    if (!supabaseAdmin) {
+      return sendError(res, 'SERVICE_UNAVAILABLE', 'Account deletion is not available');
+    }
+
+    // Re-authenticate, so a session left open on a shared computer cannot delete the account
+    if (password) {
+      const attempt = reserveLoginAttempt(req, email);
+      if (!attempt.allowed) {
+        return sendLoginThrottled(res, attempt);
+      }
+      try {
+        await signInWithPassword({ email, password });
+      } catch (signInError) {
+        if (signInError.message === 'Invalid email or password') {
+          logLoginFailure(req, email, 'wrong password for account deletion');
+          return sendError(res, 'INVALID_CREDENTIALS', 'Incorrect password');
+        }
+        releaseLoginAttempt(attempt);
+        throw signInError;
+      }
+      releaseLoginAttempt(attempt);
+    } else {
+      const lastSignInAt = getLastSignInAt(token);
+      if (!lastSignInAt || Date.now() - lastSignInAt.getTime() > REAUTH_MAX_AGE_SECONDS * 1000) {
+        return sendError(res, 'REAUTH_REQUIRED', 'Enter your password, or sign in again, to delete your account');
+      }
+    }
+
+    await ensureUserExists({ id: userId, email }, supabaseAdmin);
+    const { scheduledFor } = await scheduleAccountDeletion({ userId });
+
+    // Sign out every device; signing in again during the grace period allows cancelling
+    try {
+      await revokeSession(token, 'global');
+    } catch (revokeError) {
+      console.error(`[ACCOUNT] Failed to sign out user ${userId} after deletion request:`, revokeError.message);
+    }
+
+    console.log(`[ACCOUNT] User ${userId} requested account deletion, scheduled for ${scheduledFor}`);
+
+    return res.json({
+      success: true,
+      deletion_scheduled_for: scheduledFor,
+      grace_period_days: DELETION_GRACE_DAYS
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// POST /api/account/deletion/cancel - Keep the account: cancel a pending deletion
+app.post('/api/account/deletion/cancel', requireAuth, async (req, res, next) => {
+  try {
+    const { userId } = req.auth;
+
+    if (!supabaseAdmin) {
+      return sendError(res, 'SERVICE_UNAVAILABLE', 'Account deletion is not available');
+    }
+
+    const cancelled = await cancelAccountDeletion({ userId });
+    if (!cancelled) {
+      return sendError(res, 'NOT_FOUND', 'No account deletion is pending, or it has already started');
     }
 
-    // Other errors
-    console.error('Error getting user data:', error);
-    return res.status(500).json({ error: error.message });
+    console.log(`[ACCOUNT] User ${userId} cancelled their account deletion`);
+    return res.json({ success: true });
+  } catch (error) {
+    return next(error);
   }
 });
 
 // POST /api/auth/signup - Sign up new user
-app.post('/api/auth/signup', async (req, res) => {
+app.post('/api/auth/signup', async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
     // Validate required fields
     if (!email || !email.trim()) {
-      return res.status(400).json({ error: 'Email is required' });
+      return sendError(res, 'VALIDATION_ERROR', 'Email is required');
     }
 
     if (!password || password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+      return sendError(res, 'VALIDATION_ERROR', 'Password must be at least 6 characters');
     }
 
     // Sign up with Supabase Auth
@@ -397,19 +765,19 @@ app.post('/api/auth/signup', async (req, res) => {
     if (error) {
       // Handle specific Supabase errors
       if (error.message.includes('already registered') || error.message.includes('already exists')) {
-        return res.status(400).json({ error: 'Email already exists. Please log in instead.' });
+        return sendError(res, 'VALIDATION_ERROR', 'Email already exists. Please log in instead.');
       }
       if (error.message.includes('Password')) {
-        return res.status(400).json({ error: 'Password is too weak. Please use a stronger password.' });
+        return sendError(res, 'VALIDATION_ERROR', 'Password is too weak. Please use a stronger password.');
       }
       if (error.message.includes('email')) {
-        return res.status(400).json({ error: 'Invalid email address' });
+        return sendError(res, 'VALIDATION_ERROR', 'Invalid email address');
       }
-      return res.status(400).json({ error: error.message || 'Sign up failed' });
+      return sendError(res, 'VALIDATION_ERROR', error.message || 'Sign up failed');
     }
 
     if (!data || !data.user) {
-      return res.status(500).json({ error: 'Sign up failed: No user data received' });
+      return sendError(res, 'INTERNAL_ERROR', 'Sign up failed: No user data received');
     }
 
     // Ensure user row exists in users table
@@ -418,7 +786,7 @@ app.post('/api/auth/signup', async (req, res) => {
       await ensureUserExists({
         id: data.user.id,
         email: data.user.email
-      });
+      }, supabaseAdmin || supabase);
       console.log(`[AUTH] User ${data.user.id} created in users table`);
     } catch (userError) {
       console.error('[AUTH] Error ensuring user exists:', userError);
@@ -431,8 +799,7 @@ app.post('/api/auth/signup', async (req, res) => {
       message: 'Account created successfully. Please check your email to confirm your account.'
     });
   } catch (error) {
-    console.error('Error in /api/auth/signup:', error);
-    return res.status(500).json({ error: 'An unexpected error occurred' });
+    return next(error);
   }
 });
 
@@ -443,7 +810,7 @@ app.post('/api/auth/forgot-password', async (req, res) => {
 
     // Validate required fields
     if (!email || !email.trim()) {
-      return res.status(400).json({ error: 'Email is required' });
+      return sendError(res, 'VALIDATION_ERROR', 'Email is required');
     }
 
     // Send password reset email via Supabase
@@ -468,38 +835,28 @@ app.post('/api/auth/forgot-password', async (req, res) => {
 });
 
 // POST /api/auth/reset-password - Reset password with token
-app.post('/api/auth/reset-password', async (req, res) => {
+app.post('/api/auth/reset-password', async (req, res, next) => {
   try {
     const { access_token, new_password } = req.body;
 
     // Validate required fields
     if (!access_token) {
-      return res.status(400).json({ error: 'Reset token is required' });
+      return sendError(res, 'VALIDATION_ERROR', 'Reset token is required');
     }
 
     if (!new_password || new_password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+      return sendError(res, 'VALIDATION_ERROR', 'Password must be at least 6 characters');
     }
 
     // Verify token first using Supabase
     const { data: { user }, error: verifyError } = await supabase.auth.getUser(access_token);
     
     if (verifyError || !user) {
-      return res.status(401).json({ error: 'Invalid or expired reset token' });
+      return sendError(res, 'AUTH_EXPIRED', 'Invalid or expired reset token');
     }
 
     // Create a Supabase client with the user's access token for authenticated operations
-    const userClient = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_ANON_KEY,
-      {
-        global: {
-          headers: {
-            Authorization: `Bearer ${access_token}`
-          }
-        }
-      }
-    );
+    const userClient = createAuthenticatedClient(access_token);
 
     // Update password using the authenticated client
     const { error: updateError } = await userClient.auth.updateUser({
@@ -508,7 +865,7 @@ app.post('/api/auth/reset-password', async (req, res) => {
 
     if (updateError) {
       console.error('Error updating password:', updateError);
-      return res.status(400).json({ error: updateError.message || 'Failed to reset password' });
+      return sendError(res, 'VALIDATION_ERROR', updateError.message || 'Failed to reset password');
     }
 
     return res.json({ 
@@ -516,506 +873,1931 @@ app.post('/api/auth/reset-password', async (req, res) => {
       message: 'Password reset successfully. You can now log in with your new password.'
     });
   } catch (error) {
-    console.error('Error in /api/auth/reset-password:', error);
-    return res.status(500).json({ error: 'An unexpected error occurred' });
+    return next(error);
   }
 });
 
-// POST /api/credits/add - Admin-only endpoint to add credits to a user
-app.post('/api/credits/add', async (req, res) => {
+// POST /api/auth/refresh - Exchange a refresh token for a new access/refresh token pair
+app.post('/api/auth/refresh', async (req, res, next) => {
   try {
-    const { email, credits, secret } = req.body;
+    const { refresh_token } = req.body;
 
-    // Validate secret
-    if (!secret || secret !== process.env.ADMIN_SECRET) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    if (!refresh_token) {
+      return sendError(res, 'VALIDATION_ERROR', 'Refresh token is required');
     }
 
-    // Validate required fields - reject with 401 for invalid requests
-    if (!email || typeof email !== 'string' || !email.trim()) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+    const session = await refreshSession(refresh_token);
 
-    if (typeof credits !== 'number' || credits <= 0 || !Number.isInteger(credits)) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    return res.json({
+      success: true,
+      access_token: session.accessToken,
+      refresh_token: session.refreshToken,
+      expires_at: session.expiresAt,
+      expires_in: session.expiresIn
+    });
+  } catch (error) {
+    if (error.message === 'Invalid or expired refresh token') {
+      return sendError(res, 'AUTH_EXPIRED', error.message);
     }
+    return next(error);
+  }
+});
 
-    // Use anon key with RLS enabled
-    const supabaseClient = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_ANON_KEY
-    );
-
-    const normalizedEmail = email.trim().toLowerCase();
-
-    // Validate email exists by finding user
-    const { data: userData, error: findError } = await supabaseClient
-      .from('users')
-      .select('id, credits')
-      .eq('email', normalizedEmail)
-      .single();
+// POST /api/auth/logout - Revoke the caller's session (scope "local", "global" or "others")
+app.post('/api/auth/logout', async (req, res, next) => {
+  try {
+    const token = getRequestToken(req);
+    const scope = req.body?.scope || 'local';
 
-    if (findError || !userData || !userData.id) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    if (!token) {
+      return sendError(res, 'AUTH_REQUIRED', 'Missing access token');
     }
 
-    // Atomically increment credits
-    // Attempt RPC function first (if exists), otherwise use direct update
-    // Note: For true atomic increment, a database function is recommended
-    const currentCredits = userData.credits ?? 0;
-    const newCredits = currentCredits + credits;
-
-    const { data: updatedUser, error: updateError } = await supabaseClient
-      .from('users')
-      .update({ credits: newCredits })
-      .eq('id', userData.id)
-      .select('credits')
-      .single();
-
-    if (updateError || !updatedUser) {
-      return res.status(500).json({ error: 'Internal server error' });
+    if (!['local', 'global', 'others'].includes(scope)) {
+      return sendError(res, 'VALIDATION_ERROR', 'Invalid scope: must be one of local, global, others');
     }
 
-    const updatedCredits = updatedUser.credits ?? newCredits;
+    await revokeSession(token, scope);
 
-    // Return success response
+    return res.json({ success: true });
+  } catch (error) {
+    if (error.message === 'Invalid or expired token') {
+      return sendError(res, 'AUTH_EXPIRED', error.message);
+    }
+    return next(error);
+  }
+});
+
+// Failed sign-ins allowed per window, per email and per IP, before further attempts get 429
+const LOGIN_FAILURE_WINDOW_SECONDS = Number(process.env.LOGIN_FAILURE_WINDOW_SECONDS) || 15 * 60;
+const LOGIN_FAILURE_LIMITS = {
+  email: { requests: Number(process.env.LOGIN_MAX_FAILURES_PER_EMAIL) || 5, windowSeconds: LOGIN_FAILURE_WINDOW_SECONDS },
+  ip: { requests: Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20, windowSeconds: LOGIN_FAILURE_WINDOW_SECONDS }
+};
+
+// Cookie holding the PKCE code verifier between the OAuth start and callback
+const OAUTH_VERIFIER_COOKIE = 'ep_oauth_verifier';
+const OAUTH_VERIFIER_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Helper to count a sign-in attempt against the IP (and email) as failed until it succeeds
+// Counting up front keeps parallel attempts from all passing the check before any has failed.
+// Returns the counted keys, or { allowed: false, retryAfterSeconds } (nothing counted) when throttled
+function reserveLoginAttempt(req, email) {
+  const limits = [[`login-ip:${getClientIP(req)}`, LOGIN_FAILURE_LIMITS.ip]];
+  if (email) {
+    limits.push([`login-email:${email}`, LOGIN_FAILURE_LIMITS.email]);
+  }
+
+  const checks = limits.map(([key, limit]) => ({ key, ...consumeRateLimit(key, limit) }));
+  const blocked = checks.filter((check) => !check.allowed);
+  if (blocked.length === 0) {
+    return { allowed: true, keys: checks.map((check) => check.key) };
+  }
+
+  checks.filter((check) => check.allowed).forEach((check) => releaseRateLimit(check.key));
+  return { allowed: false, retryAfterSeconds: Math.max(...blocked.map((check) => check.retryAfterSeconds)) };
+}
+
+// Helper to take back a reserved attempt that did not fail on its credentials
+function releaseLoginAttempt(attempt) {
+  attempt.keys.forEach((key) => releaseRateLimit(key));
+}
+
+// Helper to answer a throttled sign-in with 429 and Retry-After
+function sendLoginThrottled(res, attempt) {
+  res.set('Retry-After', String(attempt.retryAfterSeconds));
+  return sendError(res, 'RATE_LIMITED', 'Too many failed sign-in attempts. Please try again later.', { retryAfterSeconds: attempt.retryAfterSeconds });
+}
+
+// Helper to log a failed sign-in (already counted by reserveLoginAttempt)
+function logLoginFailure(req, email, reason) {
+  console.log(`[AUTH] Sign-in failed${email ? ` for ${email}` : ''} from ${getClientIP(req)}: ${reason}`);
+}
+
+// Helper to provision the users row on sign-in (the signup bonus is granted on the first /api/me call)
+async function provisionSignedInUser(session) {
+  try {
+    await ensureUserExists(session.user, supabaseAdmin || createAuthenticatedClient(session.accessToken));
+  } catch (userError) {
+    console.error('[AUTH] Error ensuring user exists:', userError);
+    // Continue even if user creation fails - /api/me falls back to defaults
+  }
+}
+
+// Helper to read a cookie from the request (no cookie parser is installed)
+function readCookie(req, name) {
+  const cookies = req.headers.cookie ? req.headers.cookie.split(';') : [];
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+// POST /api/auth/login - Sign in with email and password, returns a session
+app.post('/api/auth/login', async (req, res, next) => {
+  try {
+    const { password } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+    if (!email || !password || typeof password !== 'string') {
+      return sendError(res, 'VALIDATION_ERROR', 'Email and password are required');
+    }
+
+    const attempt = reserveLoginAttempt(req, email);
+    if (!attempt.allowed) {
+      return sendLoginThrottled(res, attempt);
+    }
+
+    let session;
+    try {
+      session = await signInWithPassword({ email, password });
+    } catch (signInError) {
+      if (signInError.message === 'Invalid email or password') {
+        logLoginFailure(req, email, 'invalid credentials');
+        return sendError(res, 'INVALID_CREDENTIALS', signInError.message);
+      }
+      releaseLoginAttempt(attempt);
+      if (signInError.message === 'Email not confirmed') {
+        return sendError(res, 'EMAIL_NOT_CONFIRMED', 'Please confirm your email before logging in.');
+      }
+      throw signInError;
+    }
+
+    releaseLoginAttempt(attempt);
+    clearRateLimit(`login-email:${email}`);
+    await provisionSignedInUser(session);
+    console.log(`[AUTH] User ${session.user.id} signed in with password from ${getClientIP(req)}`);
+
+    return res.json({
+      success: true,
+      access_token: session.accessToken,
+      refresh_token: session.refreshToken,
+      expires_at: session.expiresAt,
+      expires_in: session.expiresIn,
+      user: session.user
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// GET /api/auth/oauth/callback - Finish an OAuth sign-in and hand the session to the auth page
+// The session is passed in the URL fragment, which browsers never send to a server
+app.get('/api/auth/oauth/callback', async (req, res) => {
+  const codeVerifier = readCookie(req, OAUTH_VERIFIER_COOKIE);
+  res.clearCookie(OAUTH_VERIFIER_COOKIE, { path: '/api/auth/oauth' });
+
+  const redirectWithError = (message) => res.redirect(`/auth#${new URLSearchParams({ error: message })}`);
+
+  try {
+    // The provider or Supabase reports failures (e.g. the user cancelled) as query parameters
+    if (req.query.error) {
+      console.log(`[AUTH] OAuth sign-in cancelled or rejected: ${req.query.error}`);
+      return redirectWithError(req.query.error_description || 'Sign-in was cancelled');
+    }
+
+    const attempt = reserveLoginAttempt(req, null);
+    if (!attempt.allowed) {
+      return redirectWithError('Too many failed sign-in attempts. Please try again later.');
+    }
+
+    let session;
+    try {
+      session = await completeOAuthSignIn({ code: req.query.code, codeVerifier });
+    } catch (signInError) {
+      if (signInError.message === 'Invalid or expired OAuth code') {
+        logLoginFailure(req, null, 'invalid OAuth code');
+        return redirectWithError('Sign-in expired. Please try again.');
+      }
+      releaseLoginAttempt(attempt);
+      throw signInError;
+    }
+
+    releaseLoginAttempt(attempt);
+
+    await provisionSignedInUser(session);
+    console.log(`[AUTH] User ${session.user.id} signed in with OAuth from ${getClientIP(req)}`);
+
+    return res.redirect(`/auth#${new URLSearchParams({
+      access_token: session.accessToken,
+      refresh_token: session.refreshToken,
+      expires_at: String(session.expiresAt)
+    })}`);
+  } catch (error) {
+    console.error('Error in /api/auth/oauth/callback:', error);
+    return redirectWithError('An unexpected error occurred');
+  }
+});
+
+// GET /api/auth/oauth/:provider - Start an OAuth sign-in (google, github) with Supabase's PKCE flow
+app.get('/api/auth/oauth/:provider', async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+
+    if (!OAUTH_PROVIDERS.includes(provider)) {
+      return sendError(res, 'VALIDATION_ERROR', `Invalid provider: must be one of ${OAUTH_PROVIDERS.join(', ')}`);
+    }
+
+    const { url, codeVerifier } = await startOAuthSignIn({
+      provider,
+      redirectTo: `${req.protocol}://${req.get('host')}/api/auth/oauth/callback`
+    });
+
+    // The verifier stays in an httpOnly cookie so page scripts never see it
+    res.cookie(OAUTH_VERIFIER_COOKIE, codeVerifier, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      path: '/api/auth/oauth',
+      maxAge: OAUTH_VERIFIER_MAX_AGE_MS
+    });
+
+    return res.redirect(url);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// POST /api/credits/add - Admin-only endpoint to add credits to a user
+app.post('/api/credits/add', async (req, res, next) => {
+  try {
+    const { email, credits, secret } = req.body;
+
+    // Validate secret
+    if (!secret || secret !== process.env.ADMIN_SECRET) {
+      return sendError(res, 'ADMIN_REQUIRED', 'Unauthorized');
+    }
+
+    // Validate required fields - reject with 401 for invalid requests
+    if (!email || typeof email !== 'string' || !email.trim()) {
+      return sendError(res, 'ADMIN_REQUIRED', 'Unauthorized');
+    }
+
+    if (typeof credits !== 'number' || credits <= 0 || !Number.isInteger(credits)) {
+      return sendError(res, 'ADMIN_REQUIRED', 'Unauthorized');
+    }
+
+    // Credit top-ups run through the service-role client (add_credits is not callable by users)
+    if (!supabaseAdmin) {
+      return sendError(res, 'INTERNAL_ERROR', 'Internal server error');
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    // Validate email exists by finding user
+    const { data: userData, error: findError } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('email', normalizedEmail)
+      .single();
+
+    if (findError || !userData || !userData.id) {
+      return sendError(res, 'ADMIN_REQUIRED', 'Unauthorized');
+    }
+
+    // Atomically increment credits (single database increment, recorded in the ledger)
+    const updatedCredits = await addCredits({
+      userId: userData.id,
+      amount: credits,
+      metadata: { via: '/api/credits/add' }
+    });
+
+    // Return success response
+    return res.json({
+      success: true,
+      email: normalizedEmail,
+      creditsAdded: credits,
+      totalCredits: updatedCredits
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// GET /api/credits/history - Page through the caller's credit ledger
+app.get('/api/credits/history', requireAuth, async (req, res, next) => {
+  try {
+    const { entries, nextCursor } = await getLedgerEntries({
+      client: req.auth.authenticatedClient,
+      userId: req.auth.userId,
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+
+    return res.json({ entries, nextCursor });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// GET /api/admin/credits/history - Admin-only ledger lookup by email (support disputes)
+app.get('/api/admin/credits/history', async (req, res, next) => {
+  try {
+    const secret = req.headers['x-admin-secret'];
+    const { email } = req.query;
+
+    // Validate secret
+    if (!secret || secret !== process.env.ADMIN_SECRET) {
+      return sendError(res, 'ADMIN_REQUIRED', 'Unauthorized');
+    }
+
+    if (!email || typeof email !== 'string' || !email.trim()) {
+      return sendError(res, 'VALIDATION_ERROR', 'email is required');
+    }
+
+    if (!supabaseAdmin) {
+      return sendError(res, 'SERVICE_UNAVAILABLE', 'SUPABASE_SERVICE_ROLE_KEY not configured');
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const { data: userData, error: findError } = await supabaseAdmin
+      .from('users')
+      .select('id, credits, daily_credits_used')
+      .eq('email', normalizedEmail)
+      .single();
+
+    if (findError || !userData) {
+      return sendError(res, 'NOT_FOUND', 'User not found');
+    }
+
+    const { entries, nextCursor } = await getLedgerEntries({
+      client: supabaseAdmin,
+      userId: userData.id,
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+
+    return res.json({
+      email: normalizedEmail,
+      currentCredits: userData.credits ?? 0,
+      currentDailyCreditsUsed: userData.daily_credits_used ?? 0,
+      entries,
+      nextCursor
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// GET /api/admin/usage - Admin-only LLM cost breakdown by day, mode, plan and user
+// Query: from, to (ISO dates, default: the last 30 days), users (top spenders to list, default 50)
+app.get('/api/admin/usage', async (req, res, next) => {
+  try {
+    const secret = req.headers['x-admin-secret'];
+
+    // Validate secret
+    if (!secret || secret !== process.env.ADMIN_SECRET) {
+      return sendError(res, 'ADMIN_REQUIRED', 'Unauthorized');
+    }
+
+    if (!supabaseAdmin) {
+      return sendError(res, 'SERVICE_UNAVAILABLE', 'SUPABASE_SERVICE_ROLE_KEY not configured');
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      return sendError(res, 'VALIDATION_ERROR', 'Invalid date range: from and to must be ISO dates with from before to');
+    }
+
+    const summary = await getUsageSummary({ from, to, userLimit: req.query.users });
+
+    // Label the top spenders with their email for support lookups
+    const userIds = summary.byUser.map((entry) => entry.key);
+    if (userIds.length > 0) {
+      const { data: users } = await supabaseAdmin
+        .from('users')
+        .select(`id, email, ${PLAN_COLUMNS}`)
+        .in('id', userIds);
+      const usersById = new Map((users || []).map((user) => [user.id, user]));
+      summary.byUser = summary.byUser.map((entry) => ({
+        ...entry,
+        email: usersById.get(entry.key)?.email || null,
+        currentPlan: usersById.has(entry.key) ? resolvePlanName(usersById.get(entry.key)) : null
+      }));
+    }
+
+    return res.json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      ...summary
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// POST /api/billing/checkout - Start a Pro subscription checkout for the caller
+app.post('/api/billing/checkout', requireAuth, async (req, res) => {
+  try {
+    const { user } = req.auth;
+
+    if (!process.env.STRIPE_SECRET_KEY || !process.env.STRIPE_PRO_PRICE_ID) {
+      return sendError(res, 'SERVICE_UNAVAILABLE', 'Billing is not configured');
+    }
+
+    // Checkout returns the user to the app, which re-reads /api/me
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const session = await createCheckoutSession({
+      userId: user.userId,
+      email: user.email,
+      successUrl: `${origin}/app?checkout=success`,
+      cancelUrl: `${origin}/app?checkout=cancel`
+    });
+
+    return res.json({ id: session.id, url: session.url });
+  } catch (error) {
+    console.error('Error creating checkout session:', error);
+    return sendError(res, 'INTERNAL_ERROR', 'Failed to start checkout');
+  }
+});
+
+// POST /api/billing/webhook - Billing provider webhook (subscription lifecycle)
+// Pro status is only ever changed here, from signed events
+app.post('/api/billing/webhook', async (req, res) => {
+  let event;
+  try {
+    event = verifyWebhookEvent(
+      req.rawBody ? req.rawBody.toString('utf8') : '',
+      req.headers['stripe-signature'],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (error) {
+    console.warn('[BILLING] Rejected webhook:', error.message);
+    return sendError(res, 'VALIDATION_ERROR', error.message);
+  }
+
+  try {
+    const result = await applyBillingEvent(event);
+    return res.json({ received: true, handled: result.handled });
+  } catch (error) {
+    // A 500 makes the provider retry the delivery
+    console.error('[BILLING] Failed to apply webhook event:', error);
+    return sendError(res, 'INTERNAL_ERROR', 'Failed to process event');
+  }
+});
+
+// Anonymous credit tracking (see anonymousHelpers.js)
+// Keyed by a server-issued signed anonymous ID, with the client IP as a secondary limit
+
+// Helper to get client IP
+// Forwarded headers are only honoured for proxies listed in TRUST_PROXY (see app.set('trust proxy'))
+function getClientIP(req) {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+// Helper to get whose cached rewrites a caller may be served: their account, their anonymous ID,
+// or their IP for anonymous callers that have no valid ID yet (no new ID is issued here)
+function getCacheScope(req, caller) {
+  if (!caller.isAnonymous) {
+    return `user:${caller.userId}`;
+  }
+  const anonymousId = verifyAnonymousId(req.headers[ANONYMOUS_ID_HEADER]);
+  return anonymousId ? `anon:${anonymousId}` : `ip:${getClientIP(req)}`;
+}
+
+// Maximum time to wait for the LLM before refunding and failing the request
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 30000;
+
+// Helper to abort an in-flight LLM call on timeout or client disconnect
+// Requests making several calls pass one createDisconnectSignal(res) to all of them, so calls
+// started after the client has gone are aborted too ('close' only fires once).
+function createLLMAbortSignal(res, disconnected = null) {
+  const controller = new AbortController();
+  let abortReason = null;
+
+  const timer = setTimeout(() => {
+    abortReason = 'timeout';
+    controller.abort();
+  }, LLM_TIMEOUT_MS);
+
+  const onDisconnect = () => {
+    abortReason = abortReason || 'client_disconnected';
+    controller.abort();
+  };
+
+  // 'close' also fires after a normal response, so only treat it as a disconnect before the end
+  const onClose = () => {
+    if (!res.writableEnded) {
+      onDisconnect();
+    }
+  };
+
+  if (!disconnected) {
+    res.on('close', onClose);
+  } else if (disconnected.aborted) {
+    onDisconnect();
+  } else {
+    disconnected.addEventListener('abort', onDisconnect);
+  }
+
+  return {
+    signal: controller.signal,
+    get reason() {
+      return abortReason;
+    },
+    cleanup() {
+      clearTimeout(timer);
+      res.off('close', onClose);
+      disconnected?.removeEventListener('abort', onDisconnect);
+    }
+  };
+}
+
+// Helper to get a signal that aborts when the client disconnects before the response is finished
+function createDisconnectSignal(res) {
+  const controller = new AbortController();
+  const onClose = () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  };
+
+  if (res.destroyed) {
+    onClose();
+  } else {
+    res.once('close', onClose);
+  }
+  return controller.signal;
+}
+
+// Display names for modes in error messages
+const MODE_LABELS = {
+  improve: 'Improve',
+  refine: 'Refine',
+  followup: 'Follow-up',
+  custom: 'Custom mode',
+  analyze: 'Prompt analysis',
+  explain: 'Change explanation',
+  batch: 'Batch improvement'
+};
+
+// Helper to check whether the client opted into Server-Sent Events streaming
+// (Accept: text/event-stream, ?stream=1 or { stream: true } in the body)
+function wantsEventStream(req) {
+  const accept = req.headers.accept || '';
+  const queryStream = req.query.stream;
+  return accept.includes('text/event-stream') ||
+         queryStream === '1' || queryStream === 'true' ||
+         req.body?.stream === true;
+}
+
+// Helper to write a single Server-Sent Event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Helper to start a Server-Sent Events response
+function startEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+}
+
+// Helper to clean up model output - matching extension logic exactly
+function cleanImprovedPrompt(text) {
+  let cleaned = text.trim();
+  // Strip surrounding quotes if present (matching extension behavior)
+  if ((cleaned.startsWith('"') && cleaned.endsWith('"')) ||
+      (cleaned.startsWith("'") && cleaned.endsWith("'"))) {
+    cleaned = cleaned.slice(1, -1);
+  }
+  // Remove markdown code blocks if present
+  cleaned = cleaned.replace(/^```[\w]*\n?/g, '').replace(/\n?```$/g, '');
+  return cleaned.trim();
+}
+
+// Helper to save an improved prompt without failing the request
+// Returns the saved prompt's ID, or null if it could not be saved
+async function saveImprovedPrompt({ authenticatedClient, userId, originalPrompt, improvedPrompt, target }) {
+  try {
+    return await savePrompt({
+      authenticatedClient,
+      userId,
+      inputText: originalPrompt.trim(),
+      outputText: improvedPrompt,
+      target
+    });
+  } catch (saveError) {
+    console.error('Error saving prompt:', saveError);
+    // Continue even if save fails - credits are already deducted
+    return null;
+  }
+}
+
+// Helper to record the tokens, latency and cost of one LLM call
+// Callers don't await it: usage accounting never delays or fails a response.
+// finishedAt defaults to now, for calls recorded as soon as they return.
+function recordPromptUsage({ caller, mode, providerName, completionParams, startedAt, finishedAt, outcome, usage, output, promptId }) {
+  return recordLLMUsage({
+    userId: caller.isAnonymous ? null : caller.userId,
+    planName: caller.planName,
+    mode,
+    provider: providerName,
+    model: usage?.model || completionParams.model,
+    usage: resolveUsage(usage, { messages: completionParams.messages, output }),
+    latencyMs: (finishedAt ?? Date.now()) - startedAt,
+    outcome,
+    promptId
+  });
+}
+
+// Helper to roll back a credit reservation, if the request made one
+async function rollbackReservation(reservation, reason) {
+  if (!reservation) {
+    return { refunded: false };
+  }
+  return reservation.rollback(reason);
+}
+
+// Helper to build the refund fields of an error response
+function refundFields(refund, remainingCredits) {
+  return {
+    refunded: refund.refunded,
+    creditsRemaining: refund.refunded && refund.remainingCredits !== undefined
+      ? refund.remainingCredits
+      : remainingCredits
+  };
+}
+
+// Helper to describe an LLM failure to the client
+function describeLLMFailure(reason, llmError) {
+  if (reason === 'timeout') {
+    return 'LLM request timed out';
+  }
+  if (reason === 'client_disconnected' && !llmError) {
+    return 'Client disconnected before the request started';
+  }
+  return `LLM API error: ${llmError.message}`;
+}
+
+// Helper to shape a completion for recordPromptUsage (nothing for a call that never returned)
+function completionUsage(completion) {
+  return completion ? { usage: { ...completion.usage, model: completion.model }, output: completion.text } : {};
+}
+
+// Helper to fail a prompt request whose LLM call produced no usable result
+// Records each call's usage, refunds the reservation and sends the error: as JSON, as a
+// final "error" event (respond: 'event'), or not at all (respond: false, e.g. batch items).
+// Nothing is sent once the client has gone. Returns the error body.
+async function failPromptCall(res, { reservation, llmAbort, llmError, usageContext, calls = [{}], remainingCredits, label, respond = 'json' }) {
+  llmAbort.cleanup();
+  const failureReason = llmAbort.reason || 'llm_error';
+  console.error(`${label} (${usageContext.providerName}, ${failureReason}):`, llmError);
+  for (const call of calls) {
+    recordPromptUsage({ ...usageContext, ...call, outcome: failureReason });
+  }
+
+  const refund = await rollbackReservation(reservation, failureReason);
+  const code = failureReason === 'timeout' ? 'LLM_TIMEOUT' : 'LLM_ERROR';
+  const message = describeLLMFailure(failureReason, llmError);
+  const fields = refundFields(refund, remainingCredits);
+
+  if (respond === 'event') {
+    if (failureReason !== 'client_disconnected') {
+      sendEvent(res, 'error', errorBody(code, message, fields));
+    }
+    res.end();
+  } else if (respond === 'json' && failureReason !== 'client_disconnected') {
+    sendError(res, code, message, fields);
+  }
+
+  return errorBody(code, message, fields);
+}
+
+// Helper to resolve who is calling a prompt endpoint
+// Uses the caller from optionalAuth (an invalid token counts as anonymous where the anonymous
+// plan allows the mode), resolves the plan, and enforces the plan's allowed modes and rate limit.
+// rateLimitCost is how many prompt requests this one counts as (one per batch item).
+// Returns null once an error response has been sent.
+async function resolvePromptCaller(req, res, { mode, rateLimitCost = 1 }) {
+  // Modes the anonymous plan cannot use (e.g. follow-up) REQUIRE authentication
+  const requiresAuth = !isModeAllowed(getPlan('anonymous'), mode);
+  if (requiresAuth && !req.auth) {
+    if (req.authError) {
+      sendError(res, req.authError, 'Invalid or expired token');
+    } else {
+      sendError(res, 'AUTH_REQUIRED', 'Authentication required. Please log in.');
+    }
+    return null;
+  }
+
+  const user = req.auth?.user || null;
+  const userId = req.auth?.userId || null;
+  const authenticatedClient = req.auth?.authenticatedClient || null;
+  const isAnonymous = !req.auth;
+
+  // Resolve the caller's plan from the plan catalog
+  let planName = 'anonymous';
+  if (!isAnonymous) {
+    try {
+      planName = await getUserPlanName({ authenticatedClient, userId });
+    } catch (planError) {
+      console.error(`[${mode.toUpperCase()}] Error resolving plan for user ${userId}:`, planError);
+      sendError(res, 'INTERNAL_ERROR', 'Failed to verify plan');
+      return null;
+    }
+  }
+  const plan = getPlan(planName);
+
+  // Enforce the plan's allowed modes (e.g. follow-up is Pro-only)
+  if (!isModeAllowed(plan, mode)) {
+    if (isAnonymous) {
+      sendError(res, 'AUTH_REQUIRED', 'Authentication required. Please log in.');
+      return null;
+    }
+    sendError(res, 'PRO_REQUIRED', `${MODE_LABELS[mode] || mode} is not included in the ${plan.label} plan. Upgrade to Pro to use this feature.`);
+    return null;
+  }
+
+  // Enforce the plan's rate limit; a request larger than the whole window can never pass
+  if (rateLimitCost > plan.rateLimit.requests) {
+    sendError(res, 'VALIDATION_ERROR', `At most ${plan.rateLimit.requests} prompts per request on the ${plan.label} plan`);
+    return null;
+  }
+  const rateLimitKey = isAnonymous ? `ip:${getClientIP(req)}` : `user:${userId}`;
+  const rateLimit = consumeRateLimit(rateLimitKey, plan.rateLimit, rateLimitCost);
+  if (!rateLimit.allowed) {
+    res.set('Retry-After', String(rateLimit.retryAfterSeconds));
+    sendError(res, 'RATE_LIMITED', 'Too many requests. Please slow down.', { retryAfterSeconds: rateLimit.retryAfterSeconds });
+    return null;
+  }
+
+  return { user, userId, authenticatedClient, isAnonymous, planName, plan };
+}
+
+// Helper to create the reservation for a Free user's deduction
+// Refunding reports the daily plus bonus credits left, like the deduction does.
+function createUserCreditReservation(caller, { amount, ledgerIds }) {
+  const { userId, authenticatedClient, plan } = caller;
+  return createCreditReservation({
+    amount,
+    refund: async () => {
+      await refundCredits({ userId, ledgerIds });
+      return getTotalCreditsRemaining({ authenticatedClient, userId, dailyLimit: plan.dailyCredits });
+    },
+    label: `user ${userId}`
+  });
+}
+
+// Helper to deduct the credits for a prompt request up front
+// Anonymous callers use the anonymous store, unlimited plans skip credits, and
+// credit-metered plans spend daily credits first, then bonus credits.
+// Returns the reservation (null for unlimited plans) and remaining credits
+// (daily plus bonus for credit-metered plans), or null once an error response has been sent.
+async function reservePromptCredits(req, res, { caller, mode, creditCost }) {
+  const { userId, authenticatedClient, isAnonymous, plan } = caller;
+  let reservation = null;
+
+  // Handle credits: anonymous users vs unlimited plans vs credit-metered plans
+  let remainingCredits;
+  let currentCredits;
+
+  if (isAnonymous) {
+    // Anonymous user credit tracking (by signed anonymous ID and IP)
+    const clientIP = getClientIP(req);
+    const anonymousId = resolveAnonymousId(req, res);
+    currentCredits = await getAnonymousCredits({ anonymousId, ip: clientIP });
+    
+    // Explicit check: If credits <= 0, return error and do NOT proceed
+    if (currentCredits <= 0) {
+      sendError(res, 'INSUFFICIENT_CREDITS', 'No credits remaining. Sign up to get more credits.', { creditsRemaining: currentCredits });
+      return null;
+    }
+
+    // Check if anonymous user has sufficient credits for this operation
+    if (currentCredits < creditCost) {
+      sendError(res, 'INSUFFICIENT_CREDITS', 'No credits remaining. Sign up to get more credits.', { creditsRemaining: currentCredits });
+      return null;
+    }
+
+    // Deduct anonymous credits
+    try {
+      remainingCredits = await deductAnonymousCredits({ anonymousId, ip: clientIP, amount: creditCost });
+      reservation = createCreditReservation({
+        amount: creditCost,
+        refund: () => refundAnonymousCredits({ anonymousId, ip: clientIP, amount: creditCost }),
+        label: `anonymous ID ${anonymousId}`
+      });
+    } catch (deductError) {
+      if (deductError.message === 'Insufficient credits') {
+        sendError(res, 'INSUFFICIENT_CREDITS', 'No credits remaining. Sign up to get more credits.', { creditsRemaining: currentCredits });
+        return null;
+      }
+      sendError(res, 'INTERNAL_ERROR', 'Failed to process credits', { details: deductError.message });
+      return null;
+    }
+  } else if (plan.unlimited) {
+    // Unlimited plans (Pro, Team): Skip all credit checks
+    // Set remainingCredits to a placeholder value (not used for unlimited plans)
+    remainingCredits = -1; // Indicates unlimited
+  } else {
+    // Credit-metered plans (Free): daily credits first, then signup bonus credits
+    const noCreditsMessage = `No credits remaining. You've used your ${plan.dailyCredits} daily credits. Go Pro for unlimited access.`;
+    try {
+      // Reset daily credits if 24 hours have passed
+      await resetDailyCreditsIfNeeded({ authenticatedClient, userId });
+
+      // Get credit info
+      const creditInfo = await getUserCreditInfo({ authenticatedClient, userId });
+      const dailyCreditsAvailable = Math.max(0, plan.dailyCredits - creditInfo.dailyCreditsUsed);
+      const bonusCredits = creditInfo.credits;
+      const totalAvailable = dailyCreditsAvailable + bonusCredits;
+
+      // Check if user has enough credits
+      if (totalAvailable < creditCost) {
+        sendError(res, 'INSUFFICIENT_CREDITS', noCreditsMessage, { creditsRemaining: totalAvailable });
+        return null;
+      }
+
+      // Deduct credits (daily first, then bonus)
+      try {
+        const result = await deductFreeUserCredits({
+          userId,
+          amount: creditCost,
+          dailyLimit: plan.dailyCredits,
+          mode
+        });
+        remainingCredits = result.remainingCredits + result.dailyCreditsRemaining;
+        reservation = createUserCreditReservation(caller, { amount: creditCost, ledgerIds: result.ledgerIds });
+      } catch (deductError) {
+        console.error(`[${mode.toUpperCase()}] Error deducting credits for ${plan.label} user ${userId}:`, deductError);
+        if (deductError.message === 'Insufficient credits') {
+          sendError(res, 'INSUFFICIENT_CREDITS', noCreditsMessage, { creditsRemaining: totalAvailable });
+          return null;
+        }
+        sendError(res, 'INTERNAL_ERROR', 'Failed to process credits', { details: deductError.message });
+        return null;
+      }
+    } catch (creditError) {
+      console.error(`[${mode.toUpperCase()}] Error processing credits for ${plan.label} user ${userId}:`, creditError);
+      sendError(res, 'INTERNAL_ERROR', 'Failed to check credits');
+      return null;
+    }
+  }
+
+  return { reservation, remainingCredits };
+}
+
+// Helper to estimate the input tokens of a prompt request
+// Only the user's content counts (prompt plus context), not the fixed system prompt
+function estimatePromptInputTokens(messages) {
+  return messages
+    .filter((message) => message.role !== 'system')
+    .reduce((total, message) => total + estimateTokens(message.content), 0);
+}
+
+// Helper to send the INPUT_TOO_LARGE error for an input over the plan's limit
+function sendInputTooLarge(res, plan, inputTokens, fields = {}) {
+  return sendError(
+    res,
+    'INPUT_TOO_LARGE',
+    `Prompt is too long for the ${plan.label} plan (about ${inputTokens} tokens, limit ${plan.maxInputTokens}). Shorten it or upgrade for a higher limit.`,
+    { inputTokens, maxInputTokens: plan.maxInputTokens, ...fields }
+  );
+}
+
+// Helper to get a caller's remaining credits without charging anything
+async function peekRemainingCredits(req, res, caller) {
+  if (caller.isAnonymous) {
+    const anonymousId = resolveAnonymousId(req, res);
+    return getAnonymousCredits({ anonymousId, ip: getClientIP(req) });
+  }
+  if (caller.plan.unlimited) {
+    return -1; // Indicates unlimited
+  }
+  return getTotalCreditsRemaining({
+    authenticatedClient: caller.authenticatedClient,
+    userId: caller.userId,
+    dailyLimit: caller.plan.dailyCredits
+  });
+}
+
+// Helper to answer a prompt request from the response cache
+// Hits are free unless RESPONSE_CACHE_CHARGE=charge; cached rewrites are not saved again
+async function sendCachedResponse(req, res, { caller, mode, creditCost, output, sections }) {
+  let remainingCredits;
+  if (CACHE_HITS_CHARGED) {
+    const charge = await reservePromptCredits(req, res, { caller, mode, creditCost });
+    if (!charge) {
+      return;
+    }
+    charge.reservation?.commit();
+    remainingCredits = charge.remainingCredits;
+  } else {
+    remainingCredits = await peekRemainingCredits(req, res, caller);
+  }
+
+  const body = {
+    success: true,
+    output,
+    ...(sections ? { format: 'structured', sections } : {}),
+    creditsRemaining: remainingCredits,
+    quotedCost: CACHE_HITS_CHARGED ? creditCost : 0,
+    refunded: false,
+    cached: true
+  };
+
+  if (wantsEventStream(req)) {
+    startEventStream(res);
+    sendEvent(res, 'token', { delta: output });
+    sendEvent(res, 'done', body);
+    return res.end();
+  }
+
+  return res.json(body);
+}
+
+// POST /api/prompts/improve
+// POST /api/prompts/refine
+// POST /api/prompts/followup
+// Unified endpoint handler for all prompt improvement modes
+async function handlePromptImprovement(req, res, next, mode, customModeId = null) {
+  // Credits deducted for this request, refunded if no improved prompt comes back
+  let reservation = null;
+
+  try {
+    const { original_prompt, previous_prompt } = req.body;
+
+    // Validate required fields
+    if (!original_prompt || !original_prompt.trim()) {
+      return sendError(res, 'VALIDATION_ERROR', 'original_prompt is required');
+    }
+
+    // Validate mode
+    const validModes = [...BUILT_IN_MODES, 'custom'];
+    if (!validModes.includes(mode)) {
+      return sendError(res, 'VALIDATION_ERROR', 'Invalid mode. Must be: improve, refine, or followup');
+    }
+
+    // Candidate rewrites (improve and refine only, returned in one non-streamed response)
+    let variantCount;
+    try {
+      variantCount = parseVariantCount(req.body.variants ?? req.body.n);
+    } catch (variantError) {
+      return sendError(res, 'VALIDATION_ERROR', variantError.message);
+    }
+    if (variantCount > 1 && !VARIANT_MODES.includes(mode)) {
+      return sendError(res, 'VALIDATION_ERROR', 'Variants are only available for improve and refine');
+    }
+    if (variantCount > 1 && wantsEventStream(req)) {
+      return sendError(res, 'VALIDATION_ERROR', 'Variants cannot be streamed');
+    }
+
+    // Follow-up context: a structured conversation, or a single previous_prompt from older extensions
+    let conversation = null;
+    if (mode === 'followup' && req.body.conversation !== undefined) {
+      try {
+        const context = truncateConversation(parseConversation(req.body.conversation));
+        conversation = context.turns;
+      } catch (conversationError) {
+        return sendError(res, 'VALIDATION_ERROR', conversationError.message);
+      }
+    }
+
+    // Where the prompt will be used (improve and refine only), e.g. "claude" or "image"
+    const target = req.body.target || null;
+    if (target && !['improve', 'refine'].includes(mode)) {
+      return sendError(res, 'VALIDATION_ERROR', 'target is only available for improve and refine');
+    }
+    if (target && !PROMPT_TARGETS.includes(target)) {
+      return sendError(res, 'VALIDATION_ERROR', `Invalid target. Must be one of: ${PROMPT_TARGETS.join(', ')}`);
+    }
+
+    // Response format: "structured" returns each part of the prompt as a separate field (improve and refine only)
+    let format;
+    try {
+      format = parseOutputFormat(req.body.format);
+    } catch (formatError) {
+      return sendError(res, 'VALIDATION_ERROR', formatError.message);
+    }
+    if (format === 'structured') {
+      if (!STRUCTURED_MODES.includes(mode)) {
+        return sendError(res, 'VALIDATION_ERROR', 'format "structured" is only available for improve and refine');
+      }
+      if (variantCount > 1) {
+        return sendError(res, 'VALIDATION_ERROR', 'format "structured" cannot be combined with variants');
+      }
+      if (wantsEventStream(req)) {
+        return sendError(res, 'VALIDATION_ERROR', 'format "structured" cannot be streamed');
+      }
+      if (target === 'image') {
+        return sendError(res, 'VALIDATION_ERROR', 'format "structured" is not available for the image target');
+      }
+    }
+
+    // Resolve the caller (token, plan, allowed modes, rate limit)
+    const caller = await resolvePromptCaller(req, res, { mode });
+    if (!caller) {
+      return;
+    }
+    const { userId, authenticatedClient, isAnonymous, planName, plan } = caller;
+
+    // Load the user's custom mode (RLS only returns the caller's own modes)
+    let customMode = null;
+    if (mode === 'custom') {
+      customMode = await getCustomMode({ authenticatedClient, userId, modeId: customModeId });
+      if (!customMode) {
+        return sendError(res, 'NOT_FOUND', 'Custom mode not found');
+      }
+    }
+
+    // Model, temperature and max tokens come from per-mode config (or the custom mode itself)
+    const providerName = getProviderNameForPlan(planName);
+    const modeSettings = customMode
+      ? getCustomModeSettings(customMode, providerName)
+      : getModeSettings(mode, providerName);
+    const { model, temperature } = modeSettings;
+    // Structured replies spend extra tokens on JSON keys and quoting
+    const maxTokens = format === 'structured'
+      ? modeSettings.maxTokens + STRUCTURED_MAX_TOKENS_HEADROOM
+      : modeSettings.maxTokens;
+    const messages = buildPromptMessages({
+      mode,
+      originalPrompt: original_prompt,
+      previousPrompt: previous_prompt,
+      conversation,
+      customMode,
+      target,
+      format
+    });
+
+    // Reject inputs over the plan's limit before anything is charged or sent to the LLM
+    const inputTokens = estimatePromptInputTokens(messages);
+    if (inputTokens > plan.maxInputTokens) {
+      return sendInputTooLarge(res, plan, inputTokens);
+    }
+
+    // Price the request from its size (custom modes set their own cost per block)
+    // Each candidate rewrite is charged as one request
+    const quote = quoteCost(plan, mode, { inputTokens, maxOutputTokens: maxTokens, baseCost: customMode?.credit_cost });
+    const creditCost = quote.credits * variantCount;
+
+    // Response cache: identical re-submits (extension retries, double-clicks) reuse the last rewrite
+    // Variants are never cached since they are meant to differ
+    let cacheKey = null;
+    if (variantCount === 1) {
+      cacheKey = buildCacheKey({
+        scope: getCacheScope(req, caller),
+        mode,
+        promptVersion: PROMPT_VERSION,
+        provider: providerName,
+        settings: { model, temperature, maxTokens },
+        originalPrompt: original_prompt,
+        context: {
+          target,
+          format,
+          previousPrompt: previous_prompt || null,
+          conversation,
+          customMode: customMode ? { id: customMode.id, updatedAt: customMode.updated_at } : null
+        }
+      });
+
+      // { cache: false } in the body or Cache-Control: no-cache skips the lookup (the result is still stored)
+      const bypassCache = req.body.cache === false || (req.headers['cache-control'] || '').includes('no-cache');
+      const cached = bypassCache ? null : await getCachedResponse(cacheKey);
+      if (cached) {
+        return sendCachedResponse(req, res, { caller, mode, creditCost, output: cached.output, sections: cached.sections });
+      }
+    }
+
+    // Deduct credits up front; they are refunded if no improved prompt comes back
+    const charge = await reservePromptCredits(req, res, { caller, mode, creditCost });
+    if (!charge) {
+      return;
+    }
+    reservation = charge.reservation;
+    const { remainingCredits } = charge;
+
+    // Resolve the LLM provider for the caller's plan
+    let provider;
+    try {
+      provider = getLLMProvider(providerName);
+    } catch (providerError) {
+      console.error('LLM provider configuration error:', providerError);
+      const refund = await rollbackReservation(reservation, 'provider_not_configured');
+      return sendError(res, 'INTERNAL_ERROR', 'LLM provider not configured', refundFields(refund, remainingCredits));
+    }
+
+    const completionParams = {
+      model,
+      messages,
+      maxTokens,
+      temperature
+    };
+
+    // Abort the LLM call on timeout or client disconnect so the credits can be refunded
+    const llmAbort = createLLMAbortSignal(res);
+    completionParams.signal = llmAbort.signal;
+
+    const usageContext = { caller, mode, providerName, completionParams, startedAt: Date.now() };
+
+    // Variants mode: several candidates, best first; nothing is saved until the user picks one
+    // Usage is recorded once the outcome is known, so a refunded request has no "success" rows
+    if (variantCount > 1) {
+      const completions = [];
+      let variants;
+      try {
+        variants = await generateVariants({
+          provider,
+          completionParams,
+          count: variantCount,
+          clean: cleanImprovedPrompt,
+          onCompletion: (completion) => completions.push({ completion, finishedAt: Date.now() })
+        });
+      } catch (llmError) {
+        // Candidates that did return still cost tokens, as do the calls that failed
+        const failedCalls = Array.from({ length: variantCount - completions.length }, () => ({}));
+        await failPromptCall(res, {
+          reservation,
+          llmAbort,
+          llmError,
+          usageContext,
+          calls: [...completions.map(({ completion, finishedAt }) => ({ ...completionUsage(completion), finishedAt })), ...failedCalls],
+          remainingCredits,
+          label: 'LLM API variants error'
+        });
+        return;
+      }
+      llmAbort.cleanup();
+      reservation?.commit();
+
+      for (const { completion, finishedAt } of completions) {
+        recordPromptUsage({
+          ...usageContext,
+          finishedAt,
+          outcome: 'success',
+          usage: { ...completion.usage, model: completion.model },
+          output: completion.text
+        });
+      }
+
+      // Stored so the pick can be checked against what was generated (POST /api/prompts/select)
+      let candidatesId = null;
+      if (!isAnonymous && userId && supabaseAdmin) {
+        try {
+          candidatesId = await saveVariantCandidates({ userId, mode, target, originalPrompt: original_prompt.trim(), variants });
+        } catch (saveError) {
+          console.error('Error saving candidates:', saveError);
+        }
+      }
+
+      return res.json({
+        success: true,
+        output: variants[0].output,
+        variants,
+        candidates_id: candidatesId,
+        creditsRemaining: remainingCredits,
+        quotedCost: creditCost,
+        refunded: false,
+        cached: false
+      });
+    }
+
+    // Streaming mode: emit tokens over Server-Sent Events as they arrive
+    if (wantsEventStream(req)) {
+      startEventStream(res);
+
+      let streamedText = '';
+      let improvedPrompt = '';
+      let streamUsage = null;
+      try {
+        const streamParams = { ...completionParams, onUsage: (usage) => { streamUsage = usage; } };
+        for await (const delta of provider.stream(streamParams)) {
+          streamedText += delta;
+          sendEvent(res, 'token', { delta });
+        }
+
+        improvedPrompt = cleanImprovedPrompt(streamedText);
+        if (!improvedPrompt) {
+          throw new Error(`No improved prompt received from ${provider.name}`);
+        }
+      } catch (llmError) {
+        await failPromptCall(res, {
+          reservation,
+          llmAbort,
+          llmError,
+          usageContext,
+          calls: [{ usage: streamUsage, output: streamedText }],
+          remainingCredits,
+          label: 'LLM API streaming error',
+          respond: 'event'
+        });
+        return;
+      }
+      const finishedAt = Date.now();
+      llmAbort.cleanup();
+      reservation?.commit();
+
+      let promptId = null;
+      if (!isAnonymous && authenticatedClient && userId) {
+        promptId = await saveImprovedPrompt({ authenticatedClient, userId, originalPrompt: original_prompt, improvedPrompt, target });
+      }
+      recordPromptUsage({ ...usageContext, finishedAt, outcome: 'success', usage: streamUsage, output: streamedText, promptId });
+      if (cacheKey) {
+        await setCachedResponse(cacheKey, { output: improvedPrompt });
+      }
+
+      // Final event carries the cleaned text, since streamed tokens are raw model output
+      sendEvent(res, 'done', {
+        success: true,
+        output: improvedPrompt,
+        creditsRemaining: remainingCredits,
+        quotedCost: creditCost,
+        refunded: false,
+        cached: false
+      });
+      return res.end();
+    }
+
+    // Structured mode: one field per part of the prompt, validated (and repaired once) before it is returned
+    if (format === 'structured') {
+      const completions = [];
+      let structured;
+      try {
+        structured = await generateStructuredPrompt({
+          provider,
+          completionParams,
+          target,
+          onCompletion: (completion) => completions.push({ completion, finishedAt: Date.now() })
+        });
+      } catch (llmError) {
+        // Malformed output is one of the completions; otherwise the failed call itself still cost tokens
+        const malformed = llmError.message.startsWith('Invalid structured prompt');
+        await failPromptCall(res, {
+          reservation,
+          llmAbort,
+          llmError,
+          usageContext,
+          calls: [
+            ...completions.map(({ completion, finishedAt }) => ({ ...completionUsage(completion), finishedAt })),
+            ...(malformed ? [] : [{}])
+          ],
+          remainingCredits,
+          label: 'LLM API structured error'
+        });
+        return;
+      }
+      llmAbort.cleanup();
+      reservation?.commit();
+
+      let promptId = null;
+      if (!isAnonymous && authenticatedClient && userId) {
+        promptId = await saveImprovedPrompt({ authenticatedClient, userId, originalPrompt: original_prompt, improvedPrompt: structured.output, target });
+      }
+      for (const { completion, finishedAt } of completions) {
+        recordPromptUsage({
+          ...usageContext,
+          finishedAt,
+          outcome: 'success',
+          usage: { ...completion.usage, model: completion.model },
+          output: completion.text,
+          promptId
+        });
+      }
+      if (cacheKey) {
+        await setCachedResponse(cacheKey, { output: structured.output, sections: structured.sections });
+      }
+
+      return res.json({
+        success: true,
+        output: structured.output,
+        format: 'structured',
+        sections: structured.sections,
+        creditsRemaining: remainingCredits,
+        quotedCost: creditCost,
+        refunded: false,
+        cached: false
+      });
+    }
+
+    // Call the LLM provider with the configured parameters
+    let improvedPrompt = '';
+    let completion;
+    try {
+      completion = await provider.complete(completionParams);
+
+      improvedPrompt = cleanImprovedPrompt(completion.text);
+      
+      if (!improvedPrompt) {
+        throw new Error(`No improved prompt received from ${provider.name}`);
+      }
+    } catch (llmError) {
+      await failPromptCall(res, {
+        reservation,
+        llmAbort,
+        llmError,
+        usageContext,
+        calls: [completionUsage(completion)],
+        remainingCredits,
+        label: 'LLM API error'
+      });
+      return;
+    }
+    const finishedAt = Date.now();
+    llmAbort.cleanup();
+    reservation?.commit();
+
+    // Save prompt to database (only for authenticated users)
+    let promptId = null;
+    if (!isAnonymous && authenticatedClient && userId) {
+      promptId = await saveImprovedPrompt({ authenticatedClient, userId, originalPrompt: original_prompt, improvedPrompt, target });
+    }
+    recordPromptUsage({
+      ...usageContext,
+      finishedAt,
+      outcome: 'success',
+      usage: { ...completion.usage, model: completion.model },
+      output: completion.text,
+      promptId
+    });
+    if (cacheKey) {
+      await setCachedResponse(cacheKey, { output: improvedPrompt });
+    }
+
+    // Return improved prompt and remaining credits
     return res.json({
       success: true,
-      email: normalizedEmail,
-      creditsAdded: credits,
-      totalCredits: updatedCredits
+      output: improvedPrompt,
+      creditsRemaining: remainingCredits,
+      quotedCost: creditCost,
+      refunded: false,
+      cached: false
     });
   } catch (error) {
-    return res.status(500).json({ error: 'Internal server error' });
+    // Unexpected failure before the request completed - return any reserved credits
+    await rollbackReservation(reservation, 'unexpected_error');
+
+    // Headers are already sent once a stream has started
+    if (res.headersSent) {
+      console.error(`Error ${mode} prompt (streaming):`, error);
+      sendEvent(res, 'error', errorBody('INTERNAL_ERROR', 'An unexpected error occurred'));
+      return res.end();
+    }
+
+    return next(error);
   }
-});
+}
 
-// Anonymous credit tracking (in-memory, keyed by IP)
-// This provides a simple credit system for anonymous users
-const anonymousCredits = new Map(); // IP -> credits remaining
-const ANONYMOUS_FREE_CREDITS = 5; // Free credits for anonymous users
+// Route handlers for each mode
+app.post('/api/prompts/improve', optionalAuth, (req, res, next) => handlePromptImprovement(req, res, next, 'improve'));
+app.post('/api/prompts/refine', optionalAuth, (req, res, next) => handlePromptImprovement(req, res, next, 'refine'));
+app.post('/api/prompts/followup', optionalAuth, (req, res, next) => handlePromptImprovement(req, res, next, 'followup'));
+
+// POST /api/prompts/run/:modeId - Run a built-in mode by name or one of the caller's custom modes by id
+app.post('/api/prompts/run/:modeId', optionalAuth, (req, res, next) => {
+  const { modeId } = req.params;
+  if (BUILT_IN_MODES.includes(modeId)) {
+    return handlePromptImprovement(req, res, next, modeId);
+  }
+  return handlePromptImprovement(req, res, next, 'custom', modeId);
+});
 
-// Helper to get client IP
-function getClientIP(req) {
-  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() || 
-         req.headers['x-real-ip'] || 
-         req.connection?.remoteAddress || 
-         req.socket?.remoteAddress ||
-         'unknown';
-}
+// Helper to run the charged LLM tier of analyze or explain: one call whose reply is JSON
+// Sizes and prices the request, reserves the credits, calls the model and parses the reply
+// with parse(text); the credits are refunded if no usable reply comes back.
+// Returns { result, remainingCredits, creditCost }, or null once an error response has been sent.
+async function runChargedJSONCall(req, res, { caller, mode, messages, parse }) {
+  // Size the request: over-limit inputs are rejected, the rest priced by size
+  const providerName = getProviderNameForPlan(caller.planName);
+  const { model, temperature, maxTokens } = getModeSettings(mode, providerName);
+  const inputTokens = estimatePromptInputTokens(messages);
+  if (inputTokens > caller.plan.maxInputTokens) {
+    sendInputTooLarge(res, caller.plan, inputTokens);
+    return null;
+  }
+  const creditCost = quoteCost(caller.plan, mode, { inputTokens, maxOutputTokens: maxTokens }).credits;
 
-// Helper to get anonymous credits for an IP
-function getAnonymousCredits(ip) {
-  if (!anonymousCredits.has(ip)) {
-    anonymousCredits.set(ip, ANONYMOUS_FREE_CREDITS);
+  // Deduct credits up front; they are refunded if no result comes back
+  const charge = await reservePromptCredits(req, res, { caller, mode, creditCost });
+  if (!charge) {
+    return null;
   }
-  return anonymousCredits.get(ip);
-}
+  const { reservation, remainingCredits } = charge;
+
+  try {
+    // Resolve the LLM provider for the caller's plan
+    let provider;
+    try {
+      provider = getLLMProvider(providerName);
+    } catch (providerError) {
+      console.error('LLM provider configuration error:', providerError);
+      const refund = await rollbackReservation(reservation, 'provider_not_configured');
+      sendError(res, 'INTERNAL_ERROR', 'LLM provider not configured', refundFields(refund, remainingCredits));
+      return null;
+    }
+
+    const llmAbort = createLLMAbortSignal(res);
+    const completionParams = { model, messages, maxTokens, temperature, signal: llmAbort.signal };
+    const usageContext = { caller, mode, providerName, completionParams, startedAt: Date.now() };
+
+    let result;
+    let completion;
+    try {
+      completion = await provider.complete(completionParams);
+      result = parse(completion.text);
+    } catch (llmError) {
+      await failPromptCall(res, {
+        reservation,
+        llmAbort,
+        llmError,
+        usageContext,
+        calls: [completionUsage(completion)],
+        remainingCredits,
+        label: `LLM API ${mode} error`
+      });
+      return null;
+    }
+    llmAbort.cleanup();
+    reservation?.commit();
+    recordPromptUsage({ ...usageContext, ...completionUsage(completion), outcome: 'success' });
 
-// Helper to deduct anonymous credits
-function deductAnonymousCredits(ip, amount) {
-  const current = getAnonymousCredits(ip);
-  if (current < amount) {
-    throw new Error('Insufficient credits');
+    return { result, remainingCredits, creditCost };
+  } catch (error) {
+    // Unexpected failure before the request completed - return the reserved credits
+    await rollbackReservation(reservation, 'unexpected_error');
+    throw error;
   }
-  const remaining = current - amount;
-  anonymousCredits.set(ip, remaining);
-  return remaining;
 }
 
-// POST /api/prompts/improve
-// POST /api/prompts/refine
-// POST /api/prompts/followup
-// Unified endpoint handler for all prompt improvement modes
-async function handlePromptImprovement(req, res, mode) {
+// POST /api/prompts/estimate - Dry run: what a prompt request would cost, without calling the LLM or charging
+// Body matches the prompt endpoints: original_prompt, mode, target, format, previous_prompt, conversation, variants
+// (improved_prompt for mode "explain"); analyze and explain are quoted at their charged LLM tier
+app.post('/api/prompts/estimate', optionalAuth, async (req, res, next) => {
   try {
-    // Get token from body or Authorization header
-    const token = req.body.token || req.headers.authorization?.replace('Bearer ', '');
-    const { original_prompt, previous_prompt } = req.body;
+    const { original_prompt, improved_prompt, previous_prompt, target } = req.body;
+    const mode = req.body.mode || 'improve';
 
     // Validate required fields
     if (!original_prompt || !original_prompt.trim()) {
-      return res.status(400).json({ error: 'original_prompt is required' });
+      return sendError(res, 'VALIDATION_ERROR', 'original_prompt is required');
     }
 
-    // Validate mode
-    const validModes = ['improve', 'refine', 'followup'];
-    if (!validModes.includes(mode)) {
-      return res.status(400).json({ error: 'Invalid mode. Must be: improve, refine, or followup' });
+    if (![...BUILT_IN_MODES, 'analyze', 'explain'].includes(mode)) {
+      return sendError(res, 'VALIDATION_ERROR', 'Invalid mode. Must be: improve, refine, followup, analyze, or explain');
     }
 
-    // Follow-up REQUIRES authentication
-    if (mode === 'followup') {
-      if (!token) {
-        return res.status(401).json({ error: 'Authentication required. Please log in.' });
-      }
+    if (mode === 'explain' && (!improved_prompt || !improved_prompt.trim())) {
+      return sendError(res, 'VALIDATION_ERROR', 'improved_prompt is required');
     }
 
-    // For improve and refine, token is optional
-    let user = null;
-    let userId = null;
-    let authenticatedClient = null;
-    let isAnonymous = false;
+    if (target && !PROMPT_TARGETS.includes(target)) {
+      return sendError(res, 'VALIDATION_ERROR', `Invalid target. Must be one of: ${PROMPT_TARGETS.join(', ')}`);
+    }
 
-    if (token) {
-      // Try to verify token and get authenticated user
-      try {
-        user = await verifyUserFromToken(token);
-        userId = user.userId;
-
-        // Create a per-request Supabase client with anon key
-        // Pass the user's access token via Authorization header for RLS
-        authenticatedClient = createClient(
-          process.env.SUPABASE_URL,
-          process.env.SUPABASE_ANON_KEY,
-          {
-            global: {
-              headers: {
-                Authorization: `Bearer ${token}`
-              }
-            }
-          }
-        );
-      } catch (authError) {
-        // If token is invalid, treat as anonymous for improve/refine
-        if (mode === 'followup') {
-          return res.status(401).json({ error: 'Invalid or expired token' });
-        }
-        // For improve/refine, continue as anonymous
-        console.log('Invalid token provided, treating as anonymous user');
-        isAnonymous = true;
+    let variantCount;
+    let format;
+    let conversation = null;
+    try {
+      variantCount = parseVariantCount(req.body.variants ?? req.body.n);
+      format = parseOutputFormat(req.body.format);
+      if (mode === 'followup' && req.body.conversation !== undefined) {
+        conversation = truncateConversation(parseConversation(req.body.conversation)).turns;
       }
-    } else {
-      // No token provided - anonymous user
-      isAnonymous = true;
+    } catch (inputError) {
+      return sendError(res, 'VALIDATION_ERROR', inputError.message);
     }
 
-    // Enforce Pro-only access for follow-up mode (requires authentication)
-    // Improve and Refine are available to ALL authenticated users (Free or Pro)
-    if (mode === 'followup') {
-      if (!authenticatedClient || !userId) {
-        return res.status(401).json({ error: 'Authentication required. Please log in.' });
-      }
+    // The caller's plan decides the price; an invalid or missing token is priced as anonymous
+    let planName = 'anonymous';
+    if (req.auth) {
       try {
-        const isPro = await getUserProStatus({ authenticatedClient, userId });
-        if (!isPro) {
-          return res.status(403).json({ 
-            error: 'Follow-up is a Pro feature. Upgrade to Pro to use this feature.' 
-          });
-        }
-      } catch (proError) {
-        console.error('Error checking Pro status:', proError);
-        return res.status(500).json({ error: 'Failed to verify Pro status' });
+        planName = await getUserPlanName({ authenticatedClient: req.auth.authenticatedClient, userId: req.auth.userId });
+      } catch (planError) {
+        console.error('Error resolving plan for estimate, pricing as anonymous:', planError);
       }
     }
-    
-    // For Improve and Refine: Allow authenticated users (Free or Pro) - no plan check
-    if ((mode === 'improve' || mode === 'refine') && !isAnonymous) {
-      console.log(`[CREDITS] ${mode.toUpperCase()} allowed for authenticated user (Free or Pro)`);
+    const plan = getPlan(planName);
+
+    const modeSettings = getModeSettings(mode, getProviderNameForPlan(planName));
+    const maxTokens = format === 'structured' && STRUCTURED_MODES.includes(mode)
+      ? modeSettings.maxTokens + STRUCTURED_MAX_TOKENS_HEADROOM
+      : modeSettings.maxTokens;
+    let messages;
+    if (mode === 'analyze') {
+      messages = buildAnalysisMessages(original_prompt);
+    } else if (mode === 'explain') {
+      messages = buildExplanationMessages(original_prompt, improved_prompt);
+    } else {
+      messages = buildPromptMessages({
+        mode,
+        originalPrompt: original_prompt,
+        previousPrompt: previous_prompt,
+        conversation,
+        target,
+        format: STRUCTURED_MODES.includes(mode) ? format : undefined
+      });
     }
+    const inputTokens = estimatePromptInputTokens(messages);
+    const quote = quoteCost(plan, mode, { inputTokens, maxOutputTokens: maxTokens });
 
-    // Determine credit cost based on mode
-    const creditCosts = {
-      improve: 1,
-      refine: 1,
-      followup: 2
-    };
-    const creditCost = creditCosts[mode] || 1;
+    return res.json({
+      success: true,
+      plan: planName,
+      mode,
+      allowed: isModeAllowed(plan, mode),
+      unlimited: plan.unlimited,
+      inputTokens,
+      maxInputTokens: plan.maxInputTokens,
+      withinLimit: inputTokens <= plan.maxInputTokens,
+      maxOutputTokens: maxTokens,
+      variants: variantCount,
+      quotedCost: quote.credits * variantCount,
+      // Unlimited plans are quoted but never charged
+      creditsCharged: plan.unlimited ? 0 : quote.credits * variantCount
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
 
-    // Handle credits: authenticated users vs anonymous users
-    let remainingCredits;
-    let currentCredits;
+// POST /api/prompts/batch - Improve a list of prompts in one request
+// Each item counts against the rate limit. The total cost is reserved up front in one
+// deduction, and each item's share is refunded if that item fails.
+app.post('/api/prompts/batch', optionalAuth, async (req, res, next) => {
+  try {
 
-    if (isAnonymous) {
-      // Anonymous user credit tracking (by IP)
-      const clientIP = getClientIP(req);
-      currentCredits = getAnonymousCredits(clientIP);
-      console.log(`[${mode.toUpperCase()}] Anonymous user (IP: ${clientIP}) current credits: ${currentCredits}`);
-      
-      // Explicit check: If credits <= 0, return error and do NOT proceed
-      if (currentCredits <= 0) {
-        console.log(`[${mode.toUpperCase()}] Anonymous user (IP: ${clientIP}) has no credits remaining (${currentCredits}). Blocking request.`);
-        return res.status(402).json({ 
-          error: 'No credits remaining. Sign up to get more credits.',
-          creditsRemaining: currentCredits
-        });
-      }
+    // Validate items
+    let items;
+    try {
+      items = parseBatchItems(req.body.items);
+    } catch (batchError) {
+      return sendError(res, 'VALIDATION_ERROR', batchError.message);
+    }
 
-      // Check if anonymous user has sufficient credits for this operation
-      if (currentCredits < creditCost) {
-        console.log(`[${mode.toUpperCase()}] Anonymous user (IP: ${clientIP}) has insufficient credits (${currentCredits} < ${creditCost}). Blocking request.`);
-        return res.status(402).json({ 
-          error: 'No credits remaining. Sign up to get more credits.',
-          creditsRemaining: currentCredits
-        });
+    // Resolve the caller (token, plan, allowed modes, rate limit: one request per item)
+    const caller = await resolvePromptCaller(req, res, { mode: 'batch', rateLimitCost: items.length });
+    if (!caller) {
+      return;
+    }
+    const { userId, authenticatedClient, planName, plan } = caller;
+
+    // Every item's mode must be in the plan
+    const blockedItem = items.find((item) => !isModeAllowed(plan, item.mode));
+    if (blockedItem) {
+      return sendError(res, 'PRO_REQUIRED', `${MODE_LABELS[blockedItem.mode]} is not included in the ${plan.label} plan. Upgrade to Pro to use this feature.`);
+    }
+
+    // Size and price every item; an over-limit item rejects the whole batch before anything runs
+    const providerName = getProviderNameForPlan(planName);
+    const requests = items.map((item) => {
+      const settings = getModeSettings(item.mode, providerName);
+      const messages = buildPromptMessages({
+        mode: item.mode,
+        originalPrompt: item.originalPrompt,
+        previousPrompt: item.previousPrompt,
+        target: item.target
+      });
+      const inputTokens = estimatePromptInputTokens(messages);
+      const { credits } = quoteCost(plan, item.mode, { inputTokens, maxOutputTokens: settings.maxTokens });
+      return { item, settings, messages, inputTokens, creditCost: credits };
+    });
+
+    const oversized = requests.findIndex((request) => request.inputTokens > plan.maxInputTokens);
+    if (oversized !== -1) {
+      return sendInputTooLarge(res, plan, requests[oversized].inputTokens, { index: oversized });
+    }
+
+    // Resolve the LLM provider for the caller's plan before charging anything
+    let provider;
+    try {
+      provider = getLLMProvider(providerName);
+    } catch (providerError) {
+      console.error('LLM provider configuration error:', providerError);
+      return sendError(res, 'INTERNAL_ERROR', 'LLM provider not configured');
+    }
+
+    // Reserve the whole batch at once, so it either has all the credits it needs or is not started
+    const totalCost = requests.reduce((sum, request) => sum + request.creditCost, 0);
+    let reservations = requests.map(() => null);
+    // Balance right after the deduction, reported if the final balance cannot be read
+    let creditsAfterDeduction = null;
+    if (!plan.unlimited) {
+      if (!supabaseAdmin) {
+        return sendError(res, 'SERVICE_UNAVAILABLE', 'Batch prompts are not available');
       }
 
-      // Deduct anonymous credits
       try {
-        console.log(`[${mode.toUpperCase()}] Deducting ${creditCost} anonymous credit(s) for IP ${clientIP}`);
-        remainingCredits = deductAnonymousCredits(clientIP, creditCost);
-        console.log(`[${mode.toUpperCase()}] Anonymous credits deducted successfully. IP ${clientIP} remaining credits: ${remainingCredits}`);
+        const result = await deductFreeUserCreditsBatch({
+          userId,
+          amounts: requests.map((request) => request.creditCost),
+          dailyLimit: plan.dailyCredits,
+          modes: requests.map((request) => request.item.mode)
+        });
+        reservations = requests.map((request, index) => createUserCreditReservation(caller, {
+          amount: request.creditCost,
+          ledgerIds: result.itemLedgerIds[index]
+        }));
+        creditsAfterDeduction = result.remainingCredits + result.dailyCreditsRemaining;
       } catch (deductError) {
         if (deductError.message === 'Insufficient credits') {
-          return res.status(402).json({ 
-            error: 'No credits remaining. Sign up to get more credits.',
-            creditsRemaining: currentCredits
-          });
+          const totalAvailable = await getTotalCreditsRemaining({ authenticatedClient, userId, dailyLimit: plan.dailyCredits });
+          return sendError(res, 'INSUFFICIENT_CREDITS', `Not enough credits for this batch (${totalCost} needed, ${totalAvailable} available).`, { creditsRemaining: totalAvailable });
         }
-        return res.status(500).json({ 
-          error: 'Failed to process credits',
-          details: deductError.message
-        });
+        console.error(`[BATCH] Error deducting credits for ${plan.label} user ${userId}:`, deductError);
+        return sendError(res, 'INTERNAL_ERROR', 'Failed to process credits', { details: deductError.message });
       }
-    } else {
-      // Authenticated user credit tracking (from database)
-      // Check if user is Pro first - Pro users have unlimited usage
-      let isPro = false;
-      try {
-        isPro = await getUserProStatus({ authenticatedClient, userId });
-      } catch (proError) {
-        console.error(`[${mode.toUpperCase()}] Error checking Pro status for user ${userId}:`, proError);
-        // Continue with credit check if Pro check fails
+    }
+
+    // One disconnect signal for the whole batch: items still waiting are refunded instead of started
+    const disconnected = createDisconnectSignal(res);
+
+    const results = await mapWithConcurrency(requests, BATCH_CONCURRENCY, async ({ item, settings, messages, creditCost }, index) => {
+      // Each item's share of the reservation is refunded if that item fails
+      const reservation = reservations[index];
+
+      if (disconnected.aborted) {
+        await rollbackReservation(reservation, 'client_disconnected');
+        return { index, success: false, error: errorBody('LLM_ERROR', describeLLMFailure('client_disconnected')), creditsCharged: 0 };
       }
 
-      // Pro users: Skip all credit checks
-      if (isPro) {
-        console.log(`[${mode.toUpperCase()}] Pro user ${userId} - unlimited usage, skipping credit checks`);
-        // Set remainingCredits to a placeholder value (not used for Pro)
-        remainingCredits = -1; // Indicates unlimited
-      } else {
-        // Free users: Implement daily credits (3/day) + signup bonus (10 one-time)
-        // For Improve/Refine: Use new credit system
-        // For Follow-up: Should not reach here (already checked Pro above)
-        if (mode === 'improve' || mode === 'refine') {
-          try {
-            // Reset daily credits if 24 hours have passed
-            const wasReset = await resetDailyCreditsIfNeeded({ authenticatedClient, userId });
-            if (wasReset) {
-              console.log(`[${mode.toUpperCase()}] Daily credits reset for user ${userId}`);
-            }
-
-            // Get credit info
-            const creditInfo = await getUserCreditInfo({ authenticatedClient, userId });
-            const DAILY_CREDITS = 3;
-            const dailyCreditsAvailable = DAILY_CREDITS - creditInfo.dailyCreditsUsed;
-            const bonusCredits = creditInfo.credits;
-            const totalAvailable = dailyCreditsAvailable + bonusCredits;
-
-            console.log(`[${mode.toUpperCase()}] Free user ${userId} credits - Daily: ${dailyCreditsAvailable}/${DAILY_CREDITS}, Bonus: ${bonusCredits}, Total: ${totalAvailable}`);
-
-            // Check if user has enough credits
-            if (totalAvailable < creditCost) {
-              console.log(`[${mode.toUpperCase()}] Free user ${userId} has insufficient credits (${totalAvailable} < ${creditCost}). Blocking request.`);
-              return res.status(402).json({ 
-                error: 'No credits remaining. You\'ve used your 3 daily credits. Sign up to get 10 bonus credits or go Pro for unlimited access.',
-                creditsRemaining: totalAvailable
-              });
-            }
-
-            // Deduct credits (daily first, then bonus)
-            try {
-              const result = await deductFreeUserCredits({
-                authenticatedClient,
-                userId,
-                amount: creditCost,
-                accessToken: token
-              });
-              remainingCredits = result.remainingCredits;
-              console.log(`[${mode.toUpperCase()}] Credits deducted for Free user ${userId}. Remaining bonus: ${remainingCredits}, Daily remaining: ${result.dailyCreditsRemaining}, Source: ${result.creditSource}`);
-            } catch (deductError) {
-              console.error(`[${mode.toUpperCase()}] Error deducting credits for Free user ${userId}:`, deductError);
-              if (deductError.message === 'Insufficient credits') {
-                return res.status(402).json({ 
-                  error: 'No credits remaining. You\'ve used your 3 daily credits. Sign up to get 10 bonus credits or go Pro for unlimited access.',
-                  creditsRemaining: totalAvailable
-                });
-              }
-              return res.status(500).json({ 
-                error: 'Failed to process credits',
-                details: deductError.message
-              });
-            }
-          } catch (creditError) {
-            console.error(`[${mode.toUpperCase()}] Error processing credits for Free user ${userId}:`, creditError);
-            return res.status(500).json({ error: 'Failed to check credits' });
-          }
-        } else if (mode === 'followup') {
-          // Follow-up: Should not reach here (already checked Pro above)
-          // But if it does, Pro users have unlimited, so this is a safety check
-          console.log(`[${mode.toUpperCase()}] Follow-up for user ${userId} - Pro check already passed, unlimited usage`);
-          remainingCredits = -1; // Indicates unlimited
+      const llmAbort = createLLMAbortSignal(res, disconnected);
+      const completionParams = {
+        model: settings.model,
+        messages,
+        maxTokens: settings.maxTokens,
+        temperature: settings.temperature,
+        signal: llmAbort.signal
+      };
+      const usageContext = { caller, mode: item.mode, providerName, completionParams, startedAt: Date.now() };
+
+      let completion;
+      try {
+        completion = await provider.complete(completionParams);
+
+        const output = cleanImprovedPrompt(completion.text);
+        if (!output) {
+          throw new Error(`No improved prompt received from ${provider.name}`);
         }
+        const finishedAt = Date.now();
+        llmAbort.cleanup();
+        reservation?.commit();
+
+        const promptId = await saveImprovedPrompt({
+          authenticatedClient,
+          userId,
+          originalPrompt: item.originalPrompt,
+          improvedPrompt: output,
+          target: item.target
+        });
+        recordPromptUsage({
+          ...usageContext,
+          finishedAt,
+          outcome: 'success',
+          usage: { ...completion.usage, model: completion.model },
+          output: completion.text,
+          promptId
+        });
+
+        return {
+          index,
+          success: true,
+          mode: item.mode,
+          output,
+          creditsCharged: reservation ? creditCost : 0
+        };
+      } catch (llmError) {
+        const { error } = await failPromptCall(res, {
+          reservation,
+          llmAbort,
+          llmError,
+          usageContext,
+          calls: [completionUsage(completion)],
+          label: `[BATCH] Item ${index} failed`,
+          respond: false
+        });
+        return { index, success: false, error, creditsCharged: 0 };
       }
+    });
+
+    // Nobody is listening once the client has gone
+    if (res.writableEnded || res.destroyed) {
+      return;
     }
 
-    // Check if OpenAI is configured
-    if (!openai) {
-      return res.status(500).json({ error: 'OpenAI API not configured' });
-    }
-
-    // System prompts matching the extension logic exactly
-    const SYSTEM_PROMPT_IMPROVE = `You are a professional prompt editor.
-
-Rewrite the user's input into a clear, high-quality AI prompt using this structure:
-- Role or perspective
-- Specific task or action
-- Relevant context or assumptions
-- Desired output format
-- Constraints or quality guidelines
-- Clear success goal
-
-Example:
-Input: "help me with instagram content"
-Improved:
-"You are a content strategist. Create a 7-day Instagram content plan for beginner freelancers struggling to get clients. Return the output as a table with hooks, post ideas, and CTAs. Keep hooks under 8 words. The goal is to attract inbound DMs."
-
-Rules:
-- Preserve the user's original intent.
-- If details are missing, make reasonable assumptions instead of asking questions.
-- Keep the prompt concise and practical.
-- Do NOT answer the prompt.
-- Do NOT explain your changes.
-
-Return ONLY the improved prompt text.`;
-
-    const SYSTEM_PROMPT_REFINE = `You are a prompt refinement assistant.
-
-Take the user's prompt and produce a clearer, more specific, and higher-quality version.
-
-Rules:
-- Preserve the user's original intent and meaning
-- Make the prompt more precise and actionable
-- Add clarity where needed without changing the core purpose
-- Improve specificity and remove ambiguity
-- Keep the prompt concise and practical
-- Do NOT answer the prompt
-- Do NOT add explanations
-- Do NOT change the fundamental task or goal
-
-Return ONLY the refined prompt text.`;
-
-    const SYSTEM_PROMPT_FOLLOWUP = `You are rewriting a follow-up prompt in an ongoing conversation.
-
-Rewrite the user's input so it clearly continues the previous task or discussion.
-
-Rules:
-- Preserve the original topic, scope, and criteria.
-- Do NOT introduce a new role, task, or format unless explicitly requested.
-- Do NOT generalize or reset the task.
-- Make the follow-up self-contained and unambiguous.
-- Keep it concise.
-
-Return ONLY the rewritten follow-up prompt.`;
-
-    // Build the prompt based on mode (matching extension logic exactly)
-    let systemMessage = '';
-    let userMessage = '';
-    let model = 'gpt-4o-mini';
-    let temperature = 0.35;
-    let maxTokens = 250;
-
-    if (mode === 'improve') {
-      systemMessage = SYSTEM_PROMPT_IMPROVE;
-      userMessage = original_prompt.trim();
-      temperature = 0.35;
-      maxTokens = 250;
-    } else if (mode === 'refine') {
-      systemMessage = SYSTEM_PROMPT_REFINE;
-      userMessage = original_prompt.trim();
-      temperature = 0.35;
-      maxTokens = 250;
-    } else if (mode === 'followup') {
-      systemMessage = SYSTEM_PROMPT_FOLLOWUP;
-      // Build context from previous messages (matching extension logic)
-      if (previous_prompt && previous_prompt.trim()) {
-        userMessage = `Previous user message: "${previous_prompt.trim()}"\n\nCurrent user input: "${original_prompt.trim()}"`;
-      } else {
-        userMessage = `Current user input: "${original_prompt.trim()}"`;
+    let creditsRemaining = -1; // Indicates unlimited
+    if (!plan.unlimited) {
+      try {
+        creditsRemaining = await getTotalCreditsRemaining({ authenticatedClient, userId, dailyLimit: plan.dailyCredits });
+      } catch (balanceError) {
+        // The items are paid for (or refunded) already, so their results are sent regardless;
+        // the deduction's balance is only exact when no item was refunded
+        console.error(`[BATCH] Error reading credits remaining for user ${userId}:`, balanceError);
+        creditsRemaining = results.every((result) => result.success) ? creditsAfterDeduction : null;
       }
-      temperature = 0.35;
-      maxTokens = 300;
     }
 
-    // Call OpenAI API with exact parameters from extension
-    let improvedPrompt = '';
-    try {
-      const completion = await openai.chat.completions.create({
-        model: model,
-        messages: [
-          {
-            role: 'system',
-            content: systemMessage
-          },
-          {
-            role: 'user',
-            content: userMessage
-          }
-        ],
-        max_tokens: maxTokens,
-        temperature: temperature
-      });
+    const succeeded = results.filter((result) => result.success).length;
+    const summary = {
+      succeeded,
+      failed: results.length - succeeded,
+      quotedCost: totalCost,
+      creditsCharged: results.reduce((sum, result) => sum + result.creditsCharged, 0),
+      creditsRemaining,
+      results
+    };
 
-      improvedPrompt = completion.choices[0]?.message?.content || '';
-      
-      // Clean up the response - matching extension logic exactly
-      improvedPrompt = improvedPrompt.trim();
-      // Strip surrounding quotes if present (matching extension behavior)
-      if ((improvedPrompt.startsWith('"') && improvedPrompt.endsWith('"')) ||
-          (improvedPrompt.startsWith("'") && improvedPrompt.endsWith("'"))) {
-        improvedPrompt = improvedPrompt.slice(1, -1);
-      }
-      // Remove markdown code blocks if present
-      improvedPrompt = improvedPrompt.replace(/^```[\w]*\n?/g, '').replace(/\n?```$/g, '');
-      improvedPrompt = improvedPrompt.trim();
-      
-      if (!improvedPrompt) {
-        throw new Error('No improved prompt received from OpenAI');
-      }
-    } catch (openaiError) {
-      console.error('OpenAI API error:', openaiError);
-      return res.status(500).json({ error: `OpenAI API error: ${openaiError.message}` });
+    // A batch where nothing worked fails like a single prompt would, with the first item's error
+    if (succeeded === 0) {
+      return sendError(res, results[0].error.code, `All ${results.length} prompts failed: ${results[0].error.message}`, summary);
     }
 
-    // Save prompt to database (only for authenticated users)
-    if (!isAnonymous && authenticatedClient && userId) {
-      try {
-        await savePrompt({
-          authenticatedClient,
-          userId,
-          inputText: original_prompt.trim(),
-          outputText: improvedPrompt
-        });
-      } catch (saveError) {
-        console.error('Error saving prompt:', saveError);
-        // Continue even if save fails - credits are already deducted
-      }
+    return res.json({ success: true, ...summary });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// POST /api/prompts/analyze - Score a prompt against the improve structure before spending credits
+// tier "heuristic" (default) is free and makes no LLM call; tier "llm" is graded by the model and costs credits
+app.post('/api/prompts/analyze', optionalAuth, async (req, res, next) => {
+  try {
+    const { original_prompt, tier = 'heuristic' } = req.body;
+
+    // Validate required fields
+    if (!original_prompt || !original_prompt.trim()) {
+      return sendError(res, 'VALIDATION_ERROR', 'original_prompt is required');
+    }
+
+    if (!['heuristic', 'llm'].includes(tier)) {
+      return sendError(res, 'VALIDATION_ERROR', 'Invalid tier. Must be: heuristic or llm');
+    }
+
+    // Heuristic tier: deterministic, free, no account needed
+    if (tier === 'heuristic') {
+      return res.json({ success: true, tier, ...analyzePrompt(original_prompt) });
+    }
+
+    // Resolve the caller (token, plan, allowed modes, rate limit)
+    const caller = await resolvePromptCaller(req, res, { mode: 'analyze' });
+    if (!caller) {
+      return;
+    }
+
+    const call = await runChargedJSONCall(req, res, {
+      caller,
+      mode: 'analyze',
+      messages: buildAnalysisMessages(original_prompt),
+      parse: (text) => normalizeAnalysis(parseModelJSON(text), original_prompt)
+    });
+    if (!call) {
+      return;
     }
 
-    // Return improved prompt and remaining credits
     return res.json({
       success: true,
-      output: improvedPrompt,
-      creditsRemaining: remainingCredits
+      tier,
+      ...call.result,
+      creditsRemaining: call.remainingCredits,
+      quotedCost: call.creditCost,
+      refunded: false
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// POST /api/prompts/explain - What a rewrite changed, for a review view
+// Tier "diff" (default) returns a word-level diff for free; tier "llm" adds reasons grouped by category (charged)
+app.post('/api/prompts/explain', optionalAuth, async (req, res, next) => {
+  try {
+    const { original_prompt, improved_prompt, tier = 'diff' } = req.body;
+
+    // Validate required fields
+    if (!original_prompt || !original_prompt.trim()) {
+      return sendError(res, 'VALIDATION_ERROR', 'original_prompt is required');
+    }
+
+    if (!improved_prompt || !improved_prompt.trim()) {
+      return sendError(res, 'VALIDATION_ERROR', 'improved_prompt is required');
+    }
+
+    if (!['diff', 'llm'].includes(tier)) {
+      return sendError(res, 'VALIDATION_ERROR', 'Invalid tier. Must be: diff or llm');
+    }
+
+    const diff = diffWords(original_prompt.trim(), improved_prompt.trim());
+    const summary = summarizeDiff(diff);
+
+    // Diff tier: deterministic, free, no account needed
+    if (tier === 'diff') {
+      return res.json({ success: true, tier, diff, summary });
+    }
+
+    // Resolve the caller (token, plan, allowed modes, rate limit)
+    const caller = await resolvePromptCaller(req, res, { mode: 'explain' });
+    if (!caller) {
+      return;
+    }
+
+    // Nothing changed, so there is nothing to explain (and nothing to charge)
+    if (summary.added === 0 && summary.removed === 0) {
+      return res.json({ success: true, tier, diff, summary, explanation: [], quotedCost: 0 });
+    }
+
+    const call = await runChargedJSONCall(req, res, {
+      caller,
+      mode: 'explain',
+      messages: buildExplanationMessages(original_prompt, improved_prompt),
+      parse: (text) => normalizeExplanation(parseModelJSON(text))
+    });
+    if (!call) {
+      return;
+    }
+
+    return res.json({
+      success: true,
+      tier,
+      diff,
+      summary,
+      explanation: call.result,
+      creditsRemaining: call.remainingCredits,
+      quotedCost: call.creditCost,
+      refunded: false
     });
   } catch (error) {
-    // Invalid token or authentication error
-    if (error.message.includes('token') || error.message.includes('Invalid')) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+    return next(error);
+  }
+});
+
+// POST /api/prompts/select - Record the candidate rewrite the user picked
+// Body: candidates_id (from the variants response) and variant.index; the stored candidate's
+// text, label and score are saved to prompts and prompt history, never the client's copy
+app.post('/api/prompts/select', requireAuth, async (req, res, next) => {
+  try {
+    const { userId, authenticatedClient } = req.auth;
+    const { candidates_id, variant, output } = req.body;
+
+    // Validate required fields
+    if (typeof candidates_id !== 'string' || !candidates_id || !Number.isInteger(variant?.index)) {
+      return sendError(res, 'VALIDATION_ERROR', 'Missing required fields: candidates_id, variant.index');
+    }
+
+    if (!supabaseAdmin) {
+      return sendError(res, 'SERVICE_UNAVAILABLE', 'Picking a variant is not available');
+    }
+
+    let pick;
+    try {
+      // Older clients also send the text; it must be the candidate that was generated
+      pick = await selectVariantCandidate({ userId, candidatesId: candidates_id, index: variant.index, output });
+    } catch (selectError) {
+      if (selectError.message === 'Candidates not found') {
+        return sendError(res, 'NOT_FOUND', 'Candidates not found, expired or already picked from');
+      }
+      if (selectError.message === 'Invalid candidate index') {
+        return sendError(res, 'VALIDATION_ERROR', 'variant.index does not match a generated candidate');
+      }
+      if (selectError.message === 'Output does not match the candidate') {
+        return sendError(res, 'VALIDATION_ERROR', 'output does not match the generated candidate');
+      }
+      throw selectError;
     }
 
-    // Other errors
-    console.error(`Error ${mode} prompt:`, error);
-    return res.status(500).json({ error: error.message });
+    const picked = {
+      index: pick.candidate.index,
+      label: pick.candidate.label,
+      score: pick.candidate.score,
+      count: pick.count
+    };
+
+    await savePrompt({
+      authenticatedClient,
+      userId,
+      inputText: pick.originalPrompt,
+      outputText: pick.candidate.output,
+      variant: picked,
+      target: pick.target
+    });
+
+    await savePromptHistory({
+      authenticatedClient,
+      userId,
+      type: pick.mode,
+      originalInput: pick.originalPrompt,
+      finalPrompt: pick.candidate.output,
+      variant: picked,
+      target: pick.target
+    });
+
+    return res.json({ success: true });
+  } catch (error) {
+    return next(error);
   }
-}
+});
 
-// Route handlers for each mode
-app.post('/api/prompts/improve', (req, res) => handlePromptImprovement(req, res, 'improve'));
-app.post('/api/prompts/refine', (req, res) => handlePromptImprovement(req, res, 'refine'));
-app.post('/api/prompts/followup', (req, res) => handlePromptImprovement(req, res, 'followup'));
+// Errors passed on with next(error), in the error envelope
+app.use(errorHandler);
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startAccountDeletionSweeper();
 });
 
@@ -0,0 +1,131 @@
+import { PROMPT_DIMENSIONS } from './promptScoring.js';
+import { parseModelJSON } from './modelOutput.js';
+
+// Response formats for prompt rewrites (opt-in `format` on improve and refine)
+export const OUTPUT_FORMATS = ['text', 'structured'];
+
+// Modes whose rewrite follows the role/task/context/format/constraints/goal structure
+export const STRUCTURED_MODES = ['improve', 'refine'];
+
+// Sections of a structured prompt, in assembly order
+export const PROMPT_SECTIONS = PROMPT_DIMENSIONS.map((dimension) => dimension.key);
+
+// Extra output tokens for the JSON keys and quoting around the sections
+export const STRUCTURED_MAX_TOKENS_HEADROOM = 100;
+
+// Longest accepted section, in characters
+const MAX_SECTION_LENGTH = 2000;
+
+// Follow-up calls asking the model to fix malformed output before the request fails
+const REPAIR_ATTEMPTS = 1;
+
+/**
+ * Parses the requested response format
+ * @param {*} value - Value from the request body
+ * @returns {string} "text" (default) or "structured"
+ * @throws {Error} If the value is not a known format
+ */
+export function parseOutputFormat(value) {
+  if (value === undefined || value === null || value === '') {
+    return 'text';
+  }
+
+  if (!OUTPUT_FORMATS.includes(value)) {
+    throw new Error(`Invalid format: must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  return value;
+}
+
+/**
+ * Validates a structured prompt returned by the model
+ * Every section must be a string; "task" must not be empty. Unknown fields are dropped.
+ * @param {*} raw - Parsed model output
+ * @returns {Object} Sections keyed by PROMPT_SECTIONS, trimmed ("" when a section does not apply)
+ * @throws {Error} Describing the first problem found
+ */
+export function validateStructuredPrompt(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Structured prompt must be a JSON object');
+  }
+
+  const sections = {};
+  for (const key of PROMPT_SECTIONS) {
+    const value = raw[key] ?? '';
+    if (typeof value !== 'string') {
+      throw new Error(`Structured prompt field "${key}" must be a string`);
+    }
+    if (value.length > MAX_SECTION_LENGTH) {
+      throw new Error(`Structured prompt field "${key}" must be at most ${MAX_SECTION_LENGTH} characters`);
+    }
+    sections[key] = value.trim();
+  }
+
+  if (!sections.task) {
+    throw new Error('Structured prompt field "task" is required');
+  }
+
+  return sections;
+}
+
+/**
+ * Assembles structured sections into prompt text
+ * Sections are joined in PROMPT_SECTIONS order; for Claude each one is wrapped in an XML tag.
+ * @param {Object} sections - Sections from validateStructuredPrompt()
+ * @param {string} [target] - Where the prompt will be used (see PROMPT_TARGETS)
+ * @returns {string} Prompt text
+ */
+export function assembleStructuredPrompt(sections, target) {
+  const keys = PROMPT_SECTIONS.filter((key) => sections[key]);
+
+  if (target === 'claude') {
+    return keys.map((key) => `<${key}>\n${sections[key]}\n</${key}>`).join('\n');
+  }
+
+  return keys.map((key) => sections[key]).join('\n\n');
+}
+
+/**
+ * Generates a structured rewrite, asking the model to repair malformed output
+ * The messages must already ask for structured output (buildPromptMessages with format "structured").
+ * @param {Object} params - Parameters object
+ * @param {Object} params.provider - LLM provider from getLLMProvider()
+ * @param {Object} params.completionParams - Completion parameters (model, messages, signal, ...)
+ * @param {string} [params.target] - Where the prompt will be used, for assembly
+ * @param {Function} [params.onCompletion] - Called with each completion as it returns (usage accounting)
+ * @returns {Promise<{sections: Object, output: string, repaired: boolean}>} Sections and assembled text
+ * @throws {Error} "Invalid structured prompt: ..." if the output is still malformed after repair
+ */
+export async function generateStructuredPrompt({ provider, completionParams, target, onCompletion }) {
+  let messages = completionParams.messages;
+  let lastError;
+
+  for (let attempt = 0; attempt <= REPAIR_ATTEMPTS; attempt++) {
+    const completion = await provider.complete({ ...completionParams, messages });
+    onCompletion?.(completion);
+
+    try {
+      const sections = validateStructuredPrompt(parseModelJSON(completion.text));
+      return {
+        sections,
+        output: assembleStructuredPrompt(sections, target),
+        repaired: attempt > 0
+      };
+    } catch (validationError) {
+      lastError = validationError;
+      console.warn(`[STRUCTURED] Attempt ${attempt + 1} returned malformed output (${provider.name}): ${validationError.message}`);
+
+      // Show the model its own reply and what was wrong with it
+      messages = [
+        ...completionParams.messages,
+        { role: 'assistant', content: completion.text },
+        {
+          role: 'user',
+          content: `Your reply could not be used: ${validationError.message}. Reply again with ONLY the JSON object described above, every field a string and "task" filled in.`
+        }
+      ];
+    }
+  }
+
+  throw new Error(`Invalid structured prompt: ${lastError.message}`);
+}
@@ -0,0 +1,29 @@
+-- Append-only credit ledger
+-- Every grant, deduction, refund and admin adjustment is recorded with the
+-- resulting balance so any user's balance can be reconstructed.
+
+create table if not exists public.credit_ledger (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references public.users (id) on delete cascade,
+  delta integer not null,
+  reason text not null check (reason in ('signup_bonus', 'prompt', 'refund', 'admin_adjustment')),
+  source text not null check (source in ('daily', 'bonus', 'admin')),
+  mode text,
+  balance_after integer not null,
+  daily_credits_used_after integer,
+  metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists credit_ledger_user_id_id_idx
+  on public.credit_ledger (user_id, id desc);
+
+alter table public.credit_ledger enable row level security;
+
+-- Users can read their own ledger; only the service role writes to it
+create policy "Users can read own credit ledger"
+  on public.credit_ledger for select
+  using (auth.uid() = user_id);
+
+-- Ledger rows are never changed or removed
+revoke update, delete on public.credit_ledger from anon, authenticated;
@@ -0,0 +1,355 @@
+-- Atomic credit operations
+-- Each function locks or conditionally updates the user's row and writes the
+-- matching ledger entries in the same transaction, so concurrent requests can
+-- neither spend the same credit twice, drive a balance negative nor lose updates.
+--
+-- Deductions and anything that adds credits (refunds, signup bonus, admin
+-- top-ups) are restricted to the service role; deductions take the daily
+-- limit from the server, which users must not choose.
+--
+-- RLS lets users read and update their own row, so table privileges decide what
+-- they can write. Users cannot insert or update the row directly: credits, the
+-- daily window and the plan only change through these functions or with the
+-- service role.
+
+revoke insert, update on public.users from anon, authenticated;
+
+alter table public.users
+  alter column plan set default 'free';
+
+-- A refund points at the deduction it reverses; unique so it can only happen once
+alter table public.credit_ledger
+  add column if not exists refund_of bigint unique references public.credit_ledger (id);
+
+-- Callers may only touch their own row unless they use the service role
+create or replace function public.assert_credit_owner(p_user_id uuid)
+returns void
+language plpgsql
+stable
+as $$
+begin
+  if coalesce(auth.role(), '') <> 'service_role' and auth.uid() is distinct from p_user_id then
+    raise exception 'Not allowed to change credits for this user' using errcode = '42501';
+  end if;
+end;
+$$;
+
+-- Free users: spend daily credits first, then bonus credits
+create or replace function public.deduct_free_credits(
+  p_user_id uuid,
+  p_amount integer,
+  p_daily_limit integer,
+  p_mode text default null
+)
+returns table (
+  remaining_credits integer,
+  daily_credits_used integer,
+  daily_deducted integer,
+  bonus_deducted integer,
+  ledger_ids bigint[]
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user public.users%rowtype;
+  v_daily_available integer;
+  v_daily integer;
+  v_bonus integer;
+  v_ledger_id bigint;
+  v_ledger_ids bigint[] := '{}';
+begin
+  perform public.assert_credit_owner(p_user_id);
+
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'Deduction amount must be positive';
+  end if;
+
+  -- Row lock serializes concurrent deductions for the same user
+  select * into v_user from public.users where id = p_user_id for update;
+  if not found then
+    raise exception 'User not found' using errcode = 'P0002';
+  end if;
+
+  -- Start a new daily window if the previous one has expired
+  if v_user.daily_reset_at is null or now() >= v_user.daily_reset_at then
+    v_user.daily_credits_used := 0;
+    v_user.daily_reset_at := now() + interval '24 hours';
+  end if;
+
+  v_daily_available := greatest(p_daily_limit - coalesce(v_user.daily_credits_used, 0), 0);
+
+  if v_daily_available + coalesce(v_user.credits, 0) < p_amount then
+    raise exception 'Insufficient credits' using errcode = 'P0001';
+  end if;
+
+  v_daily := least(v_daily_available, p_amount);
+  v_bonus := p_amount - v_daily;
+
+  update public.users
+     set daily_credits_used = coalesce(v_user.daily_credits_used, 0) + v_daily,
+         daily_reset_at = v_user.daily_reset_at,
+         credits = coalesce(v_user.credits, 0) - v_bonus
+   where id = p_user_id;
+
+  if v_daily > 0 then
+    insert into public.credit_ledger (user_id, delta, reason, source, mode, balance_after, daily_credits_used_after)
+    values (p_user_id, -v_daily, 'prompt', 'daily', p_mode, coalesce(v_user.credits, 0) - v_bonus, coalesce(v_user.daily_credits_used, 0) + v_daily)
+    returning id into v_ledger_id;
+    v_ledger_ids := v_ledger_ids || v_ledger_id;
+  end if;
+
+  if v_bonus > 0 then
+    insert into public.credit_ledger (user_id, delta, reason, source, mode, balance_after, daily_credits_used_after)
+    values (p_user_id, -v_bonus, 'prompt', 'bonus', p_mode, coalesce(v_user.credits, 0) - v_bonus, coalesce(v_user.daily_credits_used, 0) + v_daily)
+    returning id into v_ledger_id;
+    v_ledger_ids := v_ledger_ids || v_ledger_id;
+  end if;
+
+  return query select
+    coalesce(v_user.credits, 0) - v_bonus,
+    coalesce(v_user.daily_credits_used, 0) + v_daily,
+    v_daily,
+    v_bonus,
+    v_ledger_ids;
+end;
+$$;
+
+-- Reverse earlier deductions by ledger id; each deduction can be refunded once.
+-- Service role only: users must not be able to refund prompts that succeeded.
+create or replace function public.refund_credits(
+  p_user_id uuid,
+  p_ledger_ids bigint[]
+)
+returns table (
+  remaining_credits integer,
+  daily_credits_used integer,
+  refunded integer
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user public.users%rowtype;
+  v_entry public.credit_ledger%rowtype;
+  v_refunded integer := 0;
+begin
+  perform public.assert_credit_owner(p_user_id);
+
+  select * into v_user from public.users where id = p_user_id for update;
+  if not found then
+    raise exception 'User not found' using errcode = 'P0002';
+  end if;
+
+  for v_entry in
+    select l.* from public.credit_ledger l
+     where l.id = any(p_ledger_ids)
+       and l.user_id = p_user_id
+       and l.reason = 'prompt'
+       and not exists (select 1 from public.credit_ledger r where r.refund_of = l.id)
+     order by l.id
+  loop
+    if v_entry.source = 'daily' then
+      v_user.daily_credits_used := greatest(coalesce(v_user.daily_credits_used, 0) + v_entry.delta, 0);
+    else
+      v_user.credits := coalesce(v_user.credits, 0) - v_entry.delta;
+    end if;
+    v_refunded := v_refunded - v_entry.delta;
+
+    insert into public.credit_ledger (user_id, delta, reason, source, mode, balance_after, daily_credits_used_after, refund_of)
+    values (p_user_id, -v_entry.delta, 'refund', v_entry.source, v_entry.mode, v_user.credits, v_user.daily_credits_used, v_entry.id);
+  end loop;
+
+  update public.users
+     set credits = v_user.credits,
+         daily_credits_used = v_user.daily_credits_used
+   where id = p_user_id;
+
+  return query select coalesce(v_user.credits, 0), coalesce(v_user.daily_credits_used, 0), v_refunded;
+end;
+$$;
+
+-- Bonus-only deduction (no daily allowance)
+create or replace function public.deduct_bonus_credits(
+  p_user_id uuid,
+  p_amount integer,
+  p_mode text default null
+)
+returns table (
+  remaining_credits integer,
+  ledger_ids bigint[]
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_credits integer;
+  v_ledger_id bigint;
+begin
+  perform public.assert_credit_owner(p_user_id);
+
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'Deduction amount must be positive';
+  end if;
+
+  -- Conditional update: succeeds only if the balance still covers the amount
+  update public.users
+     set credits = credits - p_amount
+   where id = p_user_id
+     and credits >= p_amount
+  returning credits into v_credits;
+
+  if not found then
+    raise exception 'Insufficient credits' using errcode = 'P0001';
+  end if;
+
+  insert into public.credit_ledger (user_id, delta, reason, source, mode, balance_after)
+  values (p_user_id, -p_amount, 'prompt', 'bonus', p_mode, v_credits)
+  returning id into v_ledger_id;
+
+  return query select v_credits, array[v_ledger_id];
+end;
+$$;
+
+-- One-time signup bonus; the signup_bonus_given guard makes it safe to call concurrently
+create or replace function public.grant_signup_bonus(
+  p_user_id uuid,
+  p_bonus integer
+)
+returns table (
+  granted boolean,
+  remaining_credits integer
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_credits integer;
+begin
+  perform public.assert_credit_owner(p_user_id);
+
+  update public.users
+     set credits = coalesce(credits, 0) + p_bonus,
+         signup_bonus_given = true
+   where id = p_user_id
+     and coalesce(signup_bonus_given, false) = false
+  returning credits into v_credits;
+
+  if not found then
+    return query select false, (select coalesce(credits, 0) from public.users where id = p_user_id);
+    return;
+  end if;
+
+  insert into public.credit_ledger (user_id, delta, reason, source, balance_after)
+  values (p_user_id, p_bonus, 'signup_bonus', 'bonus', v_credits);
+
+  return query select true, v_credits;
+end;
+$$;
+
+-- Admin top-up (service role only)
+create or replace function public.add_credits(
+  p_user_id uuid,
+  p_amount integer,
+  p_metadata jsonb default '{}'::jsonb
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_credits integer;
+begin
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'Credit amount must be positive';
+  end if;
+
+  update public.users
+     set credits = coalesce(credits, 0) + p_amount
+   where id = p_user_id
+  returning credits into v_credits;
+
+  if not found then
+    raise exception 'User not found' using errcode = 'P0002';
+  end if;
+
+  insert into public.credit_ledger (user_id, delta, reason, source, balance_after, metadata)
+  values (p_user_id, p_amount, 'admin_adjustment', 'admin', v_credits, coalesce(p_metadata, '{}'::jsonb));
+
+  return v_credits;
+end;
+$$;
+
+-- Creates the caller's row with the starting values; false if it already exists
+create or replace function public.create_user_row(
+  p_user_id uuid,
+  p_email text
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.assert_credit_owner(p_user_id);
+
+  insert into public.users (id, email, plan, credits, daily_credits_used, daily_reset_at, signup_bonus_given)
+  values (p_user_id, p_email, 'free', 0, 0, now() + interval '24 hours', false)
+  on conflict (id) do nothing;
+
+  return found;
+end;
+$$;
+
+-- Starts a new daily window if the current one has expired.
+-- Returns the next reset time, or null if the window was still open
+-- (a concurrent request may have reset it first).
+create or replace function public.reset_daily_credits(
+  p_user_id uuid
+)
+returns timestamptz
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_reset_at timestamptz;
+begin
+  perform public.assert_credit_owner(p_user_id);
+
+  update public.users
+     set daily_credits_used = 0,
+         daily_reset_at = now() + interval '24 hours'
+   where id = p_user_id
+     and (daily_reset_at is null or daily_reset_at <= now())
+  returning daily_reset_at into v_reset_at;
+
+  return v_reset_at;
+end;
+$$;
+
+revoke execute on function public.create_user_row(uuid, text) from public, anon;
+grant execute on function public.create_user_row(uuid, text) to authenticated, service_role;
+
+revoke execute on function public.reset_daily_credits(uuid) from public, anon;
+grant execute on function public.reset_daily_credits(uuid) to authenticated, service_role;
+
+revoke execute on function public.deduct_free_credits(uuid, integer, integer, text) from public, anon, authenticated;
+grant execute on function public.deduct_free_credits(uuid, integer, integer, text) to service_role;
+
+revoke execute on function public.deduct_bonus_credits(uuid, integer, text) from public, anon, authenticated;
+grant execute on function public.deduct_bonus_credits(uuid, integer, text) to service_role;
+
+revoke execute on function public.grant_signup_bonus(uuid, integer) from public, anon, authenticated;
+grant execute on function public.grant_signup_bonus(uuid, integer) to service_role;
+
+revoke execute on function public.refund_credits(uuid, bigint[]) from public, anon, authenticated;
+grant execute on function public.refund_credits(uuid, bigint[]) to service_role;
+
+revoke execute on function public.add_credits(uuid, integer, jsonb) from public, anon, authenticated;
+grant execute on function public.add_credits(uuid, integer, jsonb) to service_role;
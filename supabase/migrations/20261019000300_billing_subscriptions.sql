@@ -0,0 +1,41 @@
+-- Subscription billing
+-- Pro status is driven by billing webhooks. The subscription id, status and
+-- current period end are stored on the user so Pro access can expire even if
+-- a cancellation webhook is missed. The creation time and id of the newest
+-- event applied to the user let an older event delivered late (e.g. a retried
+-- invoice.paid after the subscription was deleted) be recorded but not
+-- applied. Creation times are in whole seconds, so events from the same second
+-- are ordered by id.
+
+alter table public.users
+  add column if not exists stripe_customer_id text,
+  add column if not exists subscription_id text,
+  add column if not exists subscription_status text,
+  add column if not exists subscription_current_period_end timestamptz,
+  add column if not exists subscription_cancel_at_period_end boolean not null default false,
+  add column if not exists billing_event_at timestamptz,
+  add column if not exists billing_event_id text;
+
+create unique index if not exists users_subscription_id_idx
+  on public.users (subscription_id)
+  where subscription_id is not null;
+
+create index if not exists users_stripe_customer_id_idx
+  on public.users (stripe_customer_id)
+  where stripe_customer_id is not null;
+
+-- The billing columns decide Pro access, so only the service role may write
+-- them; users keep read access to their own row (restated from the credit
+-- functions migration so it also covers these columns)
+revoke insert, update on public.users from anon, authenticated;
+
+-- Processed webhook events, so retried deliveries are applied only once
+create table if not exists public.billing_events (
+  id text primary key,
+  type text not null,
+  user_id uuid references public.users (id) on delete set null,
+  received_at timestamptz not null default now()
+);
+
+-- Only the service role reads or writes billing events
+alter table public.billing_events enable row level security;
@@ -0,0 +1,33 @@
+-- Prompt history search and management
+-- Adds a full-text search column over the original and final prompts, an index
+-- for newest-first cursor pagination, and RLS policies so users can read and
+-- delete their own history through their authenticated client.
+
+alter table public.prompt_history
+  add column if not exists search_vector tsvector
+  generated always as (
+    to_tsvector('english', coalesce(original_input, '') || ' ' || coalesce(final_prompt, ''))
+  ) stored;
+
+create index if not exists prompt_history_search_vector_idx
+  on public.prompt_history using gin (search_vector);
+
+create index if not exists prompt_history_user_created_idx
+  on public.prompt_history (user_id, created_at desc, id desc);
+
+alter table public.prompt_history enable row level security;
+
+drop policy if exists "Users can read own prompt history" on public.prompt_history;
+create policy "Users can read own prompt history"
+  on public.prompt_history for select
+  using (auth.uid() = user_id);
+
+drop policy if exists "Users can insert own prompt history" on public.prompt_history;
+create policy "Users can insert own prompt history"
+  on public.prompt_history for insert
+  with check (auth.uid() = user_id);
+
+drop policy if exists "Users can delete own prompt history" on public.prompt_history;
+create policy "Users can delete own prompt history"
+  on public.prompt_history for delete
+  using (auth.uid() = user_id);
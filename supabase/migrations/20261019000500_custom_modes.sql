@@ -0,0 +1,78 @@
+-- User-defined custom modes
+-- Each mode carries its own rewrite instructions, optional model settings and
+-- credit cost. Modes are private to their owner. Users can read and delete
+-- their own modes, but cannot insert or update them directly (which would skip
+-- the plan check and the model allowlist); the server writes them with the
+-- service role after checking the plan.
+
+create table if not exists public.custom_modes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  name text not null check (char_length(name) between 1 and 60),
+  instructions text not null check (char_length(instructions) between 1 and 4000),
+  model text,
+  temperature numeric check (temperature between 0 and 2),
+  max_tokens integer check (max_tokens between 1 and 2000),
+  credit_cost integer check (credit_cost between 1 and 20),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists custom_modes_user_id_idx
+  on public.custom_modes (user_id, created_at);
+
+alter table public.custom_modes enable row level security;
+
+create policy "Users can read own custom modes"
+  on public.custom_modes for select
+  using (auth.uid() = user_id);
+
+create policy "Users can delete own custom modes"
+  on public.custom_modes for delete
+  using (auth.uid() = user_id);
+
+revoke insert, update on public.custom_modes from anon, authenticated;
+
+-- The plan's custom mode limit is enforced here, under a lock on the user's row,
+-- so parallel creates cannot both pass a count taken before either insert.
+-- Creates a custom mode unless the user already has p_max_modes of them.
+create or replace function public.create_custom_mode(
+  p_user_id uuid,
+  p_max_modes integer,
+  p_name text,
+  p_instructions text,
+  p_model text default null,
+  p_temperature numeric default null,
+  p_max_tokens integer default null,
+  p_credit_cost integer default null
+)
+returns public.custom_modes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+  v_mode public.custom_modes%rowtype;
+begin
+  -- Row lock serializes concurrent creates for the same user
+  perform 1 from public.users where id = p_user_id for update;
+  if not found then
+    raise exception 'User not found' using errcode = 'P0002';
+  end if;
+
+  select count(*) into v_count from public.custom_modes where user_id = p_user_id;
+  if v_count >= coalesce(p_max_modes, 0) then
+    raise exception 'Custom mode limit reached';
+  end if;
+
+  insert into public.custom_modes (user_id, name, instructions, model, temperature, max_tokens, credit_cost)
+  values (p_user_id, p_name, p_instructions, p_model, p_temperature, p_max_tokens, p_credit_cost)
+  returning * into v_mode;
+
+  return v_mode;
+end;
+$$;
+
+revoke execute on function public.create_custom_mode(uuid, integer, text, text, text, numeric, integer, integer) from public, anon, authenticated;
+grant execute on function public.create_custom_mode(uuid, integer, text, text, text, numeric, integer, integer) to service_role;
@@ -0,0 +1,33 @@
+-- Picked candidate rewrites
+-- When a request asks for several variants, the one the user picks is saved
+-- with its position, style label and quality score: {index, label, score, count}.
+
+alter table public.prompts
+  add column if not exists variant jsonb;
+
+alter table public.prompt_history
+  add column if not exists variant jsonb;
+
+-- Generated candidate rewrites
+-- A variants request stores the candidates it returned, so picking one
+-- (POST /api/prompts/select) saves the stored text, label and score instead of
+-- whatever the client sends. Each set can be picked from once.
+-- Written and read by the server only (service role).
+
+create table if not exists public.prompt_candidates (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  mode text not null,
+  original_prompt text not null,
+  -- [{index, label, score, output}], best first, as returned to the client
+  variants jsonb not null,
+  created_at timestamptz not null default now(),
+  selected_at timestamptz
+);
+
+create index if not exists prompt_candidates_user_id_idx
+  on public.prompt_candidates (user_id, created_at desc);
+
+alter table public.prompt_candidates enable row level security;
+
+revoke all on public.prompt_candidates from anon, authenticated;
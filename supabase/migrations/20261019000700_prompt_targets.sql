@@ -0,0 +1,17 @@
+-- Prompt targets
+-- Records where an improved prompt is used (chatgpt, claude, gemini, image, code)
+-- so history can be filtered by it.
+
+alter table public.prompts
+  add column if not exists target text;
+
+alter table public.prompt_history
+  add column if not exists target text;
+
+create index if not exists prompt_history_user_target_idx
+  on public.prompt_history (user_id, target, created_at desc)
+  where target is not null;
+
+-- Candidate sets keep their target, so the picked rewrite is saved with it
+alter table public.prompt_candidates
+  add column if not exists target text;
@@ -0,0 +1,109 @@
+-- Batch credit deduction
+-- A batch reserves the credits for all of its items at once, under one row
+-- lock, so it either gets everything it needs or nothing. Each item gets its
+-- own ledger entries, so a failed item is refunded on its own (refund_credits).
+
+-- Free users: daily credits first, then bonus credits, item by item
+create or replace function public.deduct_free_credits_batch(
+  p_user_id uuid,
+  p_amounts integer[],
+  p_daily_limit integer,
+  p_modes text[] default null
+)
+returns table (
+  item_index integer,
+  ledger_ids bigint[],
+  remaining_credits integer,
+  daily_credits_used integer
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user public.users%rowtype;
+  v_credits integer;
+  v_daily_used integer;
+  v_total integer;
+  v_amount integer;
+  v_daily integer;
+  v_bonus integer;
+  v_mode text;
+  v_ledger_id bigint;
+  v_ledger_ids bigint[];
+begin
+  perform public.assert_credit_owner(p_user_id);
+
+  if coalesce(array_length(p_amounts, 1), 0) = 0 then
+    raise exception 'Deduction amounts are required';
+  end if;
+
+  if p_modes is not null and array_length(p_modes, 1) is distinct from array_length(p_amounts, 1) then
+    raise exception 'Deduction modes must match the amounts';
+  end if;
+
+  if exists (select 1 from unnest(p_amounts) a where a is null or a <= 0) then
+    raise exception 'Deduction amount must be positive';
+  end if;
+
+  -- Row lock serializes concurrent deductions for the same user
+  select * into v_user from public.users where id = p_user_id for update;
+  if not found then
+    raise exception 'User not found' using errcode = 'P0002';
+  end if;
+
+  -- Start a new daily window if the previous one has expired
+  if v_user.daily_reset_at is null or now() >= v_user.daily_reset_at then
+    v_user.daily_credits_used := 0;
+    v_user.daily_reset_at := now() + interval '24 hours';
+  end if;
+
+  v_credits := coalesce(v_user.credits, 0);
+  v_daily_used := coalesce(v_user.daily_credits_used, 0);
+  select sum(a) into v_total from unnest(p_amounts) a;
+
+  if greatest(p_daily_limit - v_daily_used, 0) + v_credits < v_total then
+    raise exception 'Insufficient credits' using errcode = 'P0001';
+  end if;
+
+  for i in 1 .. array_length(p_amounts, 1) loop
+    v_amount := p_amounts[i];
+    v_mode := p_modes[i];
+    v_daily := least(greatest(p_daily_limit - v_daily_used, 0), v_amount);
+    v_bonus := v_amount - v_daily;
+    v_daily_used := v_daily_used + v_daily;
+    v_credits := v_credits - v_bonus;
+    v_ledger_ids := '{}';
+
+    if v_daily > 0 then
+      insert into public.credit_ledger (user_id, delta, reason, source, mode, balance_after, daily_credits_used_after)
+      values (p_user_id, -v_daily, 'prompt', 'daily', v_mode, v_credits, v_daily_used)
+      returning id into v_ledger_id;
+      v_ledger_ids := v_ledger_ids || v_ledger_id;
+    end if;
+
+    if v_bonus > 0 then
+      insert into public.credit_ledger (user_id, delta, reason, source, mode, balance_after, daily_credits_used_after)
+      values (p_user_id, -v_bonus, 'prompt', 'bonus', v_mode, v_credits, v_daily_used)
+      returning id into v_ledger_id;
+      v_ledger_ids := v_ledger_ids || v_ledger_id;
+    end if;
+
+    item_index := i - 1;
+    ledger_ids := v_ledger_ids;
+    remaining_credits := v_credits;
+    daily_credits_used := v_daily_used;
+    return next;
+  end loop;
+
+  update public.users
+     set daily_credits_used = v_daily_used,
+         daily_reset_at = v_user.daily_reset_at,
+         credits = v_credits
+   where id = p_user_id;
+end;
+$$;
+
+-- The caller chooses p_daily_limit, so only the server may run it
+revoke execute on function public.deduct_free_credits_batch(uuid, integer[], integer, text[]) from public, anon, authenticated;
+grant execute on function public.deduct_free_credits_batch(uuid, integer[], integer, text[]) to service_role;
@@ -0,0 +1,126 @@
+-- LLM usage and cost per request
+-- One row per LLM call with the model, token counts, latency, computed cost
+-- and outcome, linked to the saved prompt when there is one. Written and read
+-- by the server only (service role), so there are no user policies.
+
+create table if not exists public.llm_usage (
+  id bigint generated always as identity primary key,
+  user_id uuid references public.users (id) on delete set null,
+  prompt_id uuid references public.prompts (id) on delete set null,
+  plan text not null,
+  mode text not null,
+  provider text not null,
+  model text not null,
+  prompt_tokens integer,
+  completion_tokens integer,
+  -- True when the provider did not report usage and the counts are estimates
+  usage_estimated boolean not null default false,
+  latency_ms integer not null,
+  -- Null when the model has no entry in the price table
+  cost_usd numeric(12, 6),
+  outcome text not null check (outcome in ('success', 'llm_error', 'timeout', 'client_disconnected')),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists llm_usage_created_at_idx
+  on public.llm_usage (created_at);
+
+create index if not exists llm_usage_user_id_idx
+  on public.llm_usage (user_id, created_at);
+
+alter table public.llm_usage enable row level security;
+
+revoke all on public.llm_usage from anon, authenticated;
+
+-- Saving a prompt returns its id for the usage link (insert ... returning needs read access)
+drop policy if exists "Users can read own prompts" on public.prompts;
+create policy "Users can read own prompts"
+  on public.prompts for select
+  using (auth.uid() = user_id);
+
+-- Usage totals and breakdowns by day, mode, plan and user (the most expensive
+-- p_user_limit users), one row per group. Aggregating here keeps the result
+-- small whatever the traffic; the server pages through it in (dimension, key) order.
+create or replace function public.llm_usage_summary(
+  p_from timestamptz,
+  p_to timestamptz,
+  p_user_limit integer default 50
+)
+returns table (
+  dimension text,
+  key text,
+  requests bigint,
+  failed bigint,
+  prompt_tokens bigint,
+  completion_tokens bigint,
+  cost_usd numeric,
+  unpriced bigint,
+  avg_latency_ms numeric,
+  users bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with usage as (
+    select
+      ((u.created_at at time zone 'utc')::date)::text as day,
+      u.mode,
+      u.plan,
+      u.user_id,
+      u.outcome,
+      u.prompt_tokens,
+      u.completion_tokens,
+      u.cost_usd,
+      u.latency_ms
+    from public.llm_usage u
+    where u.created_at >= p_from
+      and u.created_at < p_to
+  ),
+  grouped as (
+    select
+      case
+        when grouping(u.day) = 0 then 'day'
+        when grouping(u.mode) = 0 then 'mode'
+        when grouping(u.plan) = 0 then 'plan'
+        when grouping(u.user_id) = 0 then 'user'
+        else 'all'
+      end as dimension,
+      coalesce(u.day, u.mode, u.plan, u.user_id::text) as key,
+      count(*) as requests,
+      count(*) filter (where u.outcome <> 'success') as failed,
+      coalesce(sum(u.prompt_tokens), 0) as prompt_tokens,
+      coalesce(sum(u.completion_tokens), 0) as completion_tokens,
+      coalesce(sum(u.cost_usd), 0) as cost_usd,
+      count(*) filter (where u.cost_usd is null) as unpriced,
+      round(avg(u.latency_ms), 1) as avg_latency_ms,
+      count(distinct u.user_id) as users
+    from usage u
+    group by grouping sets ((), (u.day), (u.mode), (u.plan), (u.user_id))
+  ),
+  ranked as (
+    select
+      g.*,
+      row_number() over (partition by g.dimension, g.key is null order by g.cost_usd desc, g.key) as rank
+    from grouped g
+  )
+  select
+    r.dimension,
+    r.key,
+    r.requests,
+    r.failed,
+    r.prompt_tokens,
+    r.completion_tokens,
+    r.cost_usd,
+    r.unpriced,
+    r.avg_latency_ms,
+    r.users
+  from ranked r
+  -- Anonymous calls count in every breakdown but the per-user one
+  where r.dimension <> 'user'
+     or (r.key is not null and r.rank <= least(greatest(p_user_limit, 1), 500));
+$$;
+
+revoke execute on function public.llm_usage_summary(timestamptz, timestamptz, integer) from public, anon, authenticated;
+grant execute on function public.llm_usage_summary(timestamptz, timestamptz, integer) to service_role;
@@ -0,0 +1,37 @@
+-- Per-device extension tokens
+-- The extension gets its own opaque token instead of the user's Supabase
+-- access token. Tokens are issued by exchanging a short-lived one-time code,
+-- stored only as SHA-256 hashes, scoped, renewed on use and revocable per
+-- device. Written and read by the server only (service role).
+
+create table if not exists public.extension_connect_codes (
+  code_hash text primary key,
+  user_id uuid not null references public.users (id) on delete cascade,
+  scopes text[] not null,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.extension_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  name text not null check (char_length(name) between 1 and 60),
+  token_hash text not null unique,
+  -- First characters of the token, so users can tell devices apart
+  token_prefix text not null,
+  scopes text[] not null,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index if not exists extension_tokens_user_id_idx
+  on public.extension_tokens (user_id, created_at desc);
+
+alter table public.extension_connect_codes enable row level security;
+alter table public.extension_tokens enable row level security;
+
+revoke all on public.extension_connect_codes from anon, authenticated;
+revoke all on public.extension_tokens from anon, authenticated;
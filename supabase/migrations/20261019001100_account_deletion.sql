@@ -0,0 +1,18 @@
+-- Account deletion
+-- A deletion request is kept for a grace period, during which the user can
+-- sign in and cancel it. The server then removes the user's rows, their
+-- credit ledger included, and their Supabase auth user. LLM usage and billing
+-- event rows are kept for accounting with their user link set to null.
+-- Removal starts by setting deletion_started_at (only while the deletion is
+-- still due), and cancelling requires it to be unset, so a cancel either wins
+-- outright or finds the removal already under way.
+-- Written by the server only (service role).
+
+alter table public.users
+  add column if not exists deletion_requested_at timestamptz,
+  add column if not exists deletion_scheduled_for timestamptz,
+  add column if not exists deletion_started_at timestamptz;
+
+create index if not exists users_deletion_scheduled_for_idx
+  on public.users (deletion_scheduled_for)
+  where deletion_scheduled_for is not null;
@@ -17,3 +17,14 @@ export const supabase = createClient(
   process.env.SUPABASE_ANON_KEY
 );
 
+
+// Service-role client for server-only writes that users must not be able to forge
+// (e.g. the credit ledger). Optional: null when SUPABASE_SERVICE_ROLE_KEY is not set.
+export const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      }
+    })
+  : null;
@@ -0,0 +1,145 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { createTestToken, createTestAccount, createTestRefreshToken } from './support/postgrest.js';
+import { startTestServer } from './support/server.js';
+
+const { db, close } = await setupTestSupabase();
+const { purgeAccount, purgeDueAccounts, DELETION_GRACE_DAYS } = await import('../accountHelpers.js');
+let server;
+
+before(async () => {
+  server = await startTestServer({ RESPONSE_CACHE: 'off' });
+});
+
+after(async () => {
+  server?.stop();
+  await close();
+});
+
+// Helper to call the API as a user and return the status, parsed body and headers
+async function request(method, path, token, body) {
+  const response = await fetch(`${server.url}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json(), headers: response.headers };
+}
+
+// Helper to create a user with a password, and a session that signed in the given number of seconds ago
+async function createAccount(email, signedInSecondsAgo) {
+  const { userId } = await createTestUser(db, { email, credits: 10, daily_credits_used: 3 });
+  const claims = { role: 'authenticated', sub: userId, email };
+  createTestAccount(claims, 'correct horse');
+  const token = createTestToken({
+    ...claims,
+    amr: [{ method: 'password', timestamp: Math.floor(Date.now() / 1000) - signedInSecondsAgo }]
+  });
+  return { userId, token, refreshToken: createTestRefreshToken(claims) };
+}
+
+async function count(table, userId) {
+  const { rows: [row] } = await db.query(`select count(*)::int as count from public.${table} where user_id = $1`, [userId]);
+  return row.count;
+}
+
+test('the export holds the profile, credits, history and saved prompts of the caller only', async () => {
+  const { userId, token } = await createAccount('export@example.com', 0);
+  const other = await createTestUser(db);
+  await request('POST', '/api/prompts/improve', token, { original_prompt: 'plan a garden' });
+  await request('POST', '/api/history/save', token, { type: 'improve', original_input: 'plan a garden', final_prompt: 'Plan a garden.' });
+  await request('POST', '/api/history/save', other.token, { type: 'improve', original_input: 'someone else', final_prompt: 'Someone else.' });
+
+  const { status, body, headers } = await request('GET', '/api/account/export', token);
+  assert.equal(status, 200);
+  assert.match(headers.get('content-disposition'), /^attachment; filename="easyprompt-export-\d{4}-\d{2}-\d{2}\.json"$/);
+
+  assert.deepEqual(body.user, { id: userId, email: 'export@example.com' });
+  assert.equal(body.profile.email, 'export@example.com');
+  assert.equal(body.credits.balance, 10 + body.credits.ledger.reduce((sum, entry) => sum + entry.delta, 0));
+  assert.deepEqual(body.history.map((entry) => entry.original_input), ['plan a garden']);
+  assert.deepEqual(body.prompts.map((prompt) => prompt.input_text), ['plan a garden']);
+  assert.deepEqual(body.extensionTokens, []);
+});
+
+test('deletion needs the password or a recent sign-in, and signs out every device', async () => {
+  const { token, refreshToken } = await createAccount('leaving@example.com', 60 * 60);
+
+  const stale = await request('DELETE', '/api/account', token, {});
+  assert.equal(stale.status, 403);
+  assert.equal(stale.body.error.code, 'REAUTH_REQUIRED');
+
+  const wrong = await request('DELETE', '/api/account', token, { password: 'guess' });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.error.code, 'INVALID_CREDENTIALS');
+
+  const { status, body } = await request('DELETE', '/api/account', token, { password: 'correct horse' });
+  assert.equal(status, 200);
+  assert.equal(body.grace_period_days, DELETION_GRACE_DAYS);
+  const days = (new Date(body.deletion_scheduled_for) - Date.now()) / (24 * 60 * 60 * 1000);
+  assert.ok(Math.abs(days - DELETION_GRACE_DAYS) < 0.01);
+
+  const refreshed = await fetch(`${server.url}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refresh_token: refreshToken })
+  });
+  assert.equal(refreshed.status, 401);
+
+  // Signing in again during the grace period shows the pending deletion and can cancel it
+  const me = await request('GET', '/api/me', token);
+  assert.equal(new Date(me.body.deletion_scheduled_for).getTime(), new Date(body.deletion_scheduled_for).getTime());
+  assert.equal((await request('POST', '/api/account/deletion/cancel', token)).status, 200);
+  assert.equal((await request('POST', '/api/account/deletion/cancel', token)).status, 404);
+  assert.equal((await request('GET', '/api/me', token)).body.deletion_scheduled_for, null);
+});
+
+test('accounts past their grace period are removed with their auth user', async () => {
+  const { userId, token } = await createAccount('gone@example.com', 0);
+  await request('POST', '/api/prompts/improve', token, { original_prompt: 'plan a garden' });
+  await request('POST', '/api/history/save', token, { type: 'improve', original_input: 'plan a garden', final_prompt: 'Plan a garden.' });
+  const { status } = await request('DELETE', '/api/account', token, {});
+  assert.equal(status, 200);
+
+  // Nothing is removed during the grace period
+  assert.equal(await purgeDueAccounts(), 0);
+  assert.equal(await count('prompt_history', userId), 1);
+
+  const later = new Date(Date.now() + (DELETION_GRACE_DAYS + 1) * 24 * 60 * 60 * 1000);
+  assert.equal(await purgeDueAccounts(later), 1);
+
+  for (const table of ['prompt_history', 'prompts', 'credit_ledger']) {
+    assert.equal(await count(table, userId), 0, table);
+  }
+  const { rows } = await db.query('select id from public.users where id = $1', [userId]);
+  assert.deepEqual(rows, []);
+
+  const me = await request('GET', '/api/me', token);
+  assert.equal(me.status, 401);
+});
+
+test('a deletion cancelled after the sweep listed the account is not carried out', async () => {
+  const { userId, token } = await createAccount('stays@example.com', 0);
+  await request('DELETE', '/api/account', token, {});
+  await request('POST', '/api/account/deletion/cancel', token);
+
+  const later = new Date(Date.now() + (DELETION_GRACE_DAYS + 1) * 24 * 60 * 60 * 1000);
+  assert.equal(await purgeAccount({ userId, now: later }), false);
+  assert.equal((await request('GET', '/api/me', token)).status, 200);
+});
+
+test('a deletion cannot be cancelled once the account is being removed', async () => {
+  const { userId, token } = await createAccount('removing@example.com', 0);
+  await request('DELETE', '/api/account', token, {});
+
+  // As left by a purge that claimed the account and then failed part-way
+  await db.query(`update public.users set deletion_scheduled_for = now() - interval '1 hour', deletion_started_at = now() where id = $1`, [userId]);
+  const cancel = await request('POST', '/api/account/deletion/cancel', token);
+  assert.equal(cancel.status, 404);
+
+  // The next sweep finishes the removal
+  assert.equal(await purgeAccount({ userId }), true);
+  const { rows } = await db.query('select id from public.users where id = $1', [userId]);
+  assert.deepEqual(rows, []);
+});
@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { startTestServer } from './support/server.js';
+import { startTestLLM } from './support/llm.js';
+
+const { db, close } = await setupTestSupabase();
+const llm = await startTestLLM();
+const { analyzePrompt, normalizeAnalysis } = await import('../promptScoring.js');
+let server;
+
+const DIMENSIONS = ['role', 'task', 'context', 'format', 'constraints', 'goal'];
+
+before(async () => {
+  server = await startTestServer({ LLM_PROVIDER: 'local', LOCAL_LLM_BASE_URL: llm.url });
+});
+
+after(async () => {
+  server?.stop();
+  await llm.close();
+  await close();
+});
+
+// Helper to post an analysis request and return the status and parsed body
+async function analyze(body, token) {
+  const response = await fetch(`${server.url}/api/prompts/analyze`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function credits(userId) {
+  const { rows: [row] } = await db.query('select credits from public.users where id = $1', [userId]);
+  return row.credits;
+}
+
+test('the heuristic tier lists what a prompt is missing', () => {
+  const bare = analyzePrompt('cats');
+  assert.deepEqual(Object.keys(bare.dimensions), DIMENSIONS);
+  assert.equal(bare.wordCount, 1);
+  assert.ok(bare.missing.length > 0);
+  assert.ok(bare.suggestions.some((suggestion) => /very short/.test(suggestion)));
+
+  const detailed = analyzePrompt(
+    'You are a travel agent. Write a 3-day itinerary for Lisbon for a family with two kids. ' +
+    'Format it as a table with one row per day. Keep it under 200 words. The goal is an affordable, relaxed trip.'
+  );
+  assert.ok(detailed.score > bare.score);
+  assert.ok(detailed.missing.length < bare.missing.length);
+});
+
+test('a graded analysis needs a score for every dimension, clamped to 0-100', () => {
+  const raw = { dimensions: Object.fromEntries(DIMENSIONS.map((key) => [key, { score: 80 }])), suggestions: [' Say who the reader is. ', 42] };
+  raw.dimensions.goal = { score: 140, feedback: ' Clear goal ' };
+  raw.dimensions.role = 10;
+
+  const analysis = normalizeAnalysis(raw, 'two words');
+  assert.equal(analysis.dimensions.goal.score, 100);
+  assert.equal(analysis.dimensions.goal.feedback, 'Clear goal');
+  assert.deepEqual(analysis.missing, ['role']);
+  assert.deepEqual(analysis.suggestions, ['Say who the reader is.']);
+  assert.equal(analysis.wordCount, 2);
+
+  delete raw.dimensions.task;
+  assert.throws(() => normalizeAnalysis(raw, 'two words'), /missing a score for task/);
+});
+
+test('the heuristic tier is free and needs no account', async () => {
+  const { status, body } = await analyze({ original_prompt: 'write a poem' });
+  assert.equal(status, 200);
+  assert.equal(body.tier, 'heuristic');
+  assert.deepEqual(Object.keys(body.dimensions), DIMENSIONS);
+  assert.equal(body.quotedCost, undefined);
+
+  assert.equal((await analyze({ original_prompt: 'write a poem', tier: 'deep' })).body.error.code, 'VALIDATION_ERROR');
+  assert.equal((await analyze({ original_prompt: '  ' })).body.error.code, 'VALIDATION_ERROR');
+});
+
+test('the LLM tier charges credits, and refunds them when the reply is unusable', async (t) => {
+  t.after(() => llm.setReply());
+  const { userId, token } = await createTestUser(db, { credits: 5, daily_credits_used: 3 });
+
+  llm.setReply(() => JSON.stringify({
+    dimensions: Object.fromEntries(DIMENSIONS.map((key) => [key, { score: 50, feedback: '' }])),
+    suggestions: ['Name the audience.']
+  }));
+  const graded = await analyze({ original_prompt: 'write a poem about the sea', tier: 'llm' }, token);
+  assert.equal(graded.status, 200);
+  assert.equal(graded.body.tier, 'llm');
+  assert.equal(graded.body.score, 50);
+  assert.deepEqual(graded.body.suggestions, ['Name the audience.']);
+  assert.equal(graded.body.creditsRemaining, 5 - graded.body.quotedCost);
+  assert.equal(await credits(userId), 5 - graded.body.quotedCost);
+
+  llm.setReply(() => 'I would rate this prompt fairly well.');
+  const unusable = await analyze({ original_prompt: 'write a poem about the moon', tier: 'llm' }, token);
+  assert.equal(unusable.status, 500);
+  assert.equal(unusable.body.error.code, 'LLM_ERROR');
+  assert.equal(unusable.body.refunded, true);
+  assert.equal(unusable.body.creditsRemaining, 5 - graded.body.quotedCost);
+  assert.equal(await credits(userId), 5 - graded.body.quotedCost);
+});
@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setupTestSupabase } from './support/environment.js';
+import { startTestServer } from './support/server.js';
+
+const { close } = await setupTestSupabase();
+const storeDir = mkdtempSync(join(tmpdir(), 'anonymous-store-'));
+// One IP gets a little more than one ID's worth of credits
+const catalogFile = join(storeDir, 'plans.json');
+writeFileSync(catalogFile, JSON.stringify({ anonymous: { ipCredits: 6 } }));
+// Each test calls from its own forwarded IP, so the IP allowances do not mix;
+// the same prompt is sent every time, so the response cache is off
+const env = {
+  RESPONSE_CACHE: 'off',
+  TRUST_PROXY: 'loopback',
+  ANONYMOUS_ID_SECRET: 'test-anonymous-secret',
+  ANONYMOUS_STORE: 'file',
+  ANONYMOUS_STORE_FILE: join(storeDir, 'anonymous-credits.json'),
+  PLAN_CATALOG_FILE: catalogFile
+};
+let server;
+
+before(async () => {
+  server = await startTestServer(env);
+});
+
+after(async () => {
+  server?.stop();
+  rmSync(storeDir, { recursive: true, force: true });
+  await close();
+});
+
+// Helper to post an anonymous prompt request from an IP, with an optional anonymous ID
+async function improve(ip, anonymousId) {
+  const response = await fetch(`${server.url}/api/prompts/improve`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Forwarded-For': ip,
+      ...(anonymousId ? { 'X-Anonymous-Id': anonymousId } : {})
+    },
+    body: JSON.stringify({ original_prompt: 'write a haiku about rain' })
+  });
+  return { status: response.status, anonymousId: response.headers.get('x-anonymous-id'), body: await response.json() };
+}
+
+test('an anonymous caller keeps their credits under the ID they are given', async () => {
+  const first = await improve('203.0.113.1');
+  assert.equal(first.status, 200);
+  assert.ok(first.anonymousId);
+  assert.equal(first.body.creditsRemaining, 4);
+
+  const second = await improve('203.0.113.1', first.anonymousId);
+  assert.equal(second.anonymousId, first.anonymousId);
+  assert.equal(second.body.creditsRemaining, 3);
+
+  // A forged ID is replaced with a fresh one; the IP allowance now limits it
+  const [id] = first.anonymousId.split('.');
+  const forged = await improve('203.0.113.1', `${id}.forged`);
+  assert.notEqual(forged.anonymousId, `${id}.forged`);
+  assert.equal(forged.body.creditsRemaining, 3);
+});
+
+test('new IDs from one IP share that IP\'s credits', async () => {
+  let anonymousId;
+  for (let i = 0; i < 5; i++) {
+    ({ anonymousId } = await improve('203.0.113.2', anonymousId));
+  }
+
+  // A new ID has credits of its own, but the IP has only one left
+  const fresh = await improve('203.0.113.2');
+  assert.equal(fresh.status, 200);
+  assert.equal(fresh.body.creditsRemaining, 0);
+  const again = await improve('203.0.113.2', fresh.anonymousId);
+  assert.equal(again.status, 402);
+
+  // Another network address is not affected
+  const elsewhere = await improve('203.0.113.3');
+  assert.equal(elsewhere.status, 200);
+});
+
+test('the file store keeps credits across restarts', async () => {
+  const { anonymousId } = await improve('203.0.113.4');
+  // Writes are batched; wait for the flush before stopping the server
+  await new Promise((resolve) => setTimeout(resolve, 1500));
+
+  server.stop();
+  server = await startTestServer(env);
+
+  const afterRestart = await improve('203.0.113.4', anonymousId);
+  assert.equal(afterRestart.body.creditsRemaining, 3);
+});
@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { setTestAuthAvailable } from './support/postgrest.js';
+import { startTestServer } from './support/server.js';
+
+const { db, close } = await setupTestSupabase();
+let server;
+
+before(async () => {
+  server = await startTestServer({ RESPONSE_CACHE: 'off' });
+});
+
+after(async () => {
+  server?.stop();
+  await close();
+});
+
+// Helper to call the API (as a user when a token is given) and return the status and parsed body
+async function request(method, path, { token, body } = {}) {
+  const response = await fetch(`${server.url}${path}`, {
+    method,
+    headers: {
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('requireAuth tells a missing token from an invalid one', async () => {
+  const missing = await request('GET', '/api/me');
+  assert.equal(missing.status, 401);
+  assert.deepEqual(missing.body, { error: { code: 'AUTH_REQUIRED', message: 'Missing access token' } });
+
+  const invalid = await request('GET', '/api/me', { token: 'not-a-jwt' });
+  assert.equal(invalid.status, 401);
+  assert.equal(invalid.body.error.code, 'AUTH_EXPIRED');
+
+  const { token } = await createTestUser(db, { email: 'auth@example.com' });
+  const me = await request('GET', '/api/me', { token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.email, 'auth@example.com');
+});
+
+test('a body token is read before the Authorization header', async () => {
+  const header = await createTestUser(db, { credits: 10, daily_credits_used: 3 });
+  const bodyUser = await createTestUser(db, { credits: 3, daily_credits_used: 3 });
+
+  const { status, body } = await request('POST', '/api/prompts/improve', {
+    token: header.token,
+    body: { token: bodyUser.token, original_prompt: 'write a poem about owls' }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.creditsRemaining, 3 - body.quotedCost);
+});
+
+test('optionalAuth serves invalid tokens as anonymous, except where an account is needed', async () => {
+  const anonymous = await request('POST', '/api/prompts/improve', { token: 'not-a-jwt', body: { original_prompt: 'write a poem' } });
+  assert.equal(anonymous.status, 200);
+
+  const followup = await request('POST', '/api/prompts/followup', {
+    token: 'not-a-jwt',
+    body: { original_prompt: 'shorter', previous_prompt: 'write a poem' }
+  });
+  assert.equal(followup.status, 401);
+  assert.equal(followup.body.error.code, 'AUTH_EXPIRED');
+});
+
+test('database errors are not reported as auth errors', async () => {
+  const { token } = await createTestUser(db);
+  const { status, body } = await request('DELETE', '/api/history/not-a-number', { token });
+  assert.equal(status, 404);
+  assert.equal(body.error.code, 'NOT_FOUND');
+});
+
+test('an auth outage is an error, not an expired session', async (t) => {
+  t.after(() => setTestAuthAvailable(true));
+  const { userId, token } = await createTestUser(db, { credits: 10 });
+
+  setTestAuthAvailable(false);
+  const me = await request('GET', '/api/me', { token });
+  assert.equal(me.status, 500);
+  assert.equal(me.body.error.code, 'INTERNAL_ERROR');
+
+  // Nor is the user served (and charged) as anonymous
+  const improved = await request('POST', '/api/prompts/improve', { token, body: { original_prompt: 'write a poem' } });
+  assert.equal(improved.status, 500);
+  const { rows: [row] } = await db.query('select credits from public.users where id = $1', [userId]);
+  assert.equal(row.credits, 10);
+});
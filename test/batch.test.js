@@ -0,0 +1,142 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { startTestServer } from './support/server.js';
+import { startTestLLM } from './support/llm.js';
+
+const { db, close } = await setupTestSupabase();
+const llm = await startTestLLM();
+let server;
+
+before(async () => {
+  server = await startTestServer({ LLM_PROVIDER: 'local', LOCAL_LLM_BASE_URL: llm.url });
+  // Items whose prompt says "unanswerable" fail
+  llm.setReply((messages) => (messages.some((message) => message.content.includes('unanswerable')) ? null : 'A clearer prompt.'));
+});
+
+after(async () => {
+  server?.stop();
+  await llm.close();
+  await close();
+});
+
+// Helper to post a batch and return the status and parsed body
+async function batch(items, token) {
+  const response = await fetch(`${server.url}/api/prompts/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ items })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function credits(userId) {
+  const { rows: [row] } = await db.query('select credits from public.users where id = $1', [userId]);
+  return row.credits;
+}
+
+test('failed items are refunded and the rest are charged', async () => {
+  const { userId, token } = await createTestUser(db, { credits: 10, daily_credits_used: 3 });
+
+  const { status, body } = await batch([
+    { original_prompt: 'write a haiku' },
+    { original_prompt: 'an unanswerable question' },
+    { original_prompt: 'name a colour', mode: 'refine' }
+  ], token);
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.equal(body.succeeded, 2);
+  assert.equal(body.failed, 1);
+  assert.equal(body.results[1].error.code, 'LLM_ERROR');
+  assert.equal(body.results[1].creditsCharged, 0);
+  assert.equal(body.creditsCharged, body.results[0].creditsCharged + body.results[2].creditsCharged);
+  assert.equal(body.creditsRemaining, 10 - body.creditsCharged);
+  assert.equal(await credits(userId), 10 - body.creditsCharged);
+});
+
+test('the results are sent even when the final balance cannot be read', async (t) => {
+  const { token } = await createTestUser(db, { credits: 10, daily_credits_used: 3 });
+
+  // The balance is read as the user once every item has run; make that read fail
+  t.after(async () => {
+    await db.query('grant select on public.users to authenticated');
+    llm.setReply((messages) => (messages.some((message) => message.content.includes('unanswerable')) ? null : 'A clearer prompt.'));
+  });
+  llm.setReply(async () => {
+    await db.query('revoke select on public.users from authenticated');
+    return 'A clearer prompt.';
+  });
+
+  const { status, body } = await batch([{ original_prompt: 'write a limerick' }], token);
+  assert.equal(status, 200);
+  assert.equal(body.succeeded, 1);
+  assert.equal(body.creditsRemaining, 10 - body.creditsCharged);
+});
+
+test('a batch where every item fails is an error, and costs nothing', async () => {
+  const { userId, token } = await createTestUser(db, { credits: 10, daily_credits_used: 3 });
+
+  const { status, body } = await batch([
+    { original_prompt: 'unanswerable one' },
+    { original_prompt: 'unanswerable two' }
+  ], token);
+
+  assert.equal(status, 500);
+  assert.equal(body.error.code, 'LLM_ERROR');
+  assert.equal(body.succeeded, 0);
+  assert.equal(body.failed, 2);
+  assert.equal(body.creditsCharged, 0);
+  assert.equal(body.creditsRemaining, 10);
+  assert.deepEqual(body.results.map((result) => result.success), [false, false]);
+  assert.equal(await credits(userId), 10);
+});
+
+test('a batch larger than the credits left is rejected before anything runs', async () => {
+  const { userId, token } = await createTestUser(db, { credits: 1, daily_credits_used: 3 });
+
+  const { status, body } = await batch([{ original_prompt: 'one' }, { original_prompt: 'two' }], token);
+
+  assert.equal(status, 402);
+  assert.equal(body.error.code, 'INSUFFICIENT_CREDITS');
+  assert.equal(body.creditsRemaining, 1);
+  assert.equal(await credits(userId), 1);
+});
+
+test('items not yet started when the client disconnects are refunded, not run', async (t) => {
+  t.after(() => llm.setReply((messages) => (messages.some((message) => message.content.includes('unanswerable')) ? null : 'A clearer prompt.')));
+  const { userId, token } = await createTestUser(db, { credits: 10, daily_credits_used: 3 });
+
+  let calls = 0;
+  let started;
+  const firstCall = new Promise((resolve) => {
+    started = resolve;
+  });
+  llm.setReply(() => {
+    calls += 1;
+    started();
+    return new Promise((resolve) => setTimeout(() => resolve('A clearer prompt.'), 500));
+  });
+
+  const client = new AbortController();
+  const response = fetch(`${server.url}/api/prompts/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ items: Array.from({ length: 6 }, (_, index) => ({ original_prompt: `prompt ${index}` })) }),
+    signal: client.signal
+  });
+  await firstCall;
+  client.abort();
+  await assert.rejects(response);
+
+  // Every item is refunded: the running ones are aborted and the waiting ones never start
+  const deadline = Date.now() + 5000;
+  while (await credits(userId) !== 10 && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert.equal(await credits(userId), 10);
+  await new Promise((resolve) => setTimeout(resolve, 600));
+  assert.ok(calls <= 4, `${calls} LLM calls`);
+  const { rows: [row] } = await db.query('select count(*)::int as count from public.prompts where user_id = $1', [userId]);
+  assert.equal(row.count, 0);
+});
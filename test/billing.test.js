@@ -0,0 +1,225 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+
+const WEBHOOK_SECRET = 'whsec_test';
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Subscriptions returned by the fake Stripe API, by id
+const subscriptions = new Map();
+const stripe = http.createServer((req, res) => {
+  const subscription = subscriptions.get(decodeURIComponent(req.url.split('/').pop()));
+  res.writeHead(subscription ? 200 : 404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(subscription || { error: { message: 'No such subscription' } }));
+});
+await new Promise((resolve) => stripe.listen(0, '127.0.0.1', resolve));
+
+process.env.STRIPE_SECRET_KEY = 'sk_test';
+process.env.STRIPE_API_BASE = `http://127.0.0.1:${stripe.address().port}`;
+
+const { db, close } = await setupTestSupabase();
+const { signWebhookPayload, verifyWebhookEvent, applyBillingEvent, hasActiveProSubscription } = await import('../billingHelpers.js');
+const { resolvePlanName } = await import('../userHelpers.js');
+
+before(() => {
+  // Keep the billing logs out of the test output
+  console.log = () => {};
+  console.warn = () => {};
+});
+
+after(async () => {
+  await close();
+  await new Promise((resolve) => stripe.close(resolve));
+});
+
+let eventCount = 0;
+
+// Helper to build an event the way Stripe sends it, signed and verified like the webhook route does
+function signedEvent(type, object, created = Math.floor(Date.now() / 1000), id = `evt_${++eventCount}`) {
+  const payload = JSON.stringify({ id, type, created, data: { object } });
+  return verifyWebhookEvent(payload, signWebhookPayload(payload, WEBHOOK_SECRET), WEBHOOK_SECRET);
+}
+
+async function billingRow(userId) {
+  const { rows: [row] } = await db.query(
+    `select plan, is_pro, subscription_id, subscription_status, subscription_current_period_end
+       from public.users where id = $1`,
+    [userId]
+  );
+  return row;
+}
+
+test('verifyWebhookEvent rejects bad, tampered and stale signatures', () => {
+  const payload = JSON.stringify({ id: 'evt_signed', type: 'invoice.paid' });
+  const now = Math.floor(Date.now() / 1000);
+
+  assert.equal(verifyWebhookEvent(payload, signWebhookPayload(payload, WEBHOOK_SECRET), WEBHOOK_SECRET).id, 'evt_signed');
+
+  assert.throws(() => verifyWebhookEvent(payload, signWebhookPayload(payload, 'whsec_other'), WEBHOOK_SECRET), /Invalid webhook signature/);
+  assert.throws(
+    () => verifyWebhookEvent(payload.replace('invoice.paid', 'invoice.payment_failed'), signWebhookPayload(payload, WEBHOOK_SECRET), WEBHOOK_SECRET),
+    /Invalid webhook signature/
+  );
+  assert.throws(() => verifyWebhookEvent(payload, `t=${now},v1=`, WEBHOOK_SECRET), /Invalid webhook signature/);
+  assert.throws(() => verifyWebhookEvent(payload, undefined, WEBHOOK_SECRET), /Invalid webhook signature/);
+  assert.throws(() => verifyWebhookEvent(payload, signWebhookPayload(payload, WEBHOOK_SECRET, now - 600), WEBHOOK_SECRET), /too old/);
+  assert.throws(() => verifyWebhookEvent(payload, signWebhookPayload(payload, WEBHOOK_SECRET), undefined), /not configured/);
+});
+
+test('a subscription without a known period end gives no Pro access', () => {
+  const now = new Date();
+  const periodEnd = (days) => new Date(now.getTime() + days * DAY_SECONDS * 1000).toISOString();
+
+  assert.equal(hasActiveProSubscription({ subscription_status: 'active' }, now), false);
+  assert.equal(hasActiveProSubscription({ subscription_status: 'active', subscription_current_period_end: periodEnd(10) }, now), true);
+  assert.equal(hasActiveProSubscription({ subscription_status: 'past_due', subscription_current_period_end: periodEnd(-1) }, now), true);
+  assert.equal(hasActiveProSubscription({ subscription_status: 'active', subscription_current_period_end: periodEnd(-4) }, now), false);
+  assert.equal(hasActiveProSubscription({ subscription_status: 'canceled', subscription_current_period_end: periodEnd(10) }, now), false);
+});
+
+test('subscription lifecycle: checkout, failed payment, cancellation, late renewal', async () => {
+  const { userId } = await createTestUser(db);
+  const now = Math.floor(Date.now() / 1000);
+  const periodEnd = now + 30 * DAY_SECONDS;
+  subscriptions.set('sub_lifecycle', {
+    id: 'sub_lifecycle',
+    status: 'active',
+    cancel_at_period_end: false,
+    items: { data: [{ current_period_end: periodEnd }] }
+  });
+
+  const checkout = await applyBillingEvent(signedEvent('checkout.session.completed', {
+    client_reference_id: userId,
+    customer: 'cus_lifecycle',
+    subscription: 'sub_lifecycle'
+  }, now - 30));
+  assert.deepEqual(checkout, { handled: true, userId });
+
+  let row = await billingRow(userId);
+  assert.equal(row.subscription_status, 'active');
+  assert.equal(row.subscription_current_period_end.getTime(), periodEnd * 1000);
+  assert.equal(row.is_pro, true);
+  assert.equal(resolvePlanName(row), 'pro');
+
+  // Payment retries keep Pro access until the period (plus grace) ends
+  subscriptions.set('sub_lifecycle', { ...subscriptions.get('sub_lifecycle'), status: 'past_due' });
+  await applyBillingEvent(signedEvent('invoice.payment_failed', { subscription: 'sub_lifecycle', customer: 'cus_lifecycle' }, now - 20));
+  row = await billingRow(userId);
+  assert.equal(row.subscription_status, 'past_due');
+  assert.equal(row.is_pro, true);
+
+  await applyBillingEvent(signedEvent('customer.subscription.deleted', {
+    id: 'sub_lifecycle',
+    customer: 'cus_lifecycle',
+    status: 'canceled',
+    ended_at: now - 10
+  }, now - 10));
+  row = await billingRow(userId);
+  assert.equal(row.subscription_status, 'canceled');
+  assert.equal(row.is_pro, false);
+  assert.equal(resolvePlanName(row), 'free');
+
+  // A renewal created before the cancellation but delivered after it is ignored
+  const lateRenewal = await applyBillingEvent(signedEvent('invoice.paid', {
+    subscription: 'sub_lifecycle',
+    customer: 'cus_lifecycle',
+    lines: { data: [{ period: { end: periodEnd + 30 * DAY_SECONDS } }] }
+  }, now - 15));
+  assert.deepEqual(lateRenewal, { handled: true, outdated: true, userId });
+  row = await billingRow(userId);
+  assert.equal(row.subscription_status, 'canceled');
+  assert.equal(row.is_pro, false);
+});
+
+test('a paid invoice takes its status from the subscription', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const { userId } = await createTestUser(db);
+  await db.query(
+    `update public.users
+        set subscription_id = 'sub_invoice', subscription_status = 'active', subscription_current_period_end = $2, is_pro = true
+      where id = $1`,
+    [userId, new Date((now + DAY_SECONDS) * 1000).toISOString()]
+  );
+  subscriptions.set('sub_invoice', {
+    id: 'sub_invoice',
+    status: 'canceled',
+    items: { data: [{ current_period_end: now + 30 * DAY_SECONDS }] }
+  });
+
+  // Newer API versions name the subscription under parent.subscription_details
+  const result = await applyBillingEvent(signedEvent('invoice.paid', {
+    customer: 'cus_invoice',
+    parent: { subscription_details: { subscription: 'sub_invoice' } }
+  }));
+  assert.deepEqual(result, { handled: true, userId });
+
+  const row = await billingRow(userId);
+  assert.equal(row.subscription_status, 'canceled');
+  assert.equal(row.is_pro, false);
+});
+
+test('events from the same second are applied in event id order', async () => {
+  const { userId } = await createTestUser(db);
+  const now = Math.floor(Date.now() / 1000);
+  const subscription = {
+    id: 'sub_same_second',
+    customer: 'cus_same_second',
+    current_period_end: now + 30 * DAY_SECONDS,
+    metadata: { user_id: userId }
+  };
+  const updated = signedEvent('customer.subscription.updated', { ...subscription, status: 'active' }, now, 'evt_same_second_a');
+  const deleted = signedEvent('customer.subscription.deleted', { ...subscription, status: 'canceled' }, now, 'evt_same_second_b');
+
+  assert.deepEqual(await applyBillingEvent(deleted), { handled: true, userId });
+  assert.deepEqual(await applyBillingEvent(updated), { handled: true, outdated: true, userId });
+
+  const row = await billingRow(userId);
+  assert.equal(row.subscription_status, 'canceled');
+  assert.equal(row.is_pro, false);
+});
+
+test('a checkout whose subscription has no period end does not grant Pro', async () => {
+  const { userId } = await createTestUser(db);
+  subscriptions.set('sub_incomplete', { id: 'sub_incomplete', status: 'active', items: { data: [{}] } });
+
+  await applyBillingEvent(signedEvent('checkout.session.completed', {
+    client_reference_id: userId,
+    customer: 'cus_incomplete',
+    subscription: 'sub_incomplete'
+  }));
+
+  const row = await billingRow(userId);
+  assert.equal(row.subscription_status, 'active');
+  assert.equal(row.subscription_current_period_end, null);
+  assert.equal(row.is_pro, false);
+});
+
+test('a redelivered event is applied once', async () => {
+  const { userId } = await createTestUser(db);
+  const now = Math.floor(Date.now() / 1000);
+  const event = signedEvent('customer.subscription.updated', {
+    id: 'sub_duplicate',
+    customer: 'cus_duplicate',
+    status: 'active',
+    current_period_end: now + 30 * DAY_SECONDS,
+    metadata: { user_id: userId }
+  }, now - 60);
+
+  assert.deepEqual(await applyBillingEvent(event), { handled: true, userId });
+
+  // Cancel in between, so reapplying the first delivery would show
+  await applyBillingEvent(signedEvent('customer.subscription.deleted', { id: 'sub_duplicate', status: 'canceled' }, now - 30));
+  assert.deepEqual(await applyBillingEvent(event), { handled: true, duplicate: true, userId });
+
+  const row = await billingRow(userId);
+  assert.equal(row.subscription_status, 'canceled');
+
+  const { rows: [{ count }] } = await db.query('select count(*)::int as count from public.billing_events where id = $1', [event.id]);
+  assert.equal(count, 1);
+});
+
+test('events for unknown subscriptions are not handled', async () => {
+  const result = await applyBillingEvent(signedEvent('invoice.paid', { subscription: 'sub_unknown', customer: 'cus_unknown' }));
+  assert.deepEqual(result, { handled: false });
+});
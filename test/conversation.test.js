@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { startTestServer } from './support/server.js';
+import { startTestLLM } from './support/llm.js';
+
+const { db, close } = await setupTestSupabase();
+const llm = await startTestLLM();
+const { parseConversation, truncateConversation, formatConversation } = await import('../conversationHelpers.js');
+let server;
+
+before(async () => {
+  server = await startTestServer({ LLM_PROVIDER: 'local', LOCAL_LLM_BASE_URL: llm.url, FOLLOWUP_CONTEXT_TOKENS: '40' });
+});
+
+after(async () => {
+  server?.stop();
+  await llm.close();
+  await close();
+});
+
+// Helper to build a turn of a given length (4 characters per estimated token)
+function turn(role, label, tokens) {
+  return { role, content: `${label} ${'x'.repeat(tokens * 4 - label.length - 1)}` };
+}
+
+test('conversations are validated turn by turn, and empty turns are dropped', () => {
+  assert.deepEqual(
+    parseConversation([{ role: 'user', content: ' write a poem ' }, { role: 'assistant', content: '  ' }, { role: 'assistant', content: 'Here it is' }]),
+    [{ role: 'user', content: 'write a poem' }, { role: 'assistant', content: 'Here it is' }]
+  );
+
+  assert.throws(() => parseConversation('write a poem'), /must be an array/);
+  assert.throws(() => parseConversation([{ role: 'system', content: 'be terse' }]), /turn 0 must have role/);
+  assert.throws(() => parseConversation([{ role: 'user', content: 'a' }, { role: 'user' }]), /turn 1 content must be a string/);
+  assert.throws(() => parseConversation([{ role: 'user', content: 'x'.repeat(20001) }]), /longer than 20000 characters/);
+  assert.throws(() => parseConversation(Array.from({ length: 101 }, () => ({ role: 'user', content: 'a' }))), /at most 100 turns/);
+});
+
+test('truncation keeps the latest turns that fit the budget', () => {
+  const turns = [turn('user', 'first', 10), turn('assistant', 'second', 10), turn('user', 'third', 10)];
+
+  assert.deepEqual(truncateConversation(turns, 100), { turns, truncated: false });
+
+  // Each turn costs 10 tokens plus 4 of transcript overhead
+  const { turns: kept, truncated } = truncateConversation(turns, 30);
+  assert.equal(truncated, true);
+  assert.deepEqual(kept, turns.slice(1));
+});
+
+test('a latest turn over the budget keeps its end', () => {
+  const latest = turn('user', 'start', 50);
+  const { turns: [kept], truncated } = truncateConversation([latest], 14);
+  assert.equal(truncated, true);
+  assert.equal(kept.role, 'user');
+  assert.equal(kept.content, `…${latest.content.slice(-40)}`);
+});
+
+test('follow-ups send the truncated conversation as a transcript', async (t) => {
+  t.after(() => llm.setReply());
+  const { token } = await createTestUser(db, { plan: 'pro' });
+  let sent;
+  llm.setReply((messages) => {
+    sent = messages[messages.length - 1].content;
+    return 'A shorter poem about the sea.';
+  });
+
+  const request = (conversation) => fetch(`${server.url}/api/prompts/followup`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ original_prompt: 'make it shorter', conversation })
+  });
+
+  const conversation = [turn('user', 'oldest', 20), turn('assistant', 'middle', 10), { role: 'user', content: 'write a poem about the sea' }];
+  const response = await request(conversation);
+  assert.equal(response.status, 200);
+  assert.equal(
+    sent,
+    `Conversation so far:\n\n${formatConversation(conversation.slice(1))}\n\nCurrent user input: "make it shorter"`
+  );
+
+  const invalid = await request([{ role: 'user', content: 42 }]);
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).error.code, 'VALIDATION_ERROR');
+});
@@ -0,0 +1,56 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCreditReservation } from '../creditReservations.js';
+
+before(() => {
+  // Keep the reservation logs out of the test output
+  console.log = () => {};
+  console.error = () => {};
+});
+
+test('a committed reservation is never refunded', async () => {
+  let refunds = 0;
+  const reservation = createCreditReservation({ amount: 2, refund: async () => { refunds += 1; }, label: 'test' });
+
+  assert.equal(reservation.commit(), true);
+  assert.equal(reservation.commit(), false);
+  assert.deepEqual(await reservation.rollback('late failure'), { refunded: false });
+  assert.equal(refunds, 0);
+  assert.equal(reservation.status, 'committed');
+});
+
+test('concurrent rollbacks refund once', async () => {
+  let refunds = 0;
+  const reservation = createCreditReservation({
+    amount: 1,
+    refund: async () => {
+      refunds += 1;
+      return 9;
+    },
+    label: 'test'
+  });
+
+  const results = await Promise.all([reservation.rollback('timeout'), reservation.rollback('client disconnected')]);
+
+  assert.equal(refunds, 1);
+  assert.deepEqual(results, [{ refunded: true, remainingCredits: 9 }, { refunded: false }]);
+  assert.equal(reservation.commit(), false);
+  assert.equal(reservation.status, 'refunded');
+});
+
+test('a failed refund keeps the credits spent and is not retried', async () => {
+  let refunds = 0;
+  const reservation = createCreditReservation({
+    amount: 1,
+    refund: async () => {
+      refunds += 1;
+      throw new Error('database unavailable');
+    },
+    label: 'test'
+  });
+
+  assert.deepEqual(await reservation.rollback('LLM error'), { refunded: false });
+  assert.deepEqual(await reservation.rollback('LLM error'), { refunded: false });
+  assert.equal(refunds, 1);
+  assert.equal(reservation.status, 'refund_failed');
+});
@@ -0,0 +1,177 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { queryAs } from './support/database.js';
+import { createTestToken } from './support/postgrest.js';
+
+const { db, close } = await setupTestSupabase();
+const { createAuthenticatedClient } = await import('../authMiddleware.js');
+const {
+  ensureUserExists,
+  resetDailyCreditsIfNeeded,
+  deductFreeUserCredits,
+  deductFreeUserCreditsBatch,
+  getTotalCreditsRemaining,
+  refundCredits,
+  getUserCreditInfo
+} = await import('../userHelpers.js');
+
+before(() => {
+  // Keep the helpers' progress logs out of the test output
+  console.log = () => {};
+});
+
+after(close);
+
+test('users cannot write their credits, plan or billing columns directly', async () => {
+  const { userId } = await createTestUser(db, { credits: 3 });
+  const claims = { role: 'authenticated', sub: userId };
+
+  for (const assignment of ['credits = 1000', 'daily_credits_used = 0', 'signup_bonus_given = false', "plan = 'pro'", 'is_pro = true', "subscription_status = 'active'"]) {
+    await assert.rejects(
+      queryAs(db, claims, `update public.users set ${assignment} where id = $1`, [userId]),
+      { code: '42501' },
+      assignment
+    );
+  }
+
+  await assert.rejects(
+    queryAs(db, { role: 'authenticated', sub: crypto.randomUUID() }, `insert into public.users (id, credits) values (auth.uid(), 1000)`),
+    { code: '42501' }
+  );
+
+  const { rows: [row] } = await db.query('select credits, plan from public.users where id = $1', [userId]);
+  assert.equal(row.credits, 3);
+});
+
+test('ensureUserExists creates the row with starting values once', async () => {
+  const userId = crypto.randomUUID();
+  const client = createAuthenticatedClient(createTestToken({ role: 'authenticated', sub: userId }));
+
+  await ensureUserExists({ id: userId, email: 'new@example.com' }, client);
+  await ensureUserExists({ id: userId, email: 'new@example.com' }, client);
+
+  const { rows } = await db.query('select email, plan, credits, signup_bonus_given from public.users where id = $1', [userId]);
+  assert.deepEqual(rows, [{ email: 'new@example.com', plan: 'free', credits: 0, signup_bonus_given: false }]);
+
+  await assert.rejects(
+    ensureUserExists({ id: crypto.randomUUID(), email: 'other@example.com' }, client),
+    /Failed to create user/
+  );
+});
+
+test('resetDailyCreditsIfNeeded only resets an expired window', async () => {
+  const { userId, token } = await createTestUser(db, {
+    daily_credits_used: 4,
+    daily_reset_at: new Date(Date.now() - 1000).toISOString()
+  });
+  const authenticatedClient = createAuthenticatedClient(token);
+
+  assert.equal(await resetDailyCreditsIfNeeded({ authenticatedClient, userId }), true);
+  assert.equal(await resetDailyCreditsIfNeeded({ authenticatedClient, userId }), false);
+
+  const info = await getUserCreditInfo({ authenticatedClient, userId });
+  assert.equal(info.dailyCreditsUsed, 0);
+  assert.ok(info.dailyResetAt > new Date());
+});
+
+test('a run of deductions never overdraws and matches the ledger', async () => {
+  const dailyLimit = 5;
+  const startingCredits = 7;
+  const { userId } = await createTestUser(db, { credits: startingCredits });
+  const amounts = Array.from({ length: 12 }, (_, i) => (i % 3) + 1);
+
+  const results = await Promise.allSettled(
+    amounts.map((amount) => deductFreeUserCredits({ userId, amount, dailyLimit }))
+  );
+
+  const spent = results.reduce((total, result, i) => total + (result.status === 'fulfilled' ? amounts[i] : 0), 0);
+  for (const result of results.filter(({ status }) => status === 'rejected')) {
+    assert.match(result.reason.message, /Insufficient credits/);
+  }
+
+  const { rows: [row] } = await db.query('select credits, daily_credits_used from public.users where id = $1', [userId]);
+  assert.ok(row.credits >= 0);
+  assert.ok(row.daily_credits_used <= dailyLimit);
+  assert.equal(spent, startingCredits - row.credits + row.daily_credits_used);
+
+  const { rows: [ledger] } = await db.query(
+    'select coalesce(sum(delta), 0)::int as total from public.credit_ledger where user_id = $1',
+    [userId]
+  );
+  assert.equal(ledger.total, -spent);
+  assert.ok(results.some(({ status }) => status === 'rejected'), 'some deductions should run out of credits');
+});
+
+test('a deduction is refunded once, and only by the server', async () => {
+  const { userId, token } = await createTestUser(db, { credits: 2, daily_credits_used: 5 });
+  const authenticatedClient = createAuthenticatedClient(token);
+
+  const deduction = await deductFreeUserCredits({ userId, amount: 2, dailyLimit: 5 });
+  assert.equal(deduction.remainingCredits, 0);
+
+  // Users cannot call the deductions themselves either (they would choose the daily limit)
+  const { error: deductError } = await authenticatedClient.rpc('deduct_free_credits', { p_user_id: userId, p_amount: 1, p_daily_limit: 100 });
+  assert.equal(deductError?.code, '42501');
+
+  const { error } = await authenticatedClient.rpc('refund_credits', { p_user_id: userId, p_ledger_ids: deduction.ledgerIds });
+  assert.equal(error?.code, '42501');
+
+  assert.equal(await refundCredits({ userId, ledgerIds: deduction.ledgerIds }), 2);
+  assert.equal(await refundCredits({ userId, ledgerIds: deduction.ledgerIds }), 2);
+
+  const { rows: [ledger] } = await db.query(
+    'select coalesce(sum(delta), 0)::int as total from public.credit_ledger where user_id = $1',
+    [userId]
+  );
+  assert.equal(ledger.total, 0);
+});
+
+test('a batch deduction takes every item or none, and refunds items one by one', async () => {
+  const { userId, token } = await createTestUser(db, {
+    credits: 3,
+    daily_credits_used: 5,
+    daily_reset_at: new Date(Date.now() - 1000).toISOString()
+  });
+  const authenticatedClient = createAuthenticatedClient(token);
+
+  // The expired window counts as a full day: 5 daily plus 3 bonus
+  assert.equal(await getTotalCreditsRemaining({ authenticatedClient, userId, dailyLimit: 5 }), 8);
+
+  // Users cannot run the batch function themselves, since it trusts the daily limit it is given
+  const { error } = await authenticatedClient.rpc('deduct_free_credits_batch', { p_user_id: userId, p_amounts: [1], p_daily_limit: 1000 });
+  assert.equal(error?.code, '42501');
+
+  await assert.rejects(
+    deductFreeUserCreditsBatch({ userId, amounts: [4, 4, 1], dailyLimit: 5 }),
+    { message: 'Insufficient credits' }
+  );
+  assert.equal(await getTotalCreditsRemaining({ authenticatedClient, userId, dailyLimit: 5 }), 8);
+
+  const batch = await deductFreeUserCreditsBatch({
+    userId,
+    amounts: [3, 3, 1],
+    dailyLimit: 5,
+    modes: ['improve', 'refine', 'improve']
+  });
+  assert.equal(batch.remainingCredits, 1);
+  assert.equal(batch.dailyCreditsRemaining, 0);
+  assert.equal(batch.itemLedgerIds.length, 3);
+
+  const { rows: ledger } = await db.query(
+    'select id, delta, source, mode from public.credit_ledger where id = any($1::bigint[]) order by id',
+    [batch.itemLedgerIds.flat()]
+  );
+  assert.deepEqual(ledger.map(({ delta, source, mode }) => [delta, source, mode]), [
+    [-3, 'daily', 'improve'],
+    [-2, 'daily', 'refine'],
+    [-1, 'bonus', 'refine'],
+    [-1, 'bonus', 'improve']
+  ]);
+
+  // Refunding the second item returns its daily and bonus credits only
+  assert.equal(await refundCredits({ userId, ledgerIds: batch.itemLedgerIds[1] }), 2);
+  const info = await getUserCreditInfo({ authenticatedClient, userId });
+  assert.equal(info.dailyCreditsUsed, 3);
+  assert.equal(await getTotalCreditsRemaining({ authenticatedClient, userId, dailyLimit: 5 }), 4);
+});
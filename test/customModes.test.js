@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { queryAs } from './support/database.js';
+import { startTestServer } from './support/server.js';
+
+const { db, close } = await setupTestSupabase();
+const { createCustomMode, listCustomModes } = await import('../customModeHelpers.js');
+const { createAuthenticatedClient } = await import('../authMiddleware.js');
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  server?.stop();
+  await close();
+});
+
+// Helper to call the server and return the status and parsed body
+async function call(method, path, body, token) {
+  const response = await fetch(`${server.url}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('users cannot create or change custom modes directly', async () => {
+  const { userId } = await createTestUser(db, { plan: 'pro' });
+  const claims = { role: 'authenticated', sub: userId };
+
+  await assert.rejects(
+    queryAs(db, claims, `insert into public.custom_modes (user_id, name, instructions) values ($1, 'Direct', 'Skip the plan check')`, [userId]),
+    { code: '42501' }
+  );
+  await assert.rejects(
+    queryAs(db, claims, `select public.create_custom_mode($1, 1000, 'Direct', 'Pick my own limit')`, [userId]),
+    { code: '42501' }
+  );
+
+  const mode = await createCustomMode({ userId, input: { name: 'Mine', instructions: 'Be brief.' }, maxModes: 1 });
+  await assert.rejects(
+    queryAs(db, claims, `update public.custom_modes set credit_cost = 1, model = 'any-model' where id = $1`, [mode.id]),
+    { code: '42501' }
+  );
+
+  // Deleting their own mode is still allowed
+  const { rows } = await queryAs(db, claims, 'delete from public.custom_modes where id = $1 returning id', [mode.id]);
+  assert.equal(rows.length, 1);
+});
+
+test('parallel creates cannot exceed the plan limit', async () => {
+  const { userId, token } = await createTestUser(db, { plan: 'pro' });
+
+  const results = await Promise.allSettled(
+    Array.from({ length: 6 }, (_, i) => createCustomMode({ userId, input: { name: `Mode ${i}`, instructions: 'Rewrite it.' }, maxModes: 3 }))
+  );
+
+  assert.equal(results.filter(({ status }) => status === 'fulfilled').length, 3);
+  for (const result of results.filter(({ status }) => status === 'rejected')) {
+    assert.equal(result.reason.message, 'Custom mode limit reached');
+  }
+
+  const modes = await listCustomModes({ authenticatedClient: createAuthenticatedClient(token), userId });
+  assert.equal(modes.length, 3);
+  assert.equal(modes[0].user_id, undefined);
+});
+
+test('the custom mode routes are for plans with custom modes only', async () => {
+  const { userId, token } = await createTestUser(db);
+  const mode = await createCustomMode({ userId, input: { name: 'From Pro days', instructions: 'Be formal.' }, maxModes: 1 });
+
+  assert.equal((await call('POST', '/api/modes', { name: 'New', instructions: 'Be brief.' }, token)).body.error.code, 'PRO_REQUIRED');
+  assert.equal((await call('PATCH', `/api/modes/${mode.id}`, { name: 'Renamed' }, token)).body.error.code, 'PRO_REQUIRED');
+  assert.equal((await call('DELETE', `/api/modes/${mode.id}`, undefined, token)).body.error.code, 'PRO_REQUIRED');
+
+  // Reading is still allowed, e.g. to copy the instructions out
+  const list = await call('GET', '/api/modes', undefined, token);
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.modes.map(({ name }) => name), ['From Pro days']);
+});
+
+test('a Pro user creates, runs, updates and deletes a custom mode', async () => {
+  const { token } = await createTestUser(db, { plan: 'pro' });
+
+  const invalid = await call('POST', '/api/modes', { name: '', instructions: 'Be brief.' }, token);
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error.code, 'VALIDATION_ERROR');
+
+  const created = await call('POST', '/api/modes', { name: 'Brief', instructions: 'Make it brief.', credit_cost: 2 }, token);
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  const { id } = created.body.mode;
+  assert.equal(created.body.mode.credit_cost, 2);
+
+  const run = await call('POST', `/api/prompts/run/${id}`, { original_prompt: 'tell me about tides' }, token);
+  assert.equal(run.status, 200, JSON.stringify(run.body));
+  assert.match(run.body.output, /tell me about tides/);
+
+  const updated = await call('PATCH', `/api/modes/${id}`, { name: 'Briefer' }, token);
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.mode.name, 'Briefer');
+
+  assert.equal((await call('PATCH', '/api/modes/not-a-uuid', { name: 'Nothing' }, token)).body.error.code, 'NOT_FOUND');
+  assert.equal((await call('DELETE', `/api/modes/${id}`, undefined, token)).status, 200);
+  assert.equal((await call('GET', `/api/modes/${id}`, undefined, token)).body.error.code, 'NOT_FOUND');
+  assert.equal((await call('POST', `/api/prompts/run/${id}`, { original_prompt: 'tell me about tides' }, token)).body.error.code, 'NOT_FOUND');
+});
@@ -0,0 +1,135 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { startTestServer } from './support/server.js';
+import { startTestLLM } from './support/llm.js';
+
+const { db, close } = await setupTestSupabase();
+const llm = await startTestLLM();
+const { diffWords, summarizeDiff, normalizeExplanation } = await import('../changeExplanation.js');
+let server;
+
+const ORIGINAL = 'write a poem about the sea';
+const IMPROVED = 'You are a poet. Write a short poem about the sea at night, in four lines.';
+
+before(async () => {
+  server = await startTestServer({ LLM_PROVIDER: 'local', LOCAL_LLM_BASE_URL: llm.url });
+});
+
+after(async () => {
+  server?.stop();
+  await llm.close();
+  await close();
+});
+
+// Helper to post JSON (as a user when a token is given) and return the status and parsed body
+async function post(path, body, token) {
+  const response = await fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function credits(userId) {
+  const { rows: [row] } = await db.query('select credits from public.users where id = $1', [userId]);
+  return row.credits;
+}
+
+// Helper to rebuild one side of a diff
+function side(diff, skip) {
+  return diff.filter((change) => change.type !== skip).map((change) => change.text).join('');
+}
+
+test('a word diff rebuilds both texts and groups each run of edits', () => {
+  const diff = diffWords(ORIGINAL, IMPROVED);
+  assert.equal(side(diff, 'insert'), ORIGINAL);
+  assert.equal(side(diff, 'delete'), IMPROVED);
+
+  assert.deepEqual(diffWords('make it shorter please', 'make it much shorter'), [
+    { type: 'equal', text: 'make it ' },
+    { type: 'insert', text: 'much ' },
+    { type: 'equal', text: 'shorter' },
+    { type: 'delete', text: ' please' }
+  ]);
+  assert.deepEqual(diffWords('a red car', 'a blue bike'), [
+    { type: 'equal', text: 'a ' },
+    { type: 'delete', text: 'red car' },
+    { type: 'insert', text: 'blue bike' }
+  ]);
+
+  assert.deepEqual(summarizeDiff(diffWords('a red car', 'a blue bike')), { unchanged: 1, removed: 2, added: 2 });
+});
+
+test('explanations are grouped by known category', () => {
+  const groups = normalizeExplanation({
+    reasons: [
+      { category: 'removed_ambiguity', reason: 'Said which sea.' },
+      { category: 'added_context', reason: ' Set the scene at night. ' },
+      { category: 'tone', reason: 'Made it warmer.' },
+      { category: 'added_context', reason: '' }
+    ]
+  });
+
+  assert.deepEqual(groups, [
+    { category: 'added_context', label: 'Added context', reasons: ['Set the scene at night.'] },
+    { category: 'removed_ambiguity', label: 'Removed ambiguity', reasons: ['Said which sea.'] },
+    { category: 'other', label: 'Other changes', reasons: ['Made it warmer.'] }
+  ]);
+  assert.throws(() => normalizeExplanation({ reason: 'x' }), /missing a reasons list/);
+});
+
+test('the diff tier is free and needs no account', async () => {
+  const { status, body } = await post('/api/prompts/explain', { original_prompt: ORIGINAL, improved_prompt: IMPROVED });
+  assert.equal(status, 200);
+  assert.equal(body.tier, 'diff');
+  assert.equal(side(body.diff, 'delete'), IMPROVED);
+  assert.equal(body.explanation, undefined);
+
+  const missing = await post('/api/prompts/explain', { original_prompt: ORIGINAL });
+  assert.equal(missing.status, 400);
+});
+
+test('the LLM tier explains the changes and is charged like the estimate says', async (t) => {
+  t.after(() => llm.setReply());
+  const { userId, token } = await createTestUser(db, { credits: 10, daily_credits_used: 3 });
+  llm.setReply(() => JSON.stringify({ reasons: [{ category: 'clarified_format', reason: 'Asked for four lines.' }] }));
+
+  const estimate = await post('/api/prompts/estimate', { mode: 'explain', original_prompt: ORIGINAL, improved_prompt: IMPROVED }, token);
+  assert.equal(estimate.status, 200);
+
+  const { status, body } = await post('/api/prompts/explain', { original_prompt: ORIGINAL, improved_prompt: IMPROVED, tier: 'llm' }, token);
+  assert.equal(status, 200);
+  assert.deepEqual(body.explanation, [{ category: 'clarified_format', label: 'Clarified format', reasons: ['Asked for four lines.'] }]);
+  assert.equal(body.quotedCost, estimate.body.quotedCost);
+  assert.equal(await credits(userId), 10 - body.quotedCost);
+});
+
+test('an unchanged prompt is not sent to the LLM or charged', async (t) => {
+  t.after(() => llm.setReply());
+  const { userId, token } = await createTestUser(db, { credits: 10, daily_credits_used: 3 });
+  let called = false;
+  llm.setReply(() => {
+    called = true;
+    return '{}';
+  });
+
+  const { status, body } = await post('/api/prompts/explain', { original_prompt: ORIGINAL, improved_prompt: `  ${ORIGINAL}\n`, tier: 'llm' }, token);
+  assert.equal(status, 200);
+  assert.deepEqual(body.explanation, []);
+  assert.equal(body.quotedCost, 0);
+  assert.equal(called, false);
+  assert.equal(await credits(userId), 10);
+});
+
+test('an unusable explanation is refunded', async (t) => {
+  t.after(() => llm.setReply());
+  const { userId, token } = await createTestUser(db, { credits: 10, daily_credits_used: 3 });
+  llm.setReply(() => 'The rewrite is clearer.');
+
+  const { status, body } = await post('/api/prompts/explain', { original_prompt: ORIGINAL, improved_prompt: IMPROVED, tier: 'llm' }, token);
+  assert.equal(status, 500);
+  assert.equal(body.refunded, true);
+  assert.equal(await credits(userId), 10);
+});
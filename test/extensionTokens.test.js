@@ -0,0 +1,139 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { startTestServer } from './support/server.js';
+
+const { db, close } = await setupTestSupabase();
+const { getRequiredScope, parseScopes } = await import('../extensionTokens.js');
+let server;
+
+before(async () => {
+  server = await startTestServer({ SUPABASE_JWT_SECRET: 'test-jwt-secret' });
+});
+
+after(async () => {
+  server?.stop();
+  await close();
+});
+
+// Helper to call the API with a bearer token and return the status and parsed body
+async function request(method, path, { token, body } = {}) {
+  const response = await fetch(`${server.url}${path}`, {
+    method,
+    headers: {
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Helper to connect an extension for a user and return its token
+async function connectExtension(sessionToken, { scopes, name } = {}) {
+  const { body: { code } } = await request('POST', '/api/extension/codes', { token: sessionToken, body: { scopes } });
+  const { status, body } = await request('POST', '/api/extension/token', { body: { code, name } });
+  assert.equal(status, 201);
+  return body;
+}
+
+// Helper to open /extension-connect as a user and return where it redirects
+async function connectPage(sessionToken) {
+  const response = await fetch(`${server.url}/extension-connect`, {
+    redirect: 'manual',
+    headers: { Authorization: `Bearer ${sessionToken}` }
+  });
+  assert.equal(response.status, 302);
+  return new URL(response.headers.get('location'), server.url);
+}
+
+test('scopes map onto API paths', () => {
+  assert.equal(getRequiredScope('/api/prompts/improve'), 'prompts');
+  assert.equal(getRequiredScope('/api/me'), 'account');
+  assert.equal(getRequiredScope('/api/meta'), null);
+  assert.equal(getRequiredScope('/api/extension/codes'), null);
+  assert.deepEqual(parseScopes(['history', 'history']), ['history']);
+  assert.throws(() => parseScopes(['billing']), /unknown scope "billing"/);
+});
+
+test('a connect code is exchanged once for a token that works like a session', async () => {
+  const { token: sessionToken } = await createTestUser(db, { credits: 10, plan: 'pro', email: 'laptop@example.com' });
+  const { body: { code } } = await request('POST', '/api/extension/codes', { token: sessionToken, body: {} });
+
+  const { status, body: extension } = await request('POST', '/api/extension/token', { body: { code, name: 'Chrome on laptop' } });
+  assert.equal(status, 201);
+  assert.match(extension.token, /^ept_/);
+  assert.equal(extension.name, 'Chrome on laptop');
+
+  const reused = await request('POST', '/api/extension/token', { body: { code } });
+  assert.equal(reused.status, 400);
+
+  // Only a hash of the token is stored
+  const { rows: [stored] } = await db.query('select token_hash, token_prefix from public.extension_tokens where id = $1', [extension.id]);
+  assert.notEqual(stored.token_hash, extension.token);
+  assert.ok(extension.token.startsWith(stored.token_prefix));
+
+  const me = await request('GET', '/api/me', { token: extension.token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.email, 'laptop@example.com');
+
+  const improved = await request('POST', '/api/prompts/improve', { token: extension.token, body: { original_prompt: 'write a poem' } });
+  assert.equal(improved.status, 200);
+});
+
+test('tokens only reach the routes their scopes allow', async () => {
+  const { token: sessionToken } = await createTestUser(db, { credits: 10, plan: 'pro' });
+  const { token } = await connectExtension(sessionToken, { scopes: ['history'] });
+
+  assert.equal((await request('GET', '/api/history', { token })).status, 200);
+
+  const prompts = await request('POST', '/api/prompts/improve', { token, body: { original_prompt: 'write a poem' } });
+  assert.equal(prompts.status, 403);
+  assert.equal(prompts.body.error.code, 'SCOPE_NOT_ALLOWED');
+
+  // Token management needs a real session, whatever the scopes
+  const { token: fullToken } = await connectExtension(sessionToken);
+  assert.equal((await request('POST', '/api/extension/codes', { token: fullToken, body: {} })).body.error.code, 'SCOPE_NOT_ALLOWED');
+  assert.equal((await request('GET', '/api/extension/tokens', { token: fullToken })).body.error.code, 'SCOPE_NOT_ALLOWED');
+
+  const inURL = await request('GET', `/api/me?token=${encodeURIComponent(fullToken)}`);
+  assert.equal(inURL.status, 400);
+});
+
+test('tokens are listed without the secret and can be revoked', async () => {
+  const { token: sessionToken } = await createTestUser(db, { credits: 10, plan: 'pro' });
+  const other = await createTestUser(db);
+  const extension = await connectExtension(sessionToken, { name: 'Work laptop' });
+
+  const { body: { tokens } } = await request('GET', '/api/extension/tokens', { token: sessionToken });
+  assert.deepEqual(tokens.map((entry) => entry.name), ['Work laptop']);
+  assert.equal(tokens[0].token, undefined);
+  assert.equal(tokens[0].token_hash, undefined);
+
+  // Another user cannot revoke it, and made-up ids are not found
+  assert.equal((await request('DELETE', `/api/extension/tokens/${extension.id}`, { token: other.token })).status, 404);
+  assert.equal((await request('DELETE', '/api/extension/tokens/not-a-uuid', { token: sessionToken })).status, 404);
+
+  assert.equal((await request('DELETE', `/api/extension/tokens/${extension.id}`, { token: sessionToken })).status, 200);
+
+  const revoked = await request('GET', '/api/me', { token: extension.token });
+  assert.equal(revoked.status, 401);
+  assert.equal(revoked.body.error.code, 'AUTH_EXPIRED');
+  assert.deepEqual((await request('GET', '/api/extension/tokens', { token: sessionToken })).body.tokens, []);
+});
+
+test('connecting an extension requires Pro', async () => {
+  const free = await createTestUser(db, { email: 'free@example.com' });
+  const pro = await createTestUser(db, { plan: 'pro', email: 'pro@example.com' });
+
+  const { status, body } = await request('POST', '/api/extension/codes', { token: free.token });
+  assert.equal(status, 403);
+  assert.equal(body.error.code, 'PRO_REQUIRED');
+
+  assert.equal((await connectPage(free.token)).pathname, '/upgrade');
+
+  const location = await connectPage(pro.token);
+  assert.equal(location.pathname, '/extension-connect-success');
+  const exchanged = await request('POST', '/api/extension/token', { body: { code: location.searchParams.get('code') } });
+  assert.equal(exchanged.status, 201);
+});
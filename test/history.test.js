@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+
+const { db, close } = await setupTestSupabase();
+const { createAuthenticatedClient } = await import('../authMiddleware.js');
+const { getPromptHistory, deletePromptHistoryEntry } = await import('../historyHelpers.js');
+
+after(close);
+
+// Helper to add history rows; rows in the same batch share a created_at, so paging has to break ties by id
+async function addHistory(userId, count, createdAt) {
+  await db.query(
+    `insert into public.prompt_history (user_id, type, original_input, final_prompt, created_at)
+     select $1, 'improve', 'prompt ' || n, 'improved ' || n, $2::timestamptz
+       from generate_series(1, $3::int) n`,
+    [userId, createdAt, count]
+  );
+}
+
+test('cursor paging returns every entry once, newest first', async () => {
+  const { userId, token } = await createTestUser(db);
+  const authenticatedClient = createAuthenticatedClient(token);
+  await addHistory(userId, 7, '2026-10-01T10:00:00.123456Z');
+  await addHistory(userId, 8, '2026-10-02T10:00:00.654321Z');
+  await addHistory(userId, 6, '2026-10-03T10:00:00Z');
+
+  const seen = [];
+  let cursor;
+  do {
+    const page = await getPromptHistory({ authenticatedClient, userId, limit: 4, cursor });
+    assert.ok(page.entries.length <= 4);
+    seen.push(...page.entries);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  assert.equal(seen.length, 21);
+  assert.equal(new Set(seen.map((entry) => entry.id)).size, 21);
+
+  const order = seen.map((entry) => [new Date(entry.created_at).getTime(), Number(entry.id)]);
+  for (let i = 1; i < order.length; i++) {
+    const [previousTime, previousId] = order[i - 1];
+    const [time, id] = order[i];
+    assert.ok(time < previousTime || (time === previousTime && id < previousId), `entry ${i} is out of order`);
+  }
+});
+
+test('cursors that are not a timestamp and an id are rejected', async () => {
+  const { userId, token } = await createTestUser(db);
+  const authenticatedClient = createAuthenticatedClient(token);
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  const cursors = [
+    'not-a-cursor',
+    encode({ createdAt: '2026-10-01T10:00:00Z' }),
+    encode({ createdAt: 'yesterday', id: 1 }),
+    encode({ createdAt: '2026-10-01T10:00:00Z",id.gt.0)', id: 1 }),
+    encode({ createdAt: '2026-10-01T10:00:00Z', id: '1),user_id.neq.(x' }),
+    encode({ createdAt: '2026-10-01T10:00:00Z', id: { gt: 0 } }),
+    ['a', 'b']
+  ];
+
+  for (const cursor of cursors) {
+    await assert.rejects(
+      getPromptHistory({ authenticatedClient, userId, cursor }),
+      { message: 'Invalid history cursor' },
+      JSON.stringify(cursor)
+    );
+  }
+});
+
+test('deleting a malformed or another user\'s entry finds nothing', async () => {
+  const { userId, token } = await createTestUser(db);
+  const other = await createTestUser(db);
+  const authenticatedClient = createAuthenticatedClient(token);
+  await addHistory(other.userId, 1, '2026-10-04T10:00:00Z');
+  const { rows: [entry] } = await db.query('select id from public.prompt_history where user_id = $1', [other.userId]);
+
+  assert.equal(await deletePromptHistoryEntry({ authenticatedClient, userId, id: 'abc' }), false);
+  assert.equal(await deletePromptHistoryEntry({ authenticatedClient, userId, id: String(entry.id) }), false);
+
+  const otherClient = createAuthenticatedClient(other.token);
+  assert.equal(await deletePromptHistoryEntry({ authenticatedClient: otherClient, userId: other.userId, id: String(entry.id) }), true);
+});
@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { queryAs } from './support/database.js';
+import { startTestServer } from './support/server.js';
+
+const { db, close } = await setupTestSupabase();
+let server;
+
+before(async () => {
+  server = await startTestServer({ ADMIN_SECRET: 'test-admin-secret' });
+});
+
+after(async () => {
+  server?.stop();
+  await close();
+});
+
+// Helper to add ledger rows for a user, one per delta
+async function addLedgerEntries(userId, deltas) {
+  for (const delta of deltas) {
+    await db.query(
+      `insert into public.credit_ledger (user_id, delta, reason, source, mode, balance_after)
+       values ($1, $2, case when $2 > 0 then 'admin_adjustment' else 'prompt' end, case when $2 > 0 then 'admin' else 'bonus' end, case when $2 > 0 then null else 'improve' end, 0)`,
+      [userId, delta]
+    );
+  }
+}
+
+async function getJSON(path, headers) {
+  const response = await fetch(`${server.url}${path}`, { headers });
+  return { status: response.status, body: await response.json() };
+}
+
+test('the credit history pages through the caller\'s own entries, newest first', async () => {
+  const { userId, token } = await createTestUser(db);
+  const { userId: otherUserId } = await createTestUser(db);
+  await addLedgerEntries(userId, [10, -1, -2, -3, -4]);
+  await addLedgerEntries(otherUserId, [50, -5]);
+
+  const auth = { Authorization: `Bearer ${token}` };
+  const deltas = [];
+  let cursor = '';
+  let pages = 0;
+  do {
+    const { status, body } = await getJSON(`/api/credits/history?limit=2${cursor ? `&cursor=${cursor}` : ''}`, auth);
+    assert.equal(status, 200);
+    assert.ok(body.entries.length <= 2);
+    deltas.push(...body.entries.map((entry) => entry.delta));
+    cursor = body.nextCursor;
+    pages++;
+  } while (cursor);
+
+  assert.deepEqual(deltas, [-4, -3, -2, -1, 10]);
+  assert.equal(pages, 3);
+
+  for (const malformed of ['abc', '0', '-1', '1.5']) {
+    const { status, body } = await getJSON(`/api/credits/history?cursor=${malformed}`, auth);
+    assert.equal(status, 400, malformed);
+    assert.equal(body.error.code, 'VALIDATION_ERROR');
+  }
+
+  assert.equal((await getJSON('/api/credits/history')).body.error.code, 'AUTH_REQUIRED');
+});
+
+test('users cannot change or remove their ledger entries', async () => {
+  const { userId } = await createTestUser(db);
+  await addLedgerEntries(userId, [-1]);
+  const claims = { role: 'authenticated', sub: userId };
+
+  for (const sql of [
+    'update public.credit_ledger set delta = 100 where user_id = $1',
+    'delete from public.credit_ledger where user_id = $1',
+    `insert into public.credit_ledger (user_id, delta, reason, source, balance_after) values ($1, 100, 'admin_adjustment', 'admin', 100)`
+  ]) {
+    await assert.rejects(queryAs(db, claims, sql, [userId]), { code: '42501' }, sql);
+  }
+
+  const { rows } = await db.query('select delta from public.credit_ledger where user_id = $1', [userId]);
+  assert.deepEqual(rows, [{ delta: -1 }]);
+});
+
+test('support can look up a ledger by email with the admin secret', async () => {
+  const { userId } = await createTestUser(db, { email: 'ledger-support@example.com', credits: 7 });
+  await addLedgerEntries(userId, [7]);
+
+  const denied = await getJSON('/api/admin/credits/history?email=ledger-support@example.com', { 'X-Admin-Secret': 'wrong' });
+  assert.equal(denied.body.error.code, 'ADMIN_REQUIRED');
+
+  const { status, body } = await getJSON('/api/admin/credits/history?email=Ledger-Support@example.com', { 'X-Admin-Secret': 'test-admin-secret' });
+  assert.equal(status, 200);
+  assert.equal(body.currentCredits, 7);
+  assert.deepEqual(body.entries.map((entry) => entry.delta), [7]);
+
+  const malformed = await getJSON('/api/admin/credits/history?email=ledger-support@example.com&cursor=abc', { 'X-Admin-Secret': 'test-admin-secret' });
+  assert.equal(malformed.body.error.code, 'VALIDATION_ERROR');
+
+  const missing = await getJSON('/api/admin/credits/history?email=nobody@example.com', { 'X-Admin-Secret': 'test-admin-secret' });
+  assert.equal(missing.body.error.code, 'NOT_FOUND');
+});
@@ -0,0 +1,92 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createStubProvider, createAnthropicProvider, getLLMProvider } from '../llmProviders.js';
+import { getProviderNameForPlan, getModeSettings } from '../llmConfig.js';
+
+const messages = [{ role: 'system', content: 'Rewrite the prompt.' }, { role: 'user', content: 'write a poem' }];
+
+// Fake Messages API: records the last request body and answers it whole or as an event stream
+let lastRequest;
+const anthropic = http.createServer(async (req, res) => {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  lastRequest = { headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) };
+
+  if (lastRequest.body.stream) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const text of ['A short', ' poem.']) {
+      res.write(`event: content_block_delta\ndata: ${JSON.stringify({ type: 'content_block_delta', delta: { type: 'text_delta', text } })}\n\n`);
+    }
+    res.end('event: message_stop\ndata: {"type":"message_stop"}\n\n');
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    model: 'claude-test',
+    content: [{ type: 'text', text: 'A short poem.' }],
+    usage: { input_tokens: 12, output_tokens: 4 }
+  }));
+});
+await new Promise((resolve) => anthropic.listen(0, '127.0.0.1', resolve));
+const anthropicURL = `http://127.0.0.1:${anthropic.address().port}/v1/messages`;
+
+after(() => new Promise((resolve) => anthropic.close(resolve)));
+
+// Helper to collect a provider stream into one string
+async function collect(stream) {
+  let text = '';
+  for await (const delta of stream) {
+    text += delta;
+  }
+  return text;
+}
+
+test('the stub provider answers with the prompt, whole or streamed', async () => {
+  const stub = createStubProvider();
+
+  const completion = await stub.complete({ model: 'stub', messages });
+  assert.equal(completion.text, 'Improved prompt: write a poem');
+  assert.equal(completion.model, 'stub');
+  assert.ok(completion.usage.promptTokens > 0);
+
+  assert.equal(await collect(stub.stream({ model: 'stub', messages })), completion.text);
+});
+
+test('the Anthropic provider sends the system prompt as a field and reads text deltas', async () => {
+  const provider = createAnthropicProvider({ apiKey: 'test-key', baseURL: anthropicURL });
+
+  const completion = await provider.complete({ model: 'claude-test', messages, temperature: 0.35, maxTokens: 250 });
+  assert.deepEqual(completion, { text: 'A short poem.', model: 'claude-test', usage: { promptTokens: 12, completionTokens: 4 } });
+  assert.equal(lastRequest.headers['x-api-key'], 'test-key');
+  assert.equal(lastRequest.body.system, 'Rewrite the prompt.');
+  assert.deepEqual(lastRequest.body.messages, [{ role: 'user', content: 'write a poem' }]);
+  assert.equal(lastRequest.body.max_tokens, 250);
+
+  assert.equal(await collect(provider.stream({ model: 'claude-test', messages, maxTokens: 250 })), 'A short poem.');
+  assert.equal(lastRequest.body.stream, true);
+});
+
+test('providers and mode settings come from the environment', (t) => {
+  t.after(() => {
+    for (const name of ['LLM_PROVIDER', 'LLM_PROVIDER_PRO', 'LLM_OPENAI_MODEL', 'LLM_OPENAI_MODEL_REFINE', 'LLM_MAX_TOKENS_REFINE']) {
+      delete process.env[name];
+    }
+  });
+  process.env.LLM_PROVIDER = 'stub';
+  process.env.LLM_PROVIDER_PRO = 'anthropic';
+  process.env.LLM_OPENAI_MODEL = 'gpt-test';
+  process.env.LLM_OPENAI_MODEL_REFINE = 'gpt-refine';
+  process.env.LLM_MAX_TOKENS_REFINE = '400';
+
+  assert.equal(getProviderNameForPlan('free'), 'stub');
+  assert.equal(getProviderNameForPlan('pro'), 'anthropic');
+  assert.deepEqual(getModeSettings('refine', 'openai'), { model: 'gpt-refine', temperature: 0.35, maxTokens: 400 });
+  assert.equal(getModeSettings('improve', 'openai').model, 'gpt-test');
+  assert.equal(getModeSettings('improve', 'stub').model, 'stub');
+
+  assert.throws(() => getLLMProvider('mystery'), /Unknown LLM provider "mystery"/);
+});
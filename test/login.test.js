@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import { setupTestSupabase } from './support/environment.js';
+import { createTestAccount, createTestOAuthCode } from './support/postgrest.js';
+import { startTestServer } from './support/server.js';
+
+const { db, close } = await setupTestSupabase();
+let server;
+
+before(async () => {
+  server = await startTestServer({ LOGIN_MAX_FAILURES_PER_EMAIL: '3', LOGIN_MAX_FAILURES_PER_IP: '8' });
+});
+
+after(async () => {
+  server?.stop();
+  await close();
+});
+
+// Helper to post JSON and return the status, parsed body and headers
+async function post(path, body) {
+  const response = await fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json(), headers: response.headers };
+}
+
+// Helper to create a password account that has not signed in yet (no users row)
+function createAccount(email, password = 'correct horse') {
+  const claims = { role: 'authenticated', sub: randomUUID(), email };
+  createTestAccount(claims, password);
+  return claims.sub;
+}
+
+async function userRow(userId) {
+  const { rows: [row] } = await db.query('select email from public.users where id = $1', [userId]);
+  return row;
+}
+
+test('a password sign-in returns a session and provisions the users row', async () => {
+  const userId = createAccount('first@example.com');
+  assert.equal(await userRow(userId), undefined);
+
+  const { status, body } = await post('/api/auth/login', { email: ' First@Example.com ', password: 'correct horse' });
+  assert.equal(status, 200);
+  assert.ok(body.access_token);
+  assert.ok(body.refresh_token);
+  assert.deepEqual(body.user, { id: userId, email: 'first@example.com' });
+  assert.deepEqual(await userRow(userId), { email: 'first@example.com' });
+
+  const missing = await post('/api/auth/login', { email: 'first@example.com', password: ['correct horse'] });
+  assert.equal(missing.status, 400);
+});
+
+test('failed sign-ins are throttled per email, even when sent in parallel', async () => {
+  createAccount('target@example.com');
+
+  const attempts = await Promise.all(
+    Array.from({ length: 6 }, () => post('/api/auth/login', { email: 'target@example.com', password: 'guess' }))
+  );
+  const statuses = attempts.map((attempt) => attempt.status).sort();
+  assert.deepEqual(statuses, [401, 401, 401, 429, 429, 429]);
+
+  const throttled = attempts.find((attempt) => attempt.status === 429);
+  assert.equal(throttled.body.error.code, 'RATE_LIMITED');
+  assert.ok(Number(throttled.headers.get('retry-after')) > 0);
+
+  // Even the right password waits for the window to end
+  assert.equal((await post('/api/auth/login', { email: 'target@example.com', password: 'correct horse' })).status, 429);
+});
+
+test('an OAuth sign-in keeps the PKCE verifier in a cookie and hands the session to the auth page', async () => {
+  const start = await fetch(`${server.url}/api/auth/oauth/github`, { redirect: 'manual' });
+  assert.equal(start.status, 302);
+  const authorize = new URL(start.headers.get('location'));
+  assert.equal(authorize.pathname, '/auth/v1/authorize');
+  assert.equal(authorize.searchParams.get('provider'), 'github');
+
+  const cookie = start.headers.get('set-cookie');
+  assert.match(cookie, /ep_oauth_verifier=.+; Max-Age=600; Path=\/api\/auth\/oauth; .*HttpOnly/);
+
+  const userId = randomUUID();
+  const code = createTestOAuthCode({ role: 'authenticated', sub: userId, email: 'octo@example.com' }, authorize.searchParams.get('code_challenge'));
+
+  const callback = await fetch(`${server.url}/api/auth/oauth/callback?code=${code}`, {
+    redirect: 'manual',
+    headers: { Cookie: cookie.split(';')[0] }
+  });
+  assert.equal(callback.status, 302);
+  const fragment = new URLSearchParams(new URL(callback.headers.get('location'), server.url).hash.slice(1));
+  assert.ok(fragment.get('access_token'));
+  assert.ok(fragment.get('refresh_token'));
+  assert.deepEqual(await userRow(userId), { email: 'octo@example.com' });
+
+  // The code is spent, and without the verifier cookie no code is accepted
+  const replayed = await fetch(`${server.url}/api/auth/oauth/callback?code=${code}`, { redirect: 'manual' });
+  assert.match(replayed.headers.get('location'), /^\/auth#error=/);
+
+  assert.equal((await fetch(`${server.url}/api/auth/oauth/myspace`, { redirect: 'manual' })).status, 400);
+});
@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { startTestServer } from './support/server.js';
+
+const { db, close } = await setupTestSupabase();
+const { getPlan, isKnownPlan, isModeAllowed, quoteCost, describePlanLimits } = await import('../planCatalog.js');
+const catalogDir = mkdtempSync(join(tmpdir(), 'plan-catalog-'));
+let server;
+
+before(async () => {
+  // Free users get 5 daily credits and follow-ups at 3 credits; "student" is a new plan based on Free
+  const catalogFile = join(catalogDir, 'plans.json');
+  writeFileSync(catalogFile, JSON.stringify({
+    free: { dailyCredits: 5, modeCosts: { followup: 3 }, allowedModes: ['improve', 'refine', 'followup'] },
+    student: { label: 'Student', dailyCredits: 20 }
+  }));
+  server = await startTestServer({ PLAN_CATALOG_FILE: catalogFile });
+});
+
+after(async () => {
+  server?.stop();
+  rmSync(catalogDir, { recursive: true, force: true });
+  await close();
+});
+
+async function postJSON(path, body, token) {
+  const response = await fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+}
+
+async function getMe(token) {
+  const response = await fetch(`${server.url}/api/me`, { headers: { Authorization: `Bearer ${token}` } });
+  return response.json();
+}
+
+test('plans are looked up by name, and unknown ones fall back to Free', () => {
+  assert.equal(getPlan('enterprise').name, 'free');
+  assert.equal(isKnownPlan('enterprise'), false);
+  assert.equal(isKnownPlan('team'), true);
+
+  assert.equal(isModeAllowed(getPlan('free'), 'followup'), false);
+  assert.equal(isModeAllowed(getPlan('pro'), 'followup'), true);
+  assert.equal(isModeAllowed(getPlan('anonymous'), 'batch'), false);
+  assert.ok(getPlan('anonymous').ipCredits > getPlan('anonymous').startingCredits);
+});
+
+test('quotes charge the mode cost per started block of tokens', () => {
+  const free = getPlan('free');
+  assert.deepEqual(quoteCost(free, 'improve', { inputTokens: 10, maxOutputTokens: 500 }), { credits: 1, blocks: 1, inputTokens: 10, maxOutputTokens: 500 });
+  assert.equal(quoteCost(free, 'improve', { inputTokens: 501, maxOutputTokens: 500 }).credits, 2);
+  assert.equal(quoteCost(free, 'followup', { inputTokens: 1500, maxOutputTokens: 1000 }).credits, 6);
+  assert.equal(quoteCost(free, 'custom', { inputTokens: 10, maxOutputTokens: 500, baseCost: 4 }).credits, 4);
+});
+
+test('the public limits leave out internal fields', () => {
+  const limits = describePlanLimits(getPlan('anonymous'));
+  assert.equal(limits.startingCredits, undefined);
+  assert.equal(limits.ipCredits, undefined);
+  assert.deepEqual(limits.rateLimit, getPlan('anonymous').rateLimit);
+});
+
+test('PLAN_CATALOG_FILE entries are merged over the defaults', async () => {
+  const { token } = await createTestUser(db, { credits: 2 });
+  const me = await getMe(token);
+  assert.equal(me.plan, 'free');
+  assert.equal(me.credits_remaining, 7);
+  assert.equal(me.limits.dailyCredits, 5);
+  assert.deepEqual(me.limits.modeCosts, { ...getPlan('free').modeCosts, followup: 3 });
+  assert.deepEqual(me.limits.rateLimit, getPlan('free').rateLimit);
+
+  const { token: studentToken } = await createTestUser(db, { plan: 'student' });
+  const student = await getMe(studentToken);
+  assert.equal(student.plan, 'student');
+  assert.equal(student.is_pro, false);
+  assert.equal(student.credits_remaining, 20);
+  assert.deepEqual(student.limits.allowedModes, getPlan('free').allowedModes);
+});
+
+test('the modes a plan allows come from the catalog', async () => {
+  const anonymous = await postJSON('/api/prompts/followup', { original_prompt: 'and shorter', previous_prompt: 'write a poem' });
+  assert.equal(anonymous.error.code, 'AUTH_REQUIRED');
+
+  // Free users may now follow up, at the overridden cost, but no longer batch
+  const { token } = await createTestUser(db, { credits: 0 });
+  const followup = await postJSON('/api/prompts/followup', { original_prompt: 'and shorter', previous_prompt: 'write a poem' }, token);
+  assert.equal(followup.success, true);
+  assert.equal(followup.quotedCost, 3);
+  assert.equal(followup.creditsRemaining, 2);
+
+  const batch = await postJSON('/api/prompts/batch', { items: [{ original_prompt: 'one' }] }, token);
+  assert.equal(batch.error.code, 'PRO_REQUIRED');
+});
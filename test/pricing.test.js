@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { startTestServer } from './support/server.js';
+
+const { db, close } = await setupTestSupabase();
+const { getPlan, quoteCost } = await import('../planCatalog.js');
+let server;
+
+before(async () => {
+  server = await startTestServer({ RESPONSE_CACHE: 'off' });
+});
+
+after(async () => {
+  server?.stop();
+  await close();
+});
+
+// Helper to post JSON (as a user when a token is given) and return the status and parsed body
+async function post(path, body, token) {
+  const response = await fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function credits(userId) {
+  const { rows: [row] } = await db.query('select credits, daily_credits_used from public.users where id = $1', [userId]);
+  return row;
+}
+
+// A prompt of about the given number of estimated tokens (4 characters each)
+function promptOfTokens(tokens) {
+  return 'word '.repeat(tokens).slice(0, tokens * 4);
+}
+
+test('the estimate quotes a request by its size and plan without charging', async () => {
+  const { userId, token } = await createTestUser(db, { credits: 10 });
+  const before = await credits(userId);
+
+  const small = await post('/api/prompts/estimate', { original_prompt: 'write a poem' }, token);
+  assert.equal(small.status, 200);
+  assert.equal(small.body.plan, 'free');
+  assert.equal(small.body.withinLimit, true);
+  assert.equal(small.body.quotedCost, quoteCost(getPlan('free'), 'improve', small.body).credits);
+
+  // Larger prompts and more candidates cost more
+  const large = await post('/api/prompts/estimate', { original_prompt: promptOfTokens(1500) }, token);
+  assert.ok(large.body.quotedCost > small.body.quotedCost);
+  const variants = await post('/api/prompts/estimate', { original_prompt: 'write a poem', variants: 3 }, token);
+  assert.equal(variants.body.quotedCost, small.body.quotedCost * 3);
+
+  // The anonymous plan has a smaller input limit, and no follow-ups
+  const anonymous = await post('/api/prompts/estimate', { original_prompt: promptOfTokens(1500), mode: 'followup', previous_prompt: 'hi' });
+  assert.equal(anonymous.body.plan, 'anonymous');
+  assert.equal(anonymous.body.withinLimit, false);
+  assert.equal(anonymous.body.allowed, false);
+
+  assert.deepEqual(await credits(userId), before);
+});
+
+test('the improve response quotes what was charged', async () => {
+  const { userId, token } = await createTestUser(db, { credits: 10, daily_credits_used: 3 });
+  const body = { original_prompt: promptOfTokens(1200) };
+
+  const estimate = await post('/api/prompts/estimate', body, token);
+  const improved = await post('/api/prompts/improve', body, token);
+  assert.equal(improved.status, 200);
+  assert.equal(improved.body.quotedCost, estimate.body.quotedCost);
+  assert.equal((await credits(userId)).credits, 10 - estimate.body.quotedCost);
+});
+
+test('inputs over the plan limit are rejected with 413 before anything is charged', async () => {
+  const { userId, token } = await createTestUser(db, { credits: 10 });
+  const before = await credits(userId);
+
+  const improve = await post('/api/prompts/improve', { original_prompt: promptOfTokens(2100) }, token);
+  assert.equal(improve.status, 413);
+  assert.equal(improve.body.error.code, 'INPUT_TOO_LARGE');
+  assert.equal(improve.body.maxInputTokens, getPlan('free').maxInputTokens);
+  assert.ok(improve.body.inputTokens > improve.body.maxInputTokens);
+
+  const batch = await post('/api/prompts/batch', { items: [{ original_prompt: 'short' }, { original_prompt: promptOfTokens(2100) }] }, token);
+  assert.equal(batch.status, 413);
+  assert.equal(batch.body.index, 1);
+
+  assert.deepEqual(await credits(userId), before);
+});
+
+test('bodies over the server size limit are rejected with 413', async () => {
+  const { status, body } = await post('/api/prompts/improve', JSON.stringify({ original_prompt: 'x'.repeat(3 * 1024 * 1024) }));
+  assert.equal(status, 413);
+  assert.equal(body.error.code, 'INPUT_TOO_LARGE');
+});
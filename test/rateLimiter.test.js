@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { consumeRateLimit, clearRateLimit, releaseRateLimit } from '../rateLimiter.js';
+
+const limit = { requests: 3, windowSeconds: 60 };
+
+test('consumeRateLimit allows the limit and then rejects until the window ends', (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const key = 'user:consume';
+
+  assert.deepEqual(
+    [1, 2, 3].map(() => consumeRateLimit(key, limit).remaining),
+    [2, 1, 0]
+  );
+
+  const rejected = consumeRateLimit(key, limit);
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.retryAfterSeconds, 60);
+
+  t.mock.timers.tick(60 * 1000);
+  assert.equal(consumeRateLimit(key, limit).allowed, true);
+});
+
+test('clearRateLimit starts a fresh window', () => {
+  const key = 'user:clear';
+
+  for (let i = 0; i < 3; i++) {
+    consumeRateLimit(key, limit);
+  }
+  clearRateLimit(key);
+
+  assert.equal(consumeRateLimit(key, limit).remaining, 2);
+});
+
+test('releaseRateLimit takes back counted requests', () => {
+  const key = 'user:release';
+
+  for (let i = 0; i < 3; i++) {
+    consumeRateLimit(key, limit);
+  }
+  releaseRateLimit(key);
+  assert.equal(consumeRateLimit(key, limit).allowed, true);
+  assert.equal(consumeRateLimit(key, limit).allowed, false);
+
+  // Nothing to take back outside a window
+  releaseRateLimit('user:release-none');
+  assert.equal(consumeRateLimit('user:release-none', limit).remaining, 2);
+});
+
+test('callers are limited independently', () => {
+  for (let i = 0; i < 3; i++) {
+    consumeRateLimit('ip:1', limit);
+  }
+
+  assert.equal(consumeRateLimit('ip:1', limit).allowed, false);
+  assert.equal(consumeRateLimit('ip:2', limit).allowed, true);
+});
+
+test('a request counting as several is allowed only if all of them fit', () => {
+  const key = 'user:amount';
+
+  assert.equal(consumeRateLimit(key, limit, 2).remaining, 1);
+
+  const rejected = consumeRateLimit(key, limit, 2);
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.remaining, 1);
+
+  assert.equal(consumeRateLimit(key, limit).allowed, true);
+  assert.equal(consumeRateLimit(key, limit).allowed, false);
+});
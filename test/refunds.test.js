@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { startTestServer } from './support/server.js';
+import { startTestLLM } from './support/llm.js';
+
+const { db, close } = await setupTestSupabase();
+const llm = await startTestLLM();
+let server;
+
+before(async () => {
+  server = await startTestServer({ LLM_PROVIDER: 'local', LOCAL_LLM_BASE_URL: llm.url });
+});
+
+after(async () => {
+  server?.stop();
+  await llm.close();
+  await close();
+});
+
+// Helper to post a prompt request and return the status and parsed body
+async function improve(body, headers = {}) {
+  const response = await fetch(`${server.url}/api/prompts/improve`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+// Helper to read a user's bonus credits and the sum of their ledger entries
+async function balance(userId) {
+  const { rows: [row] } = await db.query(
+    `select credits, (select coalesce(sum(delta), 0)::int from public.credit_ledger where user_id = users.id) as ledger
+       from public.users where id = $1`,
+    [userId]
+  );
+  return row;
+}
+
+test('a failed LLM call refunds a Free user\'s credits', async (t) => {
+  t.after(() => llm.setReply());
+  // Daily credits are used up, so the charge comes out of the bonus credits
+  const { userId, token } = await createTestUser(db, { credits: 4, daily_credits_used: 3 });
+  const auth = { Authorization: `Bearer ${token}` };
+
+  llm.setReply(() => null);
+  const failed = await improve({ original_prompt: 'plan a trip to Lisbon' }, auth);
+  assert.equal(failed.status, 500);
+  assert.equal(failed.body.error.code, 'LLM_ERROR');
+  assert.equal(failed.body.refunded, true);
+  assert.equal(failed.body.creditsRemaining, 4);
+  assert.deepEqual(await balance(userId), { credits: 4, ledger: 0 });
+
+  // An empty reply counts as a failure too
+  llm.setReply(() => '   ');
+  const empty = await improve({ original_prompt: 'plan a trip to Porto' }, auth);
+  assert.equal(empty.body.refunded, true);
+  assert.deepEqual(await balance(userId), { credits: 4, ledger: 0 });
+
+  llm.setReply(() => '"A three-day Lisbon itinerary"');
+  const succeeded = await improve({ original_prompt: 'plan a trip to Faro' }, auth);
+  assert.equal(succeeded.status, 200);
+  assert.equal(succeeded.body.output, 'A three-day Lisbon itinerary');
+  assert.equal(succeeded.body.refunded, false);
+  assert.equal(succeeded.body.creditsRemaining, 3);
+  assert.deepEqual(await balance(userId), { credits: 3, ledger: -1 });
+});
+
+test('a failed LLM call refunds an anonymous caller\'s credits', async (t) => {
+  t.after(() => llm.setReply());
+  llm.setReply(() => null);
+
+  const failed = await improve({ original_prompt: 'summarize this article' });
+  assert.equal(failed.body.error.code, 'LLM_ERROR');
+  assert.equal(failed.body.refunded, true);
+  assert.equal(failed.body.creditsRemaining, 5);
+
+  // The caller still has all of their credits
+  llm.setReply(() => 'Summarize the article in five bullet points.');
+  const succeeded = await improve({ original_prompt: 'summarize this article again' });
+  assert.equal(succeeded.status, 200);
+  assert.equal(succeeded.body.creditsRemaining, 4);
+});
+
+test('a failed stream ends with an error event that reports the refund', async (t) => {
+  t.after(() => llm.setReply());
+  const { userId, token } = await createTestUser(db, { credits: 2, daily_credits_used: 3 });
+  llm.setReply(() => null);
+
+  const response = await fetch(`${server.url}/api/prompts/improve`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ original_prompt: 'draft a cover letter' })
+  });
+  const text = await response.text();
+
+  const [, data] = text.match(/event: error\ndata: (.*)\n\n/);
+  const error = JSON.parse(data);
+  assert.equal(error.error.code, 'LLM_ERROR');
+  assert.equal(error.refunded, true);
+  assert.equal(error.creditsRemaining, 2);
+  assert.deepEqual(await balance(userId), { credits: 2, ledger: 0 });
+});
@@ -0,0 +1,171 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { startTestServer } from './support/server.js';
+import { startTestLLM } from './support/llm.js';
+
+const { db, close } = await setupTestSupabase();
+const llm = await startTestLLM();
+const { createMemoryCache, buildCacheKey } = await import('../responseCache.js');
+let server;
+
+// Number of requests the LLM has answered
+let llmCalls = 0;
+
+before(async () => {
+  server = await startTestServer({ LLM_PROVIDER: 'local', LOCAL_LLM_BASE_URL: llm.url, RESPONSE_CACHE: 'memory' });
+  llm.setReply(() => {
+    llmCalls += 1;
+    return `Rewrite number ${llmCalls}.`;
+  });
+});
+
+after(async () => {
+  server?.stop();
+  await llm.close();
+  await close();
+});
+
+// Helper to post JSON as a user to a server and return the status and parsed body
+async function post(url, path, body, token, headers = {}) {
+  const response = await fetch(`${url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function credits(userId) {
+  const { rows: [row] } = await db.query('select credits, daily_credits_used from public.users where id = $1', [userId]);
+  return row;
+}
+
+test('the memory cache evicts the least recently used entry and expires entries', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const cache = createMemoryCache(2);
+
+  await cache.set('a', { output: 'A' }, 60);
+  await cache.set('b', { output: 'B' }, 60);
+  assert.deepEqual(await cache.get('a'), { output: 'A' });
+  await cache.set('c', { output: 'C' }, 60);
+
+  // Reading "a" made "b" the least recently used
+  assert.equal(await cache.get('b'), null);
+  assert.deepEqual(await cache.get('c'), { output: 'C' });
+
+  t.mock.timers.tick(60 * 1000);
+  assert.equal(await cache.get('a'), null);
+});
+
+test('cache keys ignore whitespace but not the caller, mode or context', () => {
+  const base = {
+    scope: 'user:1',
+    mode: 'improve',
+    promptVersion: '1',
+    provider: 'openai',
+    settings: { model: 'gpt-4o-mini', temperature: 0.7, maxTokens: 500 },
+    originalPrompt: 'write a  poem',
+    context: { target: null }
+  };
+  const key = buildCacheKey(base);
+
+  assert.equal(buildCacheKey({ ...base, originalPrompt: '  write a poem\n' }), key);
+  assert.notEqual(buildCacheKey({ ...base, scope: 'user:2' }), key);
+  assert.notEqual(buildCacheKey({ ...base, mode: 'refine' }), key);
+  assert.notEqual(buildCacheKey({ ...base, promptVersion: '2' }), key);
+  assert.notEqual(buildCacheKey({ ...base, context: { target: 'claude' } }), key);
+});
+
+test('a re-submitted prompt is served from cache for free, once per caller', async () => {
+  const { userId, token } = await createTestUser(db, { credits: 10 });
+  const other = await createTestUser(db, { credits: 10 });
+
+  const first = await post(server.url, '/api/prompts/improve', { original_prompt: 'plan a trip to Rome' }, token);
+  assert.equal(first.body.cached, false);
+  const charged = await credits(userId);
+  const calls = llmCalls;
+
+  const again = await post(server.url, '/api/prompts/improve', { original_prompt: '  plan a trip   to Rome ' }, token);
+  assert.equal(again.status, 200);
+  assert.equal(again.body.cached, true);
+  assert.equal(again.body.output, first.body.output);
+  assert.equal(again.body.quotedCost, 0);
+  assert.equal(again.body.creditsRemaining, first.body.creditsRemaining);
+  assert.equal(llmCalls, calls);
+  assert.deepEqual(await credits(userId), charged);
+
+  // Only the first request is saved to history
+  const { rows } = await db.query('select count(*)::int as total from public.prompts where user_id = $1', [userId]);
+  assert.equal(rows[0].total, 1);
+
+  // Another user, another mode or another target is a miss
+  assert.equal((await post(server.url, '/api/prompts/improve', { original_prompt: 'plan a trip to Rome' }, other.token)).body.cached, false);
+  assert.equal((await post(server.url, '/api/prompts/refine', { original_prompt: 'plan a trip to Rome' }, token)).body.cached, false);
+  assert.equal((await post(server.url, '/api/prompts/improve', { original_prompt: 'plan a trip to Rome', target: 'claude' }, token)).body.cached, false);
+  assert.equal(llmCalls, calls + 3);
+});
+
+// Helper to post an anonymous prompt request, with an optional anonymous ID
+async function postAnonymous(url, body, anonymousId) {
+  const response = await fetch(`${url}/api/prompts/improve`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(anonymousId ? { 'X-Anonymous-Id': anonymousId } : {}) },
+    body: JSON.stringify(body)
+  });
+  return { anonymousId: response.headers.get('x-anonymous-id'), body: await response.json() };
+}
+
+test('anonymous callers sharing an IP only get their own cached rewrites', async () => {
+  const body = { original_prompt: 'draft a cover letter' };
+  const { anonymousId: first } = await postAnonymous(server.url, { original_prompt: 'say hello' });
+  const { anonymousId: second } = await postAnonymous(server.url, { original_prompt: 'say goodbye' });
+
+  assert.equal((await postAnonymous(server.url, body, first)).body.cached, false);
+  const again = await postAnonymous(server.url, body, first);
+  assert.equal(again.body.cached, true);
+
+  // Another anonymous ID from the same IP is a miss
+  const other = await postAnonymous(server.url, body, second);
+  assert.equal(other.body.cached, false);
+  assert.notEqual(other.body.output, again.body.output);
+});
+
+test('the cache can be bypassed per request, and the fresh rewrite replaces the cached one', async () => {
+  const { token } = await createTestUser(db, { credits: 10 });
+  const body = { original_prompt: 'summarize this article' };
+
+  const first = await post(server.url, '/api/prompts/improve', body, token);
+
+  const bypassed = await post(server.url, '/api/prompts/improve', { ...body, cache: false }, token);
+  assert.equal(bypassed.body.cached, false);
+  assert.notEqual(bypassed.body.output, first.body.output);
+
+  const header = await post(server.url, '/api/prompts/improve', body, token, { 'Cache-Control': 'no-cache' });
+  assert.equal(header.body.cached, false);
+
+  const cached = await post(server.url, '/api/prompts/improve', body, token);
+  assert.equal(cached.body.cached, true);
+  assert.equal(cached.body.output, header.body.output);
+});
+
+test('cache hits are charged when RESPONSE_CACHE_CHARGE is "charge"', async (t) => {
+  const charging = await startTestServer({
+    LLM_PROVIDER: 'local',
+    LOCAL_LLM_BASE_URL: llm.url,
+    RESPONSE_CACHE: 'memory',
+    RESPONSE_CACHE_CHARGE: 'charge'
+  });
+  t.after(() => charging.stop());
+  const { userId, token } = await createTestUser(db, { credits: 10, daily_credits_used: 1000 });
+
+  const first = await post(charging.url, '/api/prompts/improve', { original_prompt: 'draft an email' }, token);
+  const calls = llmCalls;
+
+  const again = await post(charging.url, '/api/prompts/improve', { original_prompt: 'draft an email' }, token);
+  assert.equal(again.body.cached, true);
+  assert.equal(again.body.quotedCost, first.body.quotedCost);
+  assert.equal(again.body.creditsRemaining, 10 - 2 * first.body.quotedCost);
+  assert.equal((await credits(userId)).credits, 10 - 2 * first.body.quotedCost);
+  assert.equal(llmCalls, calls);
+});
@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { createTestRefreshToken, setTestAuthAvailable } from './support/postgrest.js';
+import { startTestServer } from './support/server.js';
+
+const { db, close } = await setupTestSupabase();
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  server?.stop();
+  await close();
+});
+
+// Helper to post JSON (as a user when a token is given) and return the status and parsed body
+async function post(path, body, token) {
+  const response = await fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Helper to create a user with a refresh token for their session
+async function createSession(email) {
+  const { userId, token } = await createTestUser(db, { email });
+  return { userId, token, refreshToken: createTestRefreshToken({ role: 'authenticated', sub: userId, email }) };
+}
+
+test('a refresh token is exchanged once for a new token pair', async () => {
+  const { refreshToken } = await createSession('refresh@example.com');
+
+  const { status, body } = await post('/api/auth/refresh', { refresh_token: refreshToken });
+  assert.equal(status, 200);
+  assert.ok(body.access_token);
+  assert.notEqual(body.refresh_token, refreshToken);
+  assert.ok(body.expires_at > Date.now() / 1000);
+
+  const me = await fetch(`${server.url}/api/me`, { headers: { Authorization: `Bearer ${body.access_token}` } });
+  assert.equal((await me.json()).email, 'refresh@example.com');
+
+  // The old token is spent, so a second exchange signs the client out
+  const reused = await post('/api/auth/refresh', { refresh_token: refreshToken });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.error.code, 'AUTH_EXPIRED');
+
+  assert.equal((await post('/api/auth/refresh', {})).status, 400);
+});
+
+test('an auth outage is an error, not an expired session', async (t) => {
+  t.after(() => setTestAuthAvailable(true));
+  const { refreshToken } = await createSession('outage@example.com');
+
+  setTestAuthAvailable(false);
+  const { status, body } = await post('/api/auth/refresh', { refresh_token: refreshToken });
+  assert.equal(status, 500);
+  assert.notEqual(body.error.code, 'AUTH_EXPIRED');
+
+  // The refresh token still works once the outage is over
+  setTestAuthAvailable(true);
+  assert.equal((await post('/api/auth/refresh', { refresh_token: refreshToken })).status, 200);
+});
+
+test('logging out revokes the session refresh tokens', async () => {
+  const { token, refreshToken } = await createSession('logout@example.com');
+
+  const invalid = await post('/api/auth/logout', { scope: 'everywhere' }, token);
+  assert.equal(invalid.status, 400);
+  assert.equal((await post('/api/auth/logout', {})).status, 401);
+
+  const { status, body } = await post('/api/auth/logout', { scope: 'global' }, token);
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+
+  const refreshed = await post('/api/auth/refresh', { refresh_token: refreshToken });
+  assert.equal(refreshed.status, 401);
+});
+
+test('logging out other sessions keeps this one', async () => {
+  const { token, refreshToken } = await createSession('others@example.com');
+
+  assert.equal((await post('/api/auth/logout', { scope: 'others' }, token)).status, 200);
+  assert.equal((await post('/api/auth/refresh', { refresh_token: refreshToken })).status, 200);
+});
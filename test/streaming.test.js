@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { startTestServer } from './support/server.js';
+import { startTestLLM } from './support/llm.js';
+
+const { db, close } = await setupTestSupabase();
+const llm = await startTestLLM();
+let server;
+
+before(async () => {
+  server = await startTestServer({ LLM_PROVIDER: 'local', LOCAL_LLM_BASE_URL: llm.url });
+});
+
+after(async () => {
+  server?.stop();
+  await llm.close();
+  await close();
+});
+
+// Helper to post a streamed prompt request and return its events in order
+async function stream(path, body, headers = {}) {
+  const response = await fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const text = await response.text();
+  return [...text.matchAll(/event: (\w+)\ndata: (.*)\n\n/g)].map(([, event, data]) => ({ event, data: JSON.parse(data) }));
+}
+
+test('tokens arrive as they are generated and the done event carries the cleaned prompt', async (t) => {
+  t.after(() => llm.setReply());
+  const { userId, token } = await createTestUser(db, { credits: 3, daily_credits_used: 3 });
+  llm.setReply(() => '"Write a haiku about autumn leaves"');
+
+  const events = await stream(
+    '/api/prompts/improve',
+    { original_prompt: 'haiku autumn' },
+    { Accept: 'text/event-stream', Authorization: `Bearer ${token}` }
+  );
+
+  const tokens = events.filter(({ event }) => event === 'token');
+  assert.ok(tokens.length > 1);
+  assert.equal(tokens.map(({ data }) => data.delta).join(''), '"Write a haiku about autumn leaves"');
+
+  const done = events[events.length - 1];
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.output, 'Write a haiku about autumn leaves');
+  assert.equal(done.data.refunded, false);
+  assert.equal(done.data.creditsRemaining, 2);
+
+  const { rows } = await db.query('select input_text, output_text from public.prompts where user_id = $1', [userId]);
+  assert.deepEqual(rows, [{ input_text: 'haiku autumn', output_text: 'Write a haiku about autumn leaves' }]);
+});
+
+test('the stream query parameter and body flag also select streaming', async () => {
+  const fromQuery = await stream('/api/prompts/refine?stream=1', { original_prompt: 'tighten this email' });
+  assert.equal(fromQuery[fromQuery.length - 1].event, 'done');
+
+  const fromBody = await stream('/api/prompts/improve', { original_prompt: 'outline a talk', stream: true });
+  assert.equal(fromBody[fromBody.length - 1].data.output, 'Improved prompt: outline a talk');
+});
@@ -0,0 +1,131 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { startTestServer } from './support/server.js';
+import { startTestLLM } from './support/llm.js';
+
+const { db, close } = await setupTestSupabase();
+const llm = await startTestLLM();
+const { parseOutputFormat, validateStructuredPrompt, assembleStructuredPrompt } = await import('../structuredPrompt.js');
+let server;
+
+const SECTIONS = {
+  role: 'You are a travel planner.',
+  task: 'Plan a three-day trip to Lisbon.',
+  context: '',
+  format: 'A day-by-day list.',
+  constraints: 'Stay under 500 euros.',
+  goal: ''
+};
+
+before(async () => {
+  server = await startTestServer({ LLM_PROVIDER: 'local', LOCAL_LLM_BASE_URL: llm.url, RESPONSE_CACHE: 'off' });
+});
+
+after(async () => {
+  server?.stop();
+  await llm.close();
+  await close();
+});
+
+// Helper to post JSON as a user and return the status and parsed body
+async function post(path, body, token) {
+  const response = await fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Helper to answer with each reply in turn, recording the messages of every call
+function replyInTurn(replies) {
+  const calls = [];
+  llm.setReply((messages) => {
+    calls.push(messages);
+    return replies[calls.length - 1] ?? replies[replies.length - 1];
+  });
+  return calls;
+}
+
+async function credits(userId) {
+  const { rows: [row] } = await db.query('select credits from public.users where id = $1', [userId]);
+  return row.credits;
+}
+
+test('structured prompts are validated and assembled in section order', () => {
+  assert.equal(parseOutputFormat(undefined), 'text');
+  assert.throws(() => parseOutputFormat('xml'), /Invalid format/);
+
+  const sections = validateStructuredPrompt({ ...SECTIONS, task: '  Plan a trip.  ', extra: 'dropped' });
+  assert.equal(sections.task, 'Plan a trip.');
+  assert.equal(sections.extra, undefined);
+  assert.throws(() => validateStructuredPrompt({ ...SECTIONS, task: ' ' }), /"task" is required/);
+  assert.throws(() => validateStructuredPrompt({ ...SECTIONS, role: ['a'] }), /"role" must be a string/);
+  assert.throws(() => validateStructuredPrompt([SECTIONS]), /must be a JSON object/);
+
+  assert.equal(
+    assembleStructuredPrompt(SECTIONS),
+    'You are a travel planner.\n\nPlan a three-day trip to Lisbon.\n\nA day-by-day list.\n\nStay under 500 euros.'
+  );
+  assert.match(assembleStructuredPrompt(SECTIONS, 'claude'), /^<role>\nYou are a travel planner.\n<\/role>\n<task>/);
+});
+
+test('a structured rewrite returns its sections and the assembled text', async (t) => {
+  t.after(() => llm.setReply());
+  const { userId, token } = await createTestUser(db, { credits: 10 });
+  const calls = replyInTurn([`\`\`\`json\n${JSON.stringify(SECTIONS)}\n\`\`\``]);
+
+  const { status, body } = await post('/api/prompts/improve', { original_prompt: 'lisbon trip', format: 'structured' }, token);
+  assert.equal(status, 200);
+  assert.equal(body.format, 'structured');
+  assert.deepEqual(body.sections, SECTIONS);
+  assert.equal(body.output, assembleStructuredPrompt(SECTIONS));
+  assert.equal(calls.length, 1);
+  assert.match(calls[0][0].content, /JSON/);
+
+  const { rows } = await db.query('select output_text from public.prompts where user_id = $1', [userId]);
+  assert.deepEqual(rows, [{ output_text: body.output }]);
+});
+
+test('malformed output is sent back for one repair', async (t) => {
+  t.after(() => llm.setReply());
+  const { userId, token } = await createTestUser(db, { credits: 10, daily_credits_used: 3 });
+  const calls = replyInTurn(['Here is your prompt: plan a trip', JSON.stringify(SECTIONS)]);
+
+  const { status, body } = await post('/api/prompts/refine', { original_prompt: 'lisbon trip', format: 'structured' }, token);
+  assert.equal(status, 200);
+  assert.deepEqual(body.sections, SECTIONS);
+  assert.equal(calls.length, 2);
+  assert.equal(calls[1].at(-2).content, 'Here is your prompt: plan a trip');
+  assert.match(calls[1].at(-1).content, /could not be used/);
+  assert.equal(await credits(userId), 10 - body.quotedCost);
+});
+
+test('output still malformed after the repair fails the request and refunds it', async (t) => {
+  t.after(() => llm.setReply());
+  const { userId, token } = await createTestUser(db, { credits: 10, daily_credits_used: 3 });
+  const calls = replyInTurn([JSON.stringify({ ...SECTIONS, task: '' })]);
+
+  const { status, body } = await post('/api/prompts/improve', { original_prompt: 'lisbon trip', format: 'structured' }, token);
+  assert.equal(status, 500);
+  assert.equal(body.error.code, 'LLM_ERROR');
+  assert.equal(body.refunded, true);
+  assert.equal(calls.length, 2);
+  assert.equal(await credits(userId), 10);
+});
+
+test('structured output is only offered where it can be assembled', async () => {
+  const { token } = await createTestUser(db, { credits: 10 });
+
+  const cases = [
+    [{ format: 'xml' }, /Invalid format/],
+    [{ format: 'structured', variants: 2 }, /cannot be combined with variants/],
+    [{ format: 'structured', target: 'image' }, /not available for the image target/]
+  ];
+  for (const [fields, message] of cases) {
+    const { status, body } = await post('/api/prompts/improve', { original_prompt: 'lisbon trip', ...fields }, token);
+    assert.equal(status, 400);
+    assert.match(body.error.message, message);
+  }
+});
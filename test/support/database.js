@@ -0,0 +1,99 @@
+import { readdir, readFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { PGlite } from '@electric-sql/pglite';
+
+const MIGRATIONS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'supabase', 'migrations');
+
+// The parts of a Supabase project the migrations build on: API roles, auth helpers
+// reading the request's JWT claims, and the tables created before the migrations existed
+const SUPABASE_BASELINE = `
+  create role anon nologin;
+  create role authenticated nologin;
+  create role service_role nologin bypassrls;
+
+  create schema auth;
+  create function auth.jwt() returns jsonb language sql stable as $$
+    select coalesce(nullif(current_setting('request.jwt.claims', true), ''), '{}')::jsonb
+  $$;
+  create function auth.uid() returns uuid language sql stable as $$
+    select nullif(auth.jwt() ->> 'sub', '')::uuid
+  $$;
+  create function auth.role() returns text language sql stable as $$
+    select auth.jwt() ->> 'role'
+  $$;
+  grant usage on schema auth to anon, authenticated, service_role;
+
+  create table public.users (
+    id uuid primary key,
+    email text,
+    plan text,
+    is_pro boolean not null default false,
+    credits integer not null default 0,
+    daily_credits_used integer not null default 0,
+    daily_reset_at timestamptz,
+    signup_bonus_given boolean not null default false,
+    created_at timestamptz not null default now()
+  );
+  alter table public.users enable row level security;
+  create policy "Users can read own row" on public.users for select using (auth.uid() = id);
+  create policy "Users can update own row" on public.users for update using (auth.uid() = id);
+  create policy "Users can insert own row" on public.users for insert with check (auth.uid() = id);
+
+  create table public.prompts (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid references public.users (id),
+    input_text text not null,
+    output_text text,
+    created_at timestamptz not null default now()
+  );
+  alter table public.prompts enable row level security;
+  create policy "Users can insert own prompts" on public.prompts for insert with check (auth.uid() = user_id);
+
+  create table public.prompt_history (
+    id bigint generated always as identity primary key,
+    user_id uuid references public.users (id),
+    type text not null,
+    original_input text not null,
+    final_prompt text not null,
+    created_at timestamptz not null default now()
+  );
+
+  grant usage on schema public to anon, authenticated, service_role;
+  grant all on all tables in schema public to anon, authenticated, service_role;
+  alter default privileges in schema public grant all on tables to anon, authenticated, service_role;
+  alter default privileges in schema public grant all on sequences to anon, authenticated, service_role;
+`;
+
+/**
+ * Creates an in-memory Postgres with the Supabase baseline and every migration applied
+ * @returns {Promise<Object>} PGlite database
+ */
+export async function createTestDatabase() {
+  const db = new PGlite();
+  await db.exec(SUPABASE_BASELINE);
+
+  const files = (await readdir(MIGRATIONS_DIR)).filter((file) => file.endsWith('.sql')).sort();
+  for (const file of files) {
+    await db.exec(await readFile(join(MIGRATIONS_DIR, file), 'utf8'));
+  }
+
+  return db;
+}
+
+/**
+ * Runs a query as an API caller, the way PostgREST does: in a transaction with the
+ * caller's role and JWT claims set
+ * @param {Object} db - PGlite database
+ * @param {Object} claims - JWT claims ({ role, sub })
+ * @param {string} sql - Query
+ * @param {Array} [params] - Query parameters
+ * @returns {Promise<Object>} Query result
+ */
+export async function queryAs(db, claims, sql, params = []) {
+  return db.transaction(async (tx) => {
+    await tx.query(`select set_config('request.jwt.claims', $1, true)`, [JSON.stringify(claims)]);
+    await tx.query(`set local role ${claims.role}`);
+    return tx.query(sql, params);
+  });
+}
@@ -0,0 +1,47 @@
+import { createTestDatabase } from './database.js';
+import { startTestSupabase, createTestToken } from './postgrest.js';
+
+/**
+ * Starts a test database behind a Supabase-compatible server and points the
+ * Supabase environment variables at it
+ * Call before importing modules that create Supabase clients (supabaseClient.js reads the env on import).
+ * @returns {Promise<{db: Object, close: Function}>} Database and a function that stops the server
+ */
+export async function setupTestSupabase() {
+  const db = await createTestDatabase();
+  const server = await startTestSupabase(db);
+
+  process.env.SUPABASE_URL = server.url;
+  process.env.SUPABASE_ANON_KEY = createTestToken({ role: 'anon' });
+  process.env.SUPABASE_SERVICE_ROLE_KEY = createTestToken({ role: 'service_role' });
+
+  return { db, close: server.close };
+}
+
+/**
+ * Creates a users row and returns an access token for it
+ * @param {Object} db - Test database
+ * @param {Object} [fields] - Column values for the row (defaults: a new id, no credits)
+ * @returns {Promise<{userId: string, token: string}>} The user's id and a token carrying it
+ */
+export async function createTestUser(db, fields = {}) {
+  const { rows: [row] } = await db.query(
+    `insert into public.users (id, email, plan, credits, daily_credits_used, daily_reset_at, signup_bonus_given)
+     values (coalesce($1::uuid, gen_random_uuid()), $2, $3, $4, $5, $6, $7)
+     returning id`,
+    [
+      fields.id ?? null,
+      fields.email ?? 'user@example.com',
+      fields.plan ?? 'free',
+      fields.credits ?? 0,
+      fields.daily_credits_used ?? 0,
+      fields.daily_reset_at ?? new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      fields.signup_bonus_given ?? true
+    ]
+  );
+
+  return {
+    userId: row.id,
+    token: createTestToken({ role: 'authenticated', sub: row.id, email: fields.email ?? 'user@example.com' })
+  };
+}
@@ -0,0 +1,57 @@
+import http from 'http';
+
+/**
+ * Starts an OpenAI-compatible chat completions server for the "local" LLM provider
+ * Pass its url as LOCAL_LLM_BASE_URL with LLM_PROVIDER=local. Replies come from
+ * setReply(fn): fn gets the request's messages and returns (or resolves to) the reply
+ * text, or null to fail the request with a 400 (which the OpenAI client does not retry). setReply()
+ * goes back to echoing the prompt, like the stub provider.
+ * @returns {Promise<{url: string, setReply: Function, close: Function}>} Base URL, reply setter and a function that stops the server
+ */
+export async function startTestLLM() {
+  const echo = (messages) => `Improved prompt: ${messages[messages.length - 1].content}`;
+  let reply = echo;
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    const text = await reply(body.messages);
+
+    if (text === null) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'The model is unavailable', type: 'invalid_request_error' } }));
+      return;
+    }
+
+    if (body.stream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const word of text.split(/(?= )/)) {
+        res.write(`data: ${JSON.stringify({ model: body.model, choices: [{ delta: { content: word } }] })}\n\n`);
+      }
+      res.end('data: [DONE]\n\n');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      model: body.model,
+      choices: [{ message: { role: 'assistant', content: text } }],
+      usage: { prompt_tokens: 10, completion_tokens: 5 }
+    }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    setReply: (fn = echo) => {
+      reply = fn;
+    },
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,561 @@
+import http from 'http';
+import { createHash } from 'crypto';
+
+// Enough of the Supabase HTTP API for the server's queries, backed by a test database:
+// PostgREST table reads and writes with filters, ordering and paging, RPC calls, and
+// GoTrue's "get user", sign-in, refresh, logout and user deletion. Requests run as the role
+// in the bearer token, so RLS and column privileges apply as they do in a Supabase project.
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+
+// Most rows a read returns, like db-max-rows on a Supabase project
+const MAX_ROWS = 1000;
+
+const OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'like',
+  ilike: 'ilike'
+};
+
+const FULL_TEXT_FUNCTIONS = {
+  fts: 'to_tsquery',
+  plfts: 'plainto_tsquery',
+  phfts: 'phraseto_tsquery',
+  wfts: 'websearch_to_tsquery'
+};
+
+// PostgREST's HTTP status for a database error
+function statusFor(code) {
+  if (code === '23505' || code === '23503') {
+    return 409;
+  }
+  if (code === '42501') {
+    return 403;
+  }
+  if (code === 'PGRST116') {
+    return 406;
+  }
+  return 400;
+}
+
+class RequestError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Builds an unsigned JWT carrying the given claims (the test server does not check signatures)
+ * @param {Object} claims - Claims, e.g. { role: 'authenticated', sub: userId, email }
+ * @returns {string} Token
+ */
+export function createTestToken(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.test`;
+}
+
+// Active refresh tokens and the claims of the session each one renews
+const refreshTokens = new Map();
+
+// Password accounts by email, and unused OAuth codes, with the claims of the sessions they start
+const accounts = new Map();
+const oauthCodes = new Map();
+
+// Auth users deleted through the admin API (their tokens stop working)
+const deletedUsers = new Set();
+
+// While false, every auth request fails as during an outage
+let authAvailable = true;
+
+/**
+ * Makes the auth API fail with 500s, or work again
+ * @param {boolean} available - Whether auth requests succeed
+ */
+export function setTestAuthAvailable(available) {
+  authAvailable = available;
+}
+
+/**
+ * Creates a refresh token for a session carrying the given claims
+ * Like GoTrue, each token can be used once; refreshing returns a new one.
+ * @param {Object} claims - Claims of the session's access tokens
+ * @returns {string} Refresh token
+ */
+export function createTestRefreshToken(claims) {
+  const token = `test-refresh-${refreshTokens.size}-${Math.random().toString(36).slice(2)}`;
+  refreshTokens.set(token, claims);
+  return token;
+}
+
+/**
+ * Lets the claims' email sign in with a password
+ * @param {Object} claims - Claims of the sessions it starts (must include email)
+ * @param {string} password - Password to accept
+ */
+export function createTestAccount(claims, password) {
+  accounts.set(claims.email, { claims, password });
+}
+
+/**
+ * Creates an OAuth code, as the provider callback would carry, for the PKCE challenge of a sign-in
+ * @param {Object} claims - Claims of the session it starts
+ * @param {string} codeChallenge - The code_challenge sent to /authorize
+ * @returns {string} Authorization code
+ */
+export function createTestOAuthCode(claims, codeChallenge) {
+  const code = `test-code-${oauthCodes.size}-${Math.random().toString(36).slice(2)}`;
+  oauthCodes.set(code, { claims, codeChallenge });
+  return code;
+}
+
+// Helper to build GoTrue's session response
+function createSession(claims) {
+  const expiresAt = Math.floor(Date.now() / 1000) + 3600;
+  return [200, {
+    access_token: createTestToken({ ...claims, exp: expiresAt }),
+    token_type: 'bearer',
+    expires_in: 3600,
+    expires_at: expiresAt,
+    refresh_token: createTestRefreshToken(claims),
+    user: { id: claims.sub, email: claims.email, aud: 'authenticated', role: 'authenticated' }
+  }];
+}
+
+// Helper to answer GoTrue's token grants (refresh_token, password and pkce)
+function grantToken(grantType, body) {
+  if (grantType === 'refresh_token') {
+    const claims = refreshTokens.get(body?.refresh_token);
+    if (!claims) {
+      return [400, { code: 400, error_code: 'refresh_token_not_found', msg: 'Invalid Refresh Token: Refresh Token Not Found' }];
+    }
+    refreshTokens.delete(body.refresh_token);
+    return createSession(claims);
+  }
+
+  if (grantType === 'password') {
+    const account = accounts.get(body?.email);
+    if (!account || account.password !== body.password) {
+      return [400, { code: 400, error_code: 'invalid_credentials', msg: 'Invalid login credentials' }];
+    }
+    return createSession(account.claims);
+  }
+
+  if (grantType === 'pkce') {
+    const entry = oauthCodes.get(body?.auth_code);
+    const challenge = createHash('sha256').update(String(body?.code_verifier)).digest('base64url');
+    if (!entry || entry.codeChallenge !== challenge) {
+      return [400, { code: 400, error_code: 'bad_code_verifier', msg: 'code challenge does not match previously saved code verifier' }];
+    }
+    oauthCodes.delete(body.auth_code);
+    return createSession(entry.claims);
+  }
+
+  return [400, { code: 400, error_code: 'validation_failed', msg: `Unsupported grant type "${grantType}"` }];
+}
+
+// Helper to read the claims of a bearer token
+function readClaims(req) {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '') || req.headers.apikey;
+  try {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+  } catch {
+    return { role: 'anon' };
+  }
+}
+
+function identifier(name) {
+  if (!IDENTIFIER.test(name)) {
+    throw new RequestError('PGRST100', `Unsupported identifier "${name}"`);
+  }
+  return `"${name}"`;
+}
+
+// Helper to split a PostgREST list on commas outside parentheses and quotes
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && char === '(') {
+      depth += 1;
+    } else if (!quoted && char === ')') {
+      depth -= 1;
+    } else if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+function unquote(value) {
+  return value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+}
+
+// Helper to turn "op.value" for a column into SQL, adding parameters as needed
+function compileCondition(column, expression, params) {
+  const negate = expression.startsWith('not.');
+  const body = negate ? expression.slice(4) : expression;
+  const dot = body.indexOf('.');
+  const operator = body.slice(0, dot);
+  const value = body.slice(dot + 1);
+  const target = identifier(column);
+
+  let sql;
+  if (operator === 'is') {
+    const literal = { null: 'null', true: 'true', false: 'false' }[value.toLowerCase()];
+    if (!literal) {
+      throw new RequestError('PGRST100', `Unsupported "is" value "${value}"`);
+    }
+    sql = `${target} is ${literal}`;
+  } else if (operator === 'in') {
+    const values = splitTopLevel(value.replace(/^\(|\)$/g, '')).map(unquote);
+    const placeholders = values.map((item) => {
+      params.push(item);
+      return `$${params.length}`;
+    });
+    sql = values.length > 0 ? `${target} in (${placeholders.join(', ')})` : 'false';
+  } else if (OPERATORS[operator]) {
+    params.push(unquote(value));
+    sql = `${target} ${OPERATORS[operator]} $${params.length}`;
+  } else {
+    const match = operator.match(/^(fts|plfts|phfts|wfts)(?:\((\w+)\))?$/);
+    if (!match) {
+      throw new RequestError('PGRST100', `Unsupported operator "${operator}"`);
+    }
+    params.push(value);
+    const config = match[2] ? `'${match[2]}'::regconfig, ` : '';
+    sql = `${target} @@ ${FULL_TEXT_FUNCTIONS[match[1]]}(${config}$${params.length})`;
+  }
+
+  return negate ? `not (${sql})` : sql;
+}
+
+// Helper to compile an or=(...) / and(...) group
+function compileGroup(joiner, list, params) {
+  const conditions = splitTopLevel(list).map((part) => {
+    const nested = part.match(/^(and|or)\((.*)\)$/);
+    if (nested) {
+      return compileGroup(nested[1], nested[2], params);
+    }
+    const dot = part.indexOf('.');
+    return compileCondition(part.slice(0, dot), part.slice(dot + 1), params);
+  });
+  return `(${conditions.join(` ${joiner} `)})`;
+}
+
+// Helper to read filters, ordering and paging from the query string
+function parseQuery(searchParams) {
+  const params = [];
+  const where = [];
+  let columns = '*';
+  let order = '';
+  let limit = null;
+  let offset = null;
+  let onConflict = null;
+
+  for (const [key, value] of searchParams) {
+    if (key === 'select') {
+      columns = value === '*' ? '*' : value.split(',').map((column) => identifier(column.trim())).join(', ');
+    } else if (key === 'order') {
+      order = value.split(',').map((part) => {
+        const [column, ...modifiers] = part.split('.');
+        const direction = modifiers.includes('desc') ? 'desc' : 'asc';
+        const nulls = modifiers.includes('nullsfirst') ? ' nulls first' : modifiers.includes('nullslast') ? ' nulls last' : '';
+        return `${identifier(column)} ${direction}${nulls}`;
+      }).join(', ');
+    } else if (key === 'limit') {
+      limit = Number(value);
+    } else if (key === 'offset') {
+      offset = Number(value);
+    } else if (key === 'on_conflict') {
+      onConflict = value.split(',').map(identifier).join(', ');
+    } else if (key === 'or' || key === 'and') {
+      where.push(compileGroup(key, value.replace(/^\(|\)$/g, ''), params));
+    } else if (key !== 'columns') {
+      where.push(compileCondition(key, value, params));
+    }
+  }
+
+  return {
+    columns,
+    params,
+    where: where.length > 0 ? `where ${where.join(' and ')}` : '',
+    order: order ? `order by ${order}` : '',
+    paging: `limit ${Math.min(limit ?? MAX_ROWS, MAX_ROWS)} ${offset !== null ? `offset ${offset}` : ''}`,
+    onConflict
+  };
+}
+
+// Helper to build the SQL for a table request; the statement yields one JSON array of rows.
+// Writes only return rows when asked to (return=representation), like PostgREST, since
+// RETURNING also needs the rows to pass the table's select policies.
+function compileTableRequest(method, table, query, body, prefer) {
+  const target = `public.${identifier(table)}`;
+  const { columns, params, where, order, paging, onConflict } = query;
+  const minimal = method !== 'GET' && method !== 'HEAD' && !prefer.includes('return=representation');
+  const wrap = (statement) => (minimal ? statement : `with _rows as (${statement}) select coalesce(json_agg(_rows), '[]'::json) as rows from _rows`);
+  const returning = (list) => (minimal ? '' : `returning ${list}`);
+
+  if (method === 'GET' || method === 'HEAD') {
+    return { sql: wrap(`select ${columns} from ${target} ${where} ${order} ${paging}`), params, minimal };
+  }
+
+  if (method === 'DELETE') {
+    return { sql: wrap(`delete from ${target} ${where} ${returning(columns)}`), params, minimal };
+  }
+
+  const rows = Array.isArray(body) ? body : [body];
+  const keys = [...new Set(rows.flatMap((row) => Object.keys(row)))].map(identifier);
+  params.push(JSON.stringify(rows));
+  const record = `$${params.length}::jsonb`;
+
+  if (method === 'POST') {
+    let conflict = '';
+    if (prefer.includes('resolution=merge-duplicates')) {
+      conflict = `on conflict (${onConflict || '"id"'}) do update set ${keys.map((key) => `${key} = excluded.${key}`).join(', ')}`;
+    } else if (prefer.includes('resolution=ignore-duplicates')) {
+      conflict = 'on conflict do nothing';
+    }
+    return {
+      sql: wrap(`insert into ${target} (${keys.join(', ')}) select ${keys.join(', ')} from jsonb_populate_recordset(null::${target}, ${record}) ${conflict} ${returning(columns)}`),
+      params,
+      minimal
+    };
+  }
+
+  if (method === 'PATCH') {
+    return {
+      sql: wrap(`update ${target} set ${keys.map((key) => `${key} = _patch.${key}`).join(', ')} from (select * from jsonb_populate_record(null::${target}, (${record}) -> 0)) _patch ${where.replace(/"(\w+)"/g, `${target}."$1"`)} ${returning(columns === '*' ? `${target}.*` : columns.replace(/"(\w+)"/g, `${target}."$1"`))}`),
+      params,
+      minimal
+    };
+  }
+
+  throw new RequestError('PGRST100', `Unsupported method ${method}`);
+}
+
+// Helper to run a compiled table request: the rows, or how many were written (minimal writes)
+async function runTableRequest(tx, { sql, params, minimal }) {
+  const result = await tx.query(sql, params);
+  return minimal ? { count: result.affectedRows ?? 0 } : { rows: result.rows[0].rows };
+}
+
+// Helper to call a function with named arguments the way /rpc/<name> does
+// Set-returning functions can be ordered and paged like tables.
+async function callFunction(tx, name, args, { order, paging }) {
+  const { rows: [definition] } = await tx.query(
+    `select p.proargnames as names,
+            array(select format_type(t, null) from unnest(p.proargtypes) t) as types,
+            p.proretset as returns_set,
+            (select typtype from pg_type where oid = p.prorettype) as return_kind,
+            p.prorettype = 'void'::regtype as returns_void
+       from pg_proc p
+       join pg_namespace n on n.oid = p.pronamespace
+      where n.nspname = 'public' and p.proname = $1
+      order by p.pronargs desc
+      limit 1`,
+    [name]
+  );
+
+  if (!definition) {
+    throw new RequestError('PGRST202', `Could not find the function public.${name}`);
+  }
+
+  const params = [];
+  const argumentSql = Object.entries(args || {}).map(([argument, value]) => {
+    const position = (definition.names || []).indexOf(argument);
+    if (position === -1) {
+      throw new RequestError('PGRST202', `Function public.${name} has no argument ${argument}`);
+    }
+    const type = definition.types[position];
+    params.push(JSON.stringify(value));
+    const placeholder = `$${params.length}::jsonb`;
+    if (type === 'jsonb' || type === 'json') {
+      return `${identifier(argument)} => ${placeholder}::${type}`;
+    }
+    if (type.endsWith('[]')) {
+      return `${identifier(argument)} => (case when jsonb_typeof(${placeholder}) = 'array' then array(select jsonb_array_elements_text(${placeholder})) end)::${type}`;
+    }
+    return `${identifier(argument)} => (${placeholder} #>> '{}')::${type}`;
+  });
+
+  const { rows: [result] } = await tx.query(
+    definition.returns_set
+      ? `select coalesce(json_agg(_result), '[]'::json) as rows from (select * from public.${identifier(name)}(${argumentSql.join(', ')}) _result ${order} ${paging}) _result`
+      : `select coalesce(json_agg(_result), '[]'::json) as rows from public.${identifier(name)}(${argumentSql.join(', ')}) _result`,
+    params
+  );
+
+  if (definition.returns_void) {
+    return null;
+  }
+  if (definition.returns_set) {
+    return result.rows;
+  }
+  const [row] = result.rows;
+  return definition.return_kind === 'c' || definition.return_kind === 'p' ? row : Object.values(row)[0];
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      resolve(text ? JSON.parse(text) : null);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Starts a Supabase-compatible HTTP server for a test database
+ * @param {Object} db - PGlite database (see createTestDatabase)
+ * @returns {Promise<{url: string, close: Function}>} Base URL (use as SUPABASE_URL) and a close function
+ */
+export async function startTestSupabase(db) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const claims = readClaims(req);
+    const send = (status, payload, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(payload === undefined ? '' : JSON.stringify(payload));
+    };
+
+    try {
+      if (url.pathname.startsWith('/auth/v1/') && !authAvailable) {
+        send(500, { code: 500, error_code: 'unexpected_failure', msg: 'Unexpected failure' });
+        return;
+      }
+
+      if (url.pathname === '/auth/v1/user') {
+        if (!claims.sub) {
+          send(401, { code: 401, error_code: 'bad_jwt', msg: 'invalid JWT' });
+          return;
+        }
+        if (deletedUsers.has(claims.sub)) {
+          send(403, { code: 403, error_code: 'user_not_found', msg: 'User from sub claim in JWT does not exist' });
+          return;
+        }
+        send(200, { id: claims.sub, email: claims.email, aud: 'authenticated', role: 'authenticated' });
+        return;
+      }
+
+      if (url.pathname === '/auth/v1/token') {
+        const body = await readBody(req);
+        send(...grantToken(url.searchParams.get('grant_type'), body));
+        return;
+      }
+
+      // Sessions are not told apart, so every scope but "others" ends all of the user's sessions
+      if (url.pathname === '/auth/v1/logout') {
+        if (!claims.sub) {
+          send(401, { code: 401, error_code: 'bad_jwt', msg: 'invalid JWT' });
+          return;
+        }
+        if (url.searchParams.get('scope') !== 'others') {
+          for (const [token, session] of refreshTokens) {
+            if (session.sub === claims.sub) {
+              refreshTokens.delete(token);
+            }
+          }
+        }
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      const adminUser = url.pathname.match(/^\/auth\/v1\/admin\/users\/([\w-]+)$/);
+      if (adminUser && req.method === 'DELETE') {
+        if (claims.role !== 'service_role') {
+          send(403, { code: 403, error_code: 'not_admin', msg: 'User not allowed' });
+          return;
+        }
+        if (deletedUsers.has(adminUser[1])) {
+          send(404, { code: 404, error_code: 'user_not_found', msg: 'User not found' });
+          return;
+        }
+        deletedUsers.add(adminUser[1]);
+        send(200, { id: adminUser[1], aud: 'authenticated', role: 'authenticated' });
+        return;
+      }
+
+      const match = url.pathname.match(/^\/rest\/v1\/(rpc\/)?(\w+)$/);
+      if (!match) {
+        send(404, { message: `No route for ${url.pathname}` });
+        return;
+      }
+
+      const body = await readBody(req);
+      const prefer = req.headers.prefer || '';
+      const wantsObject = (req.headers.accept || '').includes('vnd.pgrst.object');
+      const role = ['anon', 'authenticated', 'service_role'].includes(claims.role) ? claims.role : 'anon';
+
+      const result = await db.transaction(async (tx) => {
+        await tx.query(`select set_config('request.jwt.claims', $1, true)`, [JSON.stringify(claims)]);
+        await tx.query(`set local role ${role}`);
+
+        if (match[1]) {
+          const data = await callFunction(tx, match[2], body, parseQuery(url.searchParams));
+          if (wantsObject && Array.isArray(data)) {
+            if (data.length !== 1) {
+              throw new RequestError('PGRST116', `JSON object requested, multiple (or no) rows returned (${data.length} rows)`);
+            }
+            return { data: data[0] };
+          }
+          return { data };
+        }
+
+        const query = parseQuery(url.searchParams);
+        const { rows, count } = await runTableRequest(tx, compileTableRequest(req.method, match[2], query, body, prefer));
+        if (!rows) {
+          return { count };
+        }
+
+        if (wantsObject && rows.length !== 1) {
+          throw new RequestError('PGRST116', `JSON object requested, multiple (or no) rows returned (${rows.length} rows)`);
+        }
+
+        return { rows, data: wantsObject ? rows[0] : rows };
+      });
+
+      const headers = {};
+      if (result.rows || result.count !== undefined) {
+        const count = result.rows ? result.rows.length : result.count;
+        headers['Content-Range'] = `${count > 0 ? `0-${count - 1}` : '*'}/${prefer.includes('count=exact') ? count : '*'}`;
+      }
+
+      const returnsRows = match[1] || req.method === 'GET' || prefer.includes('return=representation');
+      if (req.method === 'HEAD' || !returnsRows) {
+        res.writeHead(req.method === 'POST' ? 201 : req.method === 'HEAD' ? 200 : 204, headers);
+        res.end();
+        return;
+      }
+      send(req.method === 'POST' && !match[1] ? 201 : 200, result.data, headers);
+    } catch (error) {
+      const code = error.code || 'PGRST000';
+      send(statusFor(code), { code, message: error.message, details: error.detail ?? null, hint: error.hint ?? null });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
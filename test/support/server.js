@@ -0,0 +1,49 @@
+import { spawn } from 'child_process';
+import net from 'net';
+import { fileURLToPath } from 'url';
+
+// Helper to find a free port for the server
+async function freePort() {
+  const probe = net.createServer();
+  await new Promise((resolve) => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise((resolve) => probe.close(resolve));
+  return port;
+}
+
+/**
+ * Starts server.js on a free port with the stub LLM provider
+ * Call after setupTestSupabase(), so the server talks to the test database.
+ * @param {Object} [env] - Extra environment variables for the server
+ * @returns {Promise<{url: string, stop: Function}>} Base URL and a function that stops the server
+ */
+export async function startTestServer(env = {}) {
+  const port = await freePort();
+  const server = spawn(process.execPath, ['server.js'], {
+    cwd: fileURLToPath(new URL('../..', import.meta.url)),
+    env: { ...process.env, PORT: String(port), LLM_PROVIDER: 'stub', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  // Wait for the server to listen; fail with its output if it exits first
+  let output = '';
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('Server running')) {
+        resolve();
+      }
+    });
+    server.stderr.on('data', (chunk) => {
+      output += chunk;
+    });
+    server.once('exit', (code) => reject(new Error(`Server exited with ${code}:\n${output}`)));
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    stop: () => {
+      server.kill();
+    }
+  };
+}
@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { startTestServer } from './support/server.js';
+import { startTestLLM } from './support/llm.js';
+
+const { db, close } = await setupTestSupabase();
+const llm = await startTestLLM();
+const { PROMPT_TARGETS, buildPromptMessages } = await import('../promptTemplates.js');
+let server;
+
+before(async () => {
+  server = await startTestServer({ LLM_PROVIDER: 'local', LOCAL_LLM_BASE_URL: llm.url });
+});
+
+after(async () => {
+  server?.stop();
+  await llm.close();
+  await close();
+});
+
+// Helper to post JSON as a user and return the status and parsed body
+async function post(path, body, token) {
+  const response = await fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('a target adds its rules to the system prompt', () => {
+  assert.deepEqual(PROMPT_TARGETS, ['chatgpt', 'claude', 'gemini', 'image', 'code']);
+
+  const [plain] = buildPromptMessages({ mode: 'improve', originalPrompt: 'a cat on a roof' });
+  const [image] = buildPromptMessages({ mode: 'improve', originalPrompt: 'a cat on a roof', target: 'image' });
+  assert.ok(image.content.startsWith(plain.content));
+  assert.match(image.content, /\n\nTarget:\nThe prompt will be used in an image generator/);
+
+  assert.throws(() => buildPromptMessages({ mode: 'improve', originalPrompt: 'a cat', target: 'dalle' }), /Unknown target "dalle"/);
+});
+
+test('improved prompts are rewritten for and stored with their target', async (t) => {
+  t.after(() => llm.setReply());
+  const { userId, token } = await createTestUser(db, { credits: 5 });
+  let system;
+  llm.setReply((messages) => {
+    system = messages[0].content;
+    return '<task>Review this pull request</task>';
+  });
+
+  const { status } = await post('/api/prompts/improve', { original_prompt: 'review my PR', target: 'claude' }, token);
+  assert.equal(status, 200);
+  assert.match(system, /The prompt will be used in Claude/);
+
+  const { rows } = await db.query('select target from public.prompts where user_id = $1', [userId]);
+  assert.deepEqual(rows, [{ target: 'claude' }]);
+});
+
+test('targets are only accepted from the known list, on improve and refine', async () => {
+  const { token } = await createTestUser(db, { credits: 5, plan: 'pro' });
+
+  const unknown = await post('/api/prompts/refine', { original_prompt: 'review my PR', target: 'dalle' }, token);
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.error.code, 'VALIDATION_ERROR');
+
+  const followup = await post('/api/prompts/followup', { original_prompt: 'shorter', previous_prompt: 'a poem', target: 'claude' }, token);
+  assert.equal(followup.status, 400);
+  assert.equal(followup.body.error.code, 'VALIDATION_ERROR');
+});
+
+test('history entries keep their target and can be filtered by it', async () => {
+  const { token } = await createTestUser(db);
+  const entry = { type: 'improve', original_input: 'a cat', final_prompt: 'a cat on a roof, golden hour' };
+
+  assert.equal((await post('/api/history/save', { ...entry, target: 'image' }, token)).status, 200);
+  assert.equal((await post('/api/history/save', entry, token)).status, 200);
+  assert.equal((await post('/api/history/save', { ...entry, target: 'dalle' }, token)).body.error.code, 'VALIDATION_ERROR');
+
+  const response = await fetch(`${server.url}/api/history?target=image`, { headers: { Authorization: `Bearer ${token}` } });
+  const { entries } = await response.json();
+  assert.deepEqual(entries.map(({ target, final_prompt }) => ({ target, final_prompt })), [{ target: 'image', final_prompt: entry.final_prompt }]);
+});
@@ -0,0 +1,149 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+import { startTestServer } from './support/server.js';
+import { startTestLLM } from './support/llm.js';
+
+const { db, close } = await setupTestSupabase();
+const llm = await startTestLLM();
+const { getModelPrice, computeCostUsd, resolveUsage } = await import('../usageHelpers.js');
+const priceDir = mkdtempSync(join(tmpdir(), 'llm-prices-'));
+let server;
+
+before(async () => {
+  // The test LLM reports 10 prompt and 5 completion tokens per call
+  const priceFile = join(priceDir, 'prices.json');
+  writeFileSync(priceFile, JSON.stringify({ 'llama3.1': { input: 1000, output: 2000 } }));
+  server = await startTestServer({
+    LLM_PROVIDER: 'local',
+    LOCAL_LLM_BASE_URL: llm.url,
+    LLM_PRICE_TABLE_FILE: priceFile,
+    ADMIN_SECRET: 'test-admin-secret',
+    RESPONSE_CACHE: 'off'
+  });
+});
+
+after(async () => {
+  server?.stop();
+  rmSync(priceDir, { recursive: true, force: true });
+  await llm.close();
+  await close();
+});
+
+// Helper to post JSON as a user and return the status and parsed body
+async function post(path, body, token) {
+  const response = await fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Usage is recorded without holding up the response, so wait for the rows to land
+async function usageRows(userId, count) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const { rows } = await db.query('select * from public.llm_usage where user_id = $1 order by id', [userId]);
+    if (rows.length >= count) {
+      return rows;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Expected ${count} usage rows for ${userId}`);
+}
+
+test('models are priced by their longest listed prefix', () => {
+  assert.deepEqual(getModelPrice('gpt-4o-mini-2024-07-18'), getModelPrice('gpt-4o-mini'));
+  assert.notDeepEqual(getModelPrice('gpt-4o-mini'), getModelPrice('gpt-4o'));
+  assert.equal(getModelPrice('gpt-4omni'), null);
+  assert.equal(computeCostUsd('unknown-model', { promptTokens: 10, completionTokens: 10 }), null);
+  assert.equal(computeCostUsd('gpt-4o', { promptTokens: 1_000_000, completionTokens: 100_000 }), 3.5);
+});
+
+test('unreported usage is estimated and flagged', () => {
+  assert.deepEqual(resolveUsage({ promptTokens: 7, completionTokens: 3 }, { messages: [] }), { promptTokens: 7, completionTokens: 3, estimated: false });
+
+  const estimated = resolveUsage(null, { messages: [{ role: 'user', content: 'abcdefgh' }], output: 'abcd' });
+  assert.deepEqual(estimated, { promptTokens: 6, completionTokens: 1, estimated: true });
+});
+
+test('each call is recorded with its cost, outcome and saved prompt', async (t) => {
+  t.after(() => llm.setReply());
+  const { userId, token } = await createTestUser(db, { credits: 10 });
+
+  const improved = await post('/api/prompts/improve', { original_prompt: 'plan a garden' }, token);
+  assert.equal(improved.status, 200);
+
+  llm.setReply(() => null);
+  const failed = await post('/api/prompts/refine', { original_prompt: 'plan a garden' }, token);
+  assert.equal(failed.status, 500);
+
+  const [success, failure] = await usageRows(userId, 2);
+  const { rows: [prompt] } = await db.query('select id from public.prompts where user_id = $1', [userId]);
+  assert.equal(success.prompt_id, prompt.id);
+  assert.equal(success.plan, 'free');
+  assert.equal(success.mode, 'improve');
+  assert.equal(success.provider, 'local');
+  assert.equal(success.model, 'llama3.1');
+  assert.deepEqual([success.prompt_tokens, success.completion_tokens, success.usage_estimated], [10, 5, false]);
+  assert.equal(Number(success.cost_usd), 0.02);
+  assert.equal(success.outcome, 'success');
+  assert.ok(success.latency_ms >= 0);
+
+  assert.equal(failure.mode, 'refine');
+  assert.equal(failure.outcome, 'llm_error');
+  assert.equal(failure.prompt_id, null);
+  assert.equal(failure.usage_estimated, true);
+});
+
+test('the admin breakdown needs the secret and groups cost by mode, plan and user', async () => {
+  const { userId, token } = await createTestUser(db, { credits: 10 });
+  await post('/api/prompts/improve', { original_prompt: 'name a cat' }, token);
+  await post('/api/prompts/refine', { original_prompt: 'name a dog' }, token);
+  await usageRows(userId, 2);
+
+  const denied = await fetch(`${server.url}/api/admin/usage`, { headers: { 'X-Admin-Secret': 'wrong' } });
+  assert.equal(denied.status, 401);
+
+  const response = await fetch(`${server.url}/api/admin/usage?users=500`, { headers: { 'X-Admin-Secret': 'test-admin-secret' } });
+  assert.equal(response.status, 200);
+  const summary = await response.json();
+
+  const user = summary.byUser.find((entry) => entry.key === userId);
+  assert.equal(user.requests, 2);
+  assert.equal(user.costUsd, 0.04);
+  assert.equal(user.currentPlan, 'free');
+  assert.equal(typeof user.avgLatencyMs, 'number');
+
+  const free = summary.byPlan.find((entry) => entry.key === 'free');
+  assert.ok(free.users >= 1);
+  assert.equal(free.costPerUserUsd, Math.round((free.costUsd / free.users) * 1_000_000) / 1_000_000);
+  assert.ok(summary.byMode.some((entry) => entry.key === 'refine'));
+  assert.equal(summary.totals.requests, summary.byDay.reduce((sum, day) => sum + day.requests, 0));
+
+  const invalid = await fetch(`${server.url}/api/admin/usage?from=2026-11-01&to=2026-10-01`, { headers: { 'X-Admin-Secret': 'test-admin-secret' } });
+  assert.equal(invalid.status, 400);
+});
+
+test('the breakdown covers every call, however many groups there are', async () => {
+  // One call a day for longer than a response can hold rows (PostgREST's db-max-rows is 1000)
+  await db.query(
+    `insert into public.llm_usage (plan, mode, provider, model, prompt_tokens, completion_tokens, latency_ms, cost_usd, outcome, created_at)
+     select 'anonymous', 'analyze', 'stub', 'stub', 3, 2, 100, 0.001, 'success', timestamptz '2020-01-01' + make_interval(days => day)
+       from generate_series(0, 1199) as day`
+  );
+
+  const response = await fetch(`${server.url}/api/admin/usage?from=2020-01-01&to=2023-04-15`, { headers: { 'X-Admin-Secret': 'test-admin-secret' } });
+  const summary = await response.json();
+
+  assert.equal(summary.totals.requests, 1200);
+  assert.equal(summary.totals.promptTokens, 3600);
+  assert.equal(summary.totals.costUsd, 1.2);
+  assert.equal(summary.byDay.length, 1200);
+  assert.deepEqual([summary.byDay[0].key, summary.byDay.at(-1).key], ['2020-01-01', '2023-04-14']);
+  assert.deepEqual(summary.byMode.map((entry) => [entry.key, entry.requests]), [['analyze', 1200]]);
+  assert.deepEqual(summary.byUser, []);
+});
@@ -0,0 +1,93 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestSupabase, createTestUser } from './support/environment.js';
+
+const { db, close } = await setupTestSupabase();
+const { createStubProvider } = await import('../llmProviders.js');
+const { generateVariants, saveVariantCandidates, selectVariantCandidate } = await import('../variantHelpers.js');
+
+after(close);
+
+// Helper to generate and store a set of candidates the way the improve route does
+async function storeCandidates(userId, count = 3) {
+  const variants = await generateVariants({
+    provider: createStubProvider(),
+    completionParams: {
+      model: 'stub',
+      messages: [{ role: 'system', content: 'Rewrite the prompt.' }, { role: 'user', content: 'write a poem' }]
+    },
+    count,
+    clean: (text) => text.trim()
+  });
+  const candidatesId = await saveVariantCandidates({ userId, mode: 'improve', target: null, originalPrompt: 'write a poem', variants });
+  return { candidatesId, variants };
+}
+
+test('the stored candidate is picked, once', async () => {
+  const { userId } = await createTestUser(db);
+  const { candidatesId, variants } = await storeCandidates(userId);
+
+  const pick = await selectVariantCandidate({ userId, candidatesId, index: variants[1].index });
+  assert.deepEqual(pick, {
+    mode: 'improve',
+    target: null,
+    originalPrompt: 'write a poem',
+    candidate: variants[1],
+    count: 3
+  });
+
+  await assert.rejects(
+    selectVariantCandidate({ userId, candidatesId, index: variants[0].index }),
+    { message: 'Candidates not found' }
+  );
+});
+
+test('candidates cannot be picked by another user, with a made-up index or id', async () => {
+  const { userId } = await createTestUser(db);
+  const { userId: otherUserId } = await createTestUser(db);
+  const { candidatesId } = await storeCandidates(userId, 2);
+
+  await assert.rejects(selectVariantCandidate({ userId: otherUserId, candidatesId, index: 0 }), { message: 'Candidates not found' });
+  await assert.rejects(selectVariantCandidate({ userId, candidatesId, index: 7 }), { message: 'Invalid candidate index' });
+  await assert.rejects(selectVariantCandidate({ userId, candidatesId, index: 0, output: 'forged' }), { message: 'Output does not match the candidate' });
+  await assert.rejects(selectVariantCandidate({ userId, candidatesId: 'not-a-uuid', index: 0 }), { message: 'Candidates not found' });
+  await assert.rejects(selectVariantCandidate({ userId, candidatesId: crypto.randomUUID(), index: 0 }), { message: 'Candidates not found' });
+
+  // Rejected picks did not use up the set
+  assert.equal((await selectVariantCandidate({ userId, candidatesId, index: 0 })).candidate.index, 0);
+});
+
+test('expired candidates cannot be picked', async () => {
+  const { userId } = await createTestUser(db);
+  const { candidatesId } = await storeCandidates(userId, 2);
+  await db.query(`update public.prompt_candidates set created_at = now() - interval '25 hours' where id = $1`, [candidatesId]);
+
+  await assert.rejects(selectVariantCandidate({ userId, candidatesId, index: 0 }), { message: 'Candidates not found' });
+});
+
+test('a failed candidate fails the set only once every other call has returned', async () => {
+  // The "concise" call fails at once; the others take a while
+  const provider = {
+    name: 'test',
+    complete: async ({ messages }) => {
+      if (messages[0].content.includes('as short as possible')) {
+        throw new Error('The model is unavailable');
+      }
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return { text: 'A clearer prompt.', usage: { promptTokens: 10, completionTokens: 5 }, model: 'test' };
+    }
+  };
+  const completions = [];
+
+  await assert.rejects(
+    generateVariants({
+      provider,
+      completionParams: { model: 'test', messages: [{ role: 'system', content: 'Rewrite the prompt.' }, { role: 'user', content: 'write a poem' }] },
+      count: 4,
+      clean: (text) => text.trim(),
+      onCompletion: (completion) => completions.push(completion)
+    }),
+    { message: 'The model is unavailable' }
+  );
+  assert.equal(completions.length, 3);
+});
@@ -0,0 +1,41 @@
+// Rough token estimates for budgeting and pricing
+// About 4 characters per token for English text across the supported models;
+// a tokenizer per model is not worth the dependency for budgets like these.
+const CHARS_PER_TOKEN = 4;
+
+// Per-message overhead of the chat format (role markers, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimates the number of tokens in a text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimates the number of tokens in a list of chat messages
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @returns {number} Estimated tokens
+ */
+export function estimateMessageTokens(messages) {
+  return messages.reduce((total, message) => total + MESSAGE_OVERHEAD_TOKENS + estimateTokens(message.content), 0);
+}
+
+/**
+ * Truncates a text to roughly a token budget, keeping its end
+ * @param {string} text - Text to truncate
+ * @param {number} maxTokens - Token budget
+ * @returns {string} The text, or its last ~maxTokens tokens prefixed with an ellipsis
+ */
+export function truncateToTokens(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) {
+    return text;
+  }
+  return `…${text.slice(text.length - maxTokens * CHARS_PER_TOKEN).trimStart()}`;
+}
@@ -0,0 +1,218 @@
+import { readFileSync } from 'fs';
+import dotenv from 'dotenv';
+import { supabaseAdmin } from './supabaseClient.js';
+import { estimateTokens, estimateMessageTokens } from './tokenUtils.js';
+
+// Load environment variables from .env file (for local development)
+dotenv.config();
+
+// Default prices in USD per 1M tokens; dated model names (gpt-4o-mini-2024-07-18)
+// match the longest listed prefix. Self-hosted and stub models cost nothing.
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'llama3.1': { input: 0, output: 0 },
+  stub: { input: 0, output: 0 }
+};
+
+const USAGE_OUTCOMES = ['success', 'llm_error', 'timeout', 'client_disconnected'];
+
+// Helper to load price overrides from LLM_PRICE_TABLE_FILE (JSON, keyed by model)
+function loadPriceTable() {
+  const path = process.env.LLM_PRICE_TABLE_FILE;
+  if (!path) {
+    return { ...DEFAULT_PRICES };
+  }
+
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(readFileSync(path, 'utf8')) };
+  } catch (error) {
+    throw new Error(`Failed to load LLM price table from ${path}: ${error.message}`);
+  }
+}
+
+const PRICE_TABLE = loadPriceTable();
+
+// Longest keys first so "gpt-4o-mini" wins over "gpt-4o"
+const PRICED_MODELS = Object.keys(PRICE_TABLE).sort((a, b) => b.length - a.length);
+
+/**
+ * Gets the price of a model
+ * @param {string} model - Model name as reported by the provider
+ * @returns {({input: number, output: number}|null)} USD per 1M tokens, null if the model is not priced
+ */
+export function getModelPrice(model) {
+  if (!model) {
+    return null;
+  }
+  const key = PRICED_MODELS.find((name) => model === name || model.startsWith(`${name}-`));
+  return key ? PRICE_TABLE[key] : null;
+}
+
+/**
+ * Computes the cost of an LLM call
+ * @param {string} model - Model name
+ * @param {Object} usage - Token usage
+ * @param {number} usage.promptTokens - Input tokens
+ * @param {number} usage.completionTokens - Output tokens
+ * @returns {(number|null)} Cost in USD, null if the model is not priced
+ */
+export function computeCostUsd(model, { promptTokens, completionTokens }) {
+  const price = getModelPrice(model);
+  if (!price) {
+    return null;
+  }
+  const cost = ((promptTokens || 0) * price.input + (completionTokens || 0) * price.output) / 1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+/**
+ * Fills in token usage the provider did not report (streams, failed calls) with estimates
+ * @param {Object} [usage] - Usage reported by the provider ({ promptTokens, completionTokens })
+ * @param {Object} params - Parameters object
+ * @param {Array<{role: string, content: string}>} params.messages - Messages sent to the model
+ * @param {string} [params.output] - Text received so far
+ * @returns {{promptTokens: number, completionTokens: number, estimated: boolean}} Usage
+ */
+export function resolveUsage(usage, { messages, output }) {
+  if (usage && usage.promptTokens != null && usage.completionTokens != null) {
+    return { promptTokens: usage.promptTokens, completionTokens: usage.completionTokens, estimated: false };
+  }
+
+  return {
+    promptTokens: usage?.promptTokens ?? estimateMessageTokens(messages),
+    completionTokens: usage?.completionTokens ?? estimateTokens(output),
+    estimated: true
+  };
+}
+
+/**
+ * Records one LLM call for cost accounting
+ * Never throws: a failed write is logged and the request carries on.
+ * @param {Object} params - Parameters object
+ * @param {(string|null)} params.userId - The caller's user ID (null for anonymous callers)
+ * @param {string} params.planName - The caller's plan
+ * @param {string} params.mode - Prompt mode
+ * @param {string} params.provider - Provider name
+ * @param {string} params.model - Model name
+ * @param {Object} params.usage - Usage from resolveUsage()
+ * @param {number} params.latencyMs - Time spent waiting on the LLM
+ * @param {string} params.outcome - success, llm_error, timeout or client_disconnected
+ * @param {string} [params.promptId] - ID of the saved prompt, if any
+ * @returns {Promise<void>}
+ */
+export async function recordLLMUsage({ userId, planName, mode, provider, model, usage, latencyMs, outcome, promptId }) {
+  if (!supabaseAdmin) {
+    return;
+  }
+
+  try {
+    const { error } = await supabaseAdmin
+      .from('llm_usage')
+      .insert({
+        user_id: userId || null,
+        prompt_id: promptId || null,
+        plan: planName,
+        mode,
+        provider,
+        model,
+        prompt_tokens: usage.promptTokens,
+        completion_tokens: usage.completionTokens,
+        usage_estimated: usage.estimated,
+        latency_ms: Math.round(latencyMs),
+        cost_usd: computeCostUsd(model, usage),
+        outcome: USAGE_OUTCOMES.includes(outcome) ? outcome : 'llm_error'
+      });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+  } catch (recordError) {
+    console.error(`[USAGE] Failed to record ${mode} usage (${provider}/${model}):`, recordError.message);
+  }
+}
+
+// PostgREST returns at most this many rows per request, so the summary is read in pages
+const SUMMARY_PAGE_SIZE = 1000;
+
+// Helper to round a USD amount to the cost column's precision
+function roundUsd(amount) {
+  return Math.round(amount * 1_000_000) / 1_000_000;
+}
+
+// Helper to turn a summary row into a response entry
+function toSummaryEntry(row) {
+  const costUsd = Number(row.cost_usd);
+  const users = Number(row.users);
+  return {
+    key: row.key,
+    requests: Number(row.requests),
+    failed: Number(row.failed),
+    promptTokens: Number(row.prompt_tokens),
+    completionTokens: Number(row.completion_tokens),
+    costUsd: roundUsd(costUsd),
+    unpriced: Number(row.unpriced),
+    avgLatencyMs: row.avg_latency_ms === null ? null : Math.round(Number(row.avg_latency_ms)),
+    users,
+    costPerUserUsd: users ? roundUsd(costUsd / users) : null
+  };
+}
+
+/**
+ * Gets LLM cost broken down by day, mode, plan and user
+ * The database does the aggregation, so the result covers every call in the range.
+ * @param {Object} params - Parameters object
+ * @param {Date} params.from - Start of the range (inclusive)
+ * @param {Date} params.to - End of the range (exclusive)
+ * @param {number} [params.userLimit] - Most expensive users to return (default: 50, max: 500)
+ * @returns {Promise<Object>} { totals, byDay, byMode, byPlan, byUser }
+ */
+export async function getUsageSummary({ from, to, userLimit = 50 }) {
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY not configured');
+  }
+
+  if (!from || !to) {
+    throw new Error('from and to are required');
+  }
+
+  const limit = Math.min(Math.max(parseInt(userLimit, 10) || 50, 1), 500);
+
+  const rows = [];
+  for (let offset = 0; ; offset += SUMMARY_PAGE_SIZE) {
+    const { data, error } = await supabaseAdmin
+      .rpc('llm_usage_summary', {
+        p_from: from.toISOString(),
+        p_to: to.toISOString(),
+        p_user_limit: limit
+      })
+      .order('dimension', { ascending: true })
+      .order('key', { ascending: true })
+      .range(offset, offset + SUMMARY_PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to get usage summary: ${error.message}`);
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < SUMMARY_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  const breakdown = (dimension) => rows
+    .filter((row) => row.dimension === dimension)
+    .map(toSummaryEntry);
+  const byCost = (a, b) => b.costUsd - a.costUsd;
+
+  return {
+    // The grand total row is there even when the range has no calls
+    totals: { ...breakdown('all')[0], key: 'all' },
+    byDay: breakdown('day'),
+    byMode: breakdown('mode').sort(byCost),
+    byPlan: breakdown('plan').sort(byCost),
+    byUser: breakdown('user').sort(byCost)
+  };
+}
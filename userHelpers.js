@@ -1,4 +1,9 @@
-import { supabase } from './supabaseClient.js';
+import { supabase, supabaseAdmin } from './supabaseClient.js';
+import { getPlan, isKnownPlan } from './planCatalog.js';
+import { hasActiveProSubscription } from './billingHelpers.js';
+
+// users columns needed to resolve a plan (see resolvePlanName)
+export const PLAN_COLUMNS = 'plan, is_pro, subscription_status, subscription_current_period_end';
 
 /**
  * Gets the user's plan from the users table
@@ -29,57 +34,33 @@ export async function getUserPlan(userId) {
 
 /**
  * Ensures a user exists in the users table
- * Creates the user if they don't exist
+ * Creates the user if they don't exist (create_user_row sets the starting values:
+ * free plan, no bonus credits yet, a new daily window), so concurrent calls are safe.
+ * Signup bonus will be granted on first login via /api/me.
  * @param {Object} user - User object with id and email
  * @param {string} user.id - The user's ID (from auth.uid)
  * @param {string} user.email - The user's email
+ * @param {Object} [client] - Supabase client to use (an authenticated or service role client; the anon key cannot create users)
  * @returns {Promise<void>}
  */
-export async function ensureUserExists(user) {
+export async function ensureUserExists(user, client = supabase) {
   if (!user || !user.id) {
     throw new Error('User object with id is required');
   }
 
-  // Check if user exists
-  const { data: existingUser, error: selectError } = await supabase
-    .from('users')
-    .select('id')
-    .eq('id', user.id)
-    .single();
-
-  // If user exists, return early
-  if (existingUser) {
-    return;
-  }
-
-  // If user doesn't exist, create them with initial values
-  // Note: This will fail if RLS prevents inserts, which is expected
-  const now = new Date();
-  const nextReset = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24 hours from now
-  
-  const { error: insertError } = await supabase
-    .from('users')
-    .insert({
-      id: user.id,
-      email: user.email,
-      plan: 'free',
-      credits: 0, // Signup bonus will be granted on first login via /api/me
-      daily_credits_used: 0,
-      daily_reset_at: nextReset.toISOString(),
-      signup_bonus_given: false
-    });
+  const { error } = await client.rpc('create_user_row', {
+    p_user_id: user.id,
+    p_email: user.email ?? null
+  });
 
-  if (insertError) {
-    // If it's a duplicate key error, user was created between check and insert
-    if (insertError.code === '23505') {
-      return;
-    }
-    throw new Error(`Failed to create user: ${insertError.message}`);
+  if (error) {
+    throw new Error(`Failed to create user: ${error.message}`);
   }
 }
 
 /**
  * Checks if a user has Pro access using an authenticated Supabase client
+ * Any paid plan in the plan catalog (Pro, Team, ...) counts as Pro access
  * @param {Object} params - Parameters object
  * @param {Object} params.authenticatedClient - Authenticated Supabase client with user's access token
  * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
@@ -94,21 +75,61 @@ export async function getUserProStatus({ authenticatedClient, userId }) {
     throw new Error('User ID is required');
   }
 
+  try {
+    const planName = await getUserPlanName({ authenticatedClient, userId });
+    return getPlan(planName).paid;
+  } catch (error) {
+    throw new Error(`Failed to get user Pro status: ${error.message}`);
+  }
+}
+
+/**
+ * Resolves the user's plan name in the plan catalog using an authenticated Supabase client
+ * An explicit paid plan in users.plan (e.g. "team") wins; otherwise an active Pro
+ * subscription (see hasActiveProSubscription) maps to "pro"
+ * @param {Object} params - Parameters object
+ * @param {Object} params.authenticatedClient - Authenticated Supabase client with user's access token
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @returns {Promise<string>} Plan name, defaults to "free"
+ */
+export async function getUserPlanName({ authenticatedClient, userId }) {
+  if (!authenticatedClient) {
+    throw new Error('Authenticated Supabase client is required');
+  }
+
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
   const { data, error } = await authenticatedClient
     .from('users')
-    .select('is_pro')
+    .select(PLAN_COLUMNS)
     .eq('id', userId)
     .single();
 
   if (error) {
-    // If user doesn't exist, return false (not Pro)
+    // If user doesn't exist, return default plan
     if (error.code === 'PGRST116') {
-      return false;
+      return 'free';
     }
-    throw new Error(`Failed to get user Pro status: ${error.message}`);
+    throw new Error(`Failed to get user plan: ${error.message}`);
   }
 
-  return data?.is_pro === true;
+  return resolvePlanName(data);
+}
+
+/**
+ * Maps a users row to a plan name in the plan catalog
+ * Pro access respects the subscription period end and grace period.
+ * @param {Object} userRow - Row with the PLAN_COLUMNS columns
+ * @returns {string} Plan name, defaults to "free"
+ */
+export function resolvePlanName(userRow) {
+  const storedPlan = userRow?.plan;
+  if (isKnownPlan(storedPlan) && storedPlan !== 'free' && storedPlan !== 'anonymous') {
+    return storedPlan;
+  }
+  return hasActiveProSubscription(userRow) ? 'pro' : 'free';
 }
 
 /**
@@ -146,18 +167,16 @@ export async function getUserCredits({ authenticatedClient, userId }) {
 }
 
 /**
- * Deducts credits from a user's account using an authenticated Supabase client
+ * Deducts credits from a user's account
+ * Runs as a single conditional update in the database, so concurrent requests
+ * cannot spend the same credit or drive the balance negative. Requires the service-role client.
  * @param {Object} params - Parameters object
- * @param {Object} params.authenticatedClient - Authenticated Supabase client with user's access token
  * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
  * @param {number} params.amount - Amount of credits to deduct (must be positive)
- * @returns {Promise<number>} Remaining credits after deduction
+ * @param {string} [params.mode] - Prompt mode, recorded in the credit ledger
+ * @returns {Promise<{remainingCredits: number, ledgerIds: Array<number>}>} Remaining credits and ledger entries written
  */
-export async function deductCredits({ authenticatedClient, userId, amount, accessToken }) {
-  if (!authenticatedClient) {
-    throw new Error('Authenticated Supabase client is required');
-  }
-
+export async function deductCredits({ userId, amount, mode }) {
   if (!userId) {
     throw new Error('User ID is required');
   }
@@ -166,62 +185,26 @@ export async function deductCredits({ authenticatedClient, userId, amount, acces
     throw new Error('Deduction amount must be positive');
   }
 
-  // Get current credits first
-  const currentCredits = await getUserCredits({ authenticatedClient, userId });
-
-  if (currentCredits < amount) {
-    throw new Error('Insufficient credits');
-  }
-
-  // Set session explicitly to ensure RLS recognizes the user for UPDATE operations
-  if (accessToken) {
-    try {
-      await authenticatedClient.auth.setSession({
-        access_token: accessToken,
-        refresh_token: ''
-      });
-    } catch (sessionError) {
-      console.warn('Could not set session (may already be set):', sessionError.message);
-      // Continue - session might already be set via headers
-    }
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to deduct credits');
   }
 
-  // Deduct credits using atomic update
-  const newCredits = currentCredits - amount;
-  console.log(`Deducting ${amount} credits from user ${userId}. Current: ${currentCredits}, New: ${newCredits}`);
-  
-  // Use RPC call or direct update - try update first
-  const { data, error } = await authenticatedClient
-    .from('users')
-    .update({ credits: newCredits })
-    .eq('id', userId)
-    .select('credits')
+  const { data, error } = await supabaseAdmin
+    .rpc('deduct_bonus_credits', {
+      p_user_id: userId,
+      p_amount: amount,
+      p_mode: mode || null
+    })
     .single();
 
   if (error) {
-    console.error('Credit deduction error details:', {
-      error: error.message,
-      code: error.code,
-      details: error.details,
-      hint: error.hint,
-      userId: userId
-    });
-    
-    // If RLS is blocking, try using a different approach
-    if (error.code === '42501' || error.message.includes('permission') || error.message.includes('policy')) {
-      throw new Error(`RLS policy blocked credit update: ${error.message}. Please ensure users can update their own credits.`);
-    }
-    
-    throw new Error(`Failed to deduct credits: ${error.message}`);
+    throw creditFunctionError('deduct credits', error);
   }
 
-  if (!data) {
-    console.error('Credit deduction returned no data');
-    throw new Error('Failed to deduct credits: No data returned');
-  }
-
-  console.log(`Credits successfully deducted. Remaining: ${data.credits}`);
-  return data.credits ?? 0;
+  return {
+    remainingCredits: data.remaining_credits ?? 0,
+    ledgerIds: data.ledger_ids || []
+  };
 }
 
 /**
@@ -267,8 +250,27 @@ export async function getUserCreditInfo({ authenticatedClient, userId }) {
   };
 }
 
+/**
+ * Gets the credits a Free user can still spend (daily plus bonus)
+ * An expired daily window counts as the full daily allowance, since the next
+ * deduction resets it.
+ * @param {Object} params - Parameters object
+ * @param {Object} params.authenticatedClient - Authenticated Supabase client
+ * @param {string} params.userId - The user's ID
+ * @param {number} params.dailyLimit - Daily credits allowed by the user's plan
+ * @returns {Promise<number>} Daily credits left plus bonus credits
+ */
+export async function getTotalCreditsRemaining({ authenticatedClient, userId, dailyLimit }) {
+  const creditInfo = await getUserCreditInfo({ authenticatedClient, userId });
+  const windowExpired = !creditInfo.dailyResetAt || creditInfo.dailyResetAt <= new Date();
+  const dailyCreditsUsed = windowExpired ? 0 : creditInfo.dailyCreditsUsed;
+  return Math.max(0, dailyLimit - dailyCreditsUsed) + creditInfo.credits;
+}
+
 /**
  * Resets daily credits if 24 hours have passed
+ * The reset only applies while the window is still expired, so a concurrent request
+ * that already reset (and spent) today's credits is never overwritten.
  * @param {Object} params - Parameters object
  * @param {Object} params.authenticatedClient - Authenticated Supabase client
  * @param {string} params.userId - The user's ID
@@ -289,21 +291,19 @@ export async function resetDailyCreditsIfNeeded({ authenticatedClient, userId })
 
   // If daily_reset_at is missing OR 24 hours have passed, reset daily credits
   if (!resetAt || now >= resetAt) {
-    const nextReset = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24 hours from now
-    
-    const { error } = await authenticatedClient
-      .from('users')
-      .update({
-        daily_credits_used: 0,
-        daily_reset_at: nextReset.toISOString()
-      })
-      .eq('id', userId);
+    // Only resets if the window is still expired (a concurrent reset moves it into the future)
+    const { data: nextReset, error } = await authenticatedClient.rpc('reset_daily_credits', {
+      p_user_id: userId
+    });
 
     if (error) {
       throw new Error(`Failed to reset daily credits: ${error.message}`);
     }
 
-    console.log(`[CREDITS] Daily credits reset for user ${userId}. Next reset: ${nextReset.toISOString()}`);
+    if (!nextReset) {
+      // Another request reset the window first
+      return false;
+    }
     return true;
   }
 
@@ -312,18 +312,17 @@ export async function resetDailyCreditsIfNeeded({ authenticatedClient, userId })
 
 /**
  * Deducts credits for Free users (daily credits first, then bonus credits)
+ * Runs as one locked database transaction (deduct_free_credits), including the
+ * daily reset and ledger entries, so concurrent requests cannot double-spend.
+ * Requires the service-role client, since the caller passes the daily limit.
  * @param {Object} params - Parameters object
- * @param {Object} params.authenticatedClient - Authenticated Supabase client
  * @param {string} params.userId - The user's ID
  * @param {number} params.amount - Amount to deduct
- * @param {string} params.accessToken - Access token for session
- * @returns {Promise<Object>} Result with remaining credits and source used
+ * @param {number} params.dailyLimit - Daily credits allowed by the user's plan
+ * @param {string} [params.mode] - Prompt mode, recorded in the credit ledger
+ * @returns {Promise<Object>} Result with remaining credits, source used and ledger entries written
  */
-export async function deductFreeUserCredits({ authenticatedClient, userId, amount, accessToken }) {
-  if (!authenticatedClient) {
-    throw new Error('Authenticated Supabase client is required');
-  }
-
+export async function deductFreeUserCredits({ userId, amount, dailyLimit, mode }) {
   if (!userId) {
     throw new Error('User ID is required');
   }
@@ -332,116 +331,207 @@ export async function deductFreeUserCredits({ authenticatedClient, userId, amoun
     throw new Error('Deduction amount must be positive');
   }
 
-  // Set session explicitly
-  if (accessToken) {
-    try {
-      await authenticatedClient.auth.setSession({
-        access_token: accessToken,
-        refresh_token: ''
-      });
-    } catch (sessionError) {
-      console.warn('Could not set session (may already be set):', sessionError.message);
-    }
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to deduct credits');
   }
 
-  // Reset daily credits if needed
-  await resetDailyCreditsIfNeeded({ authenticatedClient, userId });
-
-  // Get current credit info
-  const creditInfo = await getUserCreditInfo({ authenticatedClient, userId });
-  const DAILY_CREDITS = 3;
-  const dailyCreditsAvailable = DAILY_CREDITS - creditInfo.dailyCreditsUsed;
-  const bonusCredits = creditInfo.credits; // Bonus credits stored in credits field
-
-  // Check if user has enough credits
-  const totalAvailable = dailyCreditsAvailable + bonusCredits;
-  if (totalAvailable < amount) {
-    throw new Error('Insufficient credits');
-  }
-
-  // Deduct from daily credits first, then from bonus credits
-  let newDailyCreditsUsed = creditInfo.dailyCreditsUsed;
-  let newBonusCredits = bonusCredits;
-  let creditSource = '';
-
-  if (dailyCreditsAvailable >= amount) {
-    // Use daily credits only
-    newDailyCreditsUsed = creditInfo.dailyCreditsUsed + amount;
-    creditSource = 'daily';
-    console.log(`[CREDITS] Deducted ${amount} from daily credits for user ${userId}. Source: daily`);
-  } else {
-    // Use all available daily credits + some bonus credits
-    const bonusNeeded = amount - dailyCreditsAvailable;
-    newDailyCreditsUsed = DAILY_CREDITS; // All daily credits used
-    newBonusCredits = bonusCredits - bonusNeeded;
-    creditSource = 'mixed';
-    console.log(`[CREDITS] Deducted ${dailyCreditsAvailable} from daily + ${bonusNeeded} from bonus for user ${userId}. Source: mixed`);
-  }
-
-  // Update database
-  const { data, error } = await authenticatedClient
-    .from('users')
-    .update({
-      daily_credits_used: newDailyCreditsUsed,
-      credits: newBonusCredits
+  const { data, error } = await supabaseAdmin
+    .rpc('deduct_free_credits', {
+      p_user_id: userId,
+      p_amount: amount,
+      p_daily_limit: dailyLimit,
+      p_mode: mode || null
     })
-    .eq('id', userId)
-    .select('credits, daily_credits_used')
     .single();
 
   if (error) {
-    throw new Error(`Failed to deduct credits: ${error.message}`);
+    throw creditFunctionError('deduct credits', error);
   }
 
-  const remainingCredits = newBonusCredits;
-  console.log(`[CREDITS] Credits deducted successfully. User ${userId} remaining: ${remainingCredits} bonus credits, ${DAILY_CREDITS - newDailyCreditsUsed} daily credits. Source: ${creditSource}`);
+  const creditSource = data.bonus_deducted > 0 ? 'mixed' : 'daily';
+  const remainingCredits = data.remaining_credits ?? 0;
+  const dailyCreditsRemaining = Math.max(0, dailyLimit - data.daily_credits_used);
 
   return {
     remainingCredits,
-    dailyCreditsRemaining: DAILY_CREDITS - newDailyCreditsUsed,
-    creditSource
+    dailyCreditsRemaining,
+    creditSource,
+    dailyDeducted: data.daily_deducted,
+    bonusDeducted: data.bonus_deducted,
+    ledgerIds: data.ledger_ids || []
   };
 }
 
 /**
- * Grants signup bonus to a user (10 credits, one-time only)
+ * Deducts the credits for several prompts at once for Free users (e.g. a batch)
+ * Runs as one locked database transaction (deduct_free_credits_batch): either every
+ * amount is deducted or none is. Each amount gets its own ledger entries, so one
+ * item can be refunded without the others. Requires the service-role client, since
+ * the daily limit is passed in by the caller.
  * @param {Object} params - Parameters object
- * @param {Object} params.authenticatedClient - Authenticated Supabase client
  * @param {string} params.userId - The user's ID
- * @returns {Promise<void>}
+ * @param {Array<number>} params.amounts - Amount to deduct for each item
+ * @param {number} params.dailyLimit - Daily credits allowed by the user's plan
+ * @param {Array<string>} [params.modes] - Prompt mode of each item, recorded in the credit ledger
+ * @returns {Promise<Object>} Result with remaining credits and the ledger entries written for each item
  */
-export async function grantSignupBonus({ authenticatedClient, userId }) {
-  if (!authenticatedClient) {
-    throw new Error('Authenticated Supabase client is required');
+export async function deductFreeUserCreditsBatch({ userId, amounts, dailyLimit, modes }) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  if (!Array.isArray(amounts) || amounts.length === 0 || amounts.some((amount) => !amount || amount <= 0)) {
+    throw new Error('Deduction amount must be positive');
+  }
+
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to deduct batch credits');
+  }
+
+  const { data, error } = await supabaseAdmin
+    .rpc('deduct_free_credits_batch', {
+      p_user_id: userId,
+      p_amounts: amounts,
+      p_daily_limit: dailyLimit,
+      p_modes: modes || null
+    });
+
+  if (error) {
+    throw creditFunctionError('deduct credits', error);
   }
 
+  const rows = [...data].sort((a, b) => a.item_index - b.item_index);
+  const last = rows[rows.length - 1];
+  const remainingCredits = last.remaining_credits ?? 0;
+  const dailyCreditsRemaining = Math.max(0, dailyLimit - last.daily_credits_used);
+
+  return {
+    remainingCredits,
+    dailyCreditsRemaining,
+    itemLedgerIds: rows.map((row) => row.ledger_ids || [])
+  };
+}
+
+/**
+ * Refunds earlier deductions by their ledger entry ids
+ * Each deduction can only be refunded once. Requires the service-role client,
+ * since users must not be able to refund their own successful prompts.
+ * @param {Object} params - Parameters object
+ * @param {string} params.userId - The user's ID
+ * @param {Array<number>} params.ledgerIds - Ledger ids returned by the deduction
+ * @returns {Promise<number>} Remaining bonus credits after the refund
+ */
+export async function refundCredits({ userId, ledgerIds }) {
   if (!userId) {
     throw new Error('User ID is required');
   }
 
-  const creditInfo = await getUserCreditInfo({ authenticatedClient, userId });
+  if (!ledgerIds || ledgerIds.length === 0) {
+    throw new Error('Ledger ids are required');
+  }
 
-  // Only grant if not already given
-  if (creditInfo.signupBonusGiven) {
-    console.log(`[CREDITS] Signup bonus already granted to user ${userId}`);
-    return;
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to refund credits');
   }
 
-  const SIGNUP_BONUS = 10;
-  const newCredits = creditInfo.credits + SIGNUP_BONUS;
+  const { data, error } = await supabaseAdmin
+    .rpc('refund_credits', {
+      p_user_id: userId,
+      p_ledger_ids: ledgerIds
+    })
+    .single();
 
-  const { error } = await authenticatedClient
-    .from('users')
-    .update({
-      credits: newCredits,
-      signup_bonus_given: true
+  if (error) {
+    throw creditFunctionError('refund credits', error);
+  }
+
+  return data.remaining_credits ?? 0;
+}
+
+/**
+ * Grants signup bonus to a user (one-time only, amount from the plan catalog)
+ * Safe to call concurrently: the database only grants it while signup_bonus_given is false.
+ * @param {Object} params - Parameters object
+ * @param {string} params.userId - The user's ID
+ * @param {number} params.bonus - Credits to grant
+ * @returns {Promise<boolean>} True if the bonus was granted by this call
+ */
+export async function grantSignupBonus({ userId, bonus }) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to grant the signup bonus');
+  }
+
+  if (!bonus || bonus <= 0) {
+    return false;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .rpc('grant_signup_bonus', {
+      p_user_id: userId,
+      p_bonus: bonus
     })
-    .eq('id', userId);
+    .single();
 
   if (error) {
     throw new Error(`Failed to grant signup bonus: ${error.message}`);
   }
 
-  console.log(`[CREDITS] Signup bonus granted: +${SIGNUP_BONUS} credits to user ${userId}. Total: ${newCredits}`);
+  if (!data.granted) {
+    console.log(`[CREDITS] Signup bonus already granted to user ${userId}`);
+    return false;
+  }
+
+  console.log(`[CREDITS] Signup bonus granted: +${bonus} credits to user ${userId}. Total: ${data.remaining_credits}`);
+  return true;
+}
+
+/**
+ * Adds credits to a user's account (admin top-up)
+ * Runs as a single increment in the database, so concurrent top-ups are never lost.
+ * @param {Object} params - Parameters object
+ * @param {string} params.userId - The user's ID
+ * @param {number} params.amount - Amount of credits to add (must be positive)
+ * @param {Object} [params.metadata] - Context recorded in the credit ledger
+ * @returns {Promise<number>} Credits after the top-up
+ */
+export async function addCredits({ userId, amount, metadata }) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  if (!amount || amount <= 0) {
+    throw new Error('Credit amount must be positive');
+  }
+
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to add credits');
+  }
+
+  const { data, error } = await supabaseAdmin.rpc('add_credits', {
+    p_user_id: userId,
+    p_amount: amount,
+    p_metadata: metadata || {}
+  });
+
+  if (error) {
+    throw creditFunctionError('add credits', error);
+  }
+
+  console.log(`[CREDITS] Added ${amount} credits to user ${userId}. Total: ${data}`);
+  return data ?? 0;
 }
 
+// Maps errors raised by the credit database functions to the messages callers check for
+function creditFunctionError(action, error) {
+  if (error.code === 'P0001' && error.message.includes('Insufficient credits')) {
+    return new Error('Insufficient credits');
+  }
+  if (error.code === 'P0002') {
+    return new Error('User not found');
+  }
+  return new Error(`Failed to ${action}: ${error.message}`);
+}
@@ -0,0 +1,202 @@
+import { scorePrompt } from './promptScoring.js';
+import { supabaseAdmin } from './supabaseClient.js';
+
+// Maximum candidate rewrites per request
+export const MAX_VARIANTS = 4;
+
+// Modes that support candidate rewrites
+export const VARIANT_MODES = ['improve', 'refine'];
+
+// Hours a set of candidates can be picked from
+const CANDIDATES_TTL_HOURS = 24;
+
+// One style per candidate, in order, so candidates differ meaningfully
+const VARIANT_STYLES = [
+  { label: 'balanced', instruction: 'Aim for a balanced prompt: complete but not verbose.' },
+  { label: 'concise', instruction: 'Keep the prompt as short as possible while staying specific.' },
+  { label: 'detailed', instruction: 'Make the prompt detailed, spelling out context, format and constraints.' },
+  { label: 'structured', instruction: 'Structure the prompt as labelled sections (Role, Task, Context, Format, Constraints, Goal).' }
+];
+
+/**
+ * Parses the requested number of variants from a request body
+ * @param {*} value - The `variants` (or `n`) field
+ * @returns {number} Variant count (1 when not requested)
+ * @throws {Error} "Invalid variants: ..." if the value is out of range
+ */
+export function parseVariantCount(value) {
+  if (value === undefined || value === null) {
+    return 1;
+  }
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_VARIANTS) {
+    throw new Error(`Invalid variants: must be an integer between 1 and ${MAX_VARIANTS}`);
+  }
+
+  return count;
+}
+
+/**
+ * Generates several candidate rewrites in parallel, each in a different style
+ * All candidates must succeed; one failure fails the request (so it can be refunded), but
+ * only once every call has settled, so onCompletion has seen every completion that returned.
+ * @param {Object} params - Parameters object
+ * @param {Object} params.provider - LLM provider from getLLMProvider()
+ * @param {Object} params.completionParams - Completion parameters (model, messages, signal, ...)
+ * @param {number} params.count - Number of candidates
+ * @param {Function} params.clean - Cleans raw model output into prompt text
+ * @param {Function} [params.onCompletion] - Called with each completion as it returns (usage accounting)
+ * @returns {Promise<Array<{index: number, label: string, score: number, output: string}>>} Candidates, best first
+ */
+export async function generateVariants({ provider, completionParams, count, clean, onCompletion }) {
+  const [systemMessage, ...otherMessages] = completionParams.messages;
+
+  const settled = await Promise.allSettled(
+    VARIANT_STYLES.slice(0, count).map(async (style, index) => {
+      const completion = await provider.complete({
+        ...completionParams,
+        messages: [
+          { ...systemMessage, content: `${systemMessage.content}\n\nStyle: ${style.instruction}` },
+          ...otherMessages
+        ]
+      });
+      onCompletion?.(completion);
+
+      const output = clean(completion.text);
+      if (!output) {
+        throw new Error(`No ${style.label} variant received from ${provider.name}`);
+      }
+
+      return {
+        index,
+        label: style.label,
+        score: scorePrompt(output).score,
+        output
+      };
+    })
+  );
+
+  const failed = settled.find((result) => result.status === 'rejected');
+  if (failed) {
+    throw failed.reason;
+  }
+
+  const candidates = settled.map((result) => result.value);
+  return candidates.sort((a, b) => b.score - a.score || a.index - b.index);
+}
+
+/**
+ * Stores the candidates returned to a user, so the one they pick can be checked later
+ * Requires the service-role client (users must not be able to write candidates).
+ * @param {Object} params - Parameters object
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @param {string} params.mode - Mode the candidates were generated for
+ * @param {string} [params.target] - Target the candidates were generated for
+ * @param {string} params.originalPrompt - The prompt that was rewritten
+ * @param {Array<Object>} params.variants - Candidates from generateVariants()
+ * @returns {Promise<string>} Id of the stored set (candidates_id)
+ */
+export async function saveVariantCandidates({ userId, mode, target, originalPrompt, variants }) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to store candidates');
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('prompt_candidates')
+    .insert({
+      user_id: userId,
+      mode,
+      target: target || null,
+      original_prompt: originalPrompt,
+      variants
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save candidates: ${error.message}`);
+  }
+
+  return data.id;
+}
+
+/**
+ * Marks one stored candidate as picked and returns it with the request it answered
+ * @param {Object} params - Parameters object
+ * @param {string} params.userId - The user's ID (from auth.uid, not from client input)
+ * @param {string} params.candidatesId - Id returned with the candidates
+ * @param {number} params.index - The picked candidate's index
+ * @param {string} [params.output] - The candidate's text as the client has it; must match if given
+ * @returns {Promise<{mode: string, target: (string|null), originalPrompt: string, candidate: Object, count: number}>} The pick
+ * @throws {Error} "Candidates not found" if the set does not exist, belongs to someone else,
+ *   has expired or was already picked from; "Invalid candidate index" if it has no such candidate;
+ *   "Output does not match the candidate" if the client's text differs
+ */
+export async function selectVariantCandidate({ userId, candidatesId, index, output }) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to select candidates');
+  }
+
+  const { data: row, error: selectError } = await supabaseAdmin
+    .from('prompt_candidates')
+    .select('id, mode, target, original_prompt, variants')
+    .eq('id', candidatesId)
+    .eq('user_id', userId)
+    .is('selected_at', null)
+    .gte('created_at', new Date(Date.now() - CANDIDATES_TTL_HOURS * 60 * 60 * 1000).toISOString())
+    .maybeSingle();
+
+  if (selectError) {
+    // Malformed ids (not a uuid) simply do not exist
+    if (selectError.code === '22P02') {
+      throw new Error('Candidates not found');
+    }
+    throw new Error(`Failed to load candidates: ${selectError.message}`);
+  }
+
+  if (!row) {
+    throw new Error('Candidates not found');
+  }
+
+  const candidate = row.variants.find((variant) => variant.index === index);
+  if (!candidate) {
+    throw new Error('Invalid candidate index');
+  }
+
+  if (output !== undefined && output !== candidate.output) {
+    throw new Error('Output does not match the candidate');
+  }
+
+  // Conditional update: a concurrent pick from the same set loses
+  const { data: updated, error: updateError } = await supabaseAdmin
+    .from('prompt_candidates')
+    .update({ selected_at: new Date().toISOString() })
+    .eq('id', row.id)
+    .is('selected_at', null)
+    .select('id');
+
+  if (updateError) {
+    throw new Error(`Failed to select candidate: ${updateError.message}`);
+  }
+
+  if (!updated || updated.length === 0) {
+    throw new Error('Candidates not found');
+  }
+
+  return {
+    mode: row.mode,
+    target: row.target,
+    originalPrompt: row.original_prompt,
+    candidate,
+    count: row.variants.length
+  };
+}